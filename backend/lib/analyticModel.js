@@ -0,0 +1,42 @@
+/**
+ * analyticModel.js - Consumption estimate for when the ML service is down
+ *
+ * Fuel (or energy) per 100 km comes off the profile's fuel curve at the route's
+ * average speed, plus the energy to lift the gross weight over the climb;
+ * EVs get part of it back downhill, as the ML service assumes. Answers in the
+ * ML service's shape: { fuel_l, energy_kwh?, co2_kg }.
+ */
+
+import { interpolate } from "./profiles.js";
+
+const G = 9.81;
+// Combustion engines: share of the fuel's energy reaching the wheels, and kWh per litre
+const ENGINE_EFFICIENCY = 0.3;
+const FUEL_KWH_PER_L = 9.5;
+// EVs: drivetrain efficiency uphill, share recovered downhill
+const EV_EFFICIENCY = 0.9;
+const EV_REGEN_SHARE = 0.6;
+// Descents never take an EV below this share of its flat-road consumption
+const EV_MIN_SHARE = 0.25;
+
+// kWh an EV uses over a distance at one average speed, with the climb and descent
+export function evEnergyKwh(profile, { distance_km, avg_speed_kph, elevation_gain_m = 0, elevation_loss_m = 0, weight_kg }) {
+  const flat = (interpolate(profile.fuel_curve, avg_speed_kph) * distance_km) / 100;
+  const liftKwh = (weight_kg * G) / 3.6e6;
+  const climb = liftKwh * (elevation_gain_m / EV_EFFICIENCY - elevation_loss_m * EV_REGEN_SHARE);
+  return Math.max(flat + climb, flat * EV_MIN_SHARE);
+}
+
+export function estimateConsumption(profile, fuels, features) {
+  const { distance_km, avg_speed_kph, elevation_gain_m = 0, weight_kg } = features;
+  const factor = fuels[profile.fuel_type].co2_kg_per_unit;
+
+  if (profile.fuel_type === "electricity") {
+    const energy_kwh = evEnergyKwh(profile, features);
+    return { fuel_l: 0, energy_kwh, co2_kg: energy_kwh * factor };
+  }
+  const flat = (interpolate(profile.fuel_curve, avg_speed_kph) * distance_km) / 100;
+  const liftKwh = (weight_kg * G) / 3.6e6;
+  const fuel_l = flat + (liftKwh * elevation_gain_m) / (ENGINE_EFFICIENCY * FUEL_KWH_PER_L);
+  return { fuel_l, co2_kg: fuel_l * factor };
+}
@@ -0,0 +1,78 @@
+/**
+ * batchJobs.js - In-memory batch jobs worked off with bounded concurrency
+ *
+ * A job is a list of rows; each row either carries an `input` for the worker
+ * or an `error` found while parsing it. At most `concurrency` rows of a job
+ * run at a time. Finished jobs are dropped after `keepMs`, and the oldest
+ * finished ones once more than `maxJobs` are held.
+ */
+
+import { randomUUID } from "crypto";
+
+export function createBatchQueue({ worker, concurrency = 4, keepMs = 3600e3, maxJobs = 50 }) {
+  const jobs = new Map();
+
+  function prune() {
+    const now = Date.now();
+    const finished = [...jobs.values()].filter((j) => j.status === "done");
+    for (const job of finished) {
+      if (now - Date.parse(job.finished_at) > keepMs) jobs.delete(job.id);
+    }
+    const excess = jobs.size - maxJobs;
+    for (const job of finished.slice(0, Math.max(0, excess))) jobs.delete(job.id);
+  }
+
+  async function runRow(job, row) {
+    try {
+      row.result = await worker(row.input);
+      row.ok = true;
+    } catch (err) {
+      row.ok = false;
+      row.error = err.message || String(err);
+      job.failed++;
+    }
+    job.completed++;
+  }
+
+  async function run(job) {
+    job.status = "running";
+    const pending = job.rows.filter((r) => !r.error);
+    let next = 0;
+    const lane = async () => {
+      while (next < pending.length) await runRow(job, pending[next++]);
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, lane));
+    job.status = "done";
+    job.finished_at = new Date().toISOString();
+  }
+
+  return {
+    // Queue `rows` ([{ input } | { error }]) and start working on them
+    create(rows) {
+      prune();
+      const job = {
+        id: randomUUID(),
+        status: "queued",
+        created_at: new Date().toISOString(),
+        finished_at: null,
+        total: rows.length,
+        completed: 0,
+        failed: 0,
+        rows: rows.map((r, i) => ({ row: i + 1, ...r, ok: r.error ? false : null })),
+      };
+      for (const r of job.rows) {
+        if (r.error) {
+          job.completed++;
+          job.failed++;
+        }
+      }
+      jobs.set(job.id, job);
+      run(job).catch((err) => console.error("Batch job failed:", err));
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+  };
+}
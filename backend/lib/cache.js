@@ -0,0 +1,158 @@
+/**
+ * cache.js - TTL cache with request coalescing, in memory or on disk
+ *
+ * `wrap(key, fn)` answers from the store while an entry is fresh; otherwise
+ * it calls `fn` once, however many callers ask for the same key meanwhile,
+ * and stores the result. Failures are not cached, nor results `cacheIf`
+ * rejects. Values are kept as JSON, so every caller gets its own copy to mutate.
+ *
+ * A store is an async { get(key), set(key, entry), delete(key), clear(), size() }
+ * over entries { expires, json }.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+// Decimal places kept in keys: 5 is about a metre of latitude
+const KEY_DECIMALS = 5;
+
+// Bounded in-memory store; the least recently used entries go first
+export function memoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    async size() {
+      return entries.size;
+    },
+  };
+}
+
+// One JSON file per entry under `dir`; survives restarts and is shared by
+// processes on the same disk
+export function diskStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (key) => path.join(dir, `${key}.json`);
+  const files = async () => (await fs.promises.readdir(dir)).filter((f) => f.endsWith(".json"));
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file(key), "utf8"));
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      // write then rename, so a reader never sees half a file
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entry));
+      await fs.promises.rename(tmp, file(key));
+    },
+    async delete(key) {
+      await fs.promises.rm(file(key), { force: true });
+    },
+    async clear() {
+      await Promise.all((await files()).map((f) => fs.promises.rm(path.join(dir, f), { force: true })));
+    },
+    async size() {
+      return (await files()).length;
+    },
+  };
+}
+
+// Normalised form of a key part: numbers rounded, object keys sorted
+function normalize(value) {
+  if (typeof value === "number") return +value.toFixed(KEY_DECIMALS);
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((k) => value[k] !== undefined)
+        .map((k) => [k, normalize(value[k])])
+    );
+  }
+  return value;
+}
+
+// Cache key (hex digest) for any JSON-able description of a request
+export function cacheKey(parts) {
+  return createHash("sha1").update(JSON.stringify(normalize(parts))).digest("hex");
+}
+
+/**
+ * Cache over `store`; entries live `ttlMs` (0 turns caching off but still
+ * coalesces concurrent calls).
+ */
+export function createCache({ name, store, ttlMs }) {
+  const inflight = new Map();
+  const counts = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+  async function load(key, fn, cacheIf) {
+    try {
+      // fn runs on a later tick, after the caller has registered this load as in flight
+      const value = await Promise.resolve().then(fn);
+      const json = JSON.stringify(value);
+      if (ttlMs > 0 && (!cacheIf || cacheIf(value))) await store.set(key, { expires: Date.now() + ttlMs, json });
+      return json;
+    } catch (err) {
+      counts.errors++;
+      throw err;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  return {
+    name,
+
+    async wrap(key, fn, { cacheIf } = {}) {
+      const entry = await store.get(key);
+      if (entry && entry.expires > Date.now()) {
+        counts.hits++;
+        return JSON.parse(entry.json);
+      }
+      if (entry) await store.delete(key);
+      if (inflight.has(key)) {
+        counts.coalesced++;
+      } else {
+        counts.misses++;
+        inflight.set(key, load(key, fn, cacheIf));
+      }
+      return JSON.parse(await inflight.get(key));
+    },
+
+    async clear() {
+      await store.clear();
+    },
+
+    // Hit / miss counts since startup; coalesced calls shared another's upstream call
+    async stats() {
+      const lookups = counts.hits + counts.misses + counts.coalesced;
+      return {
+        ...counts,
+        hit_rate: lookups ? +((counts.hits + counts.coalesced) / lookups).toFixed(3) : null,
+        in_flight: inflight.size,
+        entries: await store.size(),
+      };
+    },
+  };
+}
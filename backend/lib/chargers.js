@@ -0,0 +1,51 @@
+/**
+ * chargers.js - EV charging sites for charging-stop planning
+ *
+ * Sites come from a GeoJSON of points ({ id, name, power_kw }); power is the
+ * most one vehicle can draw there.
+ */
+
+import fs from "fs";
+import { haversineKm } from "./geo.js";
+
+export function loadChargers(file) {
+  if (!fs.existsSync(file)) return [];
+  const geojson = JSON.parse(fs.readFileSync(file, "utf8"));
+  return geojson.features
+    .filter((f) => f.geometry?.type === "Point" && f.properties?.power_kw > 0)
+    .map((f, i) => {
+      const [lng, lat] = f.geometry.coordinates;
+      return { id: f.properties.id ?? `charger-${i + 1}`, name: f.properties.name ?? null, power_kw: f.properties.power_kw, lat, lng };
+    });
+}
+
+/**
+ * Sites within `maxKm` of any of `points` ([lng, lat], in route order):
+ * [{ charger, at (index into points), detour_km }] in route order. Each site
+ * is placed at its nearest point; where several share a point, the most
+ * powerful (then nearest) wins.
+ */
+export function chargersAlong(chargers, points, maxKm) {
+  // bounding box of the route, padded by maxKm, to skip far-away sites cheaply
+  const pad = maxKm / 111;
+  const lats = points.map((p) => p[1]);
+  const lngs = points.map((p) => p[0]);
+  const [south, north] = [Math.min(...lats) - pad, Math.max(...lats) + pad];
+  const lngPad = pad / Math.max(0.1, Math.cos((Math.max(Math.abs(south), Math.abs(north)) * Math.PI) / 180));
+  const [west, east] = [Math.min(...lngs) - lngPad, Math.max(...lngs) + lngPad];
+
+  const best = new Map();
+  for (const charger of chargers) {
+    if (charger.lat < south || charger.lat > north || charger.lng < west || charger.lng > east) continue;
+    let at = -1, km = Infinity;
+    points.forEach((p, i) => {
+      const d = haversineKm(p, [charger.lng, charger.lat]);
+      if (d < km) [at, km] = [i, d];
+    });
+    if (km > maxKm) continue;
+    const held = best.get(at);
+    if (!held || charger.power_kw > held.charger.power_kw || (charger.power_kw === held.charger.power_kw && km < held.detour_km))
+      best.set(at, { charger, at, detour_km: km });
+  }
+  return [...best.values()].sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,105 @@
+/**
+ * chokepoints.js - Canals and straits as named parts of the lane graph
+ *
+ * Every lane edge inside a chokepoint zone is tagged with the chokepoint id.
+ * Edges crossing the zone boundary carry half of the transit delay each, so
+ * a full transit (in and out) pays the delay once. Tolls are reported, not
+ * routed on.
+ */
+
+import * as turf from "@turf/turf";
+
+// Typical dimensions per vessel size class (metres)
+export const VESSEL_CLASSES = {
+  handysize: { length_m: 180, beam_m: 28, draft_m: 10 },
+  panamax: { length_m: 294, beam_m: 32.3, draft_m: 12 },
+  neopanamax: { length_m: 366, beam_m: 51.25, draft_m: 15.2 },
+  suezmax: { length_m: 400, beam_m: 50, draft_m: 20.1 },
+  capesize: { length_m: 300, beam_m: 50, draft_m: 18.5 },
+  malaccamax: { length_m: 470, beam_m: 60, draft_m: 20.5 },
+  vlcc: { length_m: 330, beam_m: 60, draft_m: 22 },
+};
+
+/**
+ * Resolve a request's `vessel_size` (class name or { length_m, beam_m, draft_m })
+ * to dimensions. Returns null when absent; throws on an unknown class.
+ */
+export function resolveVesselSize(size) {
+  if (!size) return null;
+  if (typeof size === "string") {
+    const dims = VESSEL_CLASSES[size.toLowerCase()];
+    if (!dims) throw new Error(`Unknown vessel_size "${size}"`);
+    return { class: size.toLowerCase(), ...dims };
+  }
+  return { ...size };
+}
+
+// Chokepoints a vessel of the given dimensions cannot transit
+export function oversizedFor(chokepoints, dims) {
+  if (!dims) return [];
+  return chokepoints
+    .filter((c) =>
+      ["length_m", "beam_m", "draft_m"].some(
+        (k) => c.limits[k] !== undefined && dims[k] !== undefined && dims[k] > c.limits[k]
+      )
+    )
+    .map((c) => c.id);
+}
+
+/**
+ * Load chokepoints from a GeoJSON FeatureCollection of Polygons and tag the
+ * lane graph edges that fall inside them. Returns the chokepoint list.
+ */
+export function tagChokepoints(graph, geojson) {
+  const chokepoints = geojson.features.map((f) => ({
+    ...f.properties,
+    limits: f.properties.limits || {},
+    polygon: f,
+    bbox: turf.bbox(f),
+  }));
+  const inside = (c, [x, y]) =>
+    x >= c.bbox[0] && x <= c.bbox[2] && y >= c.bbox[1] && y <= c.bbox[3] &&
+    turf.booleanPointInPolygon([x, y], c.polygon);
+
+  for (const edge of graph.edges) {
+    const a = graph.nodes[edge.a];
+    const b = graph.nodes[edge.b];
+    if (Math.abs(a[0] - b[0]) > 180) continue; // dateline stitch
+    const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    for (const c of chokepoints) {
+      const inA = inside(c, a), inB = inside(c, b), inMid = inside(c, mid);
+      if (!inA && !inB && !inMid) continue;
+      edge.chokepoint = c.id;
+      // boundary crossings on this edge: one per endpoint outside the zone
+      edge.gateShare = inA !== inB ? 0.5 : !inA && !inB ? 1 : 0;
+      break;
+    }
+  }
+  return chokepoints;
+}
+
+/**
+ * Wrap an edge cost so chokepoint edges add their transit delay, converted to
+ * km at `speedKph`, and chokepoints in `avoid` become impassable.
+ */
+export function chokepointCost(chokepoints, edgeCost, { avoid = [], speedKph }) {
+  const byId = new Map(chokepoints.map((c) => [c.id, c]));
+  const avoided = new Set(avoid);
+  return (e, ...at) => {
+    if (!e.chokepoint) return edgeCost(e, ...at);
+    if (avoided.has(e.chokepoint)) return Infinity;
+    return edgeCost(e, ...at) + byId.get(e.chokepoint).delay_hr * speedKph * e.gateShare;
+  };
+}
+
+// Chokepoints a lane path passes through (or starts/ends in), in order of use
+export function chokepointsOnPath(chokepoints, path) {
+  const byId = new Map(chokepoints.map((c) => [c.id, c]));
+  const used = [];
+  for (const edge of [path.snapEdges[0], ...path.edges, path.snapEdges[1]]) {
+    if (!edge.chokepoint || used.some((c) => c.id === edge.chokepoint)) continue;
+    const { id, name, kind, delay_hr, toll_usd } = byId.get(edge.chokepoint);
+    used.push({ id, name, kind, delay_hr, toll_usd });
+  }
+  return used;
+}
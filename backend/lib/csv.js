@@ -0,0 +1,64 @@
+/**
+ * csv.js - Minimal RFC 4180 CSV reading and writing
+ *
+ * Quoted fields may contain commas, doubled quotes and line breaks. The first
+ * row is the header; header names are trimmed and lower-cased.
+ */
+
+// Rows of cells, quotes resolved
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  // blank lines carry no record
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== "");
+}
+
+// [{ header: value }] for every record after the header row
+export function parseCsv(text) {
+  const [header, ...records] = parseRows(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return records.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+function escape(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV text for `rows` (objects) with the given column order
+export function toCsv(rows, columns) {
+  const lines = [columns.join(","), ...rows.map((r) => columns.map((c) => escape(r[c])).join(","))];
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,106 @@
+/**
+ * ecoCandidates.js - Candidate generation for eco land routes
+ *
+ * Routing engines optimise for time and rarely return more than one or two
+ * alternatives, so extra candidates are produced by forcing the route through
+ * via-points placed either side of the straight source → destination corridor.
+ * Near-duplicates and long detours are dropped before the ML scoring.
+ */
+
+import { haversineKm } from "./geo.js";
+
+// Via-points as (position along the corridor, sideways offset as a share of its length).
+// Ordered so the most plausible detours come first when the list is truncated.
+const VIA_LAYOUT = [
+  [0.5, 0.1],
+  [0.5, -0.1],
+  [0.5, 0.25],
+  [0.5, -0.25],
+  [0.3, 0.15],
+  [0.7, -0.15],
+  [0.3, -0.15],
+  [0.7, 0.15],
+];
+
+// Candidates sharing more than this share of their length are the same route
+const MAX_OVERLAP = 0.9;
+
+// Candidates taking this much longer than the fastest route aren't worth driving
+const MAX_DETOUR = 1.6;
+
+// Candidates driving more than this share of their length twice are spurs
+const MAX_BACKTRACK = 0.03;
+
+// Grid cell for the overlap test (~250 m)
+const OVERLAP_CELL_DEG = 0.0025;
+
+// Points either side of the corridor, in a local flat projection around its midpoint
+export function viaPoints(source, destination, count = VIA_LAYOUT.length) {
+  const kx = Math.cos((((source.lat + destination.lat) / 2) * Math.PI) / 180);
+  const dx = (destination.lng - source.lng) * kx;
+  const dy = destination.lat - source.lat;
+  return VIA_LAYOUT.slice(0, count).map(([t, side]) => ({
+    lat: source.lat + dy * t + dx * side,
+    lng: source.lng + (dx * t - dy * side) / kx,
+  }));
+}
+
+// Resample a LineString every ~stepKm so long and short segments weigh the same
+function samplePoints(coords, stepKm = 0.2) {
+  const pts = [coords[0]];
+  for (let i = 1; i < coords.length; i++) {
+    const [a, b] = [coords[i - 1], coords[i]];
+    const n = Math.ceil(haversineKm(a, b) / stepKm);
+    for (let k = 1; k <= n; k++) pts.push([a[0] + ((b[0] - a[0]) * k) / n, a[1] + ((b[1] - a[1]) * k) / n]);
+  }
+  return pts;
+}
+
+const cellKey = (p, dx = 0, dy = 0) =>
+  `${Math.floor(p[0] / OVERLAP_CELL_DEG) + dx},${Math.floor(p[1] / OVERLAP_CELL_DEG) + dy}`;
+
+// Share of route a's length that runs along route b (0..1)
+export function routeOverlap(a, b) {
+  const cells = new Set(samplePoints(b.geometry.coordinates).map((p) => cellKey(p)));
+  const pts = samplePoints(a.geometry.coordinates);
+  let shared = 0;
+  for (const p of pts) {
+    search: for (let dx = -1; dx <= 1; dx++)
+      for (let dy = -1; dy <= 1; dy++)
+        if (cells.has(cellKey(p, dx, dy))) {
+          shared++;
+          break search;
+        }
+  }
+  return shared / pts.length;
+}
+
+// Share of a route driven twice — a via-point off the road network makes the
+// engine drive out to it and back the same way
+export function backtrackShare(route) {
+  const pts = samplePoints(route.geometry.coordinates);
+  const seen = new Map();
+  let repeated = 0;
+  pts.forEach((p, i) => {
+    const key = cellKey(p);
+    // the same cell a few samples later is just slow progress, not a U-turn
+    if (seen.has(key) && i - seen.get(key) > 5) repeated++;
+    else if (!seen.has(key)) seen.set(key, i);
+  });
+  return repeated / pts.length;
+}
+
+// Keep the fastest route plus every candidate that is not a long detour, a
+// there-and-back spur or a near-copy of one already kept. Candidates are { route, via }.
+export function distinctCandidates(candidates) {
+  const fastest = candidates.reduce((best, c) => (c.route.duration < best.route.duration ? c : best));
+  const kept = [fastest];
+  for (const c of candidates) {
+    if (c === fastest || c.route.duration > fastest.route.duration * MAX_DETOUR) continue;
+    if (backtrackShare(c.route) > MAX_BACKTRACK) continue;
+    if (kept.some((k) => routeOverlap(c.route, k.route) > MAX_OVERLAP || routeOverlap(k.route, c.route) > MAX_OVERLAP))
+      continue;
+    kept.push(c);
+  }
+  return kept;
+}
@@ -0,0 +1,181 @@
+/**
+ * elevation.js - Route elevation from local DEM tiles
+ *
+ * Tiles are read from one directory:
+ *   - SRTM .hgt (1" or 3", named like N52E013.hgt, big-endian int16, north row first)
+ *   - ESRI ASCII grids .asc (header ncols / nrows / xllcorner|xllcenter / yllcorner|yllcenter
+ *     / cellsize / NODATA_value, then rows north to south)
+ * Heights are bilinearly interpolated; voids and gaps between tiles sample as null.
+ */
+
+import fs from "fs";
+import path from "path";
+import { haversineKm } from "./geo.js";
+
+const HGT_VOID = -32768;
+
+// Grade bins (%) for the distribution; open-ended at both sides
+const GRADE_BINS = [-6, -3, -1, 1, 3, 6];
+
+// Climb/descent ignore wiggles smaller than this (DEM noise, bridges)
+const HYSTERESIS_M = 3;
+
+// Routes with fewer samples on the DEM than this are treated as uncovered
+const MIN_COVERAGE = 0.5;
+
+// At most this many points go back in the profile
+const PROFILE_POINTS = 200;
+
+function hgtTile(file, name) {
+  const m = /^([NS])(\d{2})([EW])(\d{3})\.hgt$/i.exec(name);
+  if (!m) return null;
+  const south = (m[1].toUpperCase() === "N" ? 1 : -1) * Number(m[2]);
+  const west = (m[3].toUpperCase() === "E" ? 1 : -1) * Number(m[4]);
+  const size = Math.round(Math.sqrt(fs.statSync(file).size / 2));
+  let data = null; // read on first use, a 1" tile is 25 MB
+  return {
+    bbox: [west, south, west + 1, south + 1],
+    value(lng, lat) {
+      data ||= fs.readFileSync(file);
+      // grid position, row 0 = north edge
+      const x = (lng - west) * (size - 1);
+      const y = (south + 1 - lat) * (size - 1);
+      return bilinear(x, y, size, size, (c, r) => {
+        const v = data.readInt16BE((r * size + c) * 2);
+        return v === HGT_VOID ? null : v;
+      });
+    },
+  };
+}
+
+function ascTile(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const header = {};
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const m = /^\s*([a-z_]+)\s+(\S+)/i.exec(lines[i]);
+    if (!m) break;
+    header[m[1].toLowerCase()] = Number(m[2]);
+  }
+  const { ncols, nrows, cellsize } = header;
+  const nodata = header.nodata_value ?? -9999;
+  // corner-registered grids store cell edges; work in cell centres throughout
+  const west = header.xllcenter ?? header.xllcorner + cellsize / 2;
+  const south = header.yllcenter ?? header.yllcorner + cellsize / 2;
+  const north = south + (nrows - 1) * cellsize;
+  const values = new Float32Array(ncols * nrows);
+  let k = 0;
+  for (; i < lines.length && k < values.length; i++)
+    for (const v of lines[i].trim().split(/\s+/)) if (v !== "") values[k++] = Number(v);
+  return {
+    bbox: [west, south, west + (ncols - 1) * cellsize, north],
+    value(lng, lat) {
+      return bilinear((lng - west) / cellsize, (north - lat) / cellsize, ncols, nrows, (c, r) => {
+        const v = values[r * ncols + c];
+        return v === nodata ? null : v;
+      });
+    },
+  };
+}
+
+// Interpolate at fractional grid position (x, y); null if any neighbour is missing
+function bilinear(x, y, ncols, nrows, at) {
+  const c = Math.min(Math.max(Math.floor(x), 0), ncols - 2);
+  const r = Math.min(Math.max(Math.floor(y), 0), nrows - 2);
+  const fx = x - c;
+  const fy = y - r;
+  const v00 = at(c, r), v10 = at(c + 1, r), v01 = at(c, r + 1), v11 = at(c + 1, r + 1);
+  if (v00 === null || v10 === null || v01 === null || v11 === null) return null;
+  return v00 * (1 - fx) * (1 - fy) + v10 * fx * (1 - fy) + v01 * (1 - fx) * fy + v11 * fx * fy;
+}
+
+// Index every tile in `dir` (missing directory → empty DEM)
+export function loadDem(dir) {
+  const tiles = [];
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      const file = path.join(dir, name);
+      const ext = path.extname(name).toLowerCase();
+      const tile = ext === ".hgt" ? hgtTile(file, name) : ext === ".asc" ? ascTile(file) : null;
+      if (tile) tiles.push(tile);
+    }
+  }
+  return { tiles };
+}
+
+// Height in metres at [lng, lat], or null when no tile has it
+export function sampleDem(dem, [lng, lat]) {
+  for (const t of dem.tiles) {
+    const [w, s, e, n] = t.bbox;
+    if (lng >= w && lng <= e && lat >= s && lat <= n) {
+      const v = t.value(lng, lat);
+      if (v !== null) return v;
+    }
+  }
+  return null;
+}
+
+// Points every `stepKm` along a line, with their distance from the start
+function resample(coords, stepKm) {
+  const out = [{ p: coords[0], km: 0 }];
+  let km = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const [a, b] = [coords[i - 1], coords[i]];
+    const seg = haversineKm(a, b);
+    const n = Math.max(1, Math.ceil(seg / stepKm));
+    for (let k = 1; k <= n; k++)
+      out.push({ p: [a[0] + ((b[0] - a[0]) * k) / n, a[1] + ((b[1] - a[1]) * k) / n], km: km + (seg * k) / n });
+    km += seg;
+  }
+  return out;
+}
+
+/**
+ * Elevation summary for a LineString: { climb_m, descent_m, min_m, max_m,
+ * grades: [{ from_pct, to_pct, km }], profile: [{ distance_km, elevation_m }], coverage }.
+ * Null when the DEM covers too little of the route.
+ */
+export function routeElevation(dem, geometry) {
+  const coords = geometry?.coordinates;
+  if (!dem.tiles.length || !coords || coords.length < 2) return null;
+
+  // ~100 m spacing, coarser on long routes to bound the work
+  const totalKm = coords.slice(1).reduce((acc, p, i) => acc + haversineKm(coords[i], p), 0);
+  const samples = resample(coords, Math.max(0.1, totalKm / 5000)).map((s) => ({ ...s, h: sampleDem(dem, s.p) }));
+  const known = samples.filter((s) => s.h !== null);
+  if (known.length < 2 || known.length / samples.length < MIN_COVERAGE) return null;
+
+  let climb = 0, descent = 0, ref = known[0].h;
+  const gradeKm = new Array(GRADE_BINS.length + 1).fill(0);
+  for (let i = 1; i < known.length; i++) {
+    const d = known[i].h - ref;
+    if (d >= HYSTERESIS_M) (climb += d), (ref = known[i].h);
+    else if (d <= -HYSTERESIS_M) (descent -= d), (ref = known[i].h);
+
+    const km = known[i].km - known[i - 1].km;
+    if (km <= 0) continue;
+    const grade = ((known[i].h - known[i - 1].h) / (km * 1000)) * 100;
+    const bin = GRADE_BINS.findIndex((edge) => grade < edge);
+    gradeKm[bin === -1 ? GRADE_BINS.length : bin] += km;
+  }
+
+  const every = Math.max(1, Math.ceil(known.length / PROFILE_POINTS));
+  const profile = known
+    .filter((_, i) => i % every === 0 || i === known.length - 1)
+    .map((s) => ({ distance_km: +s.km.toFixed(2), elevation_m: Math.round(s.h) }));
+
+  const heights = known.map((s) => s.h);
+  return {
+    climb_m: Math.round(climb),
+    descent_m: Math.round(descent),
+    min_m: Math.round(Math.min(...heights)),
+    max_m: Math.round(Math.max(...heights)),
+    grades: gradeKm.map((km, i) => ({
+      from_pct: i === 0 ? null : GRADE_BINS[i - 1],
+      to_pct: i === GRADE_BINS.length ? null : GRADE_BINS[i],
+      km: +km.toFixed(2),
+    })),
+    profile,
+    coverage: +(known.length / samples.length).toFixed(2),
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * emissions.js - GHG accounting after the GLEC Framework / ISO 14083
+ *
+ * Emissions follow from the energy used: tank-to-wheel (TTW) for burning it
+ * in the vehicle, well-to-tank (WTT) for producing and delivering it, and
+ * well-to-wheel (WTW = TTW + WTT). Factors are kg CO₂e per fuel unit from the
+ * profile registry. Intensity is per tonne-km of payload; with no payload
+ * given there is no intensity.
+ */
+
+export const STANDARD = "ISO 14083:2023 / GLEC Framework";
+
+const round = (v, digits) => +v.toFixed(digits);
+
+/**
+ * Emissions block for one trip: `fuelAmount` of `fuelType` (in the fuel's own
+ * unit) over `distanceKm` carrying `payloadKg`. `basis` says where the fuel
+ * figure comes from.
+ */
+export function accountEmissions(fuels, { fuelType, fuelAmount, distanceKm, payloadKg = null, basis, factorsSource = null }) {
+  const fuel = fuels[fuelType];
+  const ttw = fuelAmount * fuel.ttw_kg_co2e_per_unit;
+  const wtw = fuelAmount * fuel.wtw_kg_co2e_per_unit;
+  const payloadT = payloadKg ? payloadKg / 1000 : null;
+  const tonneKm = payloadT ? payloadT * distanceKm : null;
+  return {
+    fuel_type: fuelType,
+    fuel_amount: round(fuelAmount, 3),
+    fuel_unit: fuel.unit,
+    ttw_co2e_kg: round(ttw, 3),
+    wtt_co2e_kg: round(wtw - ttw, 3),
+    wtw_co2e_kg: round(wtw, 3),
+    payload_t: payloadT === null ? null : round(payloadT, 3),
+    tonne_km: tonneKm === null ? null : round(tonneKm, 1),
+    intensity_g_co2e_per_tkm: tonneKm
+      ? { ttw: round((ttw * 1000) / tonneKm, 2), wtw: round((wtw * 1000) / tonneKm, 2) }
+      : null,
+    methodology: {
+      standard: STANDARD,
+      scope: "WTW = TTW + WTT",
+      basis,
+      factors: {
+        ttw: fuel.ttw_kg_co2e_per_unit,
+        wtw: fuel.wtw_kg_co2e_per_unit,
+        unit: `kg CO2e/${fuel.unit}`,
+      },
+      factors_source: factorsSource,
+      allocation: payloadT === null ? "whole trip, no payload given" : "whole trip to the given payload",
+    },
+  };
+}
+
+/**
+ * Totals over emissions blocks (legs of a trip, trips of a report); fuel is
+ * summed per fuel type since units differ. Intensity covers the trips that
+ * have a payload.
+ */
+export function sumEmissions(blocks) {
+  const sum = (key, list = blocks) => list.reduce((acc, b) => acc + (b[key] || 0), 0);
+  const fuel = {};
+  for (const b of blocks) {
+    fuel[b.fuel_type] ??= { amount: 0, unit: b.fuel_unit };
+    fuel[b.fuel_type].amount += b.fuel_amount;
+  }
+  const loaded = blocks.filter((b) => b.tonne_km);
+  const tonneKm = sum("tonne_km", loaded);
+  return {
+    fuel: Object.fromEntries(Object.entries(fuel).map(([k, f]) => [k, { amount: round(f.amount, 3), unit: f.unit }])),
+    ttw_co2e_kg: round(sum("ttw_co2e_kg"), 3),
+    wtt_co2e_kg: round(sum("wtt_co2e_kg"), 3),
+    wtw_co2e_kg: round(sum("wtw_co2e_kg"), 3),
+    tonne_km: tonneKm ? round(tonneKm, 1) : null,
+    intensity_g_co2e_per_tkm: tonneKm
+      ? {
+          ttw: round((sum("ttw_co2e_kg", loaded) * 1000) / tonneKm, 2),
+          wtw: round((sum("wtw_co2e_kg", loaded) * 1000) / tonneKm, 2),
+        }
+      : null,
+  };
+}
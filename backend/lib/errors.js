@@ -0,0 +1,65 @@
+/**
+ * errors.js - The API's error model
+ *
+ * Every error answer is { error: message, code, ...details }. Errors carry the
+ * HTTP status and, where more specific than the status, a code:
+ *
+ *   400 INVALID_REQUEST        a field is missing or malformed (`field` names it)
+ *   400 INVALID_JSON           the body isn't JSON
+ *   400 INVALID_COORDINATES    a point lacks lat (-90..90) / lng (-180..180)
+ *   400 UNKNOWN_PROFILE        no vehicle / vessel profile with that id
+ *   404 NOT_FOUND              no such resource (or endpoint)
+ *   422 NO_ROUTE               no road or sea route between the points
+ *   422 ROUTE_CROSSES_LAND, ARRIVAL_WINDOW_INFEASIBLE, NO_PORT_NEARBY, NO_JOURNEY
+ *   422 NO_MATCH, NO_SAMPLES   a telemetry trace strays from its matched route; no trip in an upload was usable
+ *   502 UPSTREAM_ERROR         a routing / geocoding / ML service answered with an error
+ *   503 ML_UNAVAILABLE         the ML service is down and the analytic fallback is off
+ *   503 SERVICE_UNAVAILABLE    data the endpoint needs didn't load
+ *   504 UPSTREAM_TIMEOUT       an upstream service didn't answer in time
+ *   500 INTERNAL               anything unexpected; the message is not passed on
+ */
+
+// Code for errors that only set a status
+const STATUS_CODES = {
+  400: "INVALID_REQUEST",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  502: "UPSTREAM_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+  504: "UPSTREAM_TIMEOUT",
+};
+
+// Error carrying the HTTP status the handlers should answer with, and any
+// extra fields (code included) for the error body
+export const httpError = (status, message, details = {}) => Object.assign(new Error(message), { status, details });
+
+// True for fetch failures caused by a timeout signal
+export const isTimeout = (err) => err?.name === "TimeoutError" || err?.name === "AbortError";
+
+// httpError for a failed call to an upstream `service`: 504 on timeouts, else 502
+export function upstreamError(service, err) {
+  if (err?.status) return err;
+  return isTimeout(err)
+    ? httpError(504, `${service} did not answer in time`, { code: "UPSTREAM_TIMEOUT", service })
+    : httpError(502, `${service} request failed: ${err?.message || err}`, { code: "UPSTREAM_ERROR", service });
+}
+
+// { status, body } to answer `err` with
+export function errorResponse(err) {
+  // express.json() body parser failures
+  if (err.type === "entity.parse.failed") {
+    return { status: 400, body: { error: "Request body is not valid JSON", code: "INVALID_JSON" } };
+  }
+  if (err.type === "entity.too.large") {
+    return { status: 413, body: { error: "Request body too large", code: "PAYLOAD_TOO_LARGE" } };
+  }
+  if (!err.status) {
+    return { status: 500, body: { error: "Internal server error", code: "INTERNAL" } };
+  }
+  const { code = STATUS_CODES[err.status] || "INTERNAL", ...details } = err.details || {};
+  return { status: err.status, body: { error: err.message, code, ...details } };
+}
@@ -0,0 +1,154 @@
+/**
+ * evRange.js - EV energy per stretch, state of charge and charging stops
+ *
+ * Energy is worked out for each stretch of a route (segmentEmissions.js) from
+ * the profile's consumption curve at the stretch's speed plus its climb or
+ * descent (analyticModel.js). The battery is then run down along the route;
+ * where it would drop below the reserve before the destination, the plan
+ * stops at a charger near the route, as late as the next site allows.
+ *
+ * Charging runs at the lower of the site's and the vehicle's power up to 80%
+ * state of charge, then tapers linearly to a fifth of it at 100%.
+ */
+
+import { segmentBreakdown } from "./segmentEmissions.js";
+import { evEnergyKwh } from "./analyticModel.js";
+import { chargersAlong } from "./chargers.js";
+
+const TAPER_FROM = 0.8;
+const TAPER_END_SHARE = 0.2;
+const CHARGE_STEPS = 50;
+
+const round = (x, digits = 2) => +x.toFixed(digits);
+
+/**
+ * segmentBreakdown's stretches with the energy each takes (energy_kwh) and
+ * its CO₂ at `co2Factor` kg per kWh. `heightAt([lng, lat])` gives metres or null;
+ * a `trafficIndex` above 1 slows every stretch down by that much.
+ */
+export function evSegments(route, profile, { heightAt, weightKg, co2Factor = 0, trafficIndex = 1 }) {
+  return segmentBreakdown(route, 0, { heightAt }).map((s) => {
+    const rise = s.grade_pct === null ? 0 : (s.grade_pct / 100) * s.distance_km * 1000;
+    const energy = evEnergyKwh(profile, {
+      distance_km: s.distance_km,
+      avg_speed_kph: s.speed_kph / trafficIndex,
+      elevation_gain_m: Math.max(rise, 0),
+      elevation_loss_m: Math.max(-rise, 0),
+      weight_kg: weightKg,
+    });
+    const co2 = energy * co2Factor;
+    return {
+      ...s,
+      co2_kg: round(co2, 3),
+      co2_kg_per_km: s.distance_km > 0 ? round(co2 / s.distance_km, 3) : 0,
+      energy_kwh: round(energy, 3),
+    };
+  });
+}
+
+// Minutes to charge from `fromKwh` to `toKwh` at up to `powerKw`
+export function chargeMinutes(fromKwh, toKwh, capacityKwh, powerKw) {
+  const step = (toKwh - fromKwh) / CHARGE_STEPS;
+  let hours = 0;
+  for (let i = 0; i < CHARGE_STEPS; i++) {
+    const soc = (fromKwh + step * (i + 0.5)) / capacityKwh;
+    const share = soc <= TAPER_FROM ? 1 : 1 - ((soc - TAPER_FROM) / (1 - TAPER_FROM)) * (1 - TAPER_END_SHARE);
+    hours += step / (powerKw * share);
+  }
+  return hours * 60;
+}
+
+/**
+ * Battery plan over a formatted land route (geometry, and segments carrying
+ * energy_kwh). Percentages are of `capacityKwh`; charging stops top up to
+ * `chargeToPct`, or beyond it only when the next site is further than that
+ * reaches. Routes that can't be finished above the reserve come back with
+ * `feasible: false` and the `shortfall_kwh`.
+ */
+export function planCharging(
+  route,
+  { capacityKwh, startPct = 90, reservePct = 10, chargeToPct = 80, maxChargeKw = Infinity, chargers = [], maxDetourKm = 10 }
+) {
+  const coords = route.geometry.coordinates;
+  const segments = route.segments;
+  // distance and energy used up to each stretch boundary
+  const marks = [{ km: 0, kwh: 0, point: coords[0] }];
+  for (const s of segments) {
+    const prev = marks[marks.length - 1];
+    marks.push({ km: prev.km + s.distance_km, kwh: prev.kwh + s.energy_kwh, point: coords[s.end] });
+  }
+  const last = marks.length - 1;
+  const need = (from, to) => marks[to].kwh - marks[from].kwh;
+  const pct = (kwh) => round((kwh / capacityKwh) * 100, 1);
+  // off the route to a site and back, at the route's average consumption; a
+  // site at the start is charged at before setting off
+  const perKm = marks[last].km > 0 ? marks[last].kwh / marks[last].km : 0;
+  const detourKwh = (site) => (site.at === 0 ? 0 : 2 * site.detour_km * perKm);
+
+  const start = (capacityKwh * startPct) / 100;
+  const reserve = (capacityKwh * reservePct) / 100;
+  const chargeTo = (capacityKwh * chargeToPct) / 100;
+  // a site at the start counts (a multi-stop leg may begin low); one at the end doesn't
+  const sites = chargersAlong(chargers, marks.map((m) => m.point), maxDetourKm).filter((s) => s.at < last);
+
+  const stops = [];
+  let soc = start;
+  let pos = 0;
+  for (let i = 0; i < sites.length && soc - need(pos, last) < reserve; i++) {
+    const site = sites[i];
+    const next = sites[i + 1];
+    const arrive = soc - need(pos, site.at) - detourKwh(site);
+    // not even this site is in reach; the shortfall shows in the profile
+    if (arrive < reserve) break;
+    const toFinish = reserve + need(site.at, last);
+    const toNext = next ? reserve + need(site.at, next.at) + detourKwh(next) : Infinity;
+    if (arrive >= toNext) continue;
+    const target = Math.min(toFinish, Math.max(chargeTo, Math.min(toNext, capacityKwh)));
+    if (target <= arrive) break;
+    const powerKw = Math.min(site.charger.power_kw, maxChargeKw);
+    stops.push({ site, arrive, depart: target, powerKw, minutes: chargeMinutes(arrive, target, capacityKwh, powerKw) });
+    soc = target;
+    pos = site.at;
+  }
+
+  // state of charge at every stretch boundary, twice at a stop (arriving, leaving)
+  const stopAt = new Map(stops.map((s) => [s.site.at, s]));
+  const soc_profile = [];
+  let level = start;
+  let lowest = start;
+  for (let k = 0; k <= last; k++) {
+    if (k > 0) level -= segments[k - 1].energy_kwh;
+    const stop = stopAt.get(k);
+    if (stop) {
+      soc_profile.push({ distance_km: round(marks[k].km), soc_pct: Math.max(0, pct(stop.arrive)) });
+      lowest = Math.min(lowest, stop.arrive);
+      level = stop.depart;
+    }
+    lowest = Math.min(lowest, level);
+    soc_profile.push({ distance_km: round(marks[k].km), soc_pct: Math.max(0, pct(level)) });
+  }
+  const feasible = lowest >= reserve - 1e-9;
+
+  return {
+    capacity_kwh: capacityKwh,
+    start_soc_pct: startPct,
+    reserve_soc_pct: reservePct,
+    charge_to_soc_pct: chargeToPct,
+    energy_kwh: round(marks[last].kwh + stops.reduce((a, s) => a + detourKwh(s.site), 0)),
+    arrival_soc_pct: Math.max(0, pct(level)),
+    feasible,
+    ...(feasible ? {} : { shortfall_kwh: round(reserve - lowest) }),
+    charging_min: round(stops.reduce((a, s) => a + s.minutes, 0), 1),
+    charging_stops: stops.map((s) => ({
+      charger: s.site.charger,
+      distance_km: round(marks[s.site.at].km),
+      detour_km: round(s.site.detour_km),
+      power_kw: s.powerKw,
+      arrive_soc_pct: pct(s.arrive),
+      depart_soc_pct: pct(s.depart),
+      charge_kwh: round(s.depart - s.arrive),
+      charge_min: round(s.minutes, 1),
+    })),
+    soc_profile,
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * gazetteer.js - Offline place search over the bundled cities and ports
+ *
+ * Entries are { label, name, kind: "city" | "port", id (UN/LOCODE, ports only),
+ * country, country_name, lat, lng }. Matching ignores case and accents:
+ * a UN/LOCODE, then the exact name, a name prefix, a word prefix. In
+ * "Name, Country" queries the part after the comma only breaks ties, and
+ * "Port of X" prefers ports.
+ */
+
+import fs from "fs";
+import { haversineKm } from "./geo.js";
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+const fold = (s) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+// Gazetteer entries from a GeoJSON of cities ({ name, country }) and loaded ports
+export function loadGazetteer({ citiesPath, ports = [] }) {
+  const cities = JSON.parse(fs.readFileSync(citiesPath, "utf8")).features.map((f) => ({
+    name: f.properties.name,
+    kind: "city",
+    id: null,
+    country: f.properties.country,
+    lat: f.geometry.coordinates[1],
+    lng: f.geometry.coordinates[0],
+  }));
+  const harbours = ports.map((p) => ({ name: p.name, kind: "port", id: p.id, country: p.country, lat: p.lat, lng: p.lng }));
+  return [...cities, ...harbours].map((e) => {
+    const countryName = regionNames.of(e.country) ?? e.country;
+    return {
+      label: e.kind === "port" ? `Port of ${e.name} (${e.id}), ${countryName}` : `${e.name}, ${countryName}`,
+      ...e,
+      country_name: countryName,
+    };
+  });
+}
+
+// How well an entry matches the folded query name (0 = not at all)
+function nameScore(entry, q) {
+  if (entry.id && entry.id.toLowerCase() === q) return 4;
+  const name = fold(entry.name);
+  if (name === q) return 3;
+  if (name.startsWith(q)) return 2;
+  if (name.split(/[\s-]+/).some((w) => w.startsWith(q))) return 1;
+  return 0;
+}
+
+const countryMatches = (entry, qualifier) =>
+  qualifier.startsWith(entry.country.toLowerCase()) || fold(entry.country_name).startsWith(qualifier);
+
+// Best matches for `query`, in file order among equals (cities are listed largest first)
+export function searchGazetteer(entries, query, { limit = 5 } = {}) {
+  const [head, ...rest] = query.split(",");
+  let q = fold(head);
+  const wantPort = /^port of\s+/.test(q);
+  if (wantPort) q = q.replace(/^port of\s+/, "");
+  const qualifier = fold(rest.join(","));
+  if (!q) return [];
+  return entries
+    .map((entry, i) => {
+      const s = nameScore(entry, q);
+      const bonus = (qualifier && countryMatches(entry, qualifier) ? 0.5 : 0) + (wantPort && entry.kind === "port" ? 0.25 : 0);
+      return { entry, i, score: s && s + bonus };
+    })
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, limit)
+    .map((m) => m.entry);
+}
+
+// Nearest entry within `maxKm` of a point, with its distance, or null
+export function nearestPlace(entries, point, maxKm) {
+  let best = null;
+  for (const entry of entries) {
+    const km = haversineKm([point.lng, point.lat], [entry.lng, entry.lat]);
+    if (km <= maxKm && (!best || km < best.km)) best = { entry, km };
+  }
+  return best;
+}
@@ -0,0 +1,65 @@
+/**
+ * geo.js - Small spherical geometry helpers shared by the routing modules
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const toRad = (d) => (d * Math.PI) / 180;
+
+// Great-circle distance between two [lng, lat] positions
+export function haversineKm(a, b) {
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Total great-circle length of a coordinate array
+export function lineLengthKm(coords) {
+  let km = 0;
+  for (let i = 1; i < coords.length; i++) km += haversineKm(coords[i - 1], coords[i]);
+  return km;
+}
+
+// Initial bearing (degrees, 0..360) from a to b
+export function bearingDeg(a, b) {
+  const φ1 = toRad(a[1]);
+  const φ2 = toRad(b[1]);
+  const Δλ = toRad(b[0] - a[0]);
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Closest point on segment a-b to p, using a local equirectangular projection
+ * (accurate enough for snapping at lane/road scale).
+ * Returns { point: [lng, lat], t, distKm } with t in [0, 1] along the segment.
+ */
+export function nearestOnSegment(p, a, b) {
+  const k = Math.cos(toRad((a[1] + b[1]) / 2));
+  const ax = a[0] * k, ay = a[1];
+  const bx = b[0] * k, by = b[1];
+  const px = p[0] * k, py = p[1];
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / len2;
+  t = Math.max(0, Math.min(1, t));
+  const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  return { point, t, distKm: haversineKm(p, point) };
+}
+
+// Make longitudes continuous across the antimeridian so polylines don't wrap the globe
+export function unwrapLongitudes(coords) {
+  if (coords.length === 0) return coords;
+  const out = [coords[0].slice()];
+  for (let i = 1; i < coords.length; i++) {
+    const prev = out[i - 1][0];
+    let lng = coords[i][0];
+    while (lng - prev > 180) lng -= 360;
+    while (lng - prev < -180) lng += 360;
+    out.push([lng, ...coords[i].slice(1)]);
+  }
+  return out;
+}
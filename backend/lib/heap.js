@@ -0,0 +1,47 @@
+/**
+ * heap.js - Binary min-heap keyed by a numeric priority (used by shortest-path searches)
+ */
+
+export class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push({ priority, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+        if (l < items.length && items[l].priority < items[min].priority) min = l;
+        if (r < items.length && items[r].priority < items[min].priority) min = r;
+        if (min === i) break;
+        [items[min], items[i]] = [items[i], items[min]];
+        i = min;
+      }
+    }
+    return top;
+  }
+}
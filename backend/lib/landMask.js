@@ -0,0 +1,221 @@
+/**
+ * landMask.js - Land/sea mask over bundled land polygons (Natural Earth 1:50m)
+ *
+ * Answers "is this point on land?" and "how far inland does this segment
+ * go?" in planar lng/lat terms, which matches how lanes and route geometries
+ * are drawn.
+ */
+
+import { haversineKm, nearestOnSegment, unwrapLongitudes } from "./geo.js";
+
+// Spatial index cell size (degrees)
+const CELL_DEG = 2;
+
+const cellKey = (x, y) => `${x}:${y}`;
+
+function bboxOf(ring) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [x, y] of ring) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return [minX, minY, maxX, maxY];
+}
+
+function forEachCell([minX, minY, maxX, maxY], fn) {
+  for (let x = Math.floor(minX / CELL_DEG); x <= Math.floor(maxX / CELL_DEG); x++) {
+    for (let y = Math.floor(minY / CELL_DEG); y <= Math.floor(maxY / CELL_DEG); y++) {
+      fn(cellKey(x, y));
+    }
+  }
+}
+
+const shiftRing = (ring, dx) => ring.map(([x, y]) => [x + dx, y]);
+
+/**
+ * Build the mask from a GeoJSON FeatureCollection of (Multi)Polygons.
+ * Rings that wrap the antimeridian are unwrapped and also copied ±360° so
+ * queries on either side (or on unwrapped route coordinates) hit them.
+ */
+export function buildLandMask(geojson) {
+  const polygons = [];
+  const edgeIndex = new Map();
+
+  const addPolygon = (rings) => {
+    const bbox = bboxOf(rings[0]);
+    const poly = { bbox, rings };
+    polygons.push(poly);
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        const a = ring[i - 1], b = ring[i];
+        const edge = [a, b];
+        forEachCell(bboxOf(edge), (key) => {
+          if (!edgeIndex.has(key)) edgeIndex.set(key, []);
+          edgeIndex.get(key).push(edge);
+        });
+      }
+    }
+  };
+
+  for (const feat of geojson.features) {
+    const g = feat.geometry;
+    if (!g) continue;
+    const polys = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    for (const rings of polys) {
+      const unwrapped = rings.map((r) => unwrapLongitudes(r));
+      addPolygon(unwrapped);
+      const [minX, , maxX] = bboxOf(unwrapped[0]);
+      if (maxX > 180) addPolygon(unwrapped.map((r) => shiftRing(r, -360)));
+      if (minX < -180) addPolygon(unwrapped.map((r) => shiftRing(r, 360)));
+    }
+  }
+
+  return { polygons, edgeIndex, cellCenters: new Map(), waterways: [] };
+}
+
+// Even-odd ray cast against every ring of a polygon (holes included)
+function inPolygon(poly, [x, y]) {
+  const [minX, minY, maxX, maxY] = poly.bbox;
+  if (x < minX || x > maxX || y < minY || y > maxY) return false;
+  let inside = false;
+  for (const ring of poly.rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point-in-land test. Each grid cell caches whether its centre is on land;
+ * a point then only needs its coastline crossings on the way to that centre.
+ * Waterway corridors (canals) always count as water.
+ */
+export function pointOnLand(mask, p) {
+  if (mask.waterways.some((poly) => inPolygon(poly, p))) return false;
+  const cx = Math.floor(p[0] / CELL_DEG);
+  const cy = Math.floor(p[1] / CELL_DEG);
+  const key = cellKey(cx, cy);
+  const center = [(cx + 0.5) * CELL_DEG, (cy + 0.5) * CELL_DEG];
+  let centerOnLand = mask.cellCenters.get(key);
+  if (centerOnLand === undefined) {
+    centerOnLand = mask.polygons.some((poly) => inPolygon(poly, center));
+    mask.cellCenters.set(key, centerOnLand);
+  }
+  let crossings = 0;
+  for (const edge of mask.edgeIndex.get(key) || []) {
+    if (crossingParam(p, center, edge[0], edge[1]) !== null) crossings++;
+  }
+  return centerOnLand !== (crossings % 2 === 1);
+}
+
+/**
+ * Register navigable corridors (canals) that cut through land polygons.
+ * Takes a GeoJSON FeatureCollection of Polygons.
+ */
+export function addWaterways(mask, geojson) {
+  for (const feat of geojson.features) {
+    if (feat.geometry?.type !== "Polygon") continue;
+    mask.waterways.push({ bbox: bboxOf(feat.geometry.coordinates[0]), rings: feat.geometry.coordinates });
+  }
+}
+
+// Parameter t along p1-p2 where it crosses q1-q2, or null
+function crossingParam(p1, p2, q1, q2) {
+  const rx = p2[0] - p1[0], ry = p2[1] - p1[1];
+  const sx = q2[0] - q1[0], sy = q2[1] - q1[1];
+  const d = rx * sy - ry * sx;
+  if (Math.abs(d) < 1e-15) return null;
+  const qpx = q1[0] - p1[0], qpy = q1[1] - p1[1];
+  const t = (qpx * sy - qpy * sx) / d;
+  const u = (qpx * ry - qpy * rx) / d;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return t;
+}
+
+// Distance from p to the nearest coastline edge in its own and neighbouring
+// cells; points further inland than that report the (lower-bound) search radius
+function coastDistanceKm(mask, p) {
+  const cx = Math.floor(p[0] / CELL_DEG);
+  const cy = Math.floor(p[1] / CELL_DEG);
+  let best = Infinity;
+  for (let x = cx - 1; x <= cx + 1; x++) {
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (const edge of mask.edgeIndex.get(cellKey(x, y)) || []) {
+        const d = nearestOnSegment(p, edge[0], edge[1]).distKm;
+        if (d < best) best = d;
+      }
+    }
+  }
+  return Math.min(best, CELL_DEG * 111);
+}
+
+// Spacing of depth samples along the inland part of a segment
+const DEPTH_SAMPLE_KM = 5;
+
+/**
+ * How segment a-b relates to land: { landKm, depthKm }.
+ * landKm is the length over land; depthKm is how far inland it reaches
+ * (a lane drawn slightly off a coast is shallow, one across a continent is deep).
+ */
+export function segmentLand(mask, a, b) {
+  const ts = [0, 1];
+  const seen = new Set();
+  forEachCell(bboxOf([a, b]), (key) => {
+    for (const edge of mask.edgeIndex.get(key) || []) {
+      if (seen.has(edge)) continue;
+      seen.add(edge);
+      const t = crossingParam(a, b, edge[0], edge[1]);
+      if (t !== null) ts.push(t);
+    }
+  });
+  ts.sort((x, y) => x - y);
+
+  const at = (t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  const totalKm = haversineKm(a, b);
+  let landKm = 0;
+  let depthKm = 0;
+  for (let i = 1; i < ts.length; i++) {
+    const span = ts[i] - ts[i - 1];
+    if (span <= 0) continue;
+    if (!pointOnLand(mask, at((ts[i] + ts[i - 1]) / 2))) continue;
+    landKm += span * totalKm;
+    const samples = Math.min(50, Math.max(1, Math.round((span * totalKm) / DEPTH_SAMPLE_KM)));
+    for (let k = 0; k < samples; k++) {
+      const p = at(ts[i - 1] + (span * (k + 0.5)) / samples);
+      if (mask.waterways.some((poly) => inPolygon(poly, p))) continue;
+      depthKm = Math.max(depthKm, coastDistanceKm(mask, p));
+    }
+  }
+  return { landKm, depthKm };
+}
+
+/**
+ * Check a route line against the mask.
+ * Segments reaching more than `toleranceKm` inland are reported as offending;
+ * the tolerance absorbs lanes and harbour approaches drawn a little off the
+ * coarse coastline.
+ * Returns { ok, land_km, segments: [{ index, from, to, land_km, inland_km }] }.
+ */
+export function validateLine(mask, coords, { toleranceKm = 25 } = {}) {
+  const segments = [];
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const { landKm, depthKm } = segmentLand(mask, coords[i - 1], coords[i]);
+    total += landKm;
+    if (depthKm > toleranceKm) {
+      segments.push({
+        index: i - 1,
+        from: coords[i - 1],
+        to: coords[i],
+        land_km: +landKm.toFixed(1),
+        inland_km: +depthKm.toFixed(1),
+      });
+    }
+  }
+  return { ok: segments.length === 0, land_km: +total.toFixed(1), segments };
+}
@@ -0,0 +1,365 @@
+/**
+ * laneGraph.js - Routable graph built from the shipping lane MultiLineStrings
+ *
+ * Vertices sit at every segment endpoint and at every place two lanes cross or
+ * a lane ends on another one (T-junction). Edges carry the great-circle length,
+ * the lane class (`Type` property: Major / Middle / Minor) and, for named
+ * waterways such as canals, their `name`.
+ */
+
+import { haversineKm, nearestOnSegment, unwrapLongitudes } from "./geo.js";
+import { MinHeap } from "./heap.js";
+
+// Lane endpoints closer than this to another lane are joined to it
+const JUNCTION_SNAP_KM = 25;
+// Spatial index cell size (degrees)
+const CELL_DEG = 1;
+
+// Vertex key: rounded coordinate, with the antimeridian folded so ±180 join up
+function vertexKey([lng, lat]) {
+  const x = Math.abs(lng) >= 180 - 1e-9 ? 180 : lng;
+  return `${x.toFixed(6)},${lat.toFixed(6)}`;
+}
+
+function cellsForBox(minX, minY, maxX, maxY) {
+  const cells = [];
+  for (let x = Math.floor(minX / CELL_DEG); x <= Math.floor(maxX / CELL_DEG); x++) {
+    for (let y = Math.floor(minY / CELL_DEG); y <= Math.floor(maxY / CELL_DEG); y++) {
+      cells.push(`${x}:${y}`);
+    }
+  }
+  return cells;
+}
+
+// Planar intersection of segments p1-p2 and p3-p4 (interior points only)
+function segmentIntersection(p1, p2, p3, p4) {
+  const d = (p2[0] - p1[0]) * (p4[1] - p3[1]) - (p2[1] - p1[1]) * (p4[0] - p3[0]);
+  if (Math.abs(d) < 1e-12) return null;
+  const t = ((p3[0] - p1[0]) * (p4[1] - p3[1]) - (p3[1] - p1[1]) * (p4[0] - p3[0])) / d;
+  const u = ((p3[0] - p1[0]) * (p2[1] - p1[1]) - (p3[1] - p1[1]) * (p2[0] - p1[0])) / d;
+  const eps = 1e-9;
+  if (t <= eps || t >= 1 - eps || u <= eps || u >= 1 - eps) return null;
+  return { t, u, point: [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])] };
+}
+
+/**
+ * Build the lane graph from a GeoJSON FeatureCollection of (Multi)LineStrings.
+ * Returns { nodes: [[lng, lat]], edges: [{ id, a, b, km, type, name? }], adj: [[edgeId]], component }.
+ */
+export function buildLaneGraph(geojson) {
+  // 1) flatten to segments, remembering which polyline they belong to
+  const segments = [];
+  const polylines = [];
+  for (const feat of geojson.features) {
+    if (!feat.geometry) continue;
+    const type = feat.properties?.Type || "Unknown";
+    const name = feat.properties?.name;
+    const parts =
+      feat.geometry.type === "LineString"
+        ? [feat.geometry.coordinates]
+        : feat.geometry.type === "MultiLineString"
+          ? feat.geometry.coordinates
+          : [];
+    for (const coords of parts) {
+      if (coords.length < 2) continue;
+      const first = segments.length;
+      for (let i = 1; i < coords.length; i++) {
+        segments.push({ a: coords[i - 1].slice(0, 2), b: coords[i].slice(0, 2), type, name, line: polylines.length, splits: [] });
+      }
+      polylines.push({ first, last: segments.length - 1 });
+    }
+  }
+
+  // 2) spatial index over segment bounding boxes
+  const index = new Map();
+  const segCells = (s) =>
+    cellsForBox(
+      Math.min(s.a[0], s.b[0]), Math.min(s.a[1], s.b[1]),
+      Math.max(s.a[0], s.b[0]), Math.max(s.a[1], s.b[1])
+    );
+  segments.forEach((s, i) => {
+    for (const c of segCells(s)) {
+      if (!index.has(c)) index.set(c, []);
+      index.get(c).push(i);
+    }
+  });
+
+  // 3) lane endpoints that stop on (or near) another lane become junctions
+  const snapDeg = JUNCTION_SNAP_KM / 111;
+  for (const { first, last } of polylines) {
+    for (const [segIdx, end] of [[first, "a"], [last, "b"]]) {
+      const p = segments[segIdx][end];
+      const candidates = new Set();
+      for (const c of cellsForBox(p[0] - snapDeg * 2, p[1] - snapDeg, p[0] + snapDeg * 2, p[1] + snapDeg)) {
+        for (const j of index.get(c) || []) candidates.add(j);
+      }
+      let best = null;
+      for (const j of candidates) {
+        const s = segments[j];
+        if (s.line === segments[segIdx].line) continue;
+        const hit = nearestOnSegment(p, s.a, s.b);
+        if (hit.distKm <= JUNCTION_SNAP_KM && (!best || hit.distKm < best.distKm)) best = { ...hit, seg: j };
+      }
+      if (!best) continue;
+      const target = segments[best.seg];
+      if (best.t <= 1e-6) segments[segIdx][end] = target.a.slice();
+      else if (best.t >= 1 - 1e-6) segments[segIdx][end] = target.b.slice();
+      else {
+        target.splits.push({ t: best.t, point: best.point });
+        segments[segIdx][end] = best.point.slice();
+      }
+    }
+  }
+
+  // 4) lanes crossing each other get a shared vertex
+  const seen = new Set();
+  for (const ids of index.values()) {
+    for (let x = 0; x < ids.length; x++) {
+      for (let y = x + 1; y < ids.length; y++) {
+        const i = Math.min(ids[x], ids[y]);
+        const j = Math.max(ids[x], ids[y]);
+        const pairKey = i * segments.length + j;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        const si = segments[i], sj = segments[j];
+        const hit = segmentIntersection(si.a, si.b, sj.a, sj.b);
+        if (!hit) continue;
+        si.splits.push({ t: hit.t, point: hit.point });
+        sj.splits.push({ t: hit.u, point: hit.point });
+      }
+    }
+  }
+
+  // 5) emit vertices and edges
+  const nodes = [];
+  const adj = [];
+  const edges = [];
+  const keyToId = new Map();
+  const vertex = (p) => {
+    const key = vertexKey(p);
+    let id = keyToId.get(key);
+    if (id === undefined) {
+      id = nodes.length;
+      keyToId.set(key, id);
+      nodes.push(p);
+      adj.push([]);
+    }
+    return id;
+  };
+  const addEdge = (pa, pb, type, name) => {
+    const a = vertex(pa);
+    const b = vertex(pb);
+    if (a === b) return;
+    const edge = { id: edges.length, a, b, km: haversineKm(nodes[a], nodes[b]), type };
+    if (name) edge.name = name;
+    edges.push(edge);
+    adj[a].push(edge.id);
+    adj[b].push(edge.id);
+  };
+  for (const s of segments) {
+    const pts = [s.a, ...s.splits.sort((p, q) => p.t - q.t).map((sp) => sp.point), s.b];
+    for (let i = 1; i < pts.length; i++) addEdge(pts[i - 1], pts[i], s.type, s.name);
+  }
+
+  // 6) lanes split at the antimeridian rarely share an exact vertex: stitch
+  //    dead ends near ±180 to the closest vertex on the other side
+  const nearDateline = nodes
+    .map((p, id) => id)
+    .filter((id) => Math.abs(nodes[id][0]) > 179.5);
+  for (const id of nearDateline) {
+    if (adj[id].length !== 1) continue;
+    let best = null;
+    for (const other of nearDateline) {
+      if (Math.sign(nodes[other][0]) === Math.sign(nodes[id][0])) continue;
+      const km = haversineKm(nodes[id], nodes[other]);
+      if (km <= JUNCTION_SNAP_KM && (!best || km < best.km)) best = { other, km };
+    }
+    if (best) {
+      const edge = { id: edges.length, a: id, b: best.other, km: best.km, type: edges[adj[id][0]].type };
+      edges.push(edge);
+      adj[id].push(edge.id);
+      adj[best.other].push(edge.id);
+    }
+  }
+
+  const graph = { nodes, edges, adj };
+  graph.component = labelComponents(graph);
+  return graph;
+}
+
+/**
+ * Snap a [lng, lat] position to the closest point on any lane edge.
+ * Returns { edge, point, t, distKm } or null for an empty graph.
+ */
+export function snapToGraph(graph, p) {
+  let best = null;
+  for (const edge of graph.edges) {
+    // stray fragments that never join the network would give "no route"
+    if (graph.component.id[edge.a] !== graph.component.main) continue;
+    // edges across the antimeridian: compare in continuous longitudes
+    const [a, b, q] = unwrapLongitudes([graph.nodes[edge.a], graph.nodes[edge.b], p]);
+    const hit = nearestOnSegment(q, a, b);
+    if (!best || hit.distKm < best.distKm) best = { ...hit, edge };
+  }
+  if (best) best.point = [((best.point[0] + 540) % 360) - 180, best.point[1]];
+  return best;
+}
+
+const other = (edge, node) => (edge.a === node ? edge.b : edge.a);
+
+/**
+ * Shortest path between two snapped positions.
+ *
+ * `edgeCost(edge, from, at)` returns the cost of traversing an edge (default: its
+ * length in km); return Infinity to forbid it. `from` is the node it is entered
+ * from and `at` the cost so far along the path, for direction- and
+ * time-dependent costs (both undefined for the partial edges at the snapped
+ * ends). `edgeWeight(edge)` scales an edge's cost when comparing paths only, a
+ * preference that leaves `at` the true distance or time travelled. Returns
+ * null when the two points are not connected.
+ */
+export function shortestPath(graph, from, to, { edgeCost = (e) => e.km, edgeWeight = () => 1 } = {}) {
+  const fromCost = edgeCost(from.edge);
+  const fromWeight = edgeWeight(from.edge);
+  const toCost = edgeCost(to.edge) * edgeWeight(to.edge);
+  const dist = new Map();
+  // unweighted cost so far, along the best (weighted) path to each node
+  const elapsed = new Map();
+  const prev = new Map();
+  const heap = new MinHeap();
+
+  // Start from both ends of the snapped edge, paying the partial edge cost
+  const seeds = [
+    [from.edge.a, from.t * fromCost],
+    [from.edge.b, (1 - from.t) * fromCost],
+  ];
+  for (const [node, cost] of seeds) {
+    if (!Number.isFinite(cost)) continue;
+    if (cost * fromWeight < (dist.get(node) ?? Infinity)) {
+      dist.set(node, cost * fromWeight);
+      elapsed.set(node, cost);
+      prev.set(node, null);
+      heap.push(cost * fromWeight, node);
+    }
+  }
+  const exitCost = new Map([
+    [to.edge.a, to.t * toCost],
+    [to.edge.b, (1 - to.t) * toCost],
+  ]);
+
+  // Both points on the same edge: travelling directly along it is a candidate
+  let best = Infinity;
+  let bestExit = null;
+  if (from.edge.id === to.edge.id && Number.isFinite(fromCost)) {
+    best = Math.abs(from.t - to.t) * fromCost * fromWeight;
+    bestExit = "direct";
+  }
+
+  const done = new Set();
+  while (heap.size > 0) {
+    const { priority: d, value: node } = heap.pop();
+    if (done.has(node)) continue;
+    if (d >= best) break;
+    done.add(node);
+    const exit = exitCost.get(node);
+    if (exit !== undefined && d + exit < best) {
+      best = d + exit;
+      bestExit = node;
+    }
+    for (const edgeId of graph.adj[node]) {
+      const edge = graph.edges[edgeId];
+      const next = other(edge, node);
+      if (done.has(next)) continue;
+      const cost = edgeCost(edge, node, elapsed.get(node));
+      const nd = d + cost * edgeWeight(edge);
+      if (nd < (dist.get(next) ?? Infinity)) {
+        dist.set(next, nd);
+        elapsed.set(next, elapsed.get(node) + cost);
+        prev.set(next, edge);
+        heap.push(nd, next);
+      }
+    }
+  }
+  if (bestExit === null) return null;
+
+  // Reconstruct: partial start edge, full edges, partial end edge
+  const pieces = [];
+  if (bestExit === "direct") {
+    pieces.push({ coords: [from.point, to.point], type: from.edge.type, name: from.edge.name });
+  } else {
+    const chain = [];
+    let node = bestExit;
+    while (prev.get(node)) {
+      const edge = prev.get(node);
+      chain.unshift({ edge, to: node });
+      node = other(edge, node);
+    }
+    pieces.push({ coords: [from.point, graph.nodes[node]], type: from.edge.type, name: from.edge.name });
+    for (const { edge, to: n } of chain) {
+      pieces.push({ coords: [graph.nodes[other(edge, n)], graph.nodes[n]], type: edge.type, name: edge.name, edge });
+    }
+    pieces.push({ coords: [graph.nodes[bestExit], to.point], type: to.edge.type, name: to.edge.name });
+  }
+
+  const path = assemble(pieces, best);
+  path.snapEdges = [from.edge, to.edge];
+  return path;
+}
+
+// Join path pieces into one line plus legs grouped by consecutive lane class / waterway
+function assemble(pieces, cost) {
+  const coordinates = [];
+  const legs = [];
+  const edges = [];
+  // lane edge behind each coordinate pair (null for the partial snapped edges)
+  const segmentEdges = [];
+  for (const piece of pieces) {
+    const km = haversineKm(piece.coords[0], piece.coords[1]);
+    if (piece.edge) edges.push(piece.edge);
+    if (km === 0 && coordinates.length > 0) continue;
+    if (coordinates.length === 0) coordinates.push(piece.coords[0]);
+    coordinates.push(piece.coords[1]);
+    segmentEdges.push(piece.edge || null);
+    const leg = legs[legs.length - 1];
+    if (leg && leg.lane_type === piece.type && leg.name === piece.name) {
+      leg.distance_km += km;
+      leg.end = piece.coords[1];
+    } else {
+      legs.push({ lane_type: piece.type, name: piece.name, distance_km: km, start: piece.coords[0], end: piece.coords[1] });
+    }
+  }
+  return {
+    coordinates: unwrapLongitudes(coordinates),
+    distance_km: legs.reduce((sum, l) => sum + l.distance_km, 0),
+    cost,
+    edges,
+    segmentEdges,
+    legs: legs.map((l) => ({ ...l, distance_km: +l.distance_km.toFixed(1) })),
+  };
+}
+
+// Label connected components; `main` is the id of the largest one
+export function labelComponents(graph) {
+  const id = new Int32Array(graph.nodes.length).fill(-1);
+  const sizes = [];
+  for (let s = 0; s < graph.nodes.length; s++) {
+    if (id[s] >= 0) continue;
+    const label = sizes.length;
+    let size = 0;
+    const stack = [s];
+    id[s] = label;
+    while (stack.length) {
+      const n = stack.pop();
+      size++;
+      for (const e of graph.adj[n]) {
+        const m = other(graph.edges[e], n);
+        if (id[m] < 0) {
+          id[m] = label;
+          stack.push(m);
+        }
+      }
+    }
+    sizes.push(size);
+  }
+  return { id, count: sizes.length, main: sizes.indexOf(Math.max(...sizes)) };
+}
@@ -0,0 +1,88 @@
+/**
+ * maneuvers.js - Turn, stop and intersection counts for the ML features
+ *
+ * Counts come from the route's steps (OSRM-style `legs[].steps[]` with
+ * `maneuver: { type, modifier }` and optional `intersections[]`) when the
+ * provider returns them, otherwise from heading changes along the geometry.
+ */
+
+import { haversineKm, bearingDeg } from "./geo.js";
+
+// Step types that never mean changing direction
+const NON_TURN_TYPES = new Set(["depart", "arrive", "new name", "notification"]);
+
+// Maneuvers that bring the vehicle (nearly) to a halt
+const STOP_MODIFIERS = new Set(["left", "right", "sharp left", "sharp right", "uturn"]);
+const STOP_TYPES = new Set(["roundabout", "rotary", "roundabout turn", "end of road"]);
+
+// Geometry fallback: ignore segments shorter than this (digitising noise) and
+// heading changes below TURN_DEG (bends); STOP_DEG and up counts as a stop
+const MIN_SEGMENT_KM = 0.025;
+const TURN_DEG = 45;
+const STOP_DEG = 60;
+
+// Signed heading change a → b in degrees, -180..180 (positive = right)
+export function headingChange(a, b) {
+  return ((b - a + 540) % 360) - 180;
+}
+
+// OSRM-style modifier for a heading change
+export function turnModifier(delta) {
+  const side = delta > 0 ? "right" : "left";
+  const abs = Math.abs(delta);
+  if (abs < 20) return "straight";
+  if (abs < 60) return `slight ${side}`;
+  if (abs < 120) return side;
+  if (abs < 170) return `sharp ${side}`;
+  return "uturn";
+}
+
+function fromSteps(steps) {
+  let turns = 0, stops = 0, intersections = 0, signals = 0;
+  let hasIntersections = false, hasSignals = false;
+  for (const step of steps) {
+    const { type, modifier } = step.maneuver || {};
+    const isTurn = !NON_TURN_TYPES.has(type) && modifier && modifier !== "straight";
+    if (isTurn) turns++;
+    if (STOP_TYPES.has(type) || (isTurn && STOP_MODIFIERS.has(modifier))) stops++;
+    if (Array.isArray(step.intersections)) {
+      hasIntersections = true;
+      intersections += step.intersections.length;
+      for (const x of step.intersections) {
+        if (typeof x.traffic_signal === "boolean") hasSignals = true;
+        if (x.traffic_signal) signals++;
+      }
+    }
+  }
+  return {
+    turns,
+    // a red light is a stop too
+    stops: stops + signals,
+    intersections: hasIntersections ? intersections : null,
+    traffic_signals: hasSignals ? signals : null,
+    source: "steps",
+  };
+}
+
+function fromGeometry(coords) {
+  let turns = 0, stops = 0, heading = null, anchor = coords[0];
+  for (let i = 1; i < coords.length; i++) {
+    if (haversineKm(anchor, coords[i]) < MIN_SEGMENT_KM) continue;
+    const next = bearingDeg(anchor, coords[i]);
+    if (heading !== null) {
+      const delta = Math.abs(headingChange(heading, next));
+      if (delta >= TURN_DEG) turns++;
+      if (delta >= STOP_DEG) stops++;
+    }
+    heading = next;
+    anchor = coords[i];
+  }
+  return { turns, stops, intersections: null, traffic_signals: null, source: "geometry" };
+}
+
+// { turns, stops, intersections, traffic_signals, source }; unknown counts are null
+export function routeManeuvers(route) {
+  const steps = (route.legs || []).flatMap((leg) => leg.steps || []);
+  if (steps.length > 0) return fromSteps(steps);
+  return fromGeometry(route.geometry?.coordinates || []);
+}
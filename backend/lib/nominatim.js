@@ -0,0 +1,72 @@
+/**
+ * nominatim.js - Nominatim search / reverse client within its usage policy
+ *
+ * The public server allows one request per second and wants an identifying
+ * User-Agent, so requests from the whole process are spaced `intervalMs`
+ * apart. A caller that would wait more than `maxWaitMs` for its turn gets an
+ * error (status 429) instead, and can fall back to something local.
+ * Autocomplete must not be built on the public server; use search on submit.
+ */
+
+import fetch from "node-fetch";
+import { httpError, upstreamError } from "./errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Result in the API's place shape
+function toPlace(r) {
+  return {
+    label: r.display_name,
+    name: r.name || r.display_name.split(",")[0],
+    kind: r.type || r.category || null,
+    id: null,
+    country: r.address?.country_code?.toUpperCase() ?? null,
+    country_name: r.address?.country ?? null,
+    lat: Number(r.lat),
+    lng: Number(r.lon),
+  };
+}
+
+export function createNominatimClient({
+  baseUrl = "https://nominatim.openstreetmap.org",
+  userAgent,
+  intervalMs = 1000,
+  maxWaitMs = 5000,
+  timeoutMs = 8000,
+} = {}) {
+  let nextSlot = 0;
+
+  async function get(path, params) {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    if (wait > maxWaitMs) {
+      throw httpError(429, "Geocoder busy, try again shortly");
+    }
+    nextSlot = Math.max(now, nextSlot) + intervalMs;
+    await sleep(wait);
+
+    const query = new URLSearchParams({ format: "jsonv2", addressdetails: "1", ...params });
+    try {
+      const r = await fetch(`${baseUrl}${path}?${query}`, {
+        headers: { "User-Agent": userAgent, Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!r.ok) throw httpError(502, `Nominatim error: HTTP ${r.status}`, { code: "UPSTREAM_ERROR", service: "Nominatim" });
+      return await r.json();
+    } catch (err) {
+      throw upstreamError("Nominatim", err);
+    }
+  }
+
+  return {
+    async search(q, { limit = 5 } = {}) {
+      return (await get("/search", { q, limit: String(limit) })).map(toPlace);
+    },
+
+    // Place at a point, or null where Nominatim has nothing (open sea)
+    async reverse({ lat, lng }) {
+      const r = await get("/reverse", { lat: String(lat), lon: String(lng) });
+      return r.error ? null : toPlace(r);
+    },
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * oceanRouting.js - Lane-graph routing checked against the land/sea mask
+ *
+ * A route whose geometry runs over land is re-routed with the offending lane
+ * edges removed. Edges found to cross land stay blocked for later requests.
+ */
+
+import { shortestPath } from "./laneGraph.js";
+import { validateLine } from "./landMask.js";
+
+const MAX_REROUTES = 8;
+
+/**
+ * Find a lane route between two snapped points that stays at sea.
+ * Returns { path, check, reroutes } where `check` is the validateLine() result
+ * of the last candidate; `path` is null when no sea-only route exists.
+ */
+export function findSeaRoute(graph, mask, from, to, { edgeCost = (e) => e.km, edgeWeight, toleranceKm } = {}) {
+  if (!graph.landEdges) graph.landEdges = new Set();
+  const blocked = graph.landEdges;
+  const cost = (e, ...at) => (blocked.has(e.id) ? Infinity : edgeCost(e, ...at));
+
+  let check = null;
+  for (let reroutes = 0; reroutes <= MAX_REROUTES; reroutes++) {
+    const path = shortestPath(graph, from, to, { edgeCost: cost, edgeWeight });
+    if (!path) return { path: null, check, reroutes };
+
+    check = mask ? validateLine(mask, path.coordinates, { toleranceKm }) : { ok: true, land_km: 0, segments: [] };
+    for (const seg of check.segments) seg.lane_type = path.segmentEdges[seg.index]?.type ?? null;
+    if (check.ok) return { path, check, reroutes };
+
+    // Only whole lane edges can be routed around; a bad snapped approach can't
+    const offending = check.segments.map((seg) => path.segmentEdges[seg.index]).filter(Boolean);
+    if (offending.length === 0) return { path: null, check, reroutes };
+    for (const edge of offending) blocked.add(edge.id);
+  }
+  return { path: null, check, reroutes: MAX_REROUTES };
+}
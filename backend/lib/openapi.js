@@ -0,0 +1,909 @@
+/**
+ * openapi.js - OpenAPI 3.1 document for the v1 API
+ *
+ * Request bodies and query parameters are converted from the schemas the
+ * handlers validate with (lib/validate.js), so the document describes what
+ * the server actually accepts; responses are described here. The client
+ * package (client/) is generated from this document.
+ */
+
+// ---------- validate.js schemas → JSON Schema ----------
+export function ruleSchema(rule) {
+  const out = (() => {
+    switch (rule.type) {
+      case "number":
+      case "integer":
+        return {
+          type: rule.type,
+          ...(rule.min !== undefined ? { minimum: rule.min } : {}),
+          ...(rule.exclusiveMin !== undefined ? { exclusiveMinimum: rule.exclusiveMin } : {}),
+          ...(rule.max !== undefined ? { maximum: rule.max } : {}),
+        };
+      case "string":
+        return {
+          type: "string",
+          ...(rule.enum ? { enum: rule.enum } : {}),
+          ...(rule.pattern ? { pattern: rule.pattern.source } : {}),
+          ...(rule.maxLength ? { maxLength: rule.maxLength } : {}),
+        };
+      case "boolean":
+        return { type: "boolean" };
+      case "time":
+        return { type: "string", format: "date-time" };
+      case "point":
+        return ref("Point");
+      case "array":
+        return {
+          type: "array",
+          ...(rule.items ? { items: ruleSchema(rule.items) } : {}),
+          ...(rule.minItems !== undefined ? { minItems: rule.minItems } : {}),
+          ...(rule.maxItems !== undefined ? { maxItems: rule.maxItems } : {}),
+        };
+      case "object":
+        return rule.properties ? objectSchema(rule.properties) : { type: "object" };
+      default:
+        return {};
+    }
+  })();
+  return {
+    ...out,
+    ...(rule.description ? { description: rule.description } : {}),
+    ...(rule.default !== undefined ? { default: rule.default } : {}),
+  };
+}
+
+export function objectSchema(schema) {
+  const required = Object.entries(schema)
+    .filter(([, rule]) => rule.required)
+    .map(([name]) => name);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(schema).map(([name, rule]) => [name, ruleSchema(rule)])),
+    ...(required.length ? { required } : {}),
+  };
+}
+
+const queryParams = (schema) =>
+  Object.entries(schema).map(([name, rule]) => ({
+    name,
+    in: "query",
+    required: Boolean(rule.required),
+    schema: ruleSchema(rule),
+  }));
+
+// ---------- Building blocks ----------
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const idParam = (description) => ({ name: "id", in: "path", required: true, schema: { type: "string" }, description });
+
+const ok = (description, schema) => ({ 200: { description, content: json(schema) } });
+const errors = (...statuses) =>
+  Object.fromEntries(statuses.map((s) => [s, { $ref: `#/components/responses/Error${s}` }]));
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid request (INVALID_REQUEST, INVALID_JSON, INVALID_COORDINATES, UNKNOWN_PROFILE)",
+  403: "Built-in profiles can't be changed",
+  404: "Not found",
+  409: "A profile with that id exists",
+  413: "Request body too large",
+  422: "No route or journey, or no telemetry trip to learn from (NO_ROUTE, ROUTE_CROSSES_LAND, ARRIVAL_WINDOW_INFEASIBLE, NO_PORT_NEARBY, NO_JOURNEY, NO_SAMPLES)",
+  429: "Geocoder busy",
+  502: "An upstream service failed (UPSTREAM_ERROR)",
+  503: "ML service or data unavailable (ML_UNAVAILABLE, SERVICE_UNAVAILABLE)",
+  504: "An upstream service timed out (UPSTREAM_TIMEOUT)",
+};
+const PLANNING_ERRORS = [400, 422, 502, 503, 504];
+
+// ---------- Response schemas ----------
+// Sums over a group of saved trips
+const TRIP_TOTALS = {
+  trips: { type: "integer" },
+  distance_km: { type: "number" },
+  co2_kg: { type: "number" },
+  baseline_co2_kg: { type: "number" },
+  co2_saved_kg: { type: "number" },
+  co2_saved_percent: { type: "number" },
+};
+
+const SCHEMAS = {
+  Point: {
+    type: "object",
+    properties: {
+      lat: { type: "number", minimum: -90, maximum: 90 },
+      lng: { type: "number", minimum: -180, maximum: 180 },
+    },
+    required: ["lat", "lng"],
+  },
+  ApiError: {
+    type: "object",
+    description: "Error answer; `field` names the bad request field, other details depend on the code",
+    properties: {
+      error: { type: "string" },
+      code: { type: "string" },
+      field: { type: "string" },
+    },
+    required: ["error", "code"],
+  },
+  Warning: {
+    type: "object",
+    description: "Something the plan had to assume: ML_UNAVAILABLE, TRAFFIC_UNAVAILABLE or INSUFFICIENT_RANGE",
+    properties: { code: { type: "string" }, message: { type: "string" } },
+    required: ["code", "message"],
+  },
+  LineString: {
+    type: "object",
+    description: "GeoJSON LineString, [lng, lat] coordinates",
+    properties: {
+      type: { type: "string", enum: ["LineString"] },
+      coordinates: { type: "array", items: { type: "array", items: { type: "number" } } },
+    },
+    required: ["type", "coordinates"],
+  },
+  Fuel: {
+    type: "object",
+    properties: {
+      type: { type: "string", description: "Fuel id from the profile registry" },
+      amount: { type: "number" },
+      unit: { type: "string", description: "l, kWh or kg" },
+    },
+    required: ["type", "amount", "unit"],
+  },
+  Emissions: {
+    type: "object",
+    description: "GHG account per ISO 14083 / GLEC (TTW, WTT, WTW in kg CO2e)",
+    properties: {
+      ttw_co2e_kg: { type: "number" },
+      wtt_co2e_kg: { type: "number" },
+      wtw_co2e_kg: { type: "number" },
+      tonne_km: nullable({ type: "number" }),
+      intensity_g_co2e_per_tkm: {
+        type: ["object", "null"],
+        properties: { ttw: { type: "number" }, wtw: { type: "number" } },
+      },
+      methodology: { type: "object" },
+    },
+    required: ["ttw_co2e_kg", "wtt_co2e_kg", "wtw_co2e_kg"],
+  },
+  Route: {
+    type: "object",
+    description:
+      "One road or sea route. Roads add elevation, maneuvers and segments; sea routes add speed_kn, lanes, chokepoints, weather and tradeoff.",
+    properties: {
+      id: { type: "string", description: "fast, eco, safe, trip, leg-N or candidate-N" },
+      mode: { type: "string", enum: ["road", "sea"] },
+      distance_km: { type: "number" },
+      duration_min: { type: "number" },
+      departure: nullable({ type: "string", format: "date-time" }),
+      arrival: nullable({ type: "string", format: "date-time" }),
+      co2_kg: { type: "number" },
+      fuel: ref("Fuel"),
+      prediction: {
+        type: "string",
+        enum: ["ml", "analytic", "ev_model", "sfoc"],
+        description:
+          "Where the fuel figure comes from: the ML service, its analytic fallback, the per-stretch EV energy model, or the vessel's SFOC curve",
+      },
+      model_version: { type: "string", description: "prediction ml: the version of the model that scored the route" },
+      uncertainty: {
+        type: "object",
+        description: "prediction ml: the range of the model's trees' predictions for the route",
+        properties: {
+          level: { type: "number", description: "Share of the trees inside the ranges" },
+          co2_kg: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 },
+          fuel: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2, description: "In the fuel's unit" },
+        },
+        required: ["level", "co2_kg"],
+      },
+      explanation: {
+        type: "object",
+        description:
+          "prediction ml: what each feature adds to the model's fuel and CO2 for the route; base plus the contributions is the prediction",
+        properties: {
+          base: { type: "object", properties: { fuel_l: { type: "number" }, co2_kg: { type: "number" } } },
+          contributions: {
+            type: "array",
+            description: "Largest CO2 effect first",
+            items: {
+              type: "object",
+              properties: {
+                feature: { type: "string" },
+                value: { type: "number", description: "The feature as sent to the model" },
+                fuel_l: { type: "number" },
+                co2_kg: { type: "number" },
+              },
+              required: ["feature", "value", "co2_kg"],
+            },
+          },
+        },
+        required: ["base", "contributions"],
+      },
+      emissions: ref("Emissions"),
+      geometry: ref("LineString"),
+      legs: { type: "array", items: ref("Route"), description: "Multi-stop trips: one route per leg" },
+      battery: ref("Battery"),
+      traffic: {
+        type: "object",
+        description: "Roads with a departure time: the traffic the route was scored with",
+        properties: {
+          index: { type: "number", description: "Travel time relative to the router's estimate (0.5 to 2)" },
+          source: nullable({ type: "string", description: "Traffic provider; null when it failed and typical traffic was assumed" }),
+          departure: { type: "string", format: "date-time" },
+          arrival: { type: "string", format: "date-time" },
+        },
+        required: ["index", "source", "departure", "arrival"],
+      },
+      speed_kn: { type: "number", description: "Sea only" },
+      chokepoints: { type: "array", items: {}, description: "Sea only: canals and straits on the way" },
+      lanes: { type: "array", items: { type: "object" }, description: "Sea only: shipping lane stretches" },
+    },
+    required: ["id", "mode", "distance_km", "duration_min", "co2_kg", "fuel", "prediction", "emissions", "geometry"],
+  },
+  Battery: {
+    type: "object",
+    description: "EVs only: state of charge along the route and the charging stops on the way",
+    properties: {
+      capacity_kwh: { type: "number" },
+      start_soc_pct: { type: "number" },
+      reserve_soc_pct: { type: "number" },
+      charge_to_soc_pct: { type: "number" },
+      energy_kwh: { type: "number", description: "Used on the route, detours to chargers included" },
+      arrival_soc_pct: { type: "number" },
+      feasible: { type: "boolean", description: "False when the charge drops below the reserve somewhere" },
+      shortfall_kwh: { type: "number" },
+      charging_min: { type: "number" },
+      charging_stops: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            charger: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: nullable({ type: "string" }),
+                power_kw: { type: "number" },
+                lat: { type: "number" },
+                lng: { type: "number" },
+              },
+              required: ["id", "power_kw", "lat", "lng"],
+            },
+            distance_km: { type: "number", description: "Along the route" },
+            detour_km: { type: "number" },
+            power_kw: { type: "number" },
+            arrive_soc_pct: { type: "number" },
+            depart_soc_pct: { type: "number" },
+            charge_kwh: { type: "number" },
+            charge_min: { type: "number" },
+          },
+          required: ["charger", "distance_km", "arrive_soc_pct", "depart_soc_pct", "charge_kwh", "charge_min"],
+        },
+      },
+      soc_profile: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { distance_km: { type: "number" }, soc_pct: { type: "number" } },
+          required: ["distance_km", "soc_pct"],
+        },
+      },
+    },
+    required: ["capacity_kwh", "energy_kwh", "arrival_soc_pct", "feasible", "charging_min", "charging_stops", "soc_profile"],
+  },
+  RoutePlan: {
+    type: "object",
+    description: "Routes for one request; `recommended` is the id of the route to take",
+    properties: {
+      kind: { type: "string", enum: ["land", "multi_stop", "ocean"] },
+      vehicle: { type: "string" },
+      recommended: { type: "string" },
+      co2_saved_percent: nullable({ type: "number" }),
+      co2_savings: {
+        type: "object",
+        description:
+          "Land only: the eco route's CO2 saving over the fast route, compared tree by tree across the ML model's forest; null interval and verdict when either route wasn't scored by the ML model",
+        properties: {
+          co2_kg: { type: "number" },
+          level: nullable({ type: "number", description: "Share of the per-tree savings inside the interval" }),
+          interval_kg: { type: ["array", "null"], items: { type: "number" }, minItems: 2, maxItems: 2 },
+          agreement: nullable({ type: "number", description: "Share of the trees that find the eco route lower" }),
+          significant: nullable({ type: "boolean", description: "The whole interval is above zero" }),
+        },
+        required: ["co2_kg", "level", "interval_kg", "agreement", "significant"],
+      },
+      routes: { type: "array", items: ref("Route") },
+      alternatives: { type: "array", items: ref("Route"), description: "Land only: every candidate, lowest CO2 first" },
+      stops: { type: "array", items: ref("Point"), description: "Multi-stop only: stops in visiting order" },
+      order: { type: "array", items: { type: "integer" }, description: "Multi-stop only: request index of each stop" },
+      warnings: { type: "array", items: ref("Warning") },
+    },
+    required: ["kind", "vehicle", "recommended", "routes"],
+  },
+  PortStop: {
+    type: "object",
+    properties: {
+      mode: { type: "string", enum: ["port"] },
+      port: { type: "string" },
+      name: { type: "string" },
+      dwell_min: { type: "number" },
+      departure: { type: "string", format: "date-time" },
+      arrival: { type: "string", format: "date-time" },
+    },
+    required: ["mode", "port", "name", "dwell_min"],
+  },
+  Port: {
+    type: "object",
+    properties: {
+      id: { type: "string", description: "UN/LOCODE" },
+      name: { type: "string" },
+      country: { type: "string" },
+      lat: { type: "number" },
+      lng: { type: "number" },
+      dwell_hr: { type: "number" },
+    },
+    required: ["id", "name", "lat", "lng"],
+  },
+  Journey: {
+    type: "object",
+    properties: {
+      rank: { type: "integer" },
+      fastest: { type: "boolean" },
+      origin_port: ref("Port"),
+      destination_port: ref("Port"),
+      distance_km: { type: "number" },
+      duration_min: { type: "number" },
+      co2_kg: { type: "number" },
+      departure: { type: "string", format: "date-time" },
+      arrival: { type: "string", format: "date-time" },
+      emissions: { type: "object" },
+      legs: { type: "array", items: { oneOf: [ref("Route"), ref("PortStop")] } },
+    },
+    required: ["rank", "origin_port", "destination_port", "duration_min", "co2_kg", "legs"],
+  },
+  JourneyPlan: {
+    type: "object",
+    properties: {
+      kind: { type: "string", enum: ["intermodal"] },
+      vehicle: { type: "string" },
+      vessel: { type: "string" },
+      port_dwell_min: { type: "number" },
+      journeys: { type: "array", items: ref("Journey") },
+      skipped: { type: "array", items: { type: "object" } },
+      warnings: { type: "array", items: ref("Warning") },
+    },
+    required: ["kind", "journeys"],
+  },
+  Profile: {
+    type: "object",
+    description: "Vehicle or vessel profile; see GET /profiles for the fields of each kind",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      kind: { type: "string", enum: ["vehicle", "vessel"] },
+      fuel_type: { type: "string" },
+      design_speed_kph: { type: "number" },
+      builtin: { type: "boolean" },
+    },
+    required: ["id", "name", "kind", "fuel_type"],
+  },
+  ProfileList: {
+    type: "object",
+    properties: {
+      profiles: { type: "array", items: ref("Profile") },
+      fuels: { type: "object", additionalProperties: { type: "object" } },
+    },
+    required: ["profiles", "fuels"],
+  },
+  Chokepoints: {
+    type: "object",
+    properties: {
+      chokepoints: { type: "array", items: { type: "object" } },
+      vessel_classes: { type: "object", additionalProperties: { type: "object" } },
+    },
+    required: ["chokepoints", "vessel_classes"],
+  },
+  Place: {
+    type: "object",
+    properties: {
+      label: { type: "string" },
+      name: { type: "string" },
+      kind: nullable({ type: "string" }),
+      id: nullable({ type: "string" }),
+      country: nullable({ type: "string" }),
+      country_name: nullable({ type: "string" }),
+      lat: { type: "number" },
+      lng: { type: "number" },
+      source: { type: "string" },
+    },
+    required: ["label", "lat", "lng"],
+  },
+  PlaceResults: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      source: { type: "string" },
+      fallback_reason: { type: "string" },
+      results: { type: "array", items: ref("Place") },
+    },
+    required: ["results"],
+  },
+  BatchStatus: {
+    type: "object",
+    properties: {
+      job_id: { type: "string" },
+      status: { type: "string", enum: ["queued", "running", "done"] },
+      total: { type: "integer" },
+      completed: { type: "integer" },
+      failed: { type: "integer" },
+      rows: { type: "array", items: { type: "object" } },
+      links: { type: "object", additionalProperties: { type: "string" } },
+    },
+    required: ["job_id", "status", "total", "completed", "failed"],
+  },
+  Trip: {
+    type: "object",
+    description: "A route that was taken; `route` (the stored Route) only on single trips",
+    properties: {
+      id: { type: "integer" },
+      taken_at: { type: "string", format: "date-time" },
+      created_at: { type: "string", format: "date-time" },
+      vehicle: { type: "string" },
+      kind: { type: "string", enum: ["land", "multi_stop", "ocean"] },
+      route_id: { type: "string" },
+      label: nullable({ type: "string" }),
+      distance_km: { type: "number" },
+      duration_min: { type: "number" },
+      co2_kg: { type: "number" },
+      baseline_co2_kg: { type: "number", description: "CO2 of the fast route for the same trip" },
+      co2_saved_kg: { type: "number" },
+      fuel: {
+        type: "object",
+        properties: {
+          type: { type: "string" },
+          unit: { type: "string" },
+          predicted: { type: "number" },
+          actual: nullable({ type: "number" }),
+        },
+        required: ["type", "unit", "predicted", "actual"],
+      },
+      route: ref("Route"),
+    },
+    required: ["id", "taken_at", "vehicle", "kind", "route_id", "distance_km", "co2_kg", "baseline_co2_kg", "fuel"],
+  },
+  TripList: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      trips: { type: "array", items: ref("Trip") },
+    },
+    required: ["total", "trips"],
+  },
+  TripSummary: {
+    type: "object",
+    description: "CO2 saved against the fast-route baseline; weeks start on Monday (UTC)",
+    properties: {
+      ...TRIP_TOTALS,
+      by_vehicle: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            vehicle: { type: "string" },
+            fuel_unit: { type: "string" },
+            ...TRIP_TOTALS,
+            actual_fuel: {
+              type: ["object", "null"],
+              description: "Predicted vs actual fuel over the trips that logged it",
+              properties: {
+                trips: { type: "integer" },
+                predicted: { type: "number" },
+                actual: { type: "number" },
+              },
+            },
+          },
+          required: ["vehicle", "fuel_unit", ...Object.keys(TRIP_TOTALS), "actual_fuel"],
+        },
+      },
+      by_week: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            week_start: { type: "string", format: "date" },
+            ...TRIP_TOTALS,
+            cumulative_co2_saved_kg: { type: "number" },
+          },
+          required: ["week_start", ...Object.keys(TRIP_TOTALS), "cumulative_co2_saved_kg"],
+        },
+      },
+    },
+    required: [...Object.keys(TRIP_TOTALS), "by_vehicle", "by_week"],
+  },
+  Sample: {
+    type: "object",
+    description: "A recorded trip map-matched to a route: the ML features and, as labels, the fuel it used",
+    properties: {
+      id: { type: "integer" },
+      created_at: { type: "string", format: "date-time" },
+      source: { type: "string", enum: ["csv", "gpx"] },
+      trip_id: { type: "string", description: "The trip's id (CSV) or track name (GPX) in the upload" },
+      vehicle: { type: "string" },
+      started_at: { type: "string", format: "date-time" },
+      duration_min: { type: "number" },
+      trace_km: { type: "number", description: "Length along the GPS fixes" },
+      features: {
+        type: "object",
+        description: "As sent to the ML service for a planned route; distance is the matched route's",
+        properties: {
+          distance_km: { type: "number" },
+          elevation_gain_m: { type: "number" },
+          elevation_loss_m: { type: "number" },
+          avg_speed_kph: { type: "number" },
+          turns: { type: "integer" },
+          humps: { type: "integer" },
+          weight_kg: { type: "number" },
+          traffic_index: { type: "number" },
+          route_type: { type: "string" },
+          co2_factor: { type: "number" },
+        },
+      },
+      labels: {
+        type: "object",
+        properties: {
+          fuel_type: { type: "string" },
+          fuel_l: { type: "number", description: "Fuel used, in the fuel's unit" },
+          co2_kg: { type: "number" },
+        },
+        required: ["fuel_type", "fuel_l", "co2_kg"],
+      },
+      geometry: { ...ref("LineString"), description: "The matched route; only on upload" },
+    },
+    required: ["id", "source", "trip_id", "vehicle", "started_at", "features", "labels"],
+  },
+  SampleList: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      samples: { type: "array", items: ref("Sample") },
+    },
+    required: ["total", "samples"],
+  },
+  TelemetryResult: {
+    type: "object",
+    properties: {
+      samples: { type: "array", items: ref("Sample") },
+      skipped: {
+        type: "array",
+        description: "Trips left out: too short, without fuel readings, unmatched (NO_MATCH) or already recorded (CONFLICT)",
+        items: {
+          type: "object",
+          properties: { trip_id: { type: "string" }, error: { type: "string" }, code: { type: "string" } },
+          required: ["trip_id", "error", "code"],
+        },
+      },
+    },
+    required: ["samples", "skipped"],
+  },
+  CacheStats: {
+    type: "object",
+    properties: {
+      store: { type: "string" },
+      ttl_s: { type: "number" },
+      caches: { type: "object", additionalProperties: { type: "object" } },
+    },
+    required: ["store", "caches"],
+  },
+};
+
+/**
+ * The document; `schemas` are the handlers' validate.js schemas by name
+ * (route, journey, report, geocode, suggest, reverse, profilesQuery,
+ * batchResults, trip, tripUpdate, tripsQuery, tripsFilter, routeExport,
+ * telemetry, samplesQuery), `version` the
+ * API version.
+ */
+export function openApiDocument({ version, schemas }) {
+  const body = (name) => ({ required: true, content: json(ref(name)) });
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "EcoRoute API",
+      version,
+      description:
+        "Land, ocean and intermodal routing with CO2 predictions. Every error answer is an ApiError; every route is a Route.",
+    },
+    servers: [{ url: "/api/v1" }],
+    paths: {
+      "/route": {
+        post: {
+          operationId: "planRoute",
+          summary: "Plan a land, multi-stop or ocean route",
+          description:
+            "A vessel profile plans a voyage (departure, arrival_window, eta, avoid, vessel_size, max_wave_m apply); `stops` plans a multi-stop land trip. On land, `departure` scores the routes with the traffic at that time.",
+          requestBody: body("RouteRequest"),
+          responses: { ...ok("Route plan", ref("RoutePlan")), ...errors(...PLANNING_ERRORS) },
+        },
+      },
+      "/journey": {
+        post: {
+          operationId: "planJourney",
+          summary: "Plan truck-port-ship-port-truck journeys",
+          requestBody: body("JourneyRequest"),
+          responses: { ...ok("Journeys, lowest CO2 first", ref("JourneyPlan")), ...errors(...PLANNING_ERRORS) },
+        },
+      },
+      "/route/batch": {
+        post: {
+          operationId: "startBatch",
+          summary: "Queue land routes for many rows (CSV or JSON)",
+          requestBody: {
+            required: true,
+            content: {
+              "text/csv": { schema: { type: "string" } },
+              "application/json": {
+                schema: { type: "object", properties: { rows: { type: "array", items: { type: "object" } } } },
+              },
+            },
+          },
+          responses: {
+            202: { description: "Job queued", content: json(ref("BatchStatus")) },
+            ...errors(400, 413),
+          },
+        },
+      },
+      "/route/batch/{id}": {
+        get: {
+          operationId: "getBatch",
+          summary: "Batch job progress and one summary per row",
+          parameters: [idParam("Batch job id")],
+          responses: { ...ok("Job status", ref("BatchStatus")), ...errors(404) },
+        },
+      },
+      "/route/batch/{id}/results": {
+        get: {
+          operationId: "getBatchResults",
+          summary: "Batch results as CSV or GeoJSON",
+          parameters: [idParam("Batch job id"), ...queryParams(schemas.batchResults)],
+          responses: {
+            200: {
+              description: "Results file",
+              content: {
+                "text/csv": { schema: { type: "string" } },
+                "application/geo+json": { schema: { type: "object" } },
+              },
+            },
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/reports/emissions": {
+        post: {
+          operationId: "emissionsReport",
+          summary: "Emissions report over a batch job or a list of trips",
+          requestBody: body("ReportRequest"),
+          responses: {
+            200: {
+              description: "Report as CSV, PDF or JSON",
+              content: {
+                "text/csv": { schema: { type: "string" } },
+                "application/pdf": { schema: { type: "string", format: "binary" } },
+                "application/json": { schema: { type: "object" } },
+              },
+            },
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/routes/export": {
+        post: {
+          operationId: "exportRoute",
+          summary: "One route as GPX, KML, GeoJSON or (sea routes) RTZ, with its distance, duration, fuel and CO₂",
+          requestBody: body("RouteExportRequest"),
+          responses: {
+            200: {
+              description: "Route file",
+              content: {
+                "application/gpx+xml": { schema: { type: "string" } },
+                "application/vnd.google-earth.kml+xml": { schema: { type: "string" } },
+                "application/geo+json": { schema: { type: "string" } },
+                "application/xml": { schema: { type: "string" } },
+              },
+            },
+            ...errors(400),
+          },
+        },
+      },
+      "/profiles": {
+        get: {
+          operationId: "listProfiles",
+          summary: "Vehicle and vessel profiles, and the fuel factors",
+          parameters: queryParams(schemas.profilesQuery),
+          responses: { ...ok("Profiles", ref("ProfileList")), ...errors(400) },
+        },
+        post: {
+          operationId: "createProfile",
+          summary: "Add a custom profile",
+          requestBody: body("Profile"),
+          responses: {
+            201: { description: "Created", content: json(ref("Profile")) },
+            ...errors(400, 409),
+          },
+        },
+      },
+      "/profiles/{id}": {
+        get: {
+          operationId: "getProfile",
+          summary: "One profile",
+          parameters: [idParam("Profile id")],
+          responses: { ...ok("Profile", ref("Profile")), ...errors(404) },
+        },
+        put: {
+          operationId: "updateProfile",
+          summary: "Replace a custom profile",
+          parameters: [idParam("Profile id")],
+          requestBody: body("Profile"),
+          responses: { ...ok("Updated", ref("Profile")), ...errors(400, 403, 404) },
+        },
+        delete: {
+          operationId: "deleteProfile",
+          summary: "Remove a custom profile",
+          parameters: [idParam("Profile id")],
+          responses: { 204: { description: "Removed" }, ...errors(403, 404) },
+        },
+      },
+      "/chokepoints": {
+        get: {
+          operationId: "listChokepoints",
+          summary: "Canals and straits, and the vessel size classes",
+          responses: ok("Chokepoints", ref("Chokepoints")),
+        },
+      },
+      "/ports": {
+        get: {
+          operationId: "listPorts",
+          summary: "Ports used for intermodal journeys",
+          responses: ok("Ports", { type: "array", items: ref("Port") }),
+        },
+      },
+      "/geocode": {
+        get: {
+          operationId: "geocode",
+          summary: "Search places (Nominatim with a gazetteer fallback)",
+          parameters: queryParams(schemas.geocode),
+          responses: { ...ok("Places", ref("PlaceResults")), ...errors(400) },
+        },
+      },
+      "/geocode/suggest": {
+        get: {
+          operationId: "suggestPlaces",
+          summary: "Autocomplete from the bundled gazetteer",
+          parameters: queryParams(schemas.suggest),
+          responses: { ...ok("Places", ref("PlaceResults")), ...errors(400) },
+        },
+      },
+      "/geocode/reverse": {
+        get: {
+          operationId: "reverseGeocode",
+          summary: "Name a point",
+          parameters: queryParams(schemas.reverse),
+          responses: { ...ok("Place", ref("Place")), ...errors(400) },
+        },
+      },
+      "/trips": {
+        get: {
+          operationId: "listTrips",
+          summary: "Saved trips, newest first",
+          parameters: queryParams(schemas.tripsQuery),
+          responses: { ...ok("Trips", ref("TripList")), ...errors(400) },
+        },
+        post: {
+          operationId: "saveTrip",
+          summary: "Save a route that was taken",
+          requestBody: body("TripRequest"),
+          responses: {
+            201: { description: "Saved", content: json(ref("Trip")) },
+            ...errors(400),
+          },
+        },
+      },
+      "/trips/summary": {
+        get: {
+          operationId: "getTripSummary",
+          summary: "CO2 saved over the saved trips, in total, per vehicle and per week",
+          parameters: queryParams(schemas.tripsFilter),
+          responses: { ...ok("Savings", ref("TripSummary")), ...errors(400) },
+        },
+      },
+      "/trips/{id}": {
+        get: {
+          operationId: "getTrip",
+          summary: "One trip, with its route",
+          parameters: [idParam("Trip id")],
+          responses: { ...ok("Trip", ref("Trip")), ...errors(404) },
+        },
+        patch: {
+          operationId: "updateTrip",
+          summary: "Set a trip's label or the fuel actually used",
+          parameters: [idParam("Trip id")],
+          requestBody: body("TripUpdate"),
+          responses: { ...ok("Updated", ref("Trip")), ...errors(400, 404) },
+        },
+        delete: {
+          operationId: "deleteTrip",
+          summary: "Remove a trip",
+          parameters: [idParam("Trip id")],
+          responses: { 204: { description: "Removed" }, ...errors(404) },
+        },
+      },
+      "/telemetry": {
+        post: {
+          operationId: "uploadTelemetry",
+          summary: "Recorded trips (GPS fixes with a fuel counter) as labelled samples for retraining the ML model",
+          parameters: queryParams(schemas.telemetry),
+          requestBody: {
+            required: true,
+            content: {
+              "text/csv": { schema: { type: "string", description: "trip_id?, time, lat, lng, fuel_used per fix" } },
+              "application/gpx+xml": { schema: { type: "string", description: "A trip per <trk>; <fuel_used> in each point's extensions" } },
+            },
+          },
+          responses: {
+            201: { description: "Samples stored", content: json(ref("TelemetryResult")) },
+            ...errors(400, 413, 422, 502, 504),
+          },
+        },
+      },
+      "/telemetry/samples": {
+        get: {
+          operationId: "listSamples",
+          summary: "Stored samples, newest trips first, or all of them as CSV",
+          parameters: queryParams(schemas.samplesQuery),
+          responses: {
+            200: {
+              description: "Samples",
+              content: { ...json(ref("SampleList")), "text/csv": { schema: { type: "string" } } },
+            },
+            ...errors(400),
+          },
+        },
+      },
+      "/telemetry/samples/{id}": {
+        delete: {
+          operationId: "deleteSample",
+          summary: "Remove a sample",
+          parameters: [idParam("Sample id")],
+          responses: { 204: { description: "Removed" }, ...errors(404) },
+        },
+      },
+      "/cache": {
+        get: {
+          operationId: "getCacheStats",
+          summary: "Hit and miss counts per cache",
+          responses: ok("Cache statistics", ref("CacheStats")),
+        },
+        delete: {
+          operationId: "clearCache",
+          summary: "Empty every cache",
+          responses: { 204: { description: "Emptied" } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        ...SCHEMAS,
+        RouteRequest: objectSchema(schemas.route),
+        JourneyRequest: objectSchema(schemas.journey),
+        ReportRequest: objectSchema(schemas.report),
+        TripRequest: objectSchema(schemas.trip),
+        TripUpdate: objectSchema(schemas.tripUpdate),
+        RouteExportRequest: objectSchema(schemas.routeExport),
+      },
+      responses: Object.fromEntries(
+        Object.entries(ERROR_DESCRIPTIONS).map(([s, description]) => [
+          `Error${s}`,
+          { description, content: json(ref("ApiError")) },
+        ])
+      ),
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * pdf.js - Plain-text PDF documents (A4, Courier), no dependencies
+ *
+ * Enough for tabular reports: each line is written in a monospaced font,
+ * word-wrapped at the page width, with a new page whenever one fills up.
+ * Text outside Latin-1 is replaced with "?".
+ */
+
+const PAGE_W = 595;
+const PAGE_H = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LEADING = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_H - 2 * MARGIN) / LEADING);
+// Courier glyphs are 0.6 em wide
+const CHARS_PER_LINE = Math.floor((PAGE_W - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+// Continuation lines are indented by this much
+const INDENT = "  ";
+
+// Break a line at spaces (or hard, for long words) to fit CHARS_PER_LINE
+function wrap(line) {
+  const out = [];
+  let rest = String(line);
+  while (rest.length > CHARS_PER_LINE) {
+    const cut = rest.lastIndexOf(" ", CHARS_PER_LINE);
+    const at = cut > INDENT.length ? cut : CHARS_PER_LINE;
+    out.push(rest.slice(0, at));
+    rest = INDENT + rest.slice(at).trimStart();
+  }
+  return [...out, rest];
+}
+
+// PDF string literal for one line
+function literal(text) {
+  const latin1 = String(text).replace(/[^\x20-\xff]/g, "?");
+  return `(${latin1.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+// Buffer holding a PDF with `lines` of text; `title` goes in the document info
+export function textPdf(lines, { title = "Report" } = {}) {
+  const wrapped = lines.flatMap(wrap);
+  const pages = [];
+  for (let i = 0; i < Math.max(wrapped.length, 1); i += LINES_PER_PAGE) pages.push(wrapped.slice(i, i + LINES_PER_PAGE));
+
+  // objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page + content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = `<< /Title ${literal(title)} /Producer (EcoRoute) >>`;
+  pages.forEach((pageLines, i) => {
+    const content = [
+      "BT",
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LEADING} TL`,
+      `${MARGIN} ${PAGE_H - MARGIN} Td`,
+      ...pageLines.map((l) => `${literal(l)} '`),
+      "ET",
+    ].join("\n");
+    objects[pageIds[i]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(out, "latin1");
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,43 @@
+/**
+ * ports.js - Sea ports for intermodal journeys
+ *
+ * Ports come from a GeoJSON of points ({ id (UN/LOCODE), name, country,
+ * dwell_hr? }). Only ports within reach of the shipping lane graph are kept,
+ * since the ocean leg starts and ends on it.
+ */
+
+import fs from "fs";
+import { haversineKm } from "./geo.js";
+import { snapToGraph } from "./laneGraph.js";
+
+// Ports further than this from the nearest lane can't start a voyage
+const MAX_LANE_SNAP_KM = 150;
+
+export function loadPorts(file, graph) {
+  const geojson = JSON.parse(fs.readFileSync(file, "utf8"));
+  return geojson.features
+    .filter((f) => f.geometry?.type === "Point")
+    .map((f) => {
+      const [lng, lat] = f.geometry.coordinates;
+      const snap = graph ? snapToGraph(graph, [lng, lat]) : null;
+      return {
+        id: f.properties.id,
+        name: f.properties.name,
+        country: f.properties.country,
+        dwell_hr: f.properties.dwell_hr ?? null,
+        lat,
+        lng,
+        lane_km: snap ? +snap.distKm.toFixed(1) : null,
+      };
+    })
+    .filter((p) => !graph || (p.lane_km !== null && p.lane_km <= MAX_LANE_SNAP_KM));
+}
+
+// Up to `count` ports within `maxKm` (great circle) of `point`, nearest first
+export function candidatePorts(ports, point, { count, maxKm }) {
+  return ports
+    .map((p) => ({ port: p, km: haversineKm([point.lng, point.lat], [p.lng, p.lat]) }))
+    .filter((c) => c.km <= maxKm)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, count);
+}
@@ -0,0 +1,168 @@
+/**
+ * profiles.js - Vehicle / vessel profile registry
+ *
+ * Built-in profiles and the fuel emission factors (CO₂ for the models, TTW and
+ * WTW CO₂e for reporting) come from a read-only JSON file; custom profiles are
+ * kept in a second JSON file and survive restarts.
+ *
+ * Every profile: { id, name, kind: "vehicle" | "vessel", fuel_type, design_speed_kph }
+ * Vehicles add:  routing (car | van | bike | ev), weight_kg, co2_factor (ML scaling
+ *                vs a car), fuel_curve [[kph, l or kWh per 100 km]]; electric ones
+ *                battery_kwh? and max_charge_kw? (DC)
+ * Vessels add:   deadweight_t, engine_kw (MCR), design_load (share of MCR at design
+ *                speed), aux_kw, sfoc_curve [[engine load 0..1, g/kWh]], vessel_size?
+ */
+
+import fs from "fs";
+import { resolveVesselSize } from "./chokepoints.js";
+
+const ROUTING = ["car", "van", "bike", "ev"];
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+// Auxiliary engines (4-stroke gensets) burn about this much at their usual load
+const AUX_SFOC_G_KWH = 220;
+
+// Error carrying the HTTP status the handlers should answer with
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function checkCurve(curve, field, xMax = Infinity) {
+  if (!Array.isArray(curve) || curve.length < 2)
+    throw fail(400, `${field} needs at least two [x, y] points`);
+  curve.forEach((pt, i) => {
+    if (!Array.isArray(pt) || pt.length !== 2 || !isNum(pt[0]) || !isNum(pt[1]) || pt[0] < 0 || pt[1] <= 0 || pt[0] > xMax)
+      throw fail(400, `${field}[${i}] must be [x, y] with x in 0..${xMax} and y > 0`);
+    if (i > 0 && pt[0] <= curve[i - 1][0]) throw fail(400, `${field} x values must increase`);
+  });
+}
+
+// Normalised copy of a profile, or throws (status 400) naming the bad field
+export function validateProfile(input, fuels) {
+  const p = { ...input };
+  if (typeof p.id !== "string" || !ID_PATTERN.test(p.id))
+    throw fail(400, "id must be 2-40 characters of a-z, 0-9, _ or -, starting with a letter or digit");
+  if (typeof p.name !== "string" || !p.name.trim()) throw fail(400, "name is required");
+  if (!["vehicle", "vessel"].includes(p.kind)) throw fail(400, 'kind must be "vehicle" or "vessel"');
+  if (!fuels[p.fuel_type]) throw fail(400, `fuel_type must be one of ${Object.keys(fuels).join(", ")}`);
+  if (!isNum(p.design_speed_kph) || p.design_speed_kph <= 0) throw fail(400, "design_speed_kph must be a positive number");
+
+  if (p.kind === "vehicle") {
+    if (!ROUTING.includes(p.routing)) throw fail(400, `routing must be one of ${ROUTING.join(", ")}`);
+    if (!isNum(p.weight_kg) || p.weight_kg <= 0) throw fail(400, "weight_kg must be a positive number");
+    p.co2_factor ??= 1.0;
+    if (!isNum(p.co2_factor) || p.co2_factor < 0) throw fail(400, "co2_factor must be a number >= 0");
+    checkCurve(p.fuel_curve, "fuel_curve");
+    for (const field of ["battery_kwh", "max_charge_kw"]) {
+      if (p[field] === undefined || p[field] === null) continue;
+      if (p.fuel_type !== "electricity") throw fail(400, `${field} is for electric vehicles`);
+      if (!isNum(p[field]) || p[field] <= 0) throw fail(400, `${field} must be a positive number`);
+    }
+  } else {
+    for (const field of ["deadweight_t", "engine_kw"])
+      if (!isNum(p[field]) || p[field] <= 0) throw fail(400, `${field} must be a positive number`);
+    p.design_load ??= 0.75;
+    if (!isNum(p.design_load) || p.design_load <= 0 || p.design_load > 1) throw fail(400, "design_load must be in (0, 1]");
+    p.aux_kw ??= 0;
+    if (!isNum(p.aux_kw) || p.aux_kw < 0) throw fail(400, "aux_kw must be a number >= 0");
+    checkCurve(p.sfoc_curve, "sfoc_curve", 1.1);
+    if (p.vessel_size !== undefined && p.vessel_size !== null) {
+      try {
+        resolveVesselSize(p.vessel_size);
+      } catch (err) {
+        throw fail(400, err.message);
+      }
+    }
+  }
+  delete p.builtin;
+  return p;
+}
+
+// Linear interpolation on an [[x, y]] curve, clamped at both ends
+export function interpolate(curve, x) {
+  if (x <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i];
+    if (x <= x1) {
+      const [x0, y0] = curve[i - 1];
+      return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+/**
+ * Fuel burnt by a vessel sailing `seaHours` at `speedKph` plus `portHours` of
+ * waiting (auxiliaries only). Main engine power follows the propeller law,
+ * P = MCR · design_load · (v / v_design)³, capped at MCR.
+ * Returns { fuel_kg, co2_kg, engine_load, sfoc_g_kwh }.
+ */
+export function vesselFuel(profile, fuels, speedKph, seaHours, portHours = 0) {
+  const load = Math.min(1, profile.design_load * (speedKph / profile.design_speed_kph) ** 3);
+  const sfoc = interpolate(profile.sfoc_curve, load);
+  const mainKg = (profile.engine_kw * load * sfoc * seaHours) / 1000;
+  const auxKg = (profile.aux_kw * AUX_SFOC_G_KWH * (seaHours + portHours)) / 1000;
+  const fuel_kg = mainKg + auxKg;
+  return {
+    fuel_kg,
+    co2_kg: fuel_kg * fuels[profile.fuel_type].co2_kg_per_unit,
+    engine_load: load,
+    sfoc_g_kwh: sfoc,
+  };
+}
+
+export function createProfileRegistry({ builtinPath, storePath }) {
+  const { fuels, profiles: builtins, emission_factors_source } = JSON.parse(fs.readFileSync(builtinPath, "utf8"));
+  const builtinIds = new Set(builtins.map((p) => p.id));
+  let custom = [];
+  if (fs.existsSync(storePath)) custom = JSON.parse(fs.readFileSync(storePath, "utf8")).profiles || [];
+
+  // write-then-rename so a crash never leaves half a file
+  function save() {
+    fs.writeFileSync(`${storePath}.tmp`, JSON.stringify({ profiles: custom }, null, 2));
+    fs.renameSync(`${storePath}.tmp`, storePath);
+  }
+
+  const all = () => [...builtins.map((p) => ({ ...p, builtin: true })), ...custom.map((p) => ({ ...p, builtin: false }))];
+
+  function editable(id) {
+    if (builtinIds.has(id)) throw fail(403, `Built-in profile "${id}" is read-only`);
+    const index = custom.findIndex((p) => p.id === id);
+    if (index === -1) throw fail(404, `Unknown profile "${id}"`);
+    return index;
+  }
+
+  return {
+    fuels,
+    factorsSource: emission_factors_source || null,
+
+    list(kind) {
+      return all().filter((p) => !kind || p.kind === kind);
+    },
+
+    get(id) {
+      return all().find((p) => p.id === id) || null;
+    },
+
+    create(input) {
+      const profile = validateProfile(input, fuels);
+      if (this.get(profile.id)) throw fail(409, `Profile "${profile.id}" already exists`);
+      custom.push(profile);
+      save();
+      return { ...profile, builtin: false };
+    },
+
+    update(id, input) {
+      const index = editable(id);
+      const profile = validateProfile({ ...input, id }, fuels);
+      custom[index] = profile;
+      save();
+      return { ...profile, builtin: false };
+    },
+
+    remove(id) {
+      custom.splice(editable(id), 1);
+      save();
+    },
+  };
+}
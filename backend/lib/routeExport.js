@@ -0,0 +1,218 @@
+/**
+ * routeExport.js - A v1 Route as GPX, KML, GeoJSON or RTZ for navigation tools
+ *
+ * Every format carries the route's distance, duration, fuel and CO₂: GPX in a
+ * track <extensions> block, KML as <ExtendedData>, GeoJSON as feature
+ * properties and RTZ as a routeInfo extension. RTZ (IEC 61174 route exchange)
+ * is for sea routes only; its waypoints are the voyage's lane vertices
+ * (dropping any within a kilometre of the last one), with the planned speed
+ * on each leg and, where the voyage has them, the departure and arrival times
+ * as a calculated schedule.
+ *
+ * Sea routes come with unwrapped longitudes (past ±180° across the
+ * antimeridian); exports wrap them back and split lines where they cross.
+ */
+
+import { httpError } from "./errors.js";
+import { haversineKm } from "./geo.js";
+
+export const EXPORT_FORMATS = {
+  gpx: { type: "application/gpx+xml", ext: "gpx" },
+  kml: { type: "application/vnd.google-earth.kml+xml", ext: "kml" },
+  geojson: { type: "application/geo+json", ext: "geojson" },
+  rtz: { type: "application/xml", ext: "rtz" },
+};
+
+// Namespace of the GPX and RTZ metric extensions
+const METRICS_NS = "urn:ecoroute:route-metrics:1";
+const KN_PER_KPH = 1 / 1.852;
+const MIN_WAYPOINT_KM = 1;
+
+const xml = (v) =>
+  String(v).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+const coord = (x) => +x.toFixed(6);
+const wrapLng = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// The figures every export embeds; nulls are left out
+export function routeMetrics(route) {
+  const metrics = {
+    route_id: route.id,
+    mode: route.mode ?? "road",
+    distance_km: route.distance_km,
+    duration_min: route.duration_min,
+    departure: route.departure ?? null,
+    arrival: route.arrival ?? null,
+    fuel_type: route.fuel.type,
+    fuel_amount: route.fuel.amount,
+    fuel_unit: route.fuel.unit,
+    co2_kg: route.co2_kg,
+    wtw_co2e_kg: route.emissions?.wtw_co2e_kg ?? null,
+  };
+  return Object.fromEntries(Object.entries(metrics).filter(([, v]) => v !== null && v !== undefined));
+}
+
+// A [lng, lat] position; longitudes may be unwrapped up to a turn past ±180°
+const isPosition = (p) =>
+  Array.isArray(p) &&
+  p.length >= 2 &&
+  Number.isFinite(p[0]) &&
+  Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 540 &&
+  Math.abs(p[1]) <= 90;
+
+// LineString / MultiLineString → lines of [lng, lat] within ±180°, split at the antimeridian
+function lines(geometry) {
+  const parts =
+    geometry?.type === "LineString" ? [geometry.coordinates] : geometry?.type === "MultiLineString" ? geometry.coordinates : null;
+  if (!parts?.length || parts.some((p) => !Array.isArray(p) || p.length < 2))
+    throw httpError(400, "route.geometry must be a LineString or MultiLineString", { field: "route.geometry" });
+  if (!parts.every((p) => p.every(isPosition)))
+    throw httpError(400, "route.geometry positions must be [lng, lat] numbers (lat -90..90)", { field: "route.geometry" });
+  const out = [];
+  for (const part of parts) {
+    let line = [];
+    for (const [lng, lat] of part) {
+      const point = [coord(wrapLng(lng)), coord(lat)];
+      const prev = line[line.length - 1];
+      if (prev && point[0] === prev[0] && point[1] === prev[1]) continue;
+      if (prev && Math.abs(point[0] - prev[0]) > 180) {
+        out.push(line);
+        line = [];
+      }
+      line.push(point);
+    }
+    out.push(line);
+  }
+  return out.filter((l) => l.length > 1);
+}
+
+const summary = (m) =>
+  `${m.distance_km} km, ${m.duration_min} min, ${m.fuel_amount} ${m.fuel_unit} ${m.fuel_type}, ${m.co2_kg} kg CO2`;
+
+function toGpx(route, name) {
+  const m = routeMetrics(route);
+  const segments = lines(route.geometry).map(
+    (line) => `      <trkseg>\n${line.map(([lng, lat]) => `        <trkpt lat="${lat}" lon="${lng}"/>`).join("\n")}\n      </trkseg>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="EcoRoute" xmlns="http://www.topografix.com/GPX/1/1" xmlns:eco="${METRICS_NS}">`,
+    `  <metadata><name>${xml(name)}</name></metadata>`,
+    "  <trk>",
+    `    <name>${xml(name)}</name>`,
+    `    <desc>${xml(summary(m))}</desc>`,
+    "    <extensions>",
+    "      <eco:metrics>",
+    ...Object.entries(m).map(([k, v]) => `        <eco:${k}>${xml(v)}</eco:${k}>`),
+    "      </eco:metrics>",
+    "    </extensions>",
+    ...segments,
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+function toKml(route, name) {
+  const m = routeMetrics(route);
+  const lineStrings = lines(route.geometry).map(
+    (line) => `<LineString><tessellate>1</tessellate><coordinates>${line.map((p) => p.join(",")).join(" ")}</coordinates></LineString>`
+  );
+  const geometry = lineStrings.length === 1 ? lineStrings[0] : `<MultiGeometry>${lineStrings.join("")}</MultiGeometry>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${xml(name)}</name>`,
+    '    <Style id="route"><LineStyle><color>ff60ae27</color><width>4</width></LineStyle></Style>',
+    "    <Placemark>",
+    `      <name>${xml(name)}</name>`,
+    `      <description>${xml(summary(m))}</description>`,
+    "      <styleUrl>#route</styleUrl>",
+    "      <ExtendedData>",
+    ...Object.entries(m).map(([k, v]) => `        <Data name="${k}"><value>${xml(v)}</value></Data>`),
+    "      </ExtendedData>",
+    `      ${geometry}`,
+    "    </Placemark>",
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+function toGeoJson(route, name) {
+  const parts = lines(route.geometry);
+  const geometry = parts.length === 1 ? { type: "LineString", coordinates: parts[0] } : { type: "MultiLineString", coordinates: parts };
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: [{ type: "Feature", geometry, properties: { name, ...routeMetrics(route) } }],
+  });
+}
+
+function toRtz(route, name) {
+  if (route.mode !== "sea") throw httpError(400, "RTZ export is for sea routes", { field: "format" });
+  const m = routeMetrics(route);
+  const all = lines(route.geometry).flat();
+  const points = [all[0]];
+  for (const p of all.slice(1, -1)) if (haversineKm(p, points[points.length - 1]) >= MIN_WAYPOINT_KM) points.push(p);
+  points.push(all[all.length - 1]);
+  const speedKn = route.speed_kn ?? (route.duration_min > 0 ? (route.distance_km / (route.duration_min / 60)) * KN_PER_KPH : null);
+  const leg = speedKn ? `<leg speedMax="${+speedKn.toFixed(1)}" geometryType="Loxodrome"/>` : '<leg geometryType="Loxodrome"/>';
+  const waypoints = points.map(([lng, lat], i) => {
+    const label = i === 0 ? "Departure" : i === points.length - 1 ? "Arrival" : `WP${i}`;
+    return [
+      `    <waypoint id="${i + 1}" name="${label}">`,
+      `      <position lat="${lat}" lon="${lng}"/>`,
+      ...(i > 0 ? [`      ${leg}`] : []),
+      "    </waypoint>",
+    ].join("\n");
+  });
+  const schedule =
+    m.departure && m.arrival
+      ? [
+          "  <schedules>",
+          '    <schedule id="1" name="Planned">',
+          "      <calculated>",
+          `        <scheduleElement waypointId="1" etd="${m.departure}"/>`,
+          `        <scheduleElement waypointId="${points.length}" eta="${m.arrival}"/>`,
+          "      </calculated>",
+          "    </schedule>",
+          "  </schedules>",
+        ]
+      : [];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<route xmlns="http://www.cirm.org/RTZ/1/0" version="1.0">',
+    `  <routeInfo routeName="${xml(name)}">`,
+    "    <extensions>",
+    `      <extension manufacturer="EcoRoute" name="metrics" version="1">`,
+    `        <metrics xmlns="${METRICS_NS}"${Object.entries(m)
+      .map(([k, v]) => ` ${k}="${xml(v)}"`)
+      .join("")}/>`,
+    "      </extension>",
+    "    </extensions>",
+    "  </routeInfo>",
+    "  <waypoints>",
+    ...waypoints,
+    "  </waypoints>",
+    ...schedule,
+    "</route>",
+    "",
+  ].join("\n");
+}
+
+const WRITERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson, rtz: toRtz };
+
+// → { body, type, filename }; `name` defaults to "EcoRoute <id> route"
+export function exportRoute(route, format, { name } = {}) {
+  const title = name || `EcoRoute ${route.id} route`;
+  const slug =
+    title
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "route";
+  const { type, ext } = EXPORT_FORMATS[format];
+  return { body: WRITERS[format](route, title), type, filename: `${slug}.${ext}` };
+}
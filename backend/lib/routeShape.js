@@ -0,0 +1,158 @@
+/**
+ * routeShape.js - The v1 API's unified route shape
+ *
+ * The land, multi-stop, ocean and intermodal planners each answer in their own
+ * shape (kept as is under /api). Under /api/v1 every plan is
+ *
+ *   { kind, vehicle, recommended, co2_saved_percent, routes: [Route], ... }
+ *
+ * and every road or sea route, leg included, is a Route:
+ *
+ *   { id, mode: "road" | "sea", distance_km, duration_min, departure, arrival,
+ *     co2_kg, fuel: { type, amount, unit }, prediction, emissions, geometry, ... }
+ *
+ * with the mode's own detail (elevation and segments on roads, speed, lanes
+ * and chokepoints at sea) alongside. Durations are always minutes.
+ */
+
+const minutes = (hours) => +(hours * 60).toFixed(1);
+
+// Fuel or energy used, from the emissions block (which is in the fuel's own unit)
+const fuelOf = (emissions) => ({ type: emissions.fuel_type, amount: emissions.fuel_amount, unit: emissions.fuel_unit });
+
+// CO₂ the chosen route saves over the other one, in whole percent
+const savedPercent = (chosen, other) =>
+  Math.round(Math.max(0, ((other.co2_kg - chosen.co2_kg) / (other.co2_kg || 1)) * 100));
+
+// Land route (formatResult) → Route
+export function roadRoute(id, route) {
+  const { distance_km, duration_min, co2_kg, prediction, emissions, geometry, fuel_l, energy_kwh, ...detail } = route;
+  return {
+    id,
+    mode: "road",
+    distance_km,
+    duration_min,
+    departure: detail.traffic?.departure ?? null,
+    arrival: detail.traffic?.arrival ?? null,
+    co2_kg,
+    fuel: fuelOf(emissions),
+    prediction,
+    emissions,
+    geometry,
+    ...detail,
+  };
+}
+
+// Ocean route (planOceanRoute) → Route; `legs` there are lane stretches
+export function seaRoute(id, route) {
+  const { distance_km, duration_hr, departure, arrival, co2_kg, emissions, geometry, legs, fuel_t, fuel_type, ...detail } =
+    route;
+  return {
+    id,
+    mode: "sea",
+    distance_km,
+    duration_min: minutes(duration_hr),
+    departure,
+    arrival,
+    co2_kg,
+    fuel: fuelOf(emissions),
+    prediction: "sfoc",
+    emissions,
+    geometry,
+    lanes: legs,
+    ...detail,
+  };
+}
+
+// findRoutes → plan with the fast and eco routes; the other candidates are alternatives
+export function landPlan(plan, { optimizeFor = "co2" } = {}) {
+  return {
+    kind: "land",
+    vehicle: plan.vehicle,
+    recommended: optimizeFor === "time" ? "fast" : "eco",
+    co2_saved_percent: plan.co2SavedPercent,
+    co2_savings: plan.co2_savings,
+    eco_is_fastest: plan.eco_is_fastest,
+    routes: [roadRoute("fast", plan.time_optimized), roadRoute("eco", plan.eco_optimized)],
+    alternatives: plan.candidates.map(({ rank, via, fastest, ...route }) => ({
+      ...roadRoute(`candidate-${rank}`, route),
+      rank,
+      via,
+      fastest,
+    })),
+    ...(plan.warnings ? { warnings: plan.warnings } : {}),
+  };
+}
+
+// planMultiStop → plan with one trip route through the stops, its legs as Routes
+export function multiStopPlan(plan) {
+  const legs = plan.legs.map(({ leg, from, to, ...route }) => ({ ...roadRoute(`leg-${leg}`, route), from, to }));
+  const { distance_km, duration_min, co2_kg, emissions } = plan.totals;
+  return {
+    kind: "multi_stop",
+    vehicle: plan.vehicle,
+    recommended: "trip",
+    co2_saved_percent: null,
+    optimize_order: plan.optimizeOrder,
+    order: plan.order,
+    stops: plan.stops,
+    routes: [
+      {
+        id: "trip",
+        mode: "road",
+        distance_km,
+        duration_min,
+        departure: legs[0].departure,
+        arrival: legs[legs.length - 1].arrival,
+        co2_kg,
+        // one profile, so one fuel
+        fuel: Object.entries(emissions.fuel).map(([type, f]) => ({ type, ...f }))[0],
+        prediction: legs.some((l) => l.prediction === "analytic") ? "analytic" : legs[0].prediction,
+        emissions,
+        geometry: {
+          type: "LineString",
+          coordinates: legs.flatMap((l, i) => (i === 0 ? l.geometry.coordinates : l.geometry.coordinates.slice(1))),
+        },
+        legs,
+      },
+    ],
+    ...(plan.warnings ? { warnings: plan.warnings } : {}),
+  };
+}
+
+// planOceanRoute → plan with the eco and safe voyages
+export function oceanPlan(plan) {
+  const { eco_route, safe_route, vessel, ...detail } = plan;
+  return {
+    kind: "ocean",
+    vehicle: vessel,
+    recommended: "eco",
+    co2_saved_percent: savedPercent(eco_route, safe_route),
+    routes: [seaRoute("eco", eco_route), seaRoute("safe", safe_route)],
+    ...detail,
+  };
+}
+
+// planJourney → journeys whose road and sea legs are Routes; port stops keep
+// their own { mode: "port" } shape
+export function journeyPlan(plan) {
+  const leg = (l, i) => {
+    if (l.mode === "port") {
+      const { dwell_hr, ...stop } = l;
+      return { ...stop, dwell_min: minutes(dwell_hr) };
+    }
+    const { from, to, vehicle, vessel, duration_hr, ...route } = l;
+    const id = `leg-${i + 1}`;
+    // journey legs carry their own departure / arrival, which replace the road defaults
+    const shaped =
+      l.mode === "sea" ? seaRoute(id, { ...route, duration_hr }) : roadRoute(id, { ...route, duration_min: minutes(duration_hr) });
+    return { ...shaped, from, to, profile: vehicle ?? vessel };
+  };
+  const { port_dwell_hr, journeys, ...rest } = plan;
+  return {
+    kind: "intermodal",
+    ...rest,
+    port_dwell_min: minutes(port_dwell_hr),
+    journeys: journeys.map(({ duration_hr, legs, ...j }) => ({ ...j, duration_min: minutes(duration_hr), legs: legs.map(leg) })),
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * routing/index.js - Routing provider registry
+ *
+ * Every provider exposes the same interface and answers in OSRM's shape
+ * (metres, seconds, GeoJSON geometry, per-leg annotations):
+ *
+ *   route(points, { vehicle, alternatives, steps }) -> { routes: [{ distance, duration, geometry, legs }] }
+ *   table(points, { vehicle })                      -> { distances: [[m]], durations: [[s]] }
+ *
+ * With `steps`, legs carry OSRM-style `steps[]` ({ maneuver: { type, modifier }, intersections? });
+ * an intersection may add `traffic_signal: true|false` when the provider knows.
+ *
+ * Which provider serves which vehicle is configured with environment variables:
+ *   ROUTING_PROVIDER=osrm|valhalla|offline      default for every vehicle (osrm)
+ *   ROUTING_PROVIDER_<VEHICLE>=...              per-vehicle override, e.g. ROUTING_PROVIDER_BIKE=valhalla
+ *   OSRM_URL, VALHALLA_URL, OFFLINE_ROADS       provider settings
+ *   ROUTING_TIMEOUT_MS                          how long to wait for OSRM / Valhalla (10000)
+ */
+
+import { createOsrmProvider } from "./osrm.js";
+import { createValhallaProvider } from "./valhalla.js";
+import { createOfflineProvider } from "./offline.js";
+
+const timeoutMs = () => Number(process.env.ROUTING_TIMEOUT_MS || 10000);
+
+const FACTORIES = {
+  osrm: () => createOsrmProvider({ baseUrl: process.env.OSRM_URL || undefined, timeoutMs: timeoutMs() }),
+  valhalla: () => createValhallaProvider({ baseUrl: process.env.VALHALLA_URL || undefined, timeoutMs: timeoutMs() }),
+  offline: () => createOfflineProvider({ roadsPath: process.env.OFFLINE_ROADS || undefined }),
+};
+
+// Providers are created on first use and shared between vehicles
+const instances = new Map();
+
+function getProvider(name) {
+  if (!FACTORIES[name]) throw new Error(`Unknown routing provider "${name}"`);
+  if (!instances.has(name)) instances.set(name, FACTORIES[name]());
+  return instances.get(name);
+}
+
+export function providerNameFor(vehicle) {
+  return process.env[`ROUTING_PROVIDER_${vehicle.toUpperCase()}`] || process.env.ROUTING_PROVIDER || "osrm";
+}
+
+export function routingProviderFor(vehicle) {
+  return getProvider(providerNameFor(vehicle));
+}
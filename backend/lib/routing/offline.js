@@ -0,0 +1,209 @@
+/**
+ * offline.js - Routing provider over a bundled road GeoJSON (no network needed)
+ *
+ * Roads are LineStrings with a `highway` class (motorway, trunk, primary, ...)
+ * and optional `maxspeed_kph`; lines sharing a coordinate are connected.
+ * Points tagged `highway: "traffic_signals"` on a road vertex mark signals.
+ * Searches minimise travel time with the lane-graph shortest-path code;
+ * alternatives come from re-running with the previous routes penalised.
+ */
+
+import fs from "fs";
+import { haversineKm, bearingDeg } from "../geo.js";
+import { snapToGraph, shortestPath, labelComponents } from "../laneGraph.js";
+import { headingChange, turnModifier } from "../maneuvers.js";
+import { httpError } from "../errors.js";
+
+// Default speed per road class (km/h)
+const ROAD_SPEED_KPH = {
+  motorway: 110,
+  trunk: 80,
+  primary: 65,
+  secondary: 55,
+  tertiary: 45,
+  residential: 30,
+};
+
+// Per-vehicle speed caps. The bundled sample is a coarse intercity network, so
+// every class stays open to every vehicle (motorways stand in for the roads
+// alongside them) and only the speed differs.
+const VEHICLE_MAX_KPH = { car: 130, ev: 130, van: 100, bike: 18 };
+
+// Alternatives: penalty on already-used edges, and how different/long they may be
+const ALT_PENALTY = 1.5;
+const ALT_MAX_OVERLAP = 0.8;
+const ALT_MAX_STRETCH = 1.5;
+
+const vertexKey = (p) => `${p[0].toFixed(6)},${p[1].toFixed(6)}`;
+
+function buildRoadGraph(geojson) {
+  const nodes = [];
+  const adj = [];
+  const edges = [];
+  const keyToId = new Map();
+  const vertex = (p) => {
+    const key = vertexKey(p);
+    let id = keyToId.get(key);
+    if (id === undefined) {
+      id = nodes.length;
+      keyToId.set(key, id);
+      nodes.push([p[0], p[1]]);
+      adj.push([]);
+    }
+    return id;
+  };
+
+  for (const feat of geojson.features) {
+    if (feat.geometry?.type !== "LineString") continue;
+    const props = feat.properties || {};
+    const type = props.highway || "primary";
+    const speed = props.maxspeed_kph || ROAD_SPEED_KPH[type] || 50;
+    const coords = feat.geometry.coordinates;
+    for (let i = 1; i < coords.length; i++) {
+      const a = vertex(coords[i - 1]);
+      const b = vertex(coords[i]);
+      if (a === b) continue;
+      const edge = { id: edges.length, a, b, km: haversineKm(nodes[a], nodes[b]), type, speed_kph: speed };
+      if (props.ref) edge.name = props.ref;
+      edges.push(edge);
+      adj[a].push(edge.id);
+      adj[b].push(edge.id);
+    }
+  }
+  // Signals only count once the lines are in, and only on a road vertex
+  const signals = new Set();
+  for (const feat of geojson.features) {
+    if (feat.geometry?.type !== "Point" || feat.properties?.highway !== "traffic_signals") continue;
+    const id = keyToId.get(vertexKey(feat.geometry.coordinates));
+    if (id !== undefined) signals.add(id);
+  }
+
+  const graph = { nodes, edges, adj, keyToId, signals };
+  graph.component = labelComponents(graph);
+  return graph;
+}
+
+export function createOfflineProvider({ roadsPath = "./data/roads_sample.geojson", maxSnapKm = 50 } = {}) {
+  const graph = buildRoadGraph(JSON.parse(fs.readFileSync(roadsPath, "utf8")));
+
+  const hoursFn = (vehicle) => (e) =>
+    e.km / Math.min(e.speed_kph, VEHICLE_MAX_KPH[vehicle] || VEHICLE_MAX_KPH.car);
+
+  function snapAll(points) {
+    const snaps = points.map((p) => snapToGraph(graph, [p.lng, p.lat]));
+    return snaps.every((s) => s && s.distKm <= maxSnapKm) ? snaps : null;
+  }
+
+  // OSRM-style steps: a new step wherever the road (ref) changes; junction
+  // vertices (3+ roads) and signals along the way are the step's intersections
+  function legSteps(coords, segEdges, dist, dur) {
+    const intersection = (k) => {
+      const x = { location: coords[k] };
+      if (graph.signals.size > 0) x.traffic_signal = graph.signals.has(graph.keyToId.get(vertexKey(coords[k])));
+      return x;
+    };
+    const newStep = (k, maneuver) => ({
+      distance: 0,
+      duration: 0,
+      name: segEdges[Math.min(k, segEdges.length - 1)]?.name || "",
+      maneuver: { ...maneuver, location: coords[k] },
+      intersections: [intersection(k)],
+    });
+    const steps = [newStep(0, { type: "depart" })];
+    for (let k = 0; k < segEdges.length; k++) {
+      if (k > 0) {
+        const node = graph.keyToId.get(vertexKey(coords[k]));
+        if (segEdges[k].name !== segEdges[k - 1].name) {
+          const delta = headingChange(bearingDeg(coords[k - 1], coords[k]), bearingDeg(coords[k], coords[k + 1]));
+          const modifier = turnModifier(delta);
+          steps.push(newStep(k, { type: modifier === "straight" ? "new name" : "turn", modifier }));
+        } else if (node !== undefined && (graph.adj[node].length >= 3 || graph.signals.has(node))) {
+          steps[steps.length - 1].intersections.push(intersection(k));
+        }
+      }
+      steps[steps.length - 1].distance += dist[k];
+      steps[steps.length - 1].duration += dur[k];
+    }
+    steps.push(newStep(coords.length - 1, { type: "arrive" }));
+    return steps;
+  }
+
+  // Shortest path per consecutive pair of snapped points → OSRM-style route
+  function routeThrough(snaps, vehicle, edgeCost) {
+    const hours = hoursFn(vehicle);
+    const coordinates = [];
+    const legs = [];
+    const used = new Set();
+    for (let i = 1; i < snaps.length; i++) {
+      const from = snaps[i - 1];
+      const to = snaps[i];
+      const path = shortestPath(graph, from, to, { edgeCost });
+      if (!path) return null;
+      path.edges.forEach((e) => used.add(e.id));
+      // partial pieces at either end run along the snapped edges
+      const segEdges = path.segmentEdges.map((e, k) => e || (k === 0 ? from.edge : to.edge));
+      const dist = [];
+      const dur = [];
+      for (let k = 1; k < path.coordinates.length; k++) {
+        const km = haversineKm(path.coordinates[k - 1], path.coordinates[k]);
+        dist.push(km * 1000);
+        dur.push(hours({ ...segEdges[k - 1], km }) * 3600);
+      }
+      coordinates.push(...(coordinates.length ? path.coordinates.slice(1) : path.coordinates));
+      legs.push({
+        distance: dist.reduce((a, b) => a + b, 0),
+        duration: dur.reduce((a, b) => a + b, 0),
+        steps: legSteps(path.coordinates, segEdges, dist, dur),
+        annotation: { distance: dist, duration: dur },
+      });
+    }
+    return {
+      distance: legs.reduce((a, l) => a + l.distance, 0),
+      duration: legs.reduce((a, l) => a + l.duration, 0),
+      geometry: { type: "LineString", coordinates },
+      legs,
+      used,
+    };
+  }
+
+  return {
+    name: "offline",
+
+    async route(points, { vehicle = "car", alternatives = false } = {}) {
+      const snaps = snapAll(points);
+      if (!snaps) return { routes: [] };
+      const hours = hoursFn(vehicle);
+      const best = routeThrough(snaps, vehicle, hours);
+      if (!best) return { routes: [] };
+
+      const routes = [best];
+      const penalised = new Set(best.used);
+      const wanted = alternatives === true ? 3 : Number(alternatives) || 1;
+      for (let attempt = 0; routes.length < wanted && attempt < 4; attempt++) {
+        const alt = routeThrough(snaps, vehicle, (e) => hours(e) * (penalised.has(e.id) ? ALT_PENALTY : 1));
+        if (!alt) break;
+        alt.used.forEach((id) => penalised.add(id));
+        const shared = [...alt.used].filter((id) => best.used.has(id));
+        const overlap = shared.reduce((a, id) => a + graph.edges[id].km, 0) / (best.distance / 1000 || 1);
+        if (overlap < ALT_MAX_OVERLAP && alt.duration <= best.duration * ALT_MAX_STRETCH) routes.push(alt);
+      }
+      return { routes: routes.map(({ used, ...route }) => route) };
+    },
+
+    async table(points, { vehicle = "car" } = {}) {
+      const snaps = snapAll(points);
+      if (!snaps) throw httpError(422, "Stops outside the offline road network", { code: "NO_ROUTE" });
+      const hours = hoursFn(vehicle);
+      const distances = snaps.map(() => []);
+      const durations = snaps.map(() => []);
+      snaps.forEach((from, i) =>
+        snaps.forEach((to, j) => {
+          const route = i === j ? { distance: 0, duration: 0 } : routeThrough([from, to], vehicle, hours);
+          distances[i][j] = route ? route.distance : null;
+          durations[i][j] = route ? route.duration : null;
+        })
+      );
+      return { distances, durations };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * osrm.js - Routing provider for the OSRM HTTP API (public demo or self-hosted)
+ */
+
+import fetch from "node-fetch";
+import { httpError, upstreamError } from "../errors.js";
+
+// OSRM profile per vehicle
+const PROFILES = {
+  car: "driving",
+  van: "driving",
+  ev: "driving",
+  bike: "bike",
+};
+
+// Build OSRM coords string ("lng,lat;lng,lat;...")
+function coordsToOsrm(points) {
+  return points.map((p) => `${p.lng},${p.lat}`).join(";");
+}
+
+export function createOsrmProvider({ baseUrl = "https://router.project-osrm.org", timeoutMs = 10000 } = {}) {
+  const url = (service, vehicle, points) =>
+    `${baseUrl}/${service}/v1/${PROFILES[vehicle] || PROFILES.car}/${coordsToOsrm(points)}`;
+
+  // OSRM's JSON answer; "NoRoute" is an answer (no routes), other codes are errors
+  async function get(u) {
+    let r, j;
+    try {
+      r = await fetch(u, { signal: AbortSignal.timeout(timeoutMs) });
+      j = await r.json();
+    } catch (err) {
+      throw upstreamError("OSRM", err);
+    }
+    if (!r.ok && j.code !== "NoRoute") {
+      throw httpError(502, `OSRM error: ${j.message || j.code || r.status}`, { code: "UPSTREAM_ERROR", service: "OSRM" });
+    }
+    return j;
+  }
+
+  return {
+    name: "osrm",
+
+    async route(points, { vehicle = "car", alternatives = false, steps = false } = {}) {
+      const params = new URLSearchParams({
+        alternatives: String(alternatives),
+        steps: String(steps),
+        geometries: "geojson",
+        overview: "full",
+        annotations: "distance,duration",
+      });
+      const j = await get(`${url("route", vehicle, points)}?${params}`);
+      return { routes: j.routes || [] };
+    },
+
+    async table(points, { vehicle = "car" } = {}) {
+      const j = await get(`${url("table", vehicle, points)}?annotations=distance,duration`);
+      if (!j.distances || !j.durations) {
+        throw httpError(502, "No distance table from OSRM", { code: "UPSTREAM_ERROR", service: "OSRM" });
+      }
+      return { distances: j.distances, durations: j.durations };
+    },
+  };
+}
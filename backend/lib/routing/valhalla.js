@@ -0,0 +1,147 @@
+/**
+ * valhalla.js - Routing provider for a self-hosted Valhalla server
+ *
+ * Valhalla answers in km / seconds with polyline6 shapes; results are
+ * converted to the OSRM-style shape the route handlers use.
+ */
+
+import fetch from "node-fetch";
+import { haversineKm } from "../geo.js";
+import { httpError, upstreamError } from "../errors.js";
+
+// Valhalla costing model per vehicle
+const COSTING = {
+  car: "auto",
+  van: "auto",
+  ev: "auto",
+  bike: "bicycle",
+};
+
+// Valhalla maneuver type → OSRM step maneuver { type, modifier }
+const MANEUVERS = {
+  1: ["depart"], 2: ["depart", "right"], 3: ["depart", "left"],
+  4: ["arrive"], 5: ["arrive", "right"], 6: ["arrive", "left"],
+  7: ["new name", "straight"], 8: ["continue", "straight"],
+  9: ["turn", "slight right"], 10: ["turn", "right"], 11: ["turn", "sharp right"],
+  12: ["turn", "uturn"], 13: ["turn", "uturn"],
+  14: ["turn", "sharp left"], 15: ["turn", "left"], 16: ["turn", "slight left"],
+  17: ["on ramp", "straight"], 18: ["on ramp", "right"], 19: ["on ramp", "left"],
+  20: ["off ramp", "slight right"], 21: ["off ramp", "slight left"],
+  22: ["fork", "straight"], 23: ["fork", "slight right"], 24: ["fork", "slight left"],
+  25: ["merge", "straight"], 26: ["roundabout"], 27: ["exit roundabout"],
+  37: ["merge", "slight right"], 38: ["merge", "slight left"],
+};
+
+// Valhalla error codes meaning "no route between these points" rather than a failure
+const NO_ROUTE_CODES = new Set([170, 171, 442, 443]);
+
+// Decode a Valhalla polyline6 string to [[lng, lat]]
+function decodePolyline6(str) {
+  const coords = [];
+  let index = 0, lat = 0, lng = 0;
+  while (index < str.length) {
+    for (const which of ["lat", "lng"]) {
+      let result = 0, shift = 0, byte;
+      do {
+        byte = str.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (which === "lat") lat += delta;
+      else lng += delta;
+    }
+    coords.push([lng / 1e6, lat / 1e6]);
+  }
+  return coords;
+}
+
+// Valhalla trip → OSRM-style route. Valhalla gives no per-segment timings, so
+// each leg's duration is spread over its segments by length.
+function tripToRoute(trip) {
+  const coordinates = [];
+  const legs = trip.legs.map((leg) => {
+    const shape = decodePolyline6(leg.shape);
+    const dist = [];
+    for (let i = 1; i < shape.length; i++) dist.push(haversineKm(shape[i - 1], shape[i]) * 1000);
+    const total = dist.reduce((a, b) => a + b, 0) || 1;
+    coordinates.push(...(coordinates.length ? shape.slice(1) : shape));
+    // Valhalla reports no intersections per maneuver, so steps carry none
+    const steps = (leg.maneuvers || []).map((m) => {
+      const [type, modifier] = MANEUVERS[m.type] || ["notification"];
+      return {
+        distance: m.length * 1000,
+        duration: m.time,
+        name: (m.street_names || []).join(", "),
+        maneuver: { type, ...(modifier ? { modifier } : {}), location: shape[m.begin_shape_index] },
+      };
+    });
+    return {
+      distance: leg.summary.length * 1000,
+      duration: leg.summary.time,
+      steps,
+      annotation: { distance: dist, duration: dist.map((d) => (d / total) * leg.summary.time) },
+    };
+  });
+  return {
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    geometry: { type: "LineString", coordinates },
+    legs,
+  };
+}
+
+export function createValhallaProvider({ baseUrl = "http://localhost:8002", timeoutMs = 10000 } = {}) {
+  // JSON answer, or null when Valhalla found no route
+  async function post(path, body) {
+    let r, j;
+    try {
+      r = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      j = await r.json();
+    } catch (err) {
+      throw upstreamError("Valhalla", err);
+    }
+    if (!r.ok) {
+      if (NO_ROUTE_CODES.has(j.error_code)) return null;
+      throw httpError(502, "Valhalla error: " + (j.error || r.status), { code: "UPSTREAM_ERROR", service: "Valhalla" });
+    }
+    return j;
+  }
+  const locations = (points) => points.map((p) => ({ lat: p.lat, lon: p.lng }));
+
+  return {
+    name: "valhalla",
+
+    async route(points, { vehicle = "car", alternatives = false } = {}) {
+      const j = await post("/route", {
+        locations: locations(points),
+        costing: COSTING[vehicle] || COSTING.car,
+        units: "kilometers",
+        ...(alternatives ? { alternates: 2 } : {}),
+      });
+      if (!j) return { routes: [] };
+      const trips = [j.trip, ...(j.alternates || []).map((a) => a.trip)].filter(Boolean);
+      return { routes: trips.map(tripToRoute) };
+    },
+
+    async table(points, { vehicle = "car" } = {}) {
+      const j = await post("/sources_to_targets", {
+        sources: locations(points),
+        targets: locations(points),
+        costing: COSTING[vehicle] || COSTING.car,
+        units: "kilometers",
+      });
+      if (!j) throw httpError(422, "No route between some of the stops", { code: "NO_ROUTE" });
+      const rows = j.sources_to_targets;
+      return {
+        distances: rows.map((row) => row.map((c) => (c.distance === null ? null : c.distance * 1000))),
+        durations: rows.map((row) => row.map((c) => c.time)),
+      };
+    },
+  };
+}
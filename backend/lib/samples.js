@@ -0,0 +1,160 @@
+/**
+ * samples.js - Labelled training samples from recorded trips, in SQLite
+ *
+ * A sample is one recorded trip map-matched to a route: the feature vector the
+ * ML service scores (the same one callML sends) and, as labels, the fuel the
+ * trip actually used and its CO₂. The matched geometry is kept so features
+ * can be worked out again should they change. The ML service's train_model.py
+ * reads this database directly.
+ *
+ * A vehicle profile can't start two trips at the same moment, so (vehicle,
+ * started_at) identifies a trip; uploading it again is a 409.
+ */
+
+import Database from "better-sqlite3";
+import { httpError } from "./errors.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    source TEXT NOT NULL,
+    trip_id TEXT NOT NULL,
+    vehicle TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    duration_min REAL NOT NULL,
+    trace_km REAL NOT NULL,
+    distance_km REAL NOT NULL,
+    elevation_gain_m REAL NOT NULL,
+    elevation_loss_m REAL NOT NULL,
+    avg_speed_kph REAL NOT NULL,
+    turns INTEGER NOT NULL,
+    humps INTEGER NOT NULL,
+    weight_kg REAL NOT NULL,
+    traffic_index REAL NOT NULL,
+    route_type TEXT NOT NULL,
+    co2_factor REAL NOT NULL,
+    fuel_type TEXT NOT NULL,
+    fuel_l REAL NOT NULL,
+    co2_kg REAL NOT NULL,
+    geometry TEXT NOT NULL,
+    UNIQUE (vehicle, started_at)
+  );
+  CREATE INDEX IF NOT EXISTS samples_started_at ON samples (started_at);
+`;
+
+// The ML feature columns, in the order train_model.py uses them
+export const FEATURE_COLUMNS = [
+  "distance_km",
+  "elevation_gain_m",
+  "elevation_loss_m",
+  "avg_speed_kph",
+  "turns",
+  "humps",
+  "weight_kg",
+  "traffic_index",
+  "route_type",
+  "co2_factor",
+];
+
+export const SAMPLE_COLUMNS = [
+  "id",
+  "created_at",
+  "source",
+  "trip_id",
+  "vehicle",
+  "started_at",
+  "duration_min",
+  "trace_km",
+  ...FEATURE_COLUMNS,
+  "fuel_type",
+  "fuel_l",
+  "co2_kg",
+];
+
+function fromRow({ geometry, ...row }, { withGeometry = false } = {}) {
+  const pick = (keys) => Object.fromEntries(keys.map((k) => [k, row[k]]));
+  return {
+    ...pick(["id", "created_at", "source", "trip_id", "vehicle", "started_at", "duration_min", "trace_km"]),
+    features: pick(FEATURE_COLUMNS),
+    labels: pick(["fuel_type", "fuel_l", "co2_kg"]),
+    ...(withGeometry ? { geometry: JSON.parse(geometry) } : {}),
+  };
+}
+
+// WHERE clause for the optional vehicle / from / to filters (on started_at)
+function filters({ vehicle, from, to }) {
+  const where = [];
+  if (vehicle !== undefined) where.push("vehicle = @vehicle");
+  if (from !== undefined) where.push("started_at >= @from");
+  if (to !== undefined) where.push("started_at < @to");
+  return {
+    sql: where.length ? `WHERE ${where.join(" AND ")}` : "",
+    params: {
+      ...(vehicle !== undefined ? { vehicle } : {}),
+      ...(from !== undefined ? { from: new Date(from).toISOString() } : {}),
+      ...(to !== undefined ? { to: new Date(to).toISOString() } : {}),
+    },
+  };
+}
+
+const round = (x, digits = 3) => +x.toFixed(digits);
+
+export function createSampleStore(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`
+    INSERT INTO samples (created_at, source, trip_id, vehicle, started_at, duration_min, trace_km,
+      ${FEATURE_COLUMNS.join(", ")}, fuel_type, fuel_l, co2_kg, geometry)
+    VALUES (@created_at, @source, @trip_id, @vehicle, @started_at, @duration_min, @trace_km,
+      ${FEATURE_COLUMNS.map((c) => `@${c}`).join(", ")}, @fuel_type, @fuel_l, @co2_kg, @geometry)
+  `);
+  const byTrip = db.prepare("SELECT id FROM samples WHERE vehicle = ? AND started_at = ?");
+  const byId = db.prepare("SELECT * FROM samples WHERE id = ?");
+
+  return {
+    // `features` as mlFeatures builds them; `trace` as traceSummary gives it
+    add({ source, vehicle, trace, features, fuelType, fuelUsed, co2Kg, geometry }) {
+      if (byTrip.get(vehicle, trace.started_at))
+        throw httpError(409, `Trip "${trace.trip_id}" (${vehicle}, ${trace.started_at}) is already recorded`);
+      const { lastInsertRowid } = insert.run({
+        created_at: new Date().toISOString(),
+        source,
+        trip_id: trace.trip_id,
+        vehicle,
+        started_at: trace.started_at,
+        duration_min: round(trace.duration_s / 60, 1),
+        trace_km: round(trace.trace_km, 2),
+        ...Object.fromEntries(FEATURE_COLUMNS.map((c) => [c, typeof features[c] === "number" ? round(features[c]) : features[c]])),
+        fuel_type: fuelType,
+        fuel_l: round(fuelUsed),
+        co2_kg: round(co2Kg),
+        geometry: JSON.stringify(geometry),
+      });
+      return fromRow(byId.get(Number(lastInsertRowid)), { withGeometry: true });
+    },
+
+    // Newest trips first, without geometry
+    list({ limit = 50, offset = 0, ...filter } = {}) {
+      const { sql, params } = filters(filter);
+      const rows = db
+        .prepare(`SELECT * FROM samples ${sql} ORDER BY started_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM samples ${sql}`).get(params);
+      return { total, samples: rows.map((row) => fromRow(row)) };
+    },
+
+    // Flat rows (SAMPLE_COLUMNS) for a CSV download, oldest first
+    rows(filter = {}) {
+      const { sql, params } = filters(filter);
+      return db.prepare(`SELECT ${SAMPLE_COLUMNS.join(", ")} FROM samples ${sql} ORDER BY started_at, id`).all(params);
+    },
+
+    remove(id) {
+      const { changes } = db.prepare("DELETE FROM samples WHERE id = ?").run(id);
+      if (!changes) throw httpError(404, `Unknown sample ${id}`);
+    },
+  };
+}
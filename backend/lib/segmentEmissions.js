@@ -0,0 +1,97 @@
+/**
+ * segmentEmissions.js - Split a route's CO₂ over its stretches
+ *
+ * The per-coordinate annotations (distance, duration) are merged into
+ * stretches of roughly equal length; each gets its speed, grade and a share
+ * of the route total weighted by a speed/consumption curve and the climb.
+ * Shares always add up to the ML prediction for the whole route.
+ */
+
+import { haversineKm } from "./geo.js";
+
+// At most this many stretches per route, and none shorter than MIN_STRETCH_KM
+const MAX_STRETCHES = 200;
+const MIN_STRETCH_KM = 0.5;
+
+// Default relative fuel per km vs speed: high when crawling, lowest around
+// 60-70 km/h, rising again with air drag
+function speedFactor(kph) {
+  const v = Math.max(kph, 5);
+  return 0.6 + 25 / v + 0.00006 * v * v;
+}
+
+// Extra "flat km" of fuel per metre climbed (m·g·h at ~25% engine efficiency
+// against ~0.6 kWh/km on the flat; roughly independent of the vehicle mass)
+const CLIMB_KM_PER_M = 0.026;
+
+// Coasting downhill still burns something
+const MIN_WEIGHT_SHARE = 0.2;
+
+// Per-segment [distance m, duration s] for the whole geometry, or null when
+// the provider sent no annotations that line up with it
+function annotations(route) {
+  const legs = route.legs || [];
+  if (!legs.length || !legs.every((l) => l.annotation?.distance && l.annotation?.duration)) return null;
+  const distance = legs.flatMap((l) => l.annotation.distance);
+  const duration = legs.flatMap((l) => l.annotation.duration);
+  return distance.length === route.geometry.coordinates.length - 1 ? { distance, duration } : null;
+}
+
+/**
+ * Stretches of a route with their share of `totalCo2Kg`:
+ * [{ start, end (geometry indices), distance_km, speed_kph, grade_pct, co2_kg, co2_kg_per_km }].
+ * `heightAt([lng, lat])` gives metres or null (no grade then); `consumptionAt(kph)`
+ * is the vehicle's fuel (or energy) per distance at that speed, in any unit.
+ */
+export function segmentBreakdown(route, totalCo2Kg, { heightAt = () => null, consumptionAt = speedFactor } = {}) {
+  const coords = route.geometry?.coordinates;
+  if (!coords || coords.length < 2) return [];
+  const ann = annotations(route) || {
+    // no annotations: spread the route's average speed over the geometry
+    distance: coords.slice(1).map((p, i) => haversineKm(coords[i], p) * 1000),
+    duration: null,
+  };
+  const totalKm = ann.distance.reduce((a, b) => a + b, 0) / 1000;
+  const avgSpeed = totalKm / ((route.duration || 1) / 3600);
+  const targetKm = Math.max(MIN_STRETCH_KM, totalKm / MAX_STRETCHES);
+
+  const stretches = [];
+  let start = 0, km = 0, hours = 0;
+  for (let i = 0; i < ann.distance.length; i++) {
+    km += ann.distance[i] / 1000;
+    hours += ann.duration ? ann.duration[i] / 3600 : ann.distance[i] / 1000 / avgSpeed;
+    if (km >= targetKm || i === ann.distance.length - 1) {
+      const h0 = heightAt(coords[start]);
+      const h1 = heightAt(coords[i + 1]);
+      const speed = hours > 0 ? km / hours : avgSpeed;
+      const climb = h0 !== null && h1 !== null ? h1 - h0 : 0;
+      const flat = km * consumptionAt(speed);
+      stretches.push({
+        start,
+        end: i + 1,
+        km,
+        speed,
+        grade: h0 !== null && h1 !== null && km > 0 ? (climb / (km * 1000)) * 100 : null,
+        // climbing costs as much as that many extra km at this speed
+        weight: km > 0 ? flat * Math.max(MIN_WEIGHT_SHARE, 1 + (climb * CLIMB_KM_PER_M) / km) : 0,
+      });
+      start = i + 1;
+      km = 0;
+      hours = 0;
+    }
+  }
+
+  const totalWeight = stretches.reduce((a, s) => a + s.weight, 0) || 1;
+  return stretches.map((s) => {
+    const co2 = (totalCo2Kg * s.weight) / totalWeight;
+    return {
+      start: s.start,
+      end: s.end,
+      distance_km: +s.km.toFixed(3),
+      speed_kph: +s.speed.toFixed(1),
+      grade_pct: s.grade === null ? null : +s.grade.toFixed(1),
+      co2_kg: +co2.toFixed(3),
+      co2_kg_per_km: s.km > 0 ? +(co2 / s.km).toFixed(3) : 0,
+    };
+  });
+}
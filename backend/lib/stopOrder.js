@@ -0,0 +1,57 @@
+/**
+ * stopOrder.js - Visit-order heuristic for multi-stop routes (open-path TSP)
+ *
+ * Nearest-neighbour construction followed by 2-opt improvement. The first
+ * stop is always the start; the last stop stays the final destination unless
+ * `fixEnd` is false. Works on asymmetric cost matrices (one-way streets).
+ */
+
+// Summed cost of visiting stops in `order`
+export function pathCost(matrix, order) {
+  let cost = 0;
+  for (let i = 1; i < order.length; i++) cost += matrix[order[i - 1]][order[i]];
+  return cost;
+}
+
+/**
+ * Order stop indices 0..n-1 to minimise the summed matrix cost.
+ * `matrix[i][j]` is the cost of driving from stop i to stop j (null = unreachable).
+ */
+export function orderStops(matrix, { fixEnd = true } = {}) {
+  const n = matrix.length;
+  if (n <= 2) return [...Array(n).keys()];
+  const m = matrix.map((row) => row.map((v) => (v === null || v === undefined ? Infinity : v)));
+
+  // Nearest neighbour from the start, leaving a fixed end for last
+  const last = fixEnd ? n - 1 : null;
+  const remaining = new Set([...Array(n).keys()].filter((i) => i !== 0 && i !== last));
+  const order = [0];
+  while (remaining.size > 0) {
+    const from = order[order.length - 1];
+    let best = null;
+    for (const j of remaining) if (best === null || m[from][j] < m[from][best]) best = j;
+    order.push(best);
+    remaining.delete(best);
+  }
+  if (fixEnd) order.push(last);
+
+  // 2-opt: reverse any stretch that makes the whole path cheaper
+  const lastMovable = fixEnd ? n - 2 : n - 1;
+  let bestCost = pathCost(m, order);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let k = i + 1; k <= lastMovable; k++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+        const cost = pathCost(m, candidate);
+        if (cost < bestCost - 1e-9) {
+          order.splice(0, n, ...candidate);
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
@@ -0,0 +1,118 @@
+/**
+ * telemetry.js - Recorded trips (GPS traces with fuel readings) from CSV or GPX
+ *
+ * A trace is one trip's GPS fixes, each with a time and, where the vehicle
+ * logged one, its fuel counter (fuel used so far, in the profile's fuel unit).
+ *
+ * CSV has one fix per row: trip_id?, time (ISO 8601), lat, lng (or lon),
+ * fuel_used; rows sharing a trip_id make one trip, and a file without the
+ * column is a single trip. GPX has one trip per <trk>, named by its <name>,
+ * with the counter in a <fuel_used> element (any namespace prefix) inside each
+ * <trkpt>'s <extensions>.
+ *
+ * A trip's fuel is the counter's rise from its first reading to its last.
+ */
+
+import { parseCsv } from "./csv.js";
+import { httpError } from "./errors.js";
+import { haversineKm } from "./geo.js";
+
+export const TELEMETRY_FORMATS = ["csv", "gpx"];
+
+const number = (s) => (s === undefined || String(s).trim() === "" ? null : Number(s));
+
+// One fix, or a 400 naming where it came from
+function fix({ time, lat, lng, fuel }, where) {
+  const at = Date.parse(time);
+  [lat, lng, fuel] = [number(lat), number(lng), number(fuel)];
+  if (!Number.isFinite(at)) throw httpError(400, `${where}: time must be an ISO 8601 date-time`, { field: "body" });
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lng) || Math.abs(lng) > 180)
+    throw httpError(400, `${where}: lat/lng out of range`, { field: "body" });
+  if (fuel !== null && !(fuel >= 0)) throw httpError(400, `${where}: fuel_used must be a number >= 0`, { field: "body" });
+  return { at, lat, lng, fuel };
+}
+
+function csvTraces(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    throw httpError(400, err.message, { field: "body" });
+  }
+  const traces = new Map();
+  rows.forEach((row, i) => {
+    const id = row.trip_id || "trip-1";
+    if (!traces.has(id)) traces.set(id, []);
+    traces.get(id).push(fix({ time: row.time, lat: row.lat, lng: row.lng ?? row.lon, fuel: row.fuel_used }, `Row ${i + 2}`));
+  });
+  return [...traces].map(([trip_id, points]) => ({ trip_id, points }));
+}
+
+const tag = (xml, name) => xml.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([^<]*)</(?:\\w+:)?${name}>`))?.[1].trim();
+const attr = (attrs, name) => attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`))?.[1];
+
+function gpxTraces(text) {
+  const tracks = text.match(/<trk\b[\s\S]*?<\/trk>/g) ?? [];
+  return tracks.map((trk, t) => {
+    const trip_id = tag(trk.replace(/<trkseg\b[\s\S]*/, ""), "name") || `track-${t + 1}`;
+    const points = [...trk.matchAll(/<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g)].map(([, attrs, inner = ""], i) =>
+      fix(
+        { time: tag(inner, "time"), lat: attr(attrs, "lat"), lng: attr(attrs, "lon"), fuel: tag(inner, "fuel_used") },
+        `Track "${trip_id}" point ${i + 1}`
+      )
+    );
+    return { trip_id, points };
+  });
+}
+
+// [{ trip_id, points: [{ at (ms), lat, lng, fuel }] }]; `format` csv or gpx
+export function parseTelemetry(text, format) {
+  const traces = (format === "gpx" ? gpxTraces : csvTraces)(text.replace(/^\uFEFF/, ""));
+  if (!traces.length) throw httpError(400, `No trips in the ${format.toUpperCase()} telemetry`, { field: "body" });
+  return traces;
+}
+
+/**
+ * What a trace says on its own: start, driving time, its length along the
+ * fixes, the fuel used and up to `maxWaypoints` fixes spread evenly along it
+ * ([lng, lat], first and last included) to route through. A trace that
+ * can't be labelled is a 422 (too short, no fuel readings, a counter reset).
+ */
+export function traceSummary({ trip_id, points }, { maxWaypoints, minKm = 1 }) {
+  const fixes = [...points].sort((a, b) => a.at - b.at);
+  if (fixes.length < 2) throw httpError(422, `Trip "${trip_id}" has fewer than two fixes`);
+  const coords = fixes.map((p) => [p.lng, p.lat]);
+  const along = [0];
+  for (let i = 1; i < coords.length; i++) along.push(along[i - 1] + haversineKm(coords[i - 1], coords[i]));
+  const traceKm = along[along.length - 1];
+  if (traceKm < minKm) throw httpError(422, `Trip "${trip_id}" covers less than ${minKm} km`);
+  if (fixes[fixes.length - 1].at === fixes[0].at) throw httpError(422, `Trip "${trip_id}" has no elapsed time`);
+
+  const readings = fixes.map((p) => p.fuel).filter((f) => f !== null);
+  if (readings.length < 2) throw httpError(422, `Trip "${trip_id}" has fewer than two fuel readings`);
+  if (readings.some((f, i) => i > 0 && f < readings[i - 1]))
+    throw httpError(422, `Trip "${trip_id}": the fuel counter goes down (reset mid-trip?)`);
+  const fuelUsed = readings[readings.length - 1] - readings[0];
+  if (!(fuelUsed > 0)) throw httpError(422, `Trip "${trip_id}" used no fuel`);
+
+  // the first fix at or past each of maxWaypoints - 1 even steps along the trace
+  const waypoints = [coords[0]];
+  const step = traceKm / (maxWaypoints - 1);
+  let next = step;
+  for (let i = 1; i < coords.length - 1; i++) {
+    if (along[i] >= next && waypoints.length < maxWaypoints - 1) {
+      waypoints.push(coords[i]);
+      next = along[i] + step;
+    }
+  }
+  waypoints.push(coords[coords.length - 1]);
+
+  return {
+    trip_id,
+    started_at: new Date(fixes[0].at).toISOString(),
+    duration_s: (fixes[fixes.length - 1].at - fixes[0].at) / 1000,
+    trace_km: traceKm,
+    fuel_used: fuelUsed,
+    waypoints,
+  };
+}
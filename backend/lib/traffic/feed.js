@@ -0,0 +1,34 @@
+/**
+ * feed.js - Traffic provider for a live congestion feed over HTTP
+ *
+ * POSTs { segments: [{ from: [lng, lat], to: [lng, lat], at: ISO time }] } to
+ * the feed and expects { indexes: [number] } back, one per segment.
+ */
+
+import fetch from "node-fetch";
+import { httpError, upstreamError } from "../errors.js";
+
+export function createFeedProvider({ url, timeoutMs = 5000 } = {}) {
+  if (!url) throw new Error("TRAFFIC_FEED_URL is not set");
+
+  async function congestion(segments) {
+    let r;
+    try {
+      r = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ segments: segments.map((s) => ({ ...s, at: s.at.toISOString() })) }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw upstreamError("Traffic feed", err);
+    }
+    if (!r.ok) throw httpError(502, `Traffic feed error: ${await r.text()}`, { code: "UPSTREAM_ERROR", service: "Traffic feed" });
+    const { indexes } = await r.json();
+    if (!Array.isArray(indexes) || indexes.length !== segments.length || !indexes.every((x) => x > 0))
+      throw httpError(502, "Traffic feed sent no index per segment", { code: "UPSTREAM_ERROR", service: "Traffic feed" });
+    return indexes;
+  }
+
+  return { congestion };
+}
@@ -0,0 +1,43 @@
+/**
+ * traffic/index.js - Traffic provider registry
+ *
+ * Every provider scores road segments at the time they are driven:
+ *
+ *   congestion(segments) -> Promise<[index]>
+ *     segments: [{ from: [lng, lat], to: [lng, lat], at: Date }]
+ *
+ * An index is travel time relative to the routing provider's own estimate:
+ * 1 as routed, 2 twice as long, 0.5 half as long.
+ *
+ * Which provider is used is configured with environment variables:
+ *   TRAFFIC_PROVIDER=profile|feed|none   historical profile (default), live feed, or always 1
+ *   TRAFFIC_PROFILE, TRAFFIC_CITIES      profile settings
+ *   TRAFFIC_FEED_URL, TRAFFIC_TIMEOUT_MS live feed settings (timeout 5000)
+ */
+
+import { createSpeedProfileProvider } from "./speedProfile.js";
+import { createFeedProvider } from "./feed.js";
+
+const FACTORIES = {
+  profile: () =>
+    createSpeedProfileProvider({
+      profilePath: process.env.TRAFFIC_PROFILE || undefined,
+      citiesPath: process.env.TRAFFIC_CITIES || undefined,
+    }),
+  feed: () =>
+    createFeedProvider({ url: process.env.TRAFFIC_FEED_URL, timeoutMs: Number(process.env.TRAFFIC_TIMEOUT_MS || 5000) }),
+  none: () => ({ congestion: async (segments) => segments.map(() => 1) }),
+};
+
+let instance = null;
+
+export function trafficProviderName() {
+  return process.env.TRAFFIC_PROVIDER || "profile";
+}
+
+export function trafficProvider() {
+  const name = trafficProviderName();
+  if (!FACTORIES[name]) throw new Error(`Unknown traffic provider "${name}"`);
+  if (!instance) instance = FACTORIES[name]();
+  return instance;
+}
@@ -0,0 +1,40 @@
+/**
+ * speedProfile.js - Traffic provider over a historical speed profile file
+ *
+ * The file holds a traffic index per hour of the day for weekdays, Saturdays
+ * and Sundays, per area: "urban" within `urban_radius_km` of a city of the
+ * cities file, "interurban" elsewhere. Times are local solar time (UTC shifted
+ * by the longitude), which needs no time zone data; indexes are interpolated
+ * between the hours.
+ */
+
+import fs from "fs";
+import { haversineKm } from "../geo.js";
+
+const DAYS = ["sunday", "weekday", "weekday", "weekday", "weekday", "weekday", "saturday"];
+
+export function createSpeedProfileProvider({
+  profilePath = "./data/traffic_profile.json",
+  citiesPath = "./data/cities.geojson",
+} = {}) {
+  const { urban_radius_km: urbanKm, profiles } = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+  const cities = JSON.parse(fs.readFileSync(citiesPath, "utf8")).features.map((f) => f.geometry.coordinates);
+
+  const area = (point) => (cities.some((c) => haversineKm(c, point) <= urbanKm) ? "urban" : "interurban");
+
+  function indexAt(point, at) {
+    const local = new Date(at.getTime() + (point[0] / 15) * 3600e3);
+    const day = DAYS[local.getUTCDay()];
+    const h = local.getUTCHours() + local.getUTCMinutes() / 60;
+    const curve = profiles[area(point)][day];
+    const i = Math.floor(h);
+    // past 23:00 the curve runs on into the same day's midnight value
+    return curve[i] + (curve[(i + 1) % 24] - curve[i]) * (h - i);
+  }
+
+  async function congestion(segments) {
+    return segments.map(({ from, to, at }) => indexAt([(from[0] + to[0]) / 2, (from[1] + to[1]) / 2], at));
+  }
+
+  return { congestion };
+}
@@ -0,0 +1,197 @@
+/**
+ * trips.js - Trip history in a local SQLite database
+ *
+ * A trip is a planned route that was actually driven or sailed: the route's
+ * figures (predicted CO₂ and fuel), the profile, when it was made and, once
+ * known, the fuel actually used. `baseline_co2_kg` is the CO₂ of the fast route
+ * for the same request; savings are counted against it. The route itself
+ * (geometry, emissions) is kept as JSON.
+ *
+ * Weeks in the summary start on Monday, in UTC.
+ */
+
+import Database from "better-sqlite3";
+import { httpError } from "./errors.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS trips (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    taken_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    vehicle TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    route_id TEXT NOT NULL,
+    label TEXT,
+    distance_km REAL NOT NULL,
+    duration_min REAL NOT NULL,
+    co2_kg REAL NOT NULL,
+    baseline_co2_kg REAL NOT NULL,
+    fuel_type TEXT NOT NULL,
+    fuel_unit TEXT NOT NULL,
+    predicted_fuel REAL NOT NULL,
+    actual_fuel REAL,
+    route TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS trips_taken_at ON trips (taken_at);
+  CREATE INDEX IF NOT EXISTS trips_vehicle ON trips (vehicle, taken_at);
+`;
+
+// Sums shared by every summary group; predicted fuel only over trips with an actual figure
+const TOTALS = `
+  COUNT(*) AS trips,
+  SUM(distance_km) AS distance_km,
+  SUM(co2_kg) AS co2_kg,
+  SUM(baseline_co2_kg) AS baseline_co2_kg,
+  COUNT(actual_fuel) AS trips_with_actual_fuel,
+  SUM(CASE WHEN actual_fuel IS NOT NULL THEN predicted_fuel END) AS predicted_fuel,
+  SUM(actual_fuel) AS actual_fuel
+`;
+
+const WEEK_START = "date(taken_at, 'weekday 0', '-6 days')";
+
+const round = (x, digits = 3) => (x === null ? null : +x.toFixed(digits));
+
+function totals(row) {
+  const { trips, distance_km, co2_kg, baseline_co2_kg, trips_with_actual_fuel, predicted_fuel, actual_fuel, ...group } = row;
+  const saved = (baseline_co2_kg ?? 0) - (co2_kg ?? 0);
+  return {
+    ...group,
+    trips,
+    distance_km: round(distance_km ?? 0, 2),
+    co2_kg: round(co2_kg ?? 0),
+    baseline_co2_kg: round(baseline_co2_kg ?? 0),
+    co2_saved_kg: round(saved),
+    co2_saved_percent: baseline_co2_kg ? Math.round((saved / baseline_co2_kg) * 1000) / 10 : 0,
+  };
+}
+
+// Predicted vs actual fuel; only per vehicle, where there is one fuel unit
+function fuelTotals({ trips_with_actual_fuel, predicted_fuel, actual_fuel }) {
+  if (!trips_with_actual_fuel) return null;
+  return { trips: trips_with_actual_fuel, predicted: round(predicted_fuel), actual: round(actual_fuel) };
+}
+
+function fromRow(row, { withRoute = false } = {}) {
+  const { route, fuel_type, fuel_unit, predicted_fuel, actual_fuel, ...trip } = row;
+  return {
+    ...trip,
+    co2_saved_kg: round(trip.baseline_co2_kg - trip.co2_kg),
+    fuel: { type: fuel_type, unit: fuel_unit, predicted: predicted_fuel, actual: actual_fuel },
+    ...(withRoute ? { route: JSON.parse(route) } : {}),
+  };
+}
+
+// WHERE clause for the optional vehicle / from / to filters
+function filters({ vehicle, from, to }) {
+  const where = [];
+  if (vehicle !== undefined) where.push("vehicle = @vehicle");
+  if (from !== undefined) where.push("taken_at >= @from");
+  if (to !== undefined) where.push("taken_at < @to");
+  return {
+    sql: where.length ? `WHERE ${where.join(" AND ")}` : "",
+    params: {
+      ...(vehicle !== undefined ? { vehicle } : {}),
+      ...(from !== undefined ? { from: new Date(from).toISOString() } : {}),
+      ...(to !== undefined ? { to: new Date(to).toISOString() } : {}),
+    },
+  };
+}
+
+export function createTripStore(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`
+    INSERT INTO trips (taken_at, created_at, vehicle, kind, route_id, label, distance_km, duration_min,
+      co2_kg, baseline_co2_kg, fuel_type, fuel_unit, predicted_fuel, actual_fuel, route)
+    VALUES (@taken_at, @created_at, @vehicle, @kind, @route_id, @label, @distance_km, @duration_min,
+      @co2_kg, @baseline_co2_kg, @fuel_type, @fuel_unit, @predicted_fuel, @actual_fuel, @route)
+  `);
+  const byId = db.prepare("SELECT * FROM trips WHERE id = ?");
+
+  function get(id) {
+    const row = byId.get(id);
+    if (!row) throw httpError(404, `Unknown trip ${id}`);
+    return fromRow(row, { withRoute: true });
+  }
+
+  return {
+    // `route` is a v1 Route; baseline defaults to the route's own CO₂ (nothing saved)
+    add({ vehicle, kind, label, taken_at, route, baseline_co2_kg, actual_fuel }) {
+      const now = new Date().toISOString();
+      const { lastInsertRowid } = insert.run({
+        taken_at: taken_at ? new Date(taken_at).toISOString() : now,
+        created_at: now,
+        vehicle,
+        kind,
+        route_id: route.id,
+        label: label ?? null,
+        distance_km: route.distance_km,
+        duration_min: route.duration_min,
+        co2_kg: route.co2_kg,
+        baseline_co2_kg: baseline_co2_kg ?? route.co2_kg,
+        fuel_type: route.fuel.type,
+        fuel_unit: route.fuel.unit,
+        predicted_fuel: route.fuel.amount,
+        actual_fuel: actual_fuel ?? null,
+        route: JSON.stringify(route),
+      });
+      return get(Number(lastInsertRowid));
+    },
+
+    get,
+
+    // Newest first, without the stored route
+    list({ limit = 50, offset = 0, ...filter } = {}) {
+      const { sql, params } = filters(filter);
+      const rows = db
+        .prepare(`SELECT * FROM trips ${sql} ORDER BY taken_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM trips ${sql}`).get(params);
+      return { total, trips: rows.map((row) => fromRow(row)) };
+    },
+
+    // Only `label` and `actual_fuel` change after the fact
+    update(id, changes) {
+      get(id);
+      const fields = ["label", "actual_fuel"].filter((f) => changes[f] !== undefined);
+      if (fields.length) {
+        db.prepare(`UPDATE trips SET ${fields.map((f) => `${f} = @${f}`).join(", ")} WHERE id = @id`).run({
+          ...Object.fromEntries(fields.map((f) => [f, changes[f]])),
+          id,
+        });
+      }
+      return get(id);
+    },
+
+    remove(id) {
+      const { changes } = db.prepare("DELETE FROM trips WHERE id = ?").run(id);
+      if (!changes) throw httpError(404, `Unknown trip ${id}`);
+    },
+
+    // Savings against the fast-route baseline: overall, per vehicle and per
+    // week (with the running total)
+    summary(filter = {}) {
+      const { sql, params } = filters(filter);
+      const overall = db.prepare(`SELECT ${TOTALS} FROM trips ${sql}`).get(params);
+      const byVehicle = db
+        .prepare(`SELECT vehicle, fuel_unit, ${TOTALS} FROM trips ${sql} GROUP BY vehicle, fuel_unit ORDER BY vehicle`)
+        .all(params);
+      const byWeek = db
+        .prepare(`SELECT ${WEEK_START} AS week_start, ${TOTALS} FROM trips ${sql} GROUP BY week_start ORDER BY week_start`)
+        .all(params);
+
+      let cumulative = 0;
+      return {
+        ...totals(overall),
+        by_vehicle: byVehicle.map((row) => ({ ...totals(row), actual_fuel: fuelTotals(row) })),
+        by_week: byWeek.map((row) => {
+          const week = totals(row);
+          cumulative += week.co2_saved_kg;
+          return { ...week, cumulative_co2_saved_kg: round(cumulative) };
+        }),
+      };
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * validate.js - Request schemas
+ *
+ * A schema maps field names to rules: { type, required?, default?, ... }.
+ * validate(schema, input) returns the fields with defaults filled in, or
+ * throws a 400 httpError naming the first bad `field`. Fields the schema
+ * doesn't list are dropped. Types:
+ *
+ *   number / integer   min, max, exclusiveMin
+ *   string             enum, pattern, maxLength
+ *   boolean
+ *   time               ISO date-time string (kept as given)
+ *   point              { lat, lng }; failures have code INVALID_COORDINATES
+ *   array              items (a rule), minItems, maxItems
+ *   object             properties (a schema)
+ *   any                anything present
+ *
+ * With { query: true } numbers and booleans are parsed from query strings.
+ */
+
+import { httpError } from "./errors.js";
+
+const invalid = (field, message, code = "INVALID_REQUEST") => httpError(400, `${field} ${message}`, { code, field });
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const items = (n) => `${n} item${n === 1 ? "" : "s"}`;
+
+// Valid { lat, lng } (extra fields such as a geocoder name are kept)
+export function checkPoint(value, field) {
+  if (!value || typeof value !== "object" || !isNum(value.lat) || !isNum(value.lng))
+    throw invalid(field, "needs numeric lat and lng", "INVALID_COORDINATES");
+  if (Math.abs(value.lat) > 90 || Math.abs(value.lng) > 180)
+    throw invalid(field, "is out of range (lat -90..90, lng -180..180)", "INVALID_COORDINATES");
+  return value;
+}
+
+function checkRule(rule, value, field, opts) {
+  switch (rule.type) {
+    case "number":
+    case "integer": {
+      const n = opts.query && typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (!isNum(n) || (rule.type === "integer" && !Number.isInteger(n)))
+        throw invalid(field, `must be ${rule.type === "integer" ? "an integer" : "a number"}`);
+      if (rule.min !== undefined && n < rule.min) throw invalid(field, `must be at least ${rule.min}`);
+      if (rule.exclusiveMin !== undefined && n <= rule.exclusiveMin)
+        throw invalid(field, `must be greater than ${rule.exclusiveMin}`);
+      if (rule.max !== undefined && n > rule.max) throw invalid(field, `must be at most ${rule.max}`);
+      return n;
+    }
+    case "string":
+      if (typeof value !== "string") throw invalid(field, "must be a string");
+      if (rule.enum && !rule.enum.includes(value))
+        throw invalid(field, `must be one of ${rule.enum.map((v) => `"${v}"`).join(", ")}`);
+      if (rule.pattern && !rule.pattern.test(value)) throw invalid(field, "is malformed");
+      if (rule.maxLength && value.length > rule.maxLength)
+        throw invalid(field, `must be at most ${rule.maxLength} characters`);
+      return value;
+    case "boolean": {
+      const b = opts.query && (value === "true" || value === "false") ? value === "true" : value;
+      if (typeof b !== "boolean") throw invalid(field, "must be true or false");
+      return b;
+    }
+    case "time":
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value)))
+        throw invalid(field, "must be an ISO date-time");
+      return value;
+    case "point":
+      return checkPoint(value, field);
+    case "array":
+      if (!Array.isArray(value)) throw invalid(field, "must be an array");
+      if (rule.minItems !== undefined && value.length < rule.minItems)
+        throw invalid(field, `needs at least ${items(rule.minItems)}`);
+      if (rule.maxItems !== undefined && value.length > rule.maxItems)
+        throw invalid(field, `takes at most ${items(rule.maxItems)}`);
+      return rule.items ? value.map((v, i) => checkRule(rule.items, v, `${field}[${i}]`, opts)) : value;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) throw invalid(field, "must be an object");
+      return rule.properties ? validate(rule.properties, value, { ...opts, prefix: `${field}.` }) : value;
+    case "any":
+      return value;
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+export function validate(schema, input, opts = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const out = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${opts.prefix || ""}${name}`;
+    const value = source[name];
+    if (value === undefined || value === null || (opts.query && value === "")) {
+      if (rule.required) throw invalid(field, "is required");
+      if (rule.default !== undefined) out[name] = rule.default;
+      continue;
+    }
+    out[name] = checkRule(rule, value, field, opts);
+  }
+  return out;
+}
@@ -0,0 +1,218 @@
+/**
+ * weather.js - Gridded wind / wave / current fields for ocean routing
+ *
+ * Fields come from JSON grids in a directory (GRIB2 / NetCDF converted offline,
+ * e.g. with cdo or xarray), one file per region or forecast run:
+ *
+ *   { "times": [ISO date-time, ...],
+ *     "lng0", "lat0": south-west grid point, "dlng", "dlat": spacing (degrees),
+ *     "nlng", "nlat": grid size,
+ *     "variables": { "<name>": [ one row-major array per time step ] } }
+ *
+ * Rows run south to north from lat0; null marks land or missing values.
+ * Variables: hs (significant wave height, m), u_current / v_current (m/s,
+ * east / north), u_wind / v_wind (m/s, east / north). All are optional.
+ */
+
+import fs from "fs";
+import path from "path";
+import { bearingDeg, haversineKm } from "./geo.js";
+
+const MS_TO_KPH = 3.6;
+const KPH_TO_KN = 1 / 1.852;
+
+// Involuntary speed loss (share of still-water speed) per m² of wave height and
+// per (m/s)² of head wind; never more than MAX_SPEED_LOSS in total
+const WAVE_LOSS_PER_M2 = 0.008;
+const WIND_LOSS_PER_MS2 = 0.0004;
+const MAX_SPEED_LOSS = 0.6;
+
+// Speed over ground never drops below this share of the speed through water
+const MIN_SOG_SHARE = 0.2;
+
+// Long lane edges are sampled this often
+const SAMPLE_KM = 50;
+
+function readGrid(file) {
+  const g = JSON.parse(fs.readFileSync(file, "utf8"));
+  const size = g.nlng * g.nlat;
+  const times = (g.times || []).map((t) => Date.parse(t));
+  if (!times.length || times.some(Number.isNaN) || !(size > 0)) throw new Error("needs times and a grid size");
+  for (const [name, steps] of Object.entries(g.variables || {})) {
+    if (steps.length !== times.length || steps.some((s) => s.length !== size))
+      throw new Error(`${name} must have ${times.length} steps of ${size} values`);
+  }
+  return { ...g, times, name: path.basename(file) };
+}
+
+// Index every grid in `dir` (missing directory → no weather)
+export function loadWeather(dir) {
+  const grids = [];
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (path.extname(name).toLowerCase() !== ".json") continue;
+      try {
+        grids.push(readGrid(path.join(dir, name)));
+      } catch (err) {
+        console.error(`Skipping weather grid ${name}:`, err.message);
+      }
+    }
+  }
+  return { grids };
+}
+
+// Value at fractional grid position (x, y) of one time step: bilinear when all
+// four neighbours have data, else the nearest one that does
+function spatial(values, g, x, y) {
+  const c = Math.min(Math.max(Math.floor(x), 0), g.nlng - 2);
+  const r = Math.min(Math.max(Math.floor(y), 0), g.nlat - 2);
+  const fx = x - c;
+  const fy = y - r;
+  const corners = [
+    [values[r * g.nlng + c], (1 - fx) * (1 - fy)],
+    [values[r * g.nlng + c + 1], fx * (1 - fy)],
+    [values[(r + 1) * g.nlng + c], (1 - fx) * fy],
+    [values[(r + 1) * g.nlng + c + 1], fx * fy],
+  ];
+  if (corners.every(([v]) => v !== null)) return corners.reduce((sum, [v, w]) => sum + v * w, 0);
+  const present = corners.filter(([v]) => v !== null);
+  return present.length ? present.reduce((a, b) => (b[1] > a[1] ? b : a))[0] : null;
+}
+
+function sampleGrid(g, variable, [lng, lat], t) {
+  const steps = g.variables?.[variable];
+  if (!steps) return null;
+  const x = ((((lng - g.lng0) % 360) + 360) % 360) / g.dlng;
+  const y = (lat - g.lat0) / g.dlat;
+  if (x > g.nlng - 1 || y < 0 || y > g.nlat - 1) return null;
+  if (t < g.times[0] || t > g.times[g.times.length - 1]) return null;
+  if (g.times.length === 1) return spatial(steps[0], g, x, y);
+
+  // linear in time between the two steps around t
+  let i = 0;
+  while (i < g.times.length - 2 && t > g.times[i + 1]) i++;
+  const a = spatial(steps[i], g, x, y);
+  const b = spatial(steps[i + 1], g, x, y);
+  if (a === null || b === null) return a ?? b;
+  const f = (t - g.times[i]) / (g.times[i + 1] - g.times[i]);
+  return a + (b - a) * f;
+}
+
+function sampleVar(weather, variable, point, t) {
+  for (const g of weather.grids) {
+    const v = sampleGrid(g, variable, point, t);
+    if (v !== null) return v;
+  }
+  return null;
+}
+
+// { hs, current: [u, v], wind: [u, v] } at a point and time (ms); missing parts are null
+export function sampleWeather(weather, point, t) {
+  const pair = (u, v) => {
+    const a = sampleVar(weather, u, point, t);
+    const b = sampleVar(weather, v, point, t);
+    return a === null || b === null ? null : [a, b];
+  };
+  return {
+    hs: sampleVar(weather, "hs", point, t),
+    current: pair("u_current", "v_current"),
+    wind: pair("u_wind", "v_wind"),
+  };
+}
+
+// Component of an [east, north] vector along a heading (degrees); 0 without heading
+function along(vector, heading) {
+  if (!vector || heading === null) return 0;
+  const h = (heading * Math.PI) / 180;
+  return vector[0] * Math.sin(h) + vector[1] * Math.cos(h);
+}
+
+/**
+ * Speed over ground (km/h) when sailing `speedKph` through the water on
+ * `heading` (null = unknown, waves only) in the sampled conditions.
+ */
+export function speedOverGround(speedKph, conditions, heading) {
+  const hs = conditions.hs ?? 0;
+  const headWind = Math.max(0, -along(conditions.wind, heading));
+  const loss = Math.min(MAX_SPEED_LOSS, WAVE_LOSS_PER_M2 * hs * hs + WIND_LOSS_PER_MS2 * headWind * headWind);
+  const sog = speedKph * (1 - loss) + along(conditions.current, heading) * MS_TO_KPH;
+  return Math.max(sog, speedKph * MIN_SOG_SHARE);
+}
+
+// Points every SAMPLE_KM between a and b (midpoints of equal pieces)
+function samplePoints(a, b, km) {
+  const n = Math.max(1, Math.ceil(km / SAMPLE_KM));
+  return Array.from({ length: n }, (_, i) => {
+    const f = (i + 0.5) / n;
+    return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f];
+  });
+}
+
+/**
+ * Time-dependent lane edge length for shortestPath(): the still-water distance
+ * that takes as long as the edge does in the forecast weather, or Infinity where
+ * the significant wave height exceeds `maxWaveM`. The distance sailed so far
+ * (`at`, in the same still-water km, waits included) gives the hours since
+ * `departure` at `speedKph`.
+ */
+export function weatherEdgeKm(weather, graph, { departure, speedKph, maxWaveM = Infinity }) {
+  return (edge, from, at = 0) => {
+    const t = departure + (at / speedKph) * 3600e3;
+    const [a, b] = from === edge.b ? [graph.nodes[edge.b], graph.nodes[edge.a]] : [graph.nodes[edge.a], graph.nodes[edge.b]];
+    const heading = from === undefined ? null : bearingDeg(a, b);
+    let hours = 0;
+    const points = samplePoints(a, b, edge.km);
+    for (const p of points) {
+      const conditions = sampleWeather(weather, p, t);
+      if (conditions.hs !== null && conditions.hs > maxWaveM) return Infinity;
+      hours += edge.km / points.length / speedOverGround(speedKph, conditions, heading);
+    }
+    return hours * speedKph;
+  };
+}
+
+/**
+ * Weather along a finished route sailed at `speedKph` from `departure` (ms):
+ * { still_water_km, time_factor, max_wave_m, over_limit_km, avg_current_kn,
+ *   max_head_wind_ms, coverage }, or null when no grid covers any of it.
+ */
+export function voyageWeather(weather, coordinates, { departure, speedKph, maxWaveM = Infinity }) {
+  if (!weather.grids.length) return null;
+  let km = 0, stillKm = 0, coveredKm = 0, currentKmKn = 0, currentKm = 0, overKm = 0;
+  let maxWave = null, maxHeadWind = null;
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1];
+    const b = coordinates[i];
+    const segKm = haversineKm(a, b);
+    if (segKm === 0) continue;
+    const heading = bearingDeg(a, b);
+    const points = samplePoints(a, b, segKm);
+    for (const p of points) {
+      const pieceKm = segKm / points.length;
+      const c = sampleWeather(weather, p, departure + (stillKm / speedKph) * 3600e3);
+      km += pieceKm;
+      stillKm += (pieceKm * speedKph) / speedOverGround(speedKph, c, heading);
+      if (c.hs === null && !c.current && !c.wind) continue;
+      coveredKm += pieceKm;
+      if (c.hs !== null) {
+        maxWave = Math.max(maxWave ?? 0, c.hs);
+        if (c.hs > maxWaveM) overKm += pieceKm;
+      }
+      if (c.current) {
+        currentKmKn += pieceKm * along(c.current, heading) * MS_TO_KPH * KPH_TO_KN;
+        currentKm += pieceKm;
+      }
+      if (c.wind) maxHeadWind = Math.max(maxHeadWind ?? 0, -along(c.wind, heading));
+    }
+  }
+  if (coveredKm === 0) return null;
+  return {
+    still_water_km: +stillKm.toFixed(1),
+    time_factor: +(stillKm / km).toFixed(3),
+    max_wave_m: maxWave === null ? null : +maxWave.toFixed(1),
+    over_limit_km: +overKm.toFixed(1),
+    avg_current_kn: currentKm ? +(currentKmKn / currentKm).toFixed(2) : null,
+    max_head_wind_ms: maxHeadWind === null ? null : +maxHeadWind.toFixed(1),
+    coverage: +(coveredKm / km).toFixed(2),
+  };
+}
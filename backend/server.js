@@ -6,280 +6,2024 @@ import express from "express";
 import fetch from "node-fetch";
 import cors from "cors";
 import * as turf from "@turf/turf";
+import { buildLaneGraph, snapToGraph } from "./lib/laneGraph.js";
+import { buildLandMask, addWaterways } from "./lib/landMask.js";
+import { findSeaRoute } from "./lib/oceanRouting.js";
+import {
+  tagChokepoints,
+  resolveVesselSize,
+  oversizedFor,
+  chokepointCost,
+  chokepointsOnPath,
+  VESSEL_CLASSES,
+} from "./lib/chokepoints.js";
+import { orderStops } from "./lib/stopOrder.js";
+import { routingProviderFor, providerNameFor } from "./lib/routing/index.js";
+import { viaPoints, distinctCandidates } from "./lib/ecoCandidates.js";
+import { loadDem, routeElevation, sampleDem } from "./lib/elevation.js";
+import { routeManeuvers } from "./lib/maneuvers.js";
+import { segmentBreakdown } from "./lib/segmentEmissions.js";
+import { createProfileRegistry, interpolate } from "./lib/profiles.js";
+import { ecoSpeed, optimizeSpeed, speedTradeoff, voyageAt } from "./lib/speedOptimizer.js";
+import { loadWeather, weatherEdgeKm, voyageWeather } from "./lib/weather.js";
+import { parseCsv, toCsv } from "./lib/csv.js";
+import { createBatchQueue } from "./lib/batchJobs.js";
+import { accountEmissions, sumEmissions, STANDARD } from "./lib/emissions.js";
+import { textPdf } from "./lib/pdf.js";
+import { loadPorts, candidatePorts } from "./lib/ports.js";
+import { createCache, memoryStore, diskStore, cacheKey } from "./lib/cache.js";
+import { loadGazetteer, searchGazetteer, nearestPlace } from "./lib/gazetteer.js";
+import { createNominatimClient } from "./lib/nominatim.js";
+import { httpError, upstreamError, errorResponse } from "./lib/errors.js";
+import { validate, checkPoint } from "./lib/validate.js";
+import { estimateConsumption } from "./lib/analyticModel.js";
+import { landPlan, multiStopPlan, oceanPlan, journeyPlan } from "./lib/routeShape.js";
+import { openApiDocument } from "./lib/openapi.js";
+import { createTripStore } from "./lib/trips.js";
+import { loadChargers } from "./lib/chargers.js";
+import { evSegments, planCharging } from "./lib/evRange.js";
+import { EXPORT_FORMATS, exportRoute } from "./lib/routeExport.js";
+import { trafficProvider, trafficProviderName } from "./lib/traffic/index.js";
+import { TELEMETRY_FORMATS, parseTelemetry, traceSummary } from "./lib/telemetry.js";
+import { createSampleStore, SAMPLE_COLUMNS } from "./lib/samples.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Trips and route exports post whole routes, geometry included
+app.use(express.json({ limit: "5mb" }));
 
-// ML Service URL
+// Endpoints served alike under /api and /api/v1. Route planning is not among
+// them: /api keeps each planner's own shape, /api/v1 answers in the unified
+// one (see "API v1" below).
+const api = express.Router();
+
+// ML Service URL, how long to wait for it, and whether land routes fall back to
+// the analytic estimate (lib/analyticModel.js) while it is down; with
+// ML_FALLBACK=off they fail with ML_UNAVAILABLE instead
 const ML_URL = process.env.ML_URL || "http://localhost:8000/predict";
+const ML_TIMEOUT_MS = Number(process.env.ML_TIMEOUT_MS || 5000);
+const ML_FALLBACK = process.env.ML_FALLBACK !== "off";
 
-// Vehicle weight defaults (match your ML factors)
-const VEHICLE_DEFAULTS = {
-  car: 1200,
-  van: 2500,
-  bike: 200,
-  ev: 1800,
-  ship: 500000,
-  cargo_ship: 500000,
-  tanker: 700000,
-  ferry: 100000,
-};
 
 
 import fs from "fs";
 
+// Vehicle & vessel profiles: built-ins plus custom ones saved through the API
+const profiles = createProfileRegistry({
+  builtinPath: "./data/profiles.json",
+  storePath: process.env.PROFILE_STORE || "./data/custom_profiles.json",
+});
+
+// Canals, narrow straits and short approaches the lane data lacks: joined into
+// the lane graph as named edges; canal and strait corridors are carved out of
+// the land mask
+const WATERWAY_LANE_TYPE = { canal: "Canal", strait: "Strait", approach: "Approach" };
+let waterways = { type: "FeatureCollection", features: [] };
+try {
+  waterways = JSON.parse(fs.readFileSync("./data/waterways.geojson", "utf8"));
+  console.log("Loaded waterways:", waterways.features.length, "features");
+} catch (err) {
+  console.error("Failed to load waterways:", err.message);
+}
+
 let shippingLanes = null;
+let laneGraph = null;
 try {
   const json = fs.readFileSync("./data/shipping_lanes.geojson", "utf8");
   shippingLanes = JSON.parse(json);
   console.log("Loaded shipping lanes:", shippingLanes.features.length, "features");
+  laneGraph = buildLaneGraph({
+    type: "FeatureCollection",
+    features: [
+      ...shippingLanes.features,
+      ...waterways.features.map((f) => ({
+        ...f,
+        properties: { ...f.properties, Type: WATERWAY_LANE_TYPE[f.properties.kind] || "Minor" },
+      })),
+    ],
+  });
+  console.log("Lane graph:", laneGraph.nodes.length, "vertices,", laneGraph.edges.length, "edges");
 } catch (err) {
   console.error("Failed to load shipping lanes:", err.message);
 }
 
+// Chokepoints (canals and straits) with transit delay, indicative toll and size limits
+let chokepoints = [];
+try {
+  if (laneGraph) {
+    chokepoints = tagChokepoints(laneGraph, JSON.parse(fs.readFileSync("./data/chokepoints.geojson", "utf8")));
+    console.log("Loaded chokepoints:", chokepoints.map((c) => c.id).join(", "));
+  }
+} catch (err) {
+  console.error("Failed to load chokepoints:", err.message);
+}
 
+// Land/sea mask: Natural Earth land polygons, with the waterway corridors carved out
+let landMask = null;
+try {
+  landMask = buildLandMask(JSON.parse(fs.readFileSync("./data/land_50m.geojson", "utf8")));
+  addWaterways(landMask, {
+    type: "FeatureCollection",
+    features: waterways.features
+      .filter((f) => f.properties.corridor_km > 0)
+      .map((f) => turf.buffer(f, f.properties.corridor_km / 2, { units: "kilometers" })),
+  });
+  console.log("Loaded land mask:", landMask.polygons.length, "polygons");
+} catch (err) {
+  console.error("Failed to load land mask:", err.message);
+}
+
+// Elevation: SRTM .hgt / ESRI .asc tiles; land routes outside them score with no climb
+const dem = loadDem(process.env.DEM_DIR || "./data/dem");
+console.log("Loaded DEM:", dem.tiles.length, "tiles");
+
+// EV charging sites; routes beyond an EV's range stop at ones within EV_CHARGER_MAX_DETOUR_KM
+const chargers = loadChargers(process.env.CHARGERS_FILE || "./data/chargers.geojson");
+console.log("Loaded chargers:", chargers.length);
+const EV_CHARGER_MAX_DETOUR_KM = Number(process.env.EV_CHARGER_MAX_DETOUR_KM || 10);
+
+// Weather: gridded wave / wind / current JSON files; without them ocean routes sail in still water
+const weather = loadWeather(process.env.WEATHER_DIR || "./data/weather");
+console.log("Loaded weather:", weather.grids.length, "grids");
+
+// Significant wave height (m) above which lane edges are closed; the safe
+// route keeps a wider berth of SAFE_WAVE_SHARE of it
+const OCEAN_MAX_WAVE_M = Number(process.env.OCEAN_MAX_WAVE_M || 6);
+const SAFE_WAVE_SHARE = 0.75;
+
+// How far inland (km) an ocean route segment may reach before it counts as
+// crossing land; lanes are drawn a little off the 1:50m coastline in places
+const OCEAN_LAND_TOLERANCE_KM = Number(process.env.OCEAN_LAND_TOLERANCE_KM || 25);
 
+// Cruising speed for the safe ocean route (capped at the vessel's design speed);
+// the eco route slow-steams (ecoSpeed), never faster than this
+const OCEAN_SAFE_SPEED_KPH = 25;
 
-// Routing engines per vehicle
-const ROUTER_BASE = {
-  car: "https://router.project-osrm.org/route/v1/driving/",
-  van: "https://router.project-osrm.org/route/v1/driving/",
-  bike: "https://router.project-osrm.org/route/v1/bike/",
-  ev: "https://router.project-osrm.org/route/v1/driving/",
-  ship: "marine", // ocean routes handled separately
+// Safe ocean routes: cost multiplier per lane class (busier lanes are better charted)
+const SAFE_LANE_PENALTY = {
+  Major: 1.0,
+  Middle: 1.2,
+  Minor: 1.5,
+  Canal: 1.0,
+  Strait: 1.0,
+  Approach: 1.2,
 };
 
-// Helper: build OSRM coords string
-function coordsToOsrm(a, b) {
-  return `${a.lng},${a.lat};${b.lng},${b.lat}`;
+
+
+
+const isElectric = (profile) => profile.fuel_type === "electricity";
+
+// Answer with the API error model (lib/errors.js); unexpected errors are
+// logged and answered without their message
+function sendError(res, err) {
+  const { status, body } = errorResponse(err);
+  if (!err.status) console.error(err);
+  else if (status >= 500) console.warn(`${body.code}: ${body.error}`);
+  res.status(status).json(body);
+}
+
+// Profile by id, or a 400 UNKNOWN_PROFILE naming the request field; `kind`
+// restricts it to vehicles or vessels
+function knownProfile(id, field, kind = null) {
+  const profile = profiles.get(id);
+  if (!profile || (kind && profile.kind !== kind))
+    throw httpError(400, `Unknown ${kind ?? "vehicle"} profile "${id}"`, { code: "UNKNOWN_PROFILE", field });
+  return profile;
+}
+
+// Warning on routes scored without the ML service
+const ML_FALLBACK_WARNING = {
+  code: "ML_UNAVAILABLE",
+  message: "ML service unavailable: fuel and CO2 are analytic estimates from the profile's fuel curve",
+};
+const mlWarnings = (results) => (results.some((r) => r.model === "analytic") ? { warnings: [ML_FALLBACK_WARNING] } : {});
+
+const TRAFFIC_WARNING = {
+  code: "TRAFFIC_UNAVAILABLE",
+  message: "Traffic provider unavailable: durations and fuel assume typical traffic",
+};
+
+// Where a route's fuel figure comes from, per prediction model
+const PREDICTION_BASIS = {
+  ml: "modelled fuel consumption (ML prediction for the route)",
+  analytic: "analytic fuel estimate (profile fuel curve and climb; ML service unavailable)",
+  ev_model: "modelled energy use (profile consumption curve per stretch, with climb and recuperation)",
+};
+
+// The ML prediction's interval (the spread of the model's trees) and its
+// per-feature explanation, rounded for the API
+const roundPair = ([lo, hi]) => [+lo.toFixed(2), +hi.toFixed(2)];
+
+function predictionUncertainty({ interval }) {
+  return {
+    level: interval.level,
+    co2_kg: roundPair(interval.co2_kg),
+    ...(interval.fuel_l ? { fuel: roundPair(interval.fuel_l) } : {}),
+  };
+}
+
+function predictionExplanation({ base, contributions }) {
+  const rounded = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, typeof v === "number" ? +v.toFixed(3) : v]));
+  return { base: rounded(base), contributions: contributions.map(rounded) };
+}
+
+// Helper: round a route + ML prediction into the API shape, with the GLEC
+// emissions block for the predicted fuel / energy and the payload
+function formatResult(route, mlRes, profile, payloadKg) {
+  const emissions = accountEmissions(profiles.fuels, {
+    fuelType: profile.fuel_type,
+    fuelAmount: isElectric(profile) ? mlRes.energy_kwh : mlRes.fuel_l,
+    distanceKm: route.distance / 1000,
+    payloadKg,
+    basis: PREDICTION_BASIS[mlRes.model],
+    factorsSource: profiles.factorsSource,
+  });
+  const base = {
+    distance_km: +(route.distance / 1000).toFixed(2),
+    duration_min: +((route.duration * (route.traffic?.index ?? 1)) / 60).toFixed(1),
+    co2_kg: +(mlRes.co2_kg).toFixed(2),
+    prediction: mlRes.model,
+    ...(mlRes.model_version ? { model_version: mlRes.model_version } : {}),
+    ...(mlRes.interval ? { uncertainty: predictionUncertainty(mlRes) } : {}),
+    ...(mlRes.explanation ? { explanation: predictionExplanation(mlRes.explanation) } : {}),
+    geometry: route.geometry,
+    ...(route.traffic ? { traffic: route.traffic } : {}),
+    ...(route.elevation ? { elevation: route.elevation } : {}),
+    ...(route.maneuvers ? { maneuvers: route.maneuvers } : {}),
+    segments:
+      mlRes.segments ??
+      segmentBreakdown(route, mlRes.co2_kg, {
+        heightAt: (p) => sampleDem(dem, p),
+        consumptionAt: (kph) => interpolate(profile.fuel_curve, kph),
+      }),
+    emissions,
+  };
+  if (isElectric(profile)) {
+    return { ...base, energy_kwh: +(mlRes.energy_kwh).toFixed(2) };
+  } else {
+    return { ...base, fuel_l: +(mlRes.fuel_l).toFixed(2) };
+  }
+}
+
+// Helper: attach the DEM elevation summary (null when uncovered) and the
+// turn/stop counts to a land route; both feed the ML features
+function withRouteFeatures(route) {
+  route.elevation = routeElevation(dem, route.geometry);
+  route.maneuvers = routeManeuvers(route);
+  return route;
+}
+
+// ---------- Caching ----------
+// Routing provider answers, ML predictions and planned land routes are kept
+// for CACHE_TTL_S seconds (0 = off), geocoder answers for GEOCODE_CACHE_TTL_S,
+// in memory or, with CACHE_STORE=disk, as files under CACHE_DIR. Identical
+// requests in flight share one upstream call.
+const CACHE_TTL_S = Number(process.env.CACHE_TTL_S ?? 600);
+const GEOCODE_CACHE_TTL_S = Number(process.env.GEOCODE_CACHE_TTL_S ?? 86400);
+const CACHE_STORE = process.env.CACHE_STORE === "disk" ? "disk" : "memory";
+const CACHE_DIR = process.env.CACHE_DIR || "./data/cache";
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 1000);
+
+const caches = Object.fromEntries(
+  Object.entries({ routing: CACHE_TTL_S, ml: CACHE_TTL_S, routes: CACHE_TTL_S, geocode: GEOCODE_CACHE_TTL_S }).map(([name, ttlS]) => [
+    name,
+    createCache({
+      name,
+      ttlMs: ttlS * 1000,
+      store: CACHE_STORE === "disk" ? diskStore(`${CACHE_DIR}/${name}`) : memoryStore({ maxEntries: CACHE_MAX_ENTRIES }),
+    }),
+  ])
+);
+console.log("Cache:", CACHE_STORE, `${CACHE_TTL_S}s`);
+
+// Routing provider for a vehicle with route/table answers cached; keys use the
+// points' coordinates only, so geocoder names and the like don't split them
+function cachedProvider(vehicle) {
+  const provider = routingProviderFor(vehicle);
+  const call = (method) => (points, opts) =>
+    caches.routing.wrap(
+      cacheKey([method, providerNameFor(vehicle), points.map((p) => [p.lat, p.lng]), opts]),
+      () => provider[method](points, opts)
+    );
+  return { route: call("route"), table: call("table") };
+}
+
+// ---------- Traffic ----------
+// With a departure time, a land route is scored with the traffic along it: the
+// provider's index for each stretch at the time it is reached, averaged over
+// the driving time and kept within the range the ML model was trained on.
+const TRAFFIC_MIN_INDEX = 0.5;
+const TRAFFIC_MAX_INDEX = 2.0;
+const clampTraffic = (x) => Math.min(TRAFFIC_MAX_INDEX, Math.max(TRAFFIC_MIN_INDEX, x));
+
+// { index, source, departure, arrival }; source null when the provider failed (index 1)
+async function routeTraffic(route, departure) {
+  const coords = route.geometry.coordinates;
+  const depMs = Date.parse(departure);
+  let t = depMs;
+  const stretches = segmentBreakdown(route, 0).filter((st) => st.speed_kph > 0);
+  const hours = stretches.map((st) => st.distance_km / st.speed_kph);
+  const segments = stretches.map((st, i) => {
+    const at = new Date(t);
+    t += hours[i] * 3600e3;
+    return { from: coords[st.start], to: coords[st.end], at };
+  });
+
+  let index = 1;
+  let source = trafficProviderName();
+  try {
+    const indexes = await trafficProvider().congestion(segments);
+    const total = hours.reduce((a, h) => a + h, 0);
+    if (total > 0) index = +(hours.reduce((a, h, i) => a + h * clampTraffic(indexes[i]), 0) / total).toFixed(2);
+  } catch (err) {
+    console.warn("Traffic provider unavailable, assuming typical traffic:", err.message);
+    source = null;
+  }
+  return {
+    index,
+    source,
+    departure: new Date(depMs).toISOString(),
+    arrival: new Date(depMs + route.duration * index * 1000).toISOString(),
+  };
 }
 
 // ---------- ML Call Helper ----------
-async function callML(route, vehicle, weight_kg, routeType) {
+// The feature vector the ML service scores; telemetry samples (see "Telemetry
+// API") are labelled with the same one
+function mlFeatures(route, profile, payloadKg, routeType) {
   const distance_km = (route.distance || 0) / 1000.0;
-  const avg_speed_kph = distance_km / ((route.duration || 1) / 3600 || 1);
-  const turns = route.geometry?.coordinates?.length
-    ? Math.max(1, Math.floor(route.geometry.coordinates.length / 10))
-    : 0;
-  const humps = turns > 0 ? Math.floor(turns / 4) : 0;
+  const traffic_index = route.traffic?.index ?? 1.0;
+  const avg_speed_kph = distance_km / (((route.duration || 1) * traffic_index) / 3600 || 1);
+  const { turns, stops } = route.maneuvers || routeManeuvers(route);
 
-  const features = {
+  return {
     distance_km,
-    elevation_gain_m: 0,
+    elevation_gain_m: route.elevation?.climb_m || 0,
+    elevation_loss_m: route.elevation?.descent_m || 0,
     avg_speed_kph,
     turns,
-    humps,
-    weight_kg: weight_kg || VEHICLE_DEFAULTS[vehicle] || 1000,
-    traffic_index: 1.0,
+    humps: stops,
+    // gross weight: the vehicle plus the payload (`weight_kg` in the requests)
+    weight_kg: profile.weight_kg + (payloadKg || 0),
+    traffic_index,
     route_type: routeType,
-    vehicle,
+    vehicle: profile.id,
+    co2_factor: profile.co2_factor,
+    energy_mode: isElectric(profile) ? "electric" : "fuel",
   };
+}
+
+async function callML(route, profile, payloadKg, routeType) {
+  if (isElectric(profile)) return evPrediction(route, profile, payloadKg);
+  const features = mlFeatures(route, profile, payloadKg, routeType);
+
+  // { fuel_l, energy_kwh?, co2_kg, model_version?, interval?, tree_co2_kg?, explanation?,
+  //   model: "ml" | "analytic" }; fallbacks are not cached
+  try {
+    const prediction = await caches.ml.wrap(cacheKey([ML_URL, features]), async () => {
+      let mlRes;
+      try {
+        mlRes = await fetch(ML_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(features),
+          signal: AbortSignal.timeout(ML_TIMEOUT_MS),
+        });
+      } catch (err) {
+        throw upstreamError("ML service", err);
+      }
+
+      if (!mlRes.ok) {
+        const txt = await mlRes.text();
+        throw httpError(502, "ML service error: " + txt, { code: "UPSTREAM_ERROR", service: "ML service" });
+      }
+      const j = await mlRes.json();
+      if (!Number.isFinite(j.co2_kg)) throw httpError(502, "ML service sent no co2_kg", { code: "UPSTREAM_ERROR" });
+      return j;
+    });
+    return { ...prediction, model: "ml" };
+  } catch (err) {
+    if (!ML_FALLBACK) throw httpError(503, `ML service unavailable: ${err.message}`, { code: "ML_UNAVAILABLE" });
+    console.warn("ML service unavailable, using the analytic estimate:", err.message);
+    return { ...estimateConsumption(profile, profiles.fuels, features), model: "analytic" };
+  }
+}
 
-  const mlRes = await fetch(ML_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(features),
+// ---------- EV Range ----------
+// EVs are scored here rather than by the ML service: energy per stretch from
+// the profile's consumption curve, the stretch's speed and its climb
+function evPrediction(route, profile, payloadKg) {
+  const co2Factor = profiles.fuels[profile.fuel_type].co2_kg_per_unit;
+  const segments = evSegments(route, profile, {
+    heightAt: (p) => sampleDem(dem, p),
+    weightKg: profile.weight_kg + (payloadKg || 0),
+    co2Factor,
+    trafficIndex: route.traffic?.index,
   });
+  const energy_kwh = segments.reduce((a, s) => a + s.energy_kwh, 0);
+  return { fuel_l: 0, energy_kwh, co2_kg: energy_kwh * co2Factor, model: "ev_model", segments };
+}
+
+// Battery settings for an EV route, or null when the battery size is unknown
+function batteryOptions(profile, battery) {
+  const capacityKwh = battery?.capacity_kwh ?? profile.battery_kwh;
+  if (!isElectric(profile) || !capacityKwh) return null;
+  return {
+    capacityKwh,
+    startPct: battery?.start_soc_pct,
+    reservePct: battery?.reserve_soc_pct,
+    chargeToPct: battery?.charge_to_soc_pct,
+    maxChargeKw: profile.max_charge_kw,
+    chargers,
+    maxDetourKm: EV_CHARGER_MAX_DETOUR_KM,
+  };
+}
+
+const rangeWarning = (route) => ({
+  code: "INSUFFICIENT_RANGE",
+  message: `The battery runs ${route.battery.shortfall_kwh} kWh below the reserve on this route, even with the chargers found along it`,
+});
+
+// ML fallback, traffic and range warnings for a plan, spread into it
+function planWarnings(mls, routes) {
+  const warnings = [
+    ...(mlWarnings(mls).warnings || []),
+    ...(routes.some((r) => r.traffic?.source === null) ? [TRAFFIC_WARNING] : []),
+    ...routes.filter((r) => r.battery?.feasible === false).map(rangeWarning),
+  ];
+  return warnings.length ? { warnings } : {};
+}
+
+// ---------- Multi-stop Planning ----------
+// OSRM's demo server caps route/table requests at a few dozen coordinates
+const MAX_STOPS = 25;
+
+async function planMultiStop({ stops, profile, weight_kg, optimizeOrder, battery, departure }) {
+  const vehicle = profile.routing;
+  const provider = cachedProvider(vehicle);
+
+  // Visit order: as entered, or a TSP heuristic over the provider's distance/duration table.
+  // CO₂ ordering minimises driven distance, the dominant term of the emissions model.
+  let order = stops.map((_, i) => i);
+  if (optimizeOrder === "co2" || optimizeOrder === "time") {
+    const t = await provider.table(stops, { vehicle });
+    order = orderStops(optimizeOrder === "time" ? t.durations : t.distances);
+  }
+  const ordered = order.map((i) => stops[i]);
 
-  if (!mlRes.ok) {
-    const txt = await mlRes.text();
-    throw new Error("ML service error: " + txt);
+  // One routing call through every stop; split the geometry per leg using the
+  // per-leg annotation (n segments → n + 1 coordinates, shared at the stops)
+  const j = await provider.route(ordered, { vehicle, steps: true });
+  if (j.routes.length === 0) throw httpError(422, "No route through the stops", { code: "NO_ROUTE" });
+  const coords = j.routes[0].geometry.coordinates;
+  let offset = 0;
+  const legRoutes = j.routes[0].legs.map((leg) => {
+    const n = leg.annotation.distance.length;
+    const geometry = { type: "LineString", coordinates: coords.slice(offset, offset + n + 1) };
+    offset += n;
+    return withRouteFeatures({ distance: leg.distance, duration: leg.duration, geometry, legs: [leg] });
+  });
+  // with a departure time, each leg sets off when the previous one arrives
+  if (departure) {
+    let at = departure;
+    for (const leg of legRoutes) {
+      leg.traffic = await routeTraffic(leg, at);
+      at = leg.traffic.arrival;
+    }
   }
-  return await mlRes.json();
+
+  const routeType = optimizeOrder === "time" ? "fast" : "eco";
+  const mls = await Promise.all(legRoutes.map((leg) => callML(leg, profile, weight_kg, routeType)));
+  const formatted = legRoutes.map((leg, i) => ({
+    leg: i + 1,
+    from: order[i],
+    to: order[i + 1],
+    ...formatResult(leg, mls[i], profile, weight_kg),
+  }));
+
+  // EVs: each leg sets off with the charge the previous one arrived with
+  const options = batteryOptions(profile, battery);
+  let soc = options?.startPct;
+  const legs = options
+    ? formatted.map((leg) => {
+        const plan = planCharging(leg, { ...options, startPct: soc });
+        soc = plan.arrival_soc_pct;
+        return { ...leg, battery: plan };
+      })
+    : formatted;
+
+  const sum = (key) => +legs.reduce((acc, l) => acc + (l[key] || 0), 0).toFixed(2);
+  const totals = {
+    distance_km: sum("distance_km"),
+    duration_min: +sum("duration_min").toFixed(1),
+    co2_kg: sum("co2_kg"),
+    ...(isElectric(profile) ? { energy_kwh: sum("energy_kwh") } : { fuel_l: sum("fuel_l") }),
+    emissions: sumEmissions(legs.map((l) => l.emissions)),
+  };
+
+  return {
+    stops: ordered.map((stop, k) => ({ ...stop, index: order[k], position: k + 1 })),
+    order,
+    optimizeOrder,
+    legs,
+    totals,
+    vehicle: profile.id,
+    ...planWarnings(mls, legs),
+  };
 }
 
 // ---------- Land Route API ----------
+// Via-point detours requested per land route when looking for eco candidates
+const ECO_VIA_POINTS = 6;
+
+// Fast, eco and ranked candidate routes for one land trip, cached per
+// normalised source/destination, profile, payload, objective and departure
+function planRoute(params) {
+  const { source, destination, profile, weight_kg = null, optimizeFor = "co2", battery = null, departure = null } = params;
+  const key = cacheKey([
+    [source.lat, source.lng],
+    [destination.lat, destination.lng],
+    providerNameFor(profile.routing),
+    profile,
+    weight_kg,
+    optimizeFor,
+    battery,
+    departure && new Date(departure).toISOString(),
+  ]);
+  // routes scored without the ML service are recomputed once it is back
+  return caches.routes.wrap(key, () => findRoutes(params), { cacheIf: (plan) => !plan.warnings });
+}
+
+// Share of the per-tree savings inside the reported interval
+const SAVINGS_LEVEL = 0.9;
+
+// Linear-interpolated quantile `q` of sorted numbers
+function quantile(sorted, q) {
+  const at = (sorted.length - 1) * q;
+  const lo = Math.floor(at);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (at - lo);
+}
+
+/**
+ * The eco route's CO₂ saving over the fast one, compared tree by tree: each
+ * tree of the ML model's forest scores both routes, so the spread of the
+ * per-tree differences is the model's uncertainty about the saving itself.
+ * The saving is significant when its whole interval is above zero. Routes not
+ * scored by the ML model (fallback, EVs) have no interval and no verdict.
+ */
+function co2Savings(fast, eco, fastTrees, ecoTrees) {
+  const co2_kg = +(fast.co2_kg - eco.co2_kg).toFixed(2);
+  if (!fastTrees?.length || fastTrees.length !== ecoTrees?.length)
+    return { co2_kg, level: null, interval_kg: null, agreement: null, significant: null };
+  const diffs = fastTrees.map((f, i) => f - ecoTrees[i]).sort((a, b) => a - b);
+  const interval = [quantile(diffs, (1 - SAVINGS_LEVEL) / 2), quantile(diffs, (1 + SAVINGS_LEVEL) / 2)];
+  return {
+    co2_kg,
+    level: SAVINGS_LEVEL,
+    interval_kg: roundPair(interval),
+    // share of the trees that find the eco route lower
+    agreement: +(diffs.filter((d) => d > 0).length / diffs.length).toFixed(2),
+    significant: interval[0] > 0,
+  };
+}
+
+async function findRoutes({ source, destination, profile, weight_kg, optimizeFor = "co2", battery, departure }) {
+  const provider = cachedProvider(profile.routing);
+  const j = await provider.route([source, destination], { vehicle: profile.routing, alternatives: true, steps: true });
+  if (j.routes.length === 0) throw httpError(422, "No route between source and destination", { code: "NO_ROUTE" });
+
+  // Eco candidates: the provider's own alternatives plus routes forced through
+  // via-points either side of the corridor, minus detours and near-duplicates
+  const viaResults = await Promise.all(
+    viaPoints(source, destination, ECO_VIA_POINTS).map((via) =>
+      provider
+        .route([source, via, destination], { vehicle: profile.routing, steps: true })
+        .then((r) => (r.routes[0] ? { route: r.routes[0], via } : null))
+        .catch(() => null)
+    )
+  );
+  const candidates = distinctCandidates([
+    ...j.routes.map((route) => ({ route, via: null })),
+    ...viaResults.filter(Boolean),
+  ]);
+  candidates.forEach((c) => withRouteFeatures(c.route));
+  if (departure) await Promise.all(candidates.map(async (c) => (c.route.traffic = await routeTraffic(c.route, departure))));
+
+  // Score every candidate under the same assumptions (bar its own traffic) so
+  // the ranking and the saving reflect the route itself; distinctCandidates
+  // puts the fastest first.
+  // EVs (no tailpipe CO₂) rank by energy, and get a charging plan each
+  const mls = await Promise.all(candidates.map((c) => callML(c.route, profile, weight_kg, "eco")));
+  const options = batteryOptions(profile, battery);
+  const scored = candidates
+    .map((c, i) => {
+      const route = formatResult(c.route, mls[i], profile, weight_kg);
+      return {
+        ...route,
+        ...(options ? { battery: planCharging(route, options) } : {}),
+        via: c.via,
+        fastest: i === 0,
+        trees: mls[i].tree_co2_kg,
+      };
+    })
+    .sort((a, b) => a.co2_kg - b.co2_kg || (a.energy_kwh ?? 0) - (b.energy_kwh ?? 0));
+  const ranked = scored.map(({ trees, ...c }, i) => ({ rank: i + 1, ...c }));
+
+  // format output (candidate bookkeeping stays in the ranked list)
+  const asRoute = ({ rank, via, fastest, ...route }) => route;
+  const time_optimized = asRoute(ranked.find((c) => c.fastest));
+  const eco_optimized = asRoute(ranked[0]);
+  const preferred = optimizeFor === "time" ? time_optimized : eco_optimized;
+
+  // Zero when no genuinely different route beats the fastest one
+  const co2SavedPercent = ranked[0].fastest
+    ? 0
+    : Math.max(0, ((time_optimized.co2_kg - eco_optimized.co2_kg) / (time_optimized.co2_kg || 1)) * 100);
+
+  return {
+    time_optimized,
+    eco_optimized,
+    preferred,
+    candidates: ranked,
+    eco_is_fastest: ranked[0].fastest,
+    co2SavedPercent: Math.round(co2SavedPercent),
+    co2_savings: co2Savings(time_optimized, eco_optimized, scored.find((c) => c.fastest).trees, scored[0].trees),
+    vehicle: profile.id,
+    ...planWarnings(mls, [preferred]),
+  };
+}
+
+const ROUTE_SCHEMA = {
+  source: { type: "point" },
+  destination: { type: "point" },
+  stops: { type: "array", items: { type: "point" }, minItems: 2, maxItems: MAX_STOPS },
+  vehicle: { type: "string", default: "car" },
+  weight_kg: { type: "number", exclusiveMin: 0 },
+  optimizeFor: { type: "string", enum: ["co2", "time"], default: "co2" },
+  optimizeOrder: { type: "string", enum: ["none", "co2", "time"], default: "none" },
+  departure: {
+    type: "time",
+    description: "Land routes are scored with the traffic at this time (default: typical traffic); vessels sail then",
+  },
+  battery: {
+    type: "object",
+    description: "EVs: battery and charge levels; capacity defaults to the profile's battery_kwh",
+    properties: {
+      capacity_kwh: { type: "number", exclusiveMin: 0 },
+      start_soc_pct: { type: "number", min: 0, max: 100, default: 90 },
+      reserve_soc_pct: { type: "number", min: 0, max: 50, default: 10 },
+      charge_to_soc_pct: { type: "number", exclusiveMin: 0, max: 100, default: 80 },
+    },
+  },
+};
+
+// Pre-v1 shapes (time_optimized / eco_optimized, legs / totals, or the ocean
+// planner's); /api/v1/route answers every kind in the unified shape
 app.post("/api/route", async (req, res) => {
   try {
-    const { source, destination, vehicle = "car", weight_kg, optimizeFor = "co2" } = req.body;
-    if (!source || !destination)
-      return res.status(400).json({ error: "source and destination required" });
-
-    // Ocean vessels → delegate to ocean route handler
-    if (["ship", "cargo_ship", "tanker", "ferry"].includes(vehicle)) {
-      const r = await fetch("http://localhost:4000/api/ocean-route", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ source, destination, vessel: vehicle }),
-      });
-      const j = await r.json();
-      return res.json(j);
+    const { source, destination, vehicle, weight_kg, optimizeFor, stops, optimizeOrder, battery, departure } = validate(
+      ROUTE_SCHEMA,
+      req.body
+    );
+    const profile = knownProfile(vehicle, "vehicle");
+
+    // Multi-stop: `stops` replaces source/destination (first = start, last = end)
+    if (stops !== undefined) {
+      if (profile.kind === "vessel")
+        throw httpError(400, "multi-stop routes are for land vehicles", { field: "vehicle" });
+      return res.json(await planMultiStop({ stops, profile, weight_kg, optimizeOrder, battery, departure }));
     }
 
-    // Land routes → OSRM
-    const baseUrl = ROUTER_BASE[vehicle] || ROUTER_BASE.car;
-    const coords = coordsToOsrm(source, destination);
-    const url = `${baseUrl}${coords}?alternatives=true&geometries=geojson&overview=full&annotations=distance,duration`;
-    const r = await fetch(url);
-    const j = await r.json();
-
-    if (!j.routes || j.routes.length === 0)
-      return res.status(500).json({ error: "No routes from OSRM" });
-
-    const fastRoute = j.routes[0];
-    let ecoRoute = j.routes[1];
-
-    // fallback eco route if none
-    if (!ecoRoute) {
-      const midLat = (source.lat + destination.lat) / 2 + 0.01;
-      const midLng = (source.lng + destination.lng) / 2;
-      const coordsAlt = `${source.lng},${source.lat};${midLng},${midLat};${destination.lng},${destination.lat}`;
-      const urlAlt = `${baseUrl}${coordsAlt}?geometries=geojson&overview=full`;
-      const rAlt = await fetch(urlAlt);
-      const jAlt = await rAlt.json();
-      if (jAlt.routes && jAlt.routes[0]) ecoRoute = jAlt.routes[0];
+    if (!source || !destination)
+      throw httpError(400, "source and destination required", { field: source ? "destination" : "source" });
+
+    // Ocean vessels → ocean route planner
+    if (profile.kind === "vessel")
+      return res.json(await planOceanRoute({ source, destination, vessel: vehicle, weight_kg, departure }));
+
+    // Land routes → configured routing provider (OSRM, Valhalla or offline)
+    res.json(await planRoute({ source, destination, profile, weight_kg, optimizeFor, battery, departure }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Batch Route API ----------
+// Rows per upload, and land routes worked on at once (each one makes several
+// routing-provider and ML calls of its own)
+const MAX_BATCH_ROWS = Number(process.env.MAX_BATCH_ROWS || 1000);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 4);
+
+const batches = createBatchQueue({
+  concurrency: BATCH_CONCURRENCY,
+  worker: ({ source, destination, profile, weight_kg }) => planRoute({ source, destination, profile, weight_kg }),
+});
+
+// { lat, lng } from an object, a "lat,lng" / "lat lng" string or two columns
+function batchPoint(raw, name) {
+  let lat, lng;
+  if (raw[name] && typeof raw[name] === "object") {
+    ({ lat, lng } = raw[name]);
+  } else if (typeof raw[name] === "string" && raw[name].trim()) {
+    [lat, lng] = raw[name].trim().split(/[\s,;]+/).map(Number);
+  } else {
+    [lat, lng] = [raw[`${name}_lat`], raw[`${name}_lng`] ?? raw[`${name}_lon`]].map((v) =>
+      v === "" || v === undefined || v === null ? NaN : Number(v)
+    );
+  }
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)
+    throw new Error(`${name} needs a valid lat and lng`);
+  return { lat, lng };
+}
+
+// One uploaded row → { id, input } for the worker, or { id, input, error }
+// keeping whatever did parse
+function batchRow(raw) {
+  const id = raw.id === undefined || raw.id === "" ? null : String(raw.id);
+  const weight = raw.weight_kg ?? raw.weight;
+  const input = { source: null, destination: null, vehicle: raw.vehicle || "car", weight_kg: weight };
+  try {
+    input.source = batchPoint(raw, "source");
+    input.destination = batchPoint(raw, "destination");
+    input.profile = profiles.get(input.vehicle);
+    if (!input.profile) throw new Error(`Unknown vehicle profile "${input.vehicle}"`);
+    if (input.profile.kind === "vessel") throw new Error("batch routes are for land vehicles");
+    input.weight_kg = weight === undefined || weight === "" ? undefined : Number(weight);
+    if (input.weight_kg !== undefined && !(input.weight_kg > 0)) throw new Error("weight must be a positive number");
+    return { id, input };
+  } catch (err) {
+    return { id, input, error: err.message };
+  }
+}
+
+// Flat summary of one row: what was asked, and fast vs eco when it worked
+function batchSummary(r) {
+  const { source, destination, vehicle, weight_kg } = r.input;
+  const out = {
+    row: r.row,
+    id: r.id,
+    source_lat: source?.lat,
+    source_lng: source?.lng,
+    destination_lat: destination?.lat,
+    destination_lng: destination?.lng,
+    vehicle,
+    weight_kg,
+    status: r.ok === null ? "pending" : r.ok ? "ok" : "error",
+    error: r.error ?? null,
+  };
+  if (!r.ok) return out;
+  const { time_optimized: fast, eco_optimized: eco, co2SavedPercent } = r.result;
+  for (const [prefix, route] of [["fast", fast], ["eco", eco]]) {
+    out[`${prefix}_distance_km`] = route.distance_km;
+    out[`${prefix}_duration_min`] = route.duration_min;
+    out[`${prefix}_co2_kg`] = route.co2_kg;
+    out[`${prefix}_wtw_co2e_kg`] = route.emissions.wtw_co2e_kg;
+  }
+  out.eco_wtw_g_co2e_per_tkm = eco.emissions.intensity_g_co2e_per_tkm?.wtw ?? null;
+  out.co2_saved_percent = co2SavedPercent;
+  return out;
+}
+
+const BATCH_COLUMNS = [
+  "row", "id", "source_lat", "source_lng", "destination_lat", "destination_lng", "vehicle", "weight_kg",
+  "status", "error", "fast_distance_km", "fast_duration_min", "fast_co2_kg", "fast_wtw_co2e_kg",
+  "eco_distance_km", "eco_duration_min", "eco_co2_kg", "eco_wtw_co2e_kg", "eco_wtw_g_co2e_per_tkm",
+  "co2_saved_percent",
+];
+
+const batchStatus = (job) => ({
+  job_id: job.id,
+  status: job.status,
+  created_at: job.created_at,
+  finished_at: job.finished_at,
+  total: job.total,
+  completed: job.completed,
+  failed: job.failed,
+});
+
+// Body: CSV (text/csv) with a header row, or JSON { rows: [...] } / [...].
+// Columns: id?, source, destination ("lat,lng") or source_lat/source_lng/...,
+// vehicle (default car), weight or weight_kg.
+api.post("/route/batch", express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), (req, res) => {
+  try {
+    let raws;
+    if (typeof req.body === "string") {
+      try {
+        raws = parseCsv(req.body);
+      } catch (err) {
+        throw httpError(400, err.message, { field: "body" });
+      }
+    } else {
+      raws = Array.isArray(req.body) ? req.body : req.body?.rows;
     }
-    const altRoute = ecoRoute || fastRoute;
+    if (!Array.isArray(raws) || raws.length === 0)
+      throw httpError(400, "Send a CSV with a header row, or JSON { rows: [...] }", { field: "rows" });
+    if (raws.length > MAX_BATCH_ROWS)
+      throw httpError(400, `At most ${MAX_BATCH_ROWS} rows per batch`, { field: "rows" });
+
+    const job = batches.create(raws.map((raw) => batchRow(raw && typeof raw === "object" ? raw : {})));
+    res.status(202).json({
+      ...batchStatus(job),
+      // under the prefix it was posted to (/api or /api/v1)
+      links: {
+        status: `${req.baseUrl}/route/batch/${job.id}`,
+        csv: `${req.baseUrl}/route/batch/${job.id}/results?format=csv`,
+        geojson: `${req.baseUrl}/route/batch/${job.id}/results?format=geojson`,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+function batchJob(id) {
+  const job = batches.get(id);
+  if (!job) throw httpError(404, `Unknown batch job "${id}"`);
+  return job;
+}
+
+// Progress plus one summary per row
+api.get("/route/batch/:id", (req, res) => {
+  try {
+    const job = batchJob(req.params.id);
+    res.json({ ...batchStatus(job), rows: job.rows.map(batchSummary) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Download: ?format=csv (default) or geojson (fast + eco line per row,
+// null geometry for rows that failed)
+const BATCH_RESULTS_SCHEMA = { format: { type: "string", enum: ["csv", "geojson"], default: "csv" } };
+
+api.get("/route/batch/:id/results", (req, res) => {
+  let job, format;
+  try {
+    job = batchJob(req.params.id);
+    ({ format } = validate(BATCH_RESULTS_SCHEMA, req.query, { query: true }));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (format === "csv") {
+    res.attachment(`batch-${job.id}.csv`).type("text/csv");
+    return res.send(toCsv(job.rows.map(batchSummary), BATCH_COLUMNS));
+  }
+  if (format === "geojson") {
+    const features = job.rows.flatMap((r) => {
+      const properties = batchSummary(r);
+      if (!r.ok) return [{ type: "Feature", geometry: null, properties }];
+      return [
+        ["fast", r.result.time_optimized],
+        ["eco", r.result.eco_optimized],
+      ].map(([route, { geometry }]) => ({ type: "Feature", geometry, properties: { ...properties, route } }));
+    });
+    res.attachment(`batch-${job.id}.geojson`).type("application/geo+json");
+    return res.send(JSON.stringify({ type: "FeatureCollection", features }));
+  }
+});
+
+// ---------- Emissions Report API ----------
+// Trips to report on: the eco route of every successful row of a finished batch
+// job, or `trips` of { label?, distance_km, emissions } as the route APIs return
+// them (or { label?, distance_km, fuel_type, fuel_amount, weight_kg? }).
+// Emissions are recomputed from the fuel so every row uses the current factors.
+function reportTrips({ job_id, trips }) {
+  if (job_id !== undefined) {
+    const job = batchJob(job_id);
+    if (job.status !== "done") throw httpError(409, "Batch job is still running");
+    trips = job.rows
+      .filter((r) => r.ok)
+      .map((r) => ({ label: r.id ?? `row ${r.row}`, ...r.result.eco_optimized }));
+  }
+  if (!Array.isArray(trips) || trips.length === 0)
+    throw httpError(400, "Send a job_id or a non-empty trips array", { field: "trips" });
+  return trips.map((t, i) => {
+    const e = t?.emissions || t || {};
+    const payloadKg = e.payload_t ? e.payload_t * 1000 : e.weight_kg;
+    if (!profiles.fuels[e.fuel_type] || !(e.fuel_amount >= 0) || !(t.distance_km >= 0) || (payloadKg != null && !(payloadKg > 0)))
+      throw httpError(400, `trips[${i}] needs distance_km, a known fuel_type and fuel_amount`, { field: `trips[${i}]` });
+    return {
+      label: t.label ? String(t.label) : `trip ${i + 1}`,
+      distance_km: t.distance_km,
+      ...accountEmissions(profiles.fuels, {
+        fuelType: e.fuel_type,
+        fuelAmount: e.fuel_amount,
+        distanceKm: t.distance_km,
+        payloadKg,
+        basis: e.methodology?.basis ?? "fuel as reported",
+        factorsSource: profiles.factorsSource,
+      }),
+    };
+  });
+}
+
+const REPORT_COLUMNS = [
+  "label", "distance_km", "fuel_type", "fuel_amount", "fuel_unit", "payload_t", "tonne_km",
+  "ttw_co2e_kg", "wtt_co2e_kg", "wtw_co2e_kg", "ttw_g_co2e_per_tkm", "wtw_g_co2e_per_tkm",
+];
 
-    // ML predictions
-    const [fastMl, altMl] = await Promise.all([
-      callML(fastRoute, vehicle, weight_kg, "fast"),
-      callML(altRoute, vehicle, weight_kg, "eco"),
+const reportRow = (t) => ({
+  ...t,
+  ttw_g_co2e_per_tkm: t.intensity_g_co2e_per_tkm?.ttw ?? null,
+  wtw_g_co2e_per_tkm: t.intensity_g_co2e_per_tkm?.wtw ?? null,
+});
+
+// Text lines of the PDF report: methodology, factors, one row per trip, totals
+function reportLines(title, rows, totals) {
+  const fuelsUsed = [...new Set(rows.map((r) => r.fuel_type))];
+  const fmt = (v, digits = 1) => (v === null || v === undefined ? "-" : Number(v).toFixed(digits));
+  const table = (cells) =>
+    cells.map(([v, w], i) => (i === 0 ? String(v).slice(0, w).padEnd(w) : String(v).padStart(w))).join(" ");
+  const widths = [20, 8, 9, 11, 9, 9, 8, 9, 9];
+  const header = ["Trip", "km", "Fuel", "Amount", "Payload t", "TTW kg", "WTT kg", "WTW kg", "WTW g/tkm"];
+  const line = (r) =>
+    table([
+      [r.label, widths[0]],
+      [fmt(r.distance_km), widths[1]],
+      [r.fuel_type ?? "", widths[2]],
+      [r.fuel_amount === undefined ? "" : `${fmt(r.fuel_amount)} ${r.fuel_unit}`, widths[3]],
+      [fmt(r.payload_t), widths[4]],
+      [fmt(r.ttw_co2e_kg), widths[5]],
+      [fmt(r.wtt_co2e_kg), widths[6]],
+      [fmt(r.wtw_co2e_kg), widths[7]],
+      [fmt(r.wtw_g_co2e_per_tkm), widths[8]],
     ]);
+  return [
+    title,
+    `Generated ${new Date().toISOString()}`,
+    "",
+    `Methodology: ${STANDARD}. Scope: well-to-wheel (WTW) = tank-to-wheel (TTW) + well-to-tank (WTT).`,
+    "Fuel and energy use are modelled per trip; emissions intensity is per tonne-km of the stated payload.",
+    "",
+    "Emission factors (kg CO2e per unit):",
+    ...fuelsUsed.map((f) => {
+      const fuel = profiles.fuels[f];
+      return `  ${f.padEnd(12)} ${fuel.unit.padEnd(4)} TTW ${fuel.ttw_kg_co2e_per_unit}  WTW ${fuel.wtw_kg_co2e_per_unit}`;
+    }),
+    ...(profiles.factorsSource ? [`Source: ${profiles.factorsSource}`] : []),
+    "",
+    table(header.map((h, i) => [h, widths[i]])),
+    "-".repeat(widths.reduce((a, b) => a + b + 1, -1)),
+    ...rows.map(line),
+    "-".repeat(widths.reduce((a, b) => a + b + 1, -1)),
+    line({
+      label: `Total (${rows.length} trips)`,
+      distance_km: rows.reduce((a, r) => a + r.distance_km, 0),
+      payload_t: null,
+      ttw_co2e_kg: totals.ttw_co2e_kg,
+      wtt_co2e_kg: totals.wtt_co2e_kg,
+      wtw_co2e_kg: totals.wtw_co2e_kg,
+      wtw_g_co2e_per_tkm: totals.intensity_g_co2e_per_tkm?.wtw,
+    }),
+    ...Object.entries(totals.fuel).map(([f, { amount, unit }]) => `  ${f}: ${fmt(amount, 3)} ${unit}`),
+  ];
+}
 
-    // format output
-    const formatResult = (route, mlRes) => {
-      const base = {
-        distance_km: +(route.distance / 1000).toFixed(2),
-        duration_min: +(route.duration / 60).toFixed(1),
-        co2_kg: +(mlRes.co2_kg).toFixed(2),
-        geometry: route.geometry,
-      };
-      if (vehicle === "ev") {
-        return { ...base, energy_kwh: +(mlRes.energy_kwh).toFixed(2) };
-      } else {
-        return { ...base, fuel_l: +(mlRes.fuel_l).toFixed(2) };
-      }
+// Body: { job_id } or { trips }, plus format "csv" (default), "pdf" or "json" and an optional title
+const REPORT_SCHEMA = {
+  job_id: { type: "string" },
+  trips: { type: "array", items: { type: "object" }, minItems: 1 },
+  format: { type: "string", enum: ["csv", "pdf", "json"], default: "csv" },
+  title: { type: "string", maxLength: 200, default: "EcoRoute emissions report" },
+};
+
+api.post("/reports/emissions", (req, res) => {
+  try {
+    const body = validate(REPORT_SCHEMA, req.body);
+    const { format, title } = body;
+    const rows = reportTrips(body).map(reportRow);
+    const totals = sumEmissions(rows);
+
+    if (format === "json") return res.json({ title, standard: STANDARD, factors_source: profiles.factorsSource, trips: rows, totals });
+    if (format === "pdf") {
+      res.attachment("emissions-report.pdf").type("application/pdf");
+      return res.send(textPdf(reportLines(title, rows, totals), { title }));
+    }
+    const totalRow = {
+      label: "TOTAL",
+      distance_km: +rows.reduce((a, r) => a + r.distance_km, 0).toFixed(2),
+      tonne_km: totals.tonne_km,
+      ttw_co2e_kg: totals.ttw_co2e_kg,
+      wtt_co2e_kg: totals.wtt_co2e_kg,
+      wtw_co2e_kg: totals.wtw_co2e_kg,
+      ttw_g_co2e_per_tkm: totals.intensity_g_co2e_per_tkm?.ttw,
+      wtw_g_co2e_per_tkm: totals.intensity_g_co2e_per_tkm?.wtw,
     };
+    res.attachment("emissions-report.csv").type("text/csv");
+    res.send(toCsv([...rows, totalRow], REPORT_COLUMNS));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const time_optimized = formatResult(fastRoute, fastMl);
-    const eco_optimized = formatResult(altRoute, altMl);
-    const preferred = optimizeFor === "time" ? time_optimized : eco_optimized;
+// ---------- Cache API ----------
+api.get("/cache", async (req, res) => {
+  try {
+    const stats = await Promise.all(Object.values(caches).map((c) => c.stats()));
+    res.json({
+      store: CACHE_STORE,
+      ttl_s: CACHE_TTL_S,
+      caches: Object.fromEntries(Object.keys(caches).map((name, i) => [name, stats[i]])),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const co2SavedPercent = Math.max(
-      0,
-      ((time_optimized.co2_kg - eco_optimized.co2_kg) / (time_optimized.co2_kg || 1)) * 100
-    );
+api.delete("/cache", async (req, res) => {
+  try {
+    await Promise.all(Object.values(caches).map((c) => c.clear()));
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Geocoding API ----------
+// Searches go to Nominatim (or NOMINATIM_URL), throttled to its one request a
+// second, and fall back to the bundled gazetteer of cities and ports when it
+// fails, is busy or finds nothing; GEOCODER=offline uses the gazetteer only.
+// Suggestions always come from the gazetteer: the Nominatim usage policy
+// rules out autocomplete against the public server.
+const GEOCODER = process.env.GEOCODER === "offline" ? "offline" : "nominatim";
+const nominatim = createNominatimClient({
+  baseUrl: process.env.NOMINATIM_URL || undefined,
+  userAgent: process.env.GEOCODER_USER_AGENT || "EcoRoute/1.0 (eco-routing backend)",
+});
+
+let gazetteer = [];
+try {
+  gazetteer = loadGazetteer({ citiesPath: "./data/cities.geojson", ports: loadPorts("./data/ports.geojson") });
+  console.log("Loaded gazetteer:", gazetteer.length, "places");
+} catch (err) {
+  console.error("Failed to load gazetteer:", err.message);
+}
+
+const MAX_GEOCODE_RESULTS = 10;
+// Reverse lookups offline name the nearest gazetteer place within this distance
+const REVERSE_NEAREST_KM = 50;
+
+const coordinatesQuery = /^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/;
+const UN_LOCODE = /^[a-z]{2}[a-z2-9]{3}$/i;
+
+const GEOCODE_SCHEMA = {
+  q: { type: "string", required: true, maxLength: 200 },
+  limit: { type: "integer", min: 1, max: MAX_GEOCODE_RESULTS, default: 5 },
+};
+const SUGGEST_SCHEMA = { ...GEOCODE_SCHEMA, q: { type: "string", maxLength: 200, default: "" } };
+// ranges are checked by checkPoint, for its INVALID_COORDINATES code
+const REVERSE_SCHEMA = {
+  lat: { type: "number", required: true, description: "-90..90" },
+  lng: { type: "number", required: true, description: "-180..180" },
+};
 
+const asResult = (place, source) => ({ ...place, source });
+
+api.get("/geocode", async (req, res) => {
+  try {
+    const params = validate(GEOCODE_SCHEMA, req.query, { query: true });
+    const q = params.q.trim();
+    const limit = params.limit;
+    if (!q) throw httpError(400, "q is required", { field: "q" });
+
+    // "lat,lng" needs no lookup
+    const m = q.match(coordinatesQuery);
+    if (m && Math.abs(+m[1]) <= 90 && Math.abs(+m[2]) <= 180) {
+      const point = { lat: +m[1], lng: +m[2] };
+      return res.json({ query: q, source: "coordinates", results: [{ label: q, kind: "coordinates", ...point, source: "coordinates" }] });
+    }
+
+    const local = searchGazetteer(gazetteer, q, { limit });
+    // A UN/LOCODE the gazetteer knows is a port; Nominatim doesn't index them
+    const isLocode = UN_LOCODE.test(q) && local.some((p) => p.id?.toUpperCase() === q.toUpperCase());
+    let fallbackReason = GEOCODER === "offline" ? "offline" : null;
+
+    if (!fallbackReason && !isLocode) {
+      try {
+        const results = await caches.geocode.wrap(cacheKey(["search", q.toLowerCase(), limit]), () => nominatim.search(q, { limit }));
+        if (results.length > 0) {
+          return res.json({ query: q, source: "nominatim", results: results.map((r) => asResult(r, "nominatim")) });
+        }
+        fallbackReason = "no_match";
+      } catch (err) {
+        console.warn("Nominatim search failed:", err.message);
+        fallbackReason = err.status === 429 ? "throttled" : "unavailable";
+      }
+    }
     res.json({
-      time_optimized,
-      eco_optimized,
-      preferred,
-      co2SavedPercent: Math.round(co2SavedPercent),
-      vehicle,
+      query: q,
+      source: "gazetteer",
+      fallback_reason: fallbackReason,
+      results: local.map((r) => asResult(r, "gazetteer")),
     });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message || "Server error" });
+    sendError(res, err);
+  }
+});
+
+api.get("/geocode/suggest", (req, res) => {
+  try {
+    const { q: raw, limit } = validate(SUGGEST_SCHEMA, req.query, { query: true });
+    const q = raw.trim();
+    const results = q.length < 2 ? [] : searchGazetteer(gazetteer, q, { limit });
+    res.json({ query: q, source: "gazetteer", results: results.map((r) => asResult(r, "gazetteer")) });
+  } catch (err) {
+    sendError(res, err);
   }
-});// ---------- Ocean Route API (Demo Mode) ----------
+});
+
+// Name for a point picked on the map; the point itself is returned unchanged
+api.get("/geocode/reverse", async (req, res) => {
+  try {
+    const point = checkPoint(validate(REVERSE_SCHEMA, req.query, { query: true }), "lat/lng");
+    const { lat, lng } = point;
+    const coords = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+
+    if (GEOCODER !== "offline") {
+      try {
+        const place = await caches.geocode.wrap(cacheKey(["reverse", point]), () => nominatim.reverse(point));
+        if (place) return res.json({ ...place, ...point, source: "nominatim" });
+      } catch (err) {
+        console.warn("Nominatim reverse failed:", err.message);
+      }
+    }
+    const near = nearestPlace(gazetteer, point, REVERSE_NEAREST_KM);
+    res.json(
+      near
+        ? { ...near.entry, label: `${coords} (${Math.round(near.km)} km from ${near.entry.name})`, ...point, source: "gazetteer" }
+        : { label: coords, kind: "coordinates", ...point, source: "coordinates" }
+    );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Chokepoints API ----------
+api.get("/chokepoints", (req, res) => {
+  res.json({
+    chokepoints: chokepoints.map(({ id, name, kind, delay_hr, toll_usd, limits }) => ({
+      id, name, kind, delay_hr, toll_usd, limits,
+    })),
+    vessel_classes: VESSEL_CLASSES,
+  });
+});
+
+
+// ---------- Profiles API ----------
+// Errors from the registry carry their HTTP status (400 invalid, 403 built-in,
+// 404 unknown, 409 duplicate id)
+
+const PROFILES_QUERY_SCHEMA = { kind: { type: "string", enum: ["vehicle", "vessel"] } };
+
+api.get("/profiles", (req, res) => {
+  try {
+    const { kind } = validate(PROFILES_QUERY_SCHEMA, req.query, { query: true });
+    res.json({ profiles: profiles.list(kind), fuels: profiles.fuels });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.get("/profiles/:id", (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return sendError(res, httpError(404, `Unknown profile "${req.params.id}"`));
+  res.json(profile);
+});
+
+api.post("/profiles", (req, res) => {
+  try {
+    res.status(201).json(profiles.create(req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.put("/profiles/:id", (req, res) => {
+  try {
+    res.json(profiles.update(req.params.id, req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.delete("/profiles/:id", (req, res) => {
+  try {
+    profiles.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
 
 // ---------- Ocean Route API (Demo using shipping lanes) ----------
-app.post("/api/ocean-route", async (req, res) => {
+
+const invalidWindow = (message, field = "arrival_window") => httpError(400, message, { field });
+
+// { departure, earliest, latest, min_hours, max_hours } from the departure time
+// (ms) and the request's arrival window, or null when no window was given
+function arrivalWindow(dep, window) {
+  if (!window) return null;
+  const earliest = window.earliest ? Date.parse(window.earliest) : null;
+  const latest = window.latest ? Date.parse(window.latest) : null;
+  if (earliest === null && latest === null) throw invalidWindow("arrival_window needs earliest and/or latest");
+  if (latest !== null && latest <= dep)
+    throw invalidWindow("arrival_window.latest must be after departure", "arrival_window.latest");
+  if (earliest !== null && latest !== null && earliest > latest)
+    throw invalidWindow("arrival_window.earliest must not be after latest", "arrival_window.earliest");
+  const iso = (t) => (t === null ? null : new Date(t).toISOString());
+  const hoursFrom = (t) => (t === null ? null : (t - dep) / 3600e3);
+  return {
+    departure: iso(dep),
+    earliest: iso(earliest),
+    latest: iso(latest),
+    min_hours: hoursFrom(earliest),
+    max_hours: hoursFrom(latest),
+  };
+}
+
+const OCEAN_SCHEMA = {
+  source: { type: "point", required: true },
+  destination: { type: "point", required: true },
+  vessel: { type: "string", default: "ship" },
+  avoid: { type: "array", items: { type: "string" }, default: [] },
+  vessel_size: { type: "any" },
+  departure: { type: "time" },
+  arrival_window: { type: "object", properties: { earliest: { type: "time" }, latest: { type: "time" } } },
+  eta: { type: "time" },
+  max_wave_m: { type: "number", exclusiveMin: 0, default: OCEAN_MAX_WAVE_M },
+  weight_kg: { type: "number", exclusiveMin: 0 },
+};
+
+// Every `size`-element subset of `items`, in order
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  return items.flatMap((item, i) => combinations(items.slice(i + 1), size - 1).map((rest) => [item, ...rest]));
+}
+
+// Eco and safe voyages between two points over the shipping lanes; throws
+// httpError (400 bad input, 422 no route / land crossing / missed window,
+// 503 lanes not loaded)
+async function planOceanRoute(params) {
+  const { source, destination, vessel, avoid, vessel_size, departure, arrival_window, eta, max_wave_m, weight_kg } =
+    validate(OCEAN_SCHEMA, params);
+  const depMs = departure ? Date.parse(departure) : Date.now();
+  const window = arrivalWindow(depMs, arrival_window ?? (eta ? { latest: eta } : null));
+  const profile = knownProfile(vessel, "vessel", "vessel");
+  if (!laneGraph) {
+    throw httpError(503, "Shipping lanes not loaded");
+  }
+  const unknown = avoid.filter((id) => !chokepoints.some((c) => c.id === id));
+  if (unknown.length > 0) {
+    throw httpError(400, `avoid must list known chokepoints (${chokepoints.map((c) => c.id).join(", ")})`, {
+      field: "avoid",
+    });
+  }
+  let dims;
   try {
-    const { source, destination, vessel = "ship" } = req.body;
-    if (!source || !destination) {
-      return res.status(400).json({ error: "source and destination required" });
+    dims = resolveVesselSize(vessel_size ?? profile.vessel_size);
+  } catch (err) {
+    throw httpError(400, err.message, { field: "vessel_size" });
+  }
+
+  const srcSnap = snapToGraph(laneGraph, [source.lng, source.lat]);
+  const dstSnap = snapToGraph(laneGraph, [destination.lng, destination.lat]);
+  if (!srcSnap || !dstSnap) {
+    throw httpError(503, "Failed to snap to shipping lanes");
+  }
+
+  const safeSpeedKph = Math.min(OCEAN_SAFE_SPEED_KPH, profile.design_speed_kph);
+  const speedKph = { eco: Math.min(ecoSpeed(profile), safeSpeedKph), safe: safeSpeedKph };
+  const maxWaveM = { eco: max_wave_m, safe: max_wave_m * SAFE_WAVE_SHARE };
+  // Lane length in still-water km: stretched by head seas, wind and currents
+  // on the way, closed above the wave limit
+  const laneKm = (name) =>
+    weather.grids.length
+      ? weatherEdgeKm(weather, laneGraph, { departure: depMs, speedKph: speedKph[name], maxWaveM: maxWaveM[name] })
+      : (e) => e.km;
+
+  // Chokepoints closed to this voyage: requested ones plus any the vessel is too big for
+  const oversized = oversizedFor(chokepoints, dims);
+  const avoidIds = [...new Set([...avoid, ...oversized])];
+  const landOpts = { toleranceKm: OCEAN_LAND_TOLERANCE_KM };
+  const noRoute = (name, result) => {
+    if (result.check && !result.check.ok) {
+      return httpError(422, "Ocean route crosses land", {
+        code: "ROUTE_CROSSES_LAND",
+        route: name,
+        segments: result.check.segments,
+      });
     }
-    if (!shippingLanes) {
-      return res.status(500).json({ error: "Shipping lanes not loaded" });
+    return httpError(422, "No shipping lane connection between source and destination", {
+      code: "NO_ROUTE",
+      avoided: avoidIds,
+      ...(weather.grids.length ? { max_wave_m: maxWaveM[name] } : {}),
+    });
+  };
+
+  // Eco: shortest voyage over the lane network, canal/strait delays included.
+  // Both routes are checked against the land mask and re-routed if they cross land.
+  const eco = findSeaRoute(laneGraph, landMask, srcSnap, dstSnap, {
+    ...landOpts,
+    edgeCost: chokepointCost(chokepoints, laneKm("eco"), { avoid: avoidIds, speedKph: speedKph.eco }),
+  });
+  if (!eco.path) throw noRoute("eco", eco);
+  const ecoChokepoints = chokepointsOnPath(chokepoints, eco.path);
+
+  // Safe: the alternate that stays clear of the chokepoints the eco route
+  // transits, preferring the heavily used Major lanes. Where there is no way
+  // around some of them (e.g. into the Black Sea), it keeps only those, and
+  // says so: the largest set of them it can avoid wins, the shortest voyage
+  // among equals.
+  // The lane preference only weighs paths against each other, so the weather
+  // is still looked up for when the vessel actually gets to each lane.
+  const safeKm = laneKm("safe");
+  const safeLaneWeight = (e) => SAFE_LANE_PENALTY[e.type] ?? 1.5;
+  const safeCost = (avoidList) =>
+    chokepointCost(chokepoints, safeKm, { avoid: avoidList, speedKph: speedKph.safe });
+  const ecoIds = ecoChokepoints.map((c) => c.id);
+  let safe = null;
+  let safeAvoids = avoidIds;
+  let unavoidable = ecoIds;
+  for (let size = ecoIds.length; size >= 0 && !safe?.path; size--) {
+    for (const subset of combinations(ecoIds, size)) {
+      const avoidList = [...avoidIds, ...subset];
+      const found = findSeaRoute(laneGraph, landMask, srcSnap, dstSnap, {
+        ...landOpts,
+        edgeCost: safeCost(avoidList),
+        edgeWeight: safeLaneWeight,
+      });
+      if (found.path && (!safe?.path || found.path.distance_km < safe.path.distance_km)) {
+        safe = found;
+        safeAvoids = avoidList;
+        unavoidable = ecoIds.filter((id) => !subset.includes(id));
+      } else if (!safe) {
+        safe = found;
+      }
     }
+  }
+  if (!safe.path) throw noRoute("safe", safe);
+
+  // Distance, duration and fuel from the vessel's SFOC curve; chokepoint
+  // waits run the auxiliaries only. The weather along the way (at the routing
+  // speed) turns the distance into still-water km. With an arrival window the
+  // speed is the cheapest one that still makes it, otherwise the variant's
+  // cruising speed (slow steaming for eco).
+  function makeRoute({ path, check, reroutes }, name, used) {
+    const distKm = path.distance_km;
+    const waitHr = used.reduce((sum, c) => sum + c.delay_hr, 0);
+    const conditions = voyageWeather(weather, path.coordinates, {
+      departure: depMs,
+      speedKph: speedKph[name],
+      maxWaveM: maxWaveM[name],
+    });
+    const sailKm = conditions?.still_water_km ?? distKm;
+    const voyage = { distanceKm: sailKm, waitHr, minHours: window?.min_hours ?? null, maxHours: window?.max_hours ?? null };
+    const { feasible, ...sailed } = window
+      ? optimizeSpeed(profile, profiles.fuels, voyage)
+      : voyageAt(profile, profiles.fuels, speedKph[name], sailKm, waitHr);
+    return {
+      distance_km: +distKm.toFixed(1),
+      ...sailed,
+      fuel_type: profile.fuel_type,
+      departure: new Date(depMs).toISOString(),
+      arrival: new Date(depMs + sailed.duration_hr * 3600e3).toISOString(),
+      meets_window: window ? feasible : null,
+      weather: conditions && { ...conditions, max_wave_limit_m: +maxWaveM[name].toFixed(1) },
+      emissions: accountEmissions(profiles.fuels, {
+        fuelType: profile.fuel_type,
+        fuelAmount: sailed.fuel_t * 1000,
+        distanceKm: distKm,
+        payloadKg: weight_kg,
+        basis: "modelled fuel consumption (vessel SFOC curve, propeller law)",
+        factorsSource: profiles.factorsSource,
+      }),
+      tradeoff: speedTradeoff(profile, profiles.fuels, voyage),
+      geometry: { type: "LineString", coordinates: path.coordinates },
+      legs: path.legs,
+      chokepoints: used,
+      toll_usd: used.reduce((sum, c) => sum + c.toll_usd, 0),
+      land_check: { ok: check.ok, land_km: check.land_km, reroutes },
+    };
+  }
 
-    const srcPt = turf.point([source.lng, source.lat]);
-    const dstPt = turf.point([destination.lng, destination.lat]);
+  const ecoRoute = makeRoute(eco, "eco", ecoChokepoints);
+  const safeRoute = {
+    ...makeRoute(safe, "safe", chokepointsOnPath(chokepoints, safe.path)),
+    avoids: safeAvoids,
+    unavoidable,
+  };
+  if (window && !ecoRoute.meets_window) {
+    throw httpError(422, "No speed within the vessel's range meets the arrival window", {
+      code: "ARRIVAL_WINDOW_INFEASIBLE",
+      arrival_window: window,
+      closest_arrival: ecoRoute.arrival,
+      speed_kn: ecoRoute.speed_kn,
+    });
+  }
+
+  return {
+    vessel,
+    vessel_size: dims,
+    avoided: avoidIds,
+    oversized_for: oversized,
+    arrival_window: window,
+    snapped: {
+      source: { coordinates: srcSnap.point, offset_km: +srcSnap.distKm.toFixed(1) },
+      destination: { coordinates: dstSnap.point, offset_km: +dstSnap.distKm.toFixed(1) },
+    },
+    eco_route: ecoRoute,
+    safe_route: safeRoute,
+  };
+}
 
-    let nearestSrc = null, nearestDst = null;
-    let minSrc = Infinity, minDst = Infinity;
+// eco_route / safe_route; POST /api/v1/route with a vessel is the v1 equivalent
+app.post("/api/ocean-route", async (req, res) => {
+  try {
+    res.json(await planOceanRoute(req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    function checkNearest(line) {
-      const snapSrc = turf.nearestPointOnLine(line, srcPt);
-      const snapDst = turf.nearestPointOnLine(line, dstPt);
+// ---------- Intermodal Journey API ----------
+// Truck → port → ship → port → truck: a road leg to a port near the source,
+// the voyage to a port near the destination, and a road leg from there
 
-      if (snapSrc.properties.dist < minSrc) {
-        minSrc = snapSrc.properties.dist;
-        nearestSrc = snapSrc;
-      }
-      if (snapDst.properties.dist < minDst) {
-        minDst = snapDst.properties.dist;
-        nearestDst = snapDst;
-      }
+// Container ports near enough to a shipping lane to start or end a voyage
+let ports = [];
+try {
+  ports = loadPorts("./data/ports.geojson", laneGraph);
+  console.log("Loaded ports:", ports.length);
+} catch (err) {
+  console.error("Failed to load ports:", err.message);
+}
+
+// Hours a shipment spends in port (handling, customs) where the port has no dwell_hr of its own
+const PORT_DWELL_HR = Number(process.env.PORT_DWELL_HR || 24);
+// Ports tried at each end of a journey (at most MAX_PORT_CANDIDATES), and how
+// far (great circle km) they may be from the source / destination
+const PORT_CANDIDATES = 3;
+const MAX_PORT_CANDIDATES = 5;
+const MAX_PORT_KM = Number(process.env.MAX_PORT_KM || 800);
+// Width of the arrival-time buckets that share a journey's last road leg; the
+// traffic profile changes by the hour
+const LAST_LEG_BUCKET_MIN = 60;
+
+const portRef = (p) => ({ id: p.id, name: p.name, country: p.country, lat: p.lat, lng: p.lng });
+const portDwell = (p) => p.dwell_hr ?? PORT_DWELL_HR;
+
+const JOURNEY_SCHEMA = {
+  source: { type: "point", required: true },
+  destination: { type: "point", required: true },
+  vehicle: { type: "string", default: "van" },
+  vessel: { type: "string", default: "cargo_ship" },
+  weight_kg: { type: "number", exclusiveMin: 0 },
+  departure: { type: "time" },
+  port_candidates: { type: "integer", min: 1, max: MAX_PORT_CANDIDATES, default: PORT_CANDIDATES },
+};
+
+// Every port pair's journey, lowest CO₂ first; pairs with no road or sea
+// route come back in `skipped`. Throws httpError like the planners it chains.
+async function planJourney(params) {
+  const { source, destination, vehicle, vessel, weight_kg, departure, port_candidates } = validate(JOURNEY_SCHEMA, params);
+  const profile = knownProfile(vehicle, "vehicle", "vehicle");
+  knownProfile(vessel, "vessel", "vessel");
+  const depMs = departure ? Date.parse(departure) : Date.now();
+
+  const near = (point, end) => {
+    const found = candidatePorts(ports, point, { count: port_candidates, maxKm: MAX_PORT_KM });
+    if (found.length === 0) {
+      throw httpError(422, `No port within ${MAX_PORT_KM} km of the ${end}`, { code: "NO_PORT_NEARBY", end });
     }
+    return found.map((c) => c.port);
+  };
+  const fromPorts = near(source, "source");
+  const toPorts = near(destination, "destination");
+
+  // First road legs once per origin port (eco route), then the voyage for
+  // every pair of different ports, leaving after the first road leg and the
+  // port dwell, then the last road legs, leaving after the voyage and its
+  // port dwell. Each stage is planned all at once; a failure that isn't "no
+  // route" (an upstream router down, say) fails the whole journey rather than
+  // passing for a port with no road
+  const skipped = [];
+  const skip = (entry, err, unroutable) => {
+    const { status, body } = errorResponse(err);
+    if (!unroutable(status, body.code)) throw err;
+    skipped.push({ ...entry, error: err.message, code: body.code });
+    return null;
+  };
+  const noRoad = (status, code) => code === "NO_ROUTE";
+  const noSeaRoute = (status) => status === 422;
+  const pointOf = (p) => ({ lat: p.lat, lng: p.lng });
+  const hoursAfter = (ms, hours) => ms + hours * 3600e3;
+
+  const firstPlans = await Promise.all(
+    fromPorts.map((p) =>
+      planRoute({ source, destination: pointOf(p), profile, weight_kg, departure })
+        .then((plan) => plan.eco_optimized)
+        .catch((err) => skip({ port: p.id, leg: "road" }, err, noRoad))
+    )
+  );
+  const firstLegs = new Map(fromPorts.map((p, i) => [p.id, firstPlans[i]]));
+
+  const pairs = fromPorts.flatMap((from) =>
+    toPorts.filter((to) => to.id !== from.id && firstLegs.get(from.id)).map((to) => ({ from, to }))
+  );
+  await Promise.all(
+    pairs.map(async (pair) => {
+      const { from, to } = pair;
+      const sail = hoursAfter(depMs, firstLegs.get(from.id).duration_min / 60 + portDwell(from));
+      pair.voyage = await planOceanRoute({ source: pointOf(from), destination: pointOf(to), vessel, weight_kg, departure: new Date(sail).toISOString() })
+        .then((plan) => plan.eco_route)
+        .catch((err) => skip({ port: from.id, to_port: to.id, leg: "sea" }, err, noSeaRoute));
+    })
+  );
+
+  // Voyages reaching the same port within the same LAST_LEG_BUCKET_MIN share
+  // one last road leg, planned for the start of that bucket. A port's first
+  // bucket goes ahead of the rest, so a port with no road to the destination
+  // is skipped once rather than once per bucket
+  const bucketMs = LAST_LEG_BUCKET_MIN * 60e3;
+  const lastLegs = new Map();
+  for (const pair of pairs) {
+    if (!pair.voyage) continue;
+    const { from, to, voyage } = pair;
+    const ready = hoursAfter(depMs, firstLegs.get(from.id).duration_min / 60 + portDwell(from) + voyage.duration_hr + portDwell(to));
+    const bucket = Math.floor(ready / bucketMs) * bucketMs;
+    pair.lastKey = `${to.id}@${bucket}`;
+    if (!lastLegs.has(pair.lastKey)) lastLegs.set(pair.lastKey, { to, departure: bucket });
+  }
+  const planLastLegs = (legs) =>
+    Promise.all(
+      legs.map(async (leg) => {
+        leg.route = await planRoute({ source: pointOf(leg.to), destination, profile, weight_kg, departure: new Date(leg.departure).toISOString() })
+          .then((plan) => plan.eco_optimized)
+          .catch((err) => skip({ port: leg.to.id, leg: "road" }, err, noRoad));
+      })
+    );
+  const byPort = new Map();
+  for (const leg of lastLegs.values()) byPort.set(leg.to.id, [...(byPort.get(leg.to.id) || []), leg]);
+  await planLastLegs([...byPort.values()].map((legs) => legs[0]));
+  await planLastLegs([...byPort.values()].filter((legs) => legs[0].route).flatMap((legs) => legs.slice(1)));
+
+  const journeys = [];
+  for (const { from, to, voyage, lastKey } of pairs) {
+    const last = voyage && lastLegs.get(lastKey).route;
+    if (!last) continue;
+
+    let t = depMs;
+    const clock = (hours) => {
+      const span = { departure: new Date(t).toISOString() };
+      t = hoursAfter(t, hours);
+      return { ...span, arrival: new Date(t).toISOString() };
+    };
+    const roadLeg = (route, fromId, toId) => ({
+      mode: "road",
+      from: fromId,
+      to: toId,
+      vehicle,
+      distance_km: route.distance_km,
+      duration_hr: +(route.duration_min / 60).toFixed(2),
+      co2_kg: route.co2_kg,
+      prediction: route.prediction,
+      ...clock(route.duration_min / 60),
+      emissions: route.emissions,
+      geometry: route.geometry,
+    });
+    const portLeg = (p) => ({ mode: "port", port: p.id, name: p.name, dwell_hr: portDwell(p), ...clock(portDwell(p)) });
+
+    const legs = [
+      roadLeg(firstLegs.get(from.id), "source", from.id),
+      portLeg(from),
+      {
+        mode: "sea",
+        from: from.id,
+        to: to.id,
+        vessel,
+        distance_km: voyage.distance_km,
+        duration_hr: voyage.duration_hr,
+        co2_kg: voyage.co2_kg,
+        speed_kn: voyage.speed_kn,
+        chokepoints: voyage.chokepoints.map((c) => c.id),
+        ...clock(voyage.duration_hr),
+        emissions: voyage.emissions,
+        geometry: voyage.geometry,
+      },
+      portLeg(to),
+      roadLeg(last, to.id, "destination"),
+    ];
+
+    const moving = legs.filter((l) => l.mode !== "port");
+    journeys.push({
+      origin_port: portRef(from),
+      destination_port: portRef(to),
+      distance_km: +moving.reduce((sum, l) => sum + l.distance_km, 0).toFixed(1),
+      duration_hr: +((t - depMs) / 3600e3).toFixed(2),
+      co2_kg: +moving.reduce((sum, l) => sum + l.co2_kg, 0).toFixed(2),
+      departure: legs[0].departure,
+      arrival: legs[legs.length - 1].arrival,
+      emissions: sumEmissions(moving.map((l) => l.emissions)),
+      legs,
+    });
+  }
+  if (journeys.length === 0) {
+    throw httpError(422, "No intermodal journey between the candidate ports", { code: "NO_JOURNEY", skipped });
+  }
 
-    for (const feat of shippingLanes.features) {
-      if (!feat.geometry) continue;
-      if (feat.geometry.type === "LineString") {
-        checkNearest(turf.lineString(feat.geometry.coordinates));
-      } else if (feat.geometry.type === "MultiLineString") {
-        for (const coords of feat.geometry.coordinates) {
-          checkNearest(turf.lineString(coords));
+  const fastest = Math.min(...journeys.map((j) => j.duration_hr));
+  return {
+    vehicle,
+    vessel,
+    port_dwell_hr: PORT_DWELL_HR,
+    candidates: { source: fromPorts.map(portRef), destination: toPorts.map(portRef) },
+    journeys: journeys
+      .sort((a, b) => a.co2_kg - b.co2_kg)
+      .map((j, i) => ({ rank: i + 1, fastest: j.duration_hr === fastest, ...j })),
+    skipped,
+    ...mlWarnings([...firstLegs.values(), ...[...lastLegs.values()].map((leg) => leg.route)].filter(Boolean).map((r) => ({ model: r.prediction }))),
+  };
+}
+
+api.get("/ports", (req, res) => {
+  res.json(ports.map((p) => ({ ...portRef(p), dwell_hr: portDwell(p) })));
+});
+
+// Durations in hours here; /api/v1/journey gives minutes and Route legs
+app.post("/api/journey", async (req, res) => {
+  try {
+    res.json(await planJourney(req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Trips API ----------
+// Routes that were actually taken, kept in SQLite for the savings dashboard.
+// A trip stores the chosen v1 Route and the fast route's CO₂ as its baseline.
+const trips = createTripStore(process.env.TRIPS_DB || "./data/trips.db");
+
+const TRIP_ROUTE_SCHEMA = {
+  id: { type: "string", required: true, description: "Route id in its plan (fast, eco, trip, ...)" },
+  mode: { type: "string", enum: ["road", "sea"] },
+  distance_km: { type: "number", min: 0, required: true },
+  duration_min: { type: "number", min: 0, required: true },
+  departure: { type: "time" },
+  arrival: { type: "time" },
+  co2_kg: { type: "number", min: 0, required: true },
+  fuel: {
+    type: "object",
+    required: true,
+    properties: {
+      type: { type: "string", required: true },
+      amount: { type: "number", min: 0, required: true },
+      unit: { type: "string", required: true },
+    },
+  },
+  prediction: { type: "string" },
+  emissions: { type: "object" },
+  geometry: { type: "object" },
+};
+
+const TRIP_SCHEMA = {
+  vehicle: { type: "string", required: true, description: "Vehicle or vessel profile id" },
+  kind: { type: "string", enum: ["land", "multi_stop", "ocean"], default: "land" },
+  label: { type: "string", maxLength: 200 },
+  taken_at: { type: "time", description: "When the trip was made; default now" },
+  route: { type: "object", required: true, properties: TRIP_ROUTE_SCHEMA, description: "The route taken (a v1 Route)" },
+  baseline_co2_kg: {
+    type: "number",
+    min: 0,
+    description: "CO2 of the fast route for the same trip; default the route's own (nothing saved)",
+  },
+  actual_fuel: { type: "number", min: 0, description: "Fuel actually used, in the route's fuel unit" },
+};
+
+const TRIP_UPDATE_SCHEMA = { label: TRIP_SCHEMA.label, actual_fuel: TRIP_SCHEMA.actual_fuel };
+
+const TRIPS_FILTER_SCHEMA = {
+  vehicle: { type: "string" },
+  from: { type: "time", description: "Trips taken at or after" },
+  to: { type: "time", description: "Trips taken before" },
+};
+
+const TRIPS_QUERY_SCHEMA = {
+  ...TRIPS_FILTER_SCHEMA,
+  limit: { type: "integer", min: 1, max: 500, default: 50 },
+  offset: { type: "integer", min: 0, default: 0 },
+};
+
+api.get("/trips", (req, res) => {
+  try {
+    res.json(trips.list(validate(TRIPS_QUERY_SCHEMA, req.query, { query: true })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.get("/trips/summary", (req, res) => {
+  try {
+    res.json(trips.summary(validate(TRIPS_FILTER_SCHEMA, req.query, { query: true })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.post("/trips", (req, res) => {
+  try {
+    const trip = validate(TRIP_SCHEMA, req.body);
+    knownProfile(trip.vehicle, "vehicle");
+    res.status(201).json(trips.add(trip));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.get("/trips/:id", (req, res) => {
+  try {
+    res.json(trips.get(Number(req.params.id)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.patch("/trips/:id", (req, res) => {
+  try {
+    res.json(trips.update(Number(req.params.id), validate(TRIP_UPDATE_SCHEMA, req.body)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+api.delete("/trips/:id", (req, res) => {
+  try {
+    trips.remove(Number(req.params.id));
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Route Export API ----------
+// Body: { route, format, name? }, the route a v1 Route as the plans return it
+// (land, leg or voyage); answers with the file to download
+const EXPORT_SCHEMA = {
+  route: {
+    type: "object",
+    required: true,
+    properties: {
+      ...TRIP_ROUTE_SCHEMA,
+      geometry: {
+        type: "object",
+        required: true,
+        description: "LineString or MultiLineString of [lng, lat] positions, checked by the exporter",
+      },
+      speed_kn: { type: "number", exclusiveMin: 0, description: "Sea routes: the planned speed, for the RTZ legs" },
+    },
+    description: "The route to export (a v1 Route)",
+  },
+  format: {
+    type: "string",
+    enum: Object.keys(EXPORT_FORMATS),
+    default: "geojson",
+    description: "gpx (track), kml, geojson (FeatureCollection) or rtz (sea routes only)",
+  },
+  name: { type: "string", maxLength: 200, description: "Route name in the file; default from the route id" },
+};
+
+api.post("/routes/export", (req, res) => {
+  try {
+    const { route, format, name } = validate(EXPORT_SCHEMA, req.body);
+    const file = exportRoute(route, format, { name });
+    res.attachment(file.filename).type(file.type).send(file.body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// ---------- Telemetry API ----------
+// Recorded trips (lib/telemetry.js) become labelled samples for retraining the
+// ML model (lib/samples.js). Each trace is map-matched by routing through fixes
+// spread along it; the matched route gets the features callML would send for
+// it, with the trip's own traffic index (its driving time over the router's,
+// within the model's range), and the fuel the trip used is the label.
+const samples = createSampleStore(process.env.TELEMETRY_DB || "./data/telemetry.db");
+
+const MAX_TELEMETRY_TRIPS = Number(process.env.MAX_TELEMETRY_TRIPS || 200);
+// Matches longer or shorter than the trace by more than this factor are left out
+const MATCH_TOLERANCE = 1.5;
+
+const TELEMETRY_SCHEMA = {
+  vehicle: { type: "string", required: true, description: "Vehicle profile the trips were driven with (not an EV)" },
+  weight_kg: { type: "number", min: 0, default: 0, description: "Payload carried on the trips" },
+  route_type: {
+    type: "string",
+    enum: ["fast", "eco", "safe"],
+    default: "fast",
+    description: "Kind of route the trips took, as the model encodes it",
+  },
+  format: { type: "string", enum: TELEMETRY_FORMATS, description: "csv or gpx; default from the Content-Type" },
+};
+
+const SAMPLES_FILTER_SCHEMA = {
+  vehicle: { type: "string" },
+  from: { type: "time", description: "Trips started at or after" },
+  to: { type: "time", description: "Trips started before" },
+};
+
+const SAMPLES_QUERY_SCHEMA = {
+  ...SAMPLES_FILTER_SCHEMA,
+  limit: { type: "integer", min: 1, max: 500, default: 50 },
+  offset: { type: "integer", min: 0, default: 0 },
+  format: { type: "string", enum: ["json", "csv"], default: "json", description: "csv: every matching sample, flat" },
+};
+
+async function telemetrySample(trace, { source, profile, weight_kg, route_type }) {
+  const summary = traceSummary(trace, { maxWaypoints: MAX_STOPS });
+  const vehicle = profile.routing;
+  const points = summary.waypoints.map(([lng, lat]) => ({ lat, lng }));
+  const j = await cachedProvider(vehicle).route(points, { vehicle, steps: true });
+  if (j.routes.length === 0) throw httpError(422, `No road route along trip "${trace.trip_id}"`, { code: "NO_ROUTE" });
+  const { distance, duration, geometry, legs } = j.routes[0];
+  const ratio = distance / 1000 / summary.trace_km;
+  if (!(ratio <= MATCH_TOLERANCE && ratio >= 1 / MATCH_TOLERANCE))
+    throw httpError(
+      422,
+      `Trip "${trace.trip_id}": the matched route (${(distance / 1000).toFixed(1)} km) strays from the trace (${summary.trace_km.toFixed(1)} km)`,
+      { code: "NO_MATCH" }
+    );
+
+  const route = withRouteFeatures({ distance, duration, geometry, legs });
+  route.traffic = { index: duration > 0 ? +clampTraffic(summary.duration_s / duration).toFixed(2) : 1 };
+  return samples.add({
+    source,
+    vehicle: profile.id,
+    trace: summary,
+    features: mlFeatures(route, profile, weight_kg, route_type),
+    fuelType: profile.fuel_type,
+    fuelUsed: summary.fuel_used,
+    co2Kg: summary.fuel_used * profiles.fuels[profile.fuel_type].co2_kg_per_unit,
+    geometry,
+  });
+}
+
+// Body: CSV (text/csv) or GPX (application/gpx+xml), see lib/telemetry.js.
+// Trips that can't be labelled (or are already recorded) are listed under
+// `skipped`; if none can, the answer is a 422 NO_SAMPLES listing them.
+api.post(
+  "/telemetry",
+  express.text({ type: ["text/csv", "text/plain", "application/gpx+xml", "application/xml", "text/xml"], limit: "20mb" }),
+  async (req, res) => {
+    try {
+      const { vehicle, weight_kg, route_type, format: asked } = validate(TELEMETRY_SCHEMA, req.query, { query: true });
+      const profile = knownProfile(vehicle, "vehicle", "vehicle");
+      if (isElectric(profile))
+        throw httpError(400, "EVs are scored by the energy model, not the ML model; telemetry is for fuel vehicles", {
+          field: "vehicle",
+        });
+      if (typeof req.body !== "string" || !req.body.trim())
+        throw httpError(400, "Send the telemetry as CSV (text/csv) or GPX (application/gpx+xml)", { field: "body" });
+      const format = asked ?? (req.is("application/gpx+xml") || req.body.trimStart().startsWith("<") ? "gpx" : "csv");
+      const traces = parseTelemetry(req.body, format);
+      if (traces.length > MAX_TELEMETRY_TRIPS)
+        throw httpError(400, `At most ${MAX_TELEMETRY_TRIPS} trips per upload`, { field: "body" });
+
+      // one trip at a time: each is a routing call; upstream failures end the upload
+      const added = [];
+      const skipped = [];
+      for (const trace of traces) {
+        try {
+          added.push(await telemetrySample(trace, { source: format, profile, weight_kg, route_type }));
+        } catch (err) {
+          if (!err.status || err.status >= 500) throw err;
+          const { error, code } = errorResponse(err).body;
+          skipped.push({ trip_id: trace.trip_id, error, code });
         }
       }
+      if (added.length === 0) throw httpError(422, "No trip in the upload could be labelled", { code: "NO_SAMPLES", skipped });
+      res.status(201).json({ samples: added, skipped });
+    } catch (err) {
+      sendError(res, err);
     }
+  }
+);
 
-    if (!nearestSrc || !nearestDst) {
-      return res.status(500).json({ error: "Failed to snap to shipping lanes" });
+api.get("/telemetry/samples", (req, res) => {
+  try {
+    const { format, limit, offset, ...filter } = validate(SAMPLES_QUERY_SCHEMA, req.query, { query: true });
+    if (format === "csv") {
+      res.attachment("samples.csv").type("text/csv");
+      return res.send(toCsv(samples.rows(filter), SAMPLE_COLUMNS));
     }
+    res.json(samples.list({ ...filter, limit, offset }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // Base route: straight line between snapped points
-    const baseLine = turf.lineString([
-      nearestSrc.geometry.coordinates,
-      nearestDst.geometry.coordinates,
-    ]);
+api.delete("/telemetry/samples/:id", (req, res) => {
+  try {
+    samples.remove(Number(req.params.id));
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // Create eco & safe variants by shifting latitude
-    function shiftLine(line, latShift) {
-      return turf.lineString(
-        line.geometry.coordinates.map(([lng, lat]) => [lng, lat + latShift])
-      );
-    }
+// ---------- API v1 ----------
+// Route planning in the unified shape (lib/routeShape.js): POST /route takes
+// any profile, vessels included, and POST /journey plans intermodal trips.
+// The other endpoints are shared with /api; GET /openapi.json describes them all.
+const API_VERSION = "1.0.0";
+
+const V1_ROUTE_SCHEMA = {
+  ...ROUTE_SCHEMA,
+  vehicle: { type: "string", default: "car", description: "Vehicle or vessel profile id" },
+  // vessels only
+  arrival_window: OCEAN_SCHEMA.arrival_window,
+  eta: { type: "time" },
+  avoid: { type: "array", items: { type: "string" }, description: "Chokepoint ids to avoid (vessels)" },
+  vessel_size: { type: "any", description: "Vessel size class or { length_m, beam_m, draft_m } (vessels)" },
+  max_wave_m: { type: "number", exclusiveMin: 0 },
+};
 
-    const ecoLine = shiftLine(baseLine, 0.5);   // slightly north
-    const safeLine = shiftLine(baseLine, -0.5); // slightly south
+const openApi = openApiDocument({
+  version: API_VERSION,
+  schemas: {
+    route: V1_ROUTE_SCHEMA,
+    journey: JOURNEY_SCHEMA,
+    report: REPORT_SCHEMA,
+    geocode: GEOCODE_SCHEMA,
+    suggest: SUGGEST_SCHEMA,
+    reverse: REVERSE_SCHEMA,
+    profilesQuery: PROFILES_QUERY_SCHEMA,
+    batchResults: BATCH_RESULTS_SCHEMA,
+    trip: TRIP_SCHEMA,
+    tripUpdate: TRIP_UPDATE_SCHEMA,
+    tripsQuery: TRIPS_QUERY_SCHEMA,
+    tripsFilter: TRIPS_FILTER_SCHEMA,
+    routeExport: EXPORT_SCHEMA,
+    telemetry: TELEMETRY_SCHEMA,
+    samplesQuery: SAMPLES_QUERY_SCHEMA,
+  },
+});
 
-    // Distance & duration
-    function makeRoute(line, speedKph) {
-      const distKm = turf.length(line, { units: "kilometers" });
-      const durHr = distKm / speedKph;
-      return {
-        distance_km: +distKm.toFixed(1),
-        duration_hr: +durHr.toFixed(1),
-        geometry: line.geometry,
-      };
-    }
+const v1 = express.Router();
 
-    const ecoRoute = makeRoute(ecoLine, 30);
-    const safeRoute = makeRoute(safeLine, 25);
+v1.get("/openapi.json", (req, res) => {
+  res.json(openApi);
+});
 
-    // Call ML for emissions
-    const [ecoMl, safeMl] = await Promise.all([
-      callML(
-        { distance: ecoRoute.distance_km * 1000, duration: ecoRoute.duration_hr * 3600, geometry: ecoRoute.geometry },
-        vessel,
-        VEHICLE_DEFAULTS[vessel],
-        "eco"
-      ),
-      callML(
-        { distance: safeRoute.distance_km * 1000, duration: safeRoute.duration_hr * 3600, geometry: safeRoute.geometry },
-        vessel,
-        VEHICLE_DEFAULTS[vessel],
-        "safe"
-      ),
-    ]);
+v1.post("/route", async (req, res) => {
+  try {
+    const { source, destination, stops, vehicle, weight_kg, optimizeFor, optimizeOrder, battery, departure, ...voyage } = validate(
+      V1_ROUTE_SCHEMA,
+      req.body
+    );
+    const profile = knownProfile(vehicle, "vehicle");
 
-    ecoRoute.co2_kg = +(ecoMl.co2_kg).toFixed(1);
-    safeRoute.co2_kg = +(safeMl.co2_kg).toFixed(1);
+    if (stops !== undefined) {
+      if (profile.kind === "vessel")
+        throw httpError(400, "multi-stop routes are for land vehicles", { field: "vehicle" });
+      return res.json(multiStopPlan(await planMultiStop({ stops, profile, weight_kg, optimizeOrder, battery, departure })));
+    }
+    if (!source || !destination)
+      throw httpError(400, "source and destination required", { field: source ? "destination" : "source" });
 
-    res.json({
-      vessel,
-      eco_route: ecoRoute,
-      safe_route: safeRoute,
-    });
+    if (profile.kind === "vessel") {
+      return res.json(oceanPlan(await planOceanRoute({ source, destination, vessel: vehicle, weight_kg, departure, ...voyage })));
+    }
+    res.json(
+      landPlan(await planRoute({ source, destination, profile, weight_kg, optimizeFor, battery, departure }), { optimizeFor })
+    );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+v1.post("/journey", async (req, res) => {
+  try {
+    res.json(journeyPlan(await planJourney(req.body)));
   } catch (err) {
-    console.error("Ocean routing error:", err);
-    res.status(500).json({ error: err.message || "Server error" });
+    sendError(res, err);
   }
 });
+
+app.use("/api/v1", v1, api);
+app.use("/api", api);
+
+// ---------- Errors ----------
+// Unknown endpoints, then errors thrown outside the handlers (body parsing)
+app.use("/api", (req, res) => {
+  sendError(res, httpError(404, `No endpoint ${req.method} ${req.originalUrl.split("?")[0]}`));
+});
+
+app.use((err, req, res, next) => {
+  sendError(res, err);
+});
+
 // ---------- Start Server ----------
 const port = process.env.PORT || 4000;
 app.listen(port, () => console.log("EcoRoute backend running on port", port));
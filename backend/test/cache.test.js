@@ -0,0 +1,117 @@
+/** cache.test.js - TTL cache with request coalescing */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { cacheKey, createCache, diskStore, memoryStore } from "../lib/cache.js";
+
+const newCache = (opts = {}) => createCache({ name: "test", store: memoryStore(), ttlMs: 60_000, ...opts });
+
+// A promise and the function that settles it
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => ((resolve = res), (reject = rej)));
+  return { promise, resolve, reject };
+}
+
+test("concurrent calls for one key share a single upstream call", async () => {
+  const cache = newCache();
+  const upstream = deferred();
+  let calls = 0;
+  const fn = () => (calls++, upstream.promise);
+
+  const pending = [cache.wrap("k", fn), cache.wrap("k", fn), cache.wrap("k", fn)];
+  upstream.resolve({ km: 12 });
+  assert.deepEqual(await Promise.all(pending), [{ km: 12 }, { km: 12 }, { km: 12 }]);
+  assert.equal(calls, 1);
+  assert.deepEqual(await cache.wrap("k", fn), { km: 12 });
+  assert.equal(calls, 1);
+
+  const { hit_rate, ...counts } = await cache.stats();
+  assert.deepEqual(counts, { hits: 1, misses: 1, coalesced: 2, errors: 0, in_flight: 0, entries: 1 });
+  assert.equal(hit_rate, 0.75);
+});
+
+test("every caller gets its own copy", async () => {
+  const cache = newCache();
+  const a = await cache.wrap("k", async () => ({ list: [1] }));
+  a.list.push(2);
+  assert.deepEqual(await cache.wrap("k", async () => ({ list: [] })), { list: [1] });
+});
+
+test("a failure reaches every waiting caller and is not cached", async () => {
+  const cache = newCache();
+  const upstream = deferred();
+  let calls = 0;
+  const failing = () => (calls++, upstream.promise);
+
+  const pending = [cache.wrap("k", failing), cache.wrap("k", failing)];
+  upstream.reject(new Error("upstream down"));
+  for (const p of pending) await assert.rejects(p, /upstream down/);
+  assert.equal(calls, 1);
+
+  assert.deepEqual(await cache.wrap("k", async () => "recovered"), "recovered");
+  const stats = await cache.stats();
+  assert.equal(stats.errors, 1);
+  assert.equal(stats.misses, 2);
+});
+
+test("results cacheIf rejects are returned but not stored", async () => {
+  const cache = newCache();
+  let calls = 0;
+  const fn = async () => ({ prediction: "analytic", n: ++calls });
+  const cacheIf = (v) => v.prediction !== "analytic";
+  assert.equal((await cache.wrap("k", fn, { cacheIf })).n, 1);
+  assert.equal((await cache.wrap("k", fn, { cacheIf })).n, 2);
+  assert.equal((await cache.stats()).entries, 0);
+});
+
+test("ttl 0 stores nothing but still coalesces", async () => {
+  const cache = newCache({ ttlMs: 0 });
+  let calls = 0;
+  const fn = async () => ++calls;
+  assert.deepEqual(await Promise.all([cache.wrap("k", fn), cache.wrap("k", fn)]), [1, 1]);
+  assert.equal(await cache.wrap("k", fn), 2);
+});
+
+test("expired entries are fetched again", async () => {
+  const cache = newCache({ ttlMs: 1 });
+  let calls = 0;
+  const fn = async () => ++calls;
+  await cache.wrap("k", fn);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await cache.wrap("k", fn), 2);
+});
+
+test("the memory store evicts the least recently used entry", async () => {
+  const store = memoryStore({ maxEntries: 2 });
+  await store.set("a", 1);
+  await store.set("b", 2);
+  await store.get("a");
+  await store.set("c", 3);
+  assert.equal(await store.get("b"), undefined);
+  assert.equal(await store.get("a"), 1);
+  assert.equal(await store.size(), 2);
+});
+
+test("the disk store keeps entries as files", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ecoroute-cache-"));
+  try {
+    const cache = createCache({ name: "disk", store: diskStore(dir), ttlMs: 60_000 });
+    await cache.wrap("k", async () => [1, 2]);
+    const again = createCache({ name: "disk", store: diskStore(dir), ttlMs: 60_000 });
+    assert.deepEqual(await again.wrap("k", async () => "not called"), [1, 2]);
+    await again.clear();
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("cache keys ignore key order, undefined fields and sub-metre noise", () => {
+  const key = cacheKey({ from: { lat: 52.520001, lng: 13.405 }, vehicle: "car", battery: undefined });
+  assert.equal(key, cacheKey({ vehicle: "car", from: { lng: 13.4050004, lat: 52.520001 } }));
+  assert.notEqual(key, cacheKey({ vehicle: "van", from: { lat: 52.520001, lng: 13.405 } }));
+});
@@ -0,0 +1,110 @@
+/** chokepoints.test.js - Canals and straits on the lane graph, and the safe route around them */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildLaneGraph, snapToGraph, shortestPath } from "../lib/laneGraph.js";
+import {
+  chokepointCost,
+  chokepointsOnPath,
+  oversizedFor,
+  resolveVesselSize,
+  tagChokepoints,
+} from "../lib/chokepoints.js";
+import { LANES, collection, land } from "./support/toyLanes.js";
+import { startServer } from "./support/server.js";
+
+// A strait across the direct lane of the toy network
+const STRAIT = collection([
+  {
+    ...land(4, -1, 6, 1).features[0],
+    properties: { id: "toy_strait", name: "Toy Strait", kind: "strait", delay_hr: 10, toll_usd: 500, limits: { draft_m: 12 } },
+  },
+]);
+
+test("vessel sizes resolve from a class or dimensions", () => {
+  assert.deepEqual(resolveVesselSize("Panamax"), { class: "panamax", length_m: 294, beam_m: 32.3, draft_m: 12 });
+  assert.deepEqual(resolveVesselSize({ draft_m: 9 }), { draft_m: 9 });
+  assert.equal(resolveVesselSize(undefined), null);
+  assert.throws(() => resolveVesselSize("dinghy"), /Unknown vessel_size "dinghy"/);
+});
+
+test("vessels over a chokepoint's limits can't use it", () => {
+  const [strait] = tagChokepoints(buildLaneGraph(LANES), STRAIT);
+  assert.deepEqual(oversizedFor([strait], { draft_m: 15 }), ["toy_strait"]);
+  assert.deepEqual(oversizedFor([strait], { draft_m: 11, length_m: 500 }), []);
+  assert.deepEqual(oversizedFor([strait], null), []);
+});
+
+test("chokepoint edges cost their delay, and avoided ones are closed", () => {
+  const graph = buildLaneGraph(LANES);
+  const chokepoints = tagChokepoints(graph, STRAIT);
+  const tagged = graph.edges.filter((e) => e.chokepoint === "toy_strait");
+  assert.deepEqual(
+    tagged.map((e) => e.type),
+    ["Major"]
+  );
+
+  const from = snapToGraph(graph, [-1, 0]);
+  const to = snapToGraph(graph, [11, 0]);
+  const km = (e) => e.km;
+  const through = shortestPath(graph, from, to, { edgeCost: chokepointCost(chokepoints, km, { speedKph: 20 }) });
+  // a 10 h delay at 20 km/h is 200 km, still well short of the 900 km detour
+  assert.ok(Math.abs(through.cost - through.distance_km - 200) < 1e-6);
+  assert.deepEqual(chokepointsOnPath(chokepoints, through), [
+    { id: "toy_strait", name: "Toy Strait", kind: "strait", delay_hr: 10, toll_usd: 500 },
+  ]);
+
+  const around = shortestPath(graph, from, to, {
+    edgeCost: chokepointCost(chokepoints, km, { avoid: ["toy_strait"], speedKph: 20 }),
+  });
+  assert.deepEqual(chokepointsOnPath(chokepoints, around), []);
+  assert.ok(around.distance_km > through.distance_km + 800);
+});
+
+// ---------- Eco and safe voyages through the API ----------
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+const ROTTERDAM = { lat: 51.9, lng: 4.0 };
+const ids = (list) => list.map((c) => c.id);
+
+async function voyage(destination, extra = {}) {
+  const res = await server.post("/api/ocean-route", { source: ROTTERDAM, destination, vessel: "cargo_ship", ...extra });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test("the safe route keeps only the chokepoints it can't avoid", async () => {
+  // Singapore: round the Cape instead of Suez, but there is no way around Malacca
+  const plan = await voyage({ lat: 1.26, lng: 103.8 });
+  assert.ok(ids(plan.eco_route.chokepoints).includes("suez"));
+  assert.ok(ids(plan.eco_route.chokepoints).includes("malacca"));
+  assert.deepEqual(ids(plan.safe_route.chokepoints), ["malacca"]);
+  assert.deepEqual(plan.safe_route.unavoidable, ["malacca"]);
+  assert.ok(plan.safe_route.avoids.includes("suez"));
+  assert.ok(plan.safe_route.distance_km > plan.eco_route.distance_km);
+});
+
+test("with a way around all of them the safe route uses none", async () => {
+  // Mumbai: the Cape route avoids Gibraltar, Suez and Bab-el-Mandeb alike
+  const plan = await voyage({ lat: 18.95, lng: 72.84 });
+  assert.ok(ids(plan.eco_route.chokepoints).includes("suez"));
+  assert.deepEqual(ids(plan.safe_route.chokepoints), []);
+  assert.deepEqual(plan.safe_route.unavoidable, []);
+});
+
+test("avoided chokepoints are left out of both routes", async () => {
+  const plan = await voyage({ lat: 1.26, lng: 103.8 }, { avoid: ["suez"] });
+  assert.ok(plan.avoided.includes("suez"));
+  for (const route of [plan.eco_route, plan.safe_route]) assert.ok(!ids(route.chokepoints).includes("suez"));
+});
+
+test("so are chokepoints the vessel is too big for", async () => {
+  const plan = await voyage({ lat: 18.95, lng: 72.84 }, { vessel_size: { draft_m: 21 } });
+  assert.ok(plan.oversized_for.includes("suez"));
+  assert.ok(!ids(plan.eco_route.chokepoints).includes("suez"));
+});
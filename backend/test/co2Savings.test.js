@@ -0,0 +1,113 @@
+/** co2Savings.test.js - Prediction intervals, explanations and the eco route's saving */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { freePort, startServer } from "./support/server.js";
+
+// A stand-in ML service: CO₂ grows with distance and speed, so the slower of
+// the two Berlin → Hannover routes is the eco one. Its trees agree exactly
+// unless `treeNoise` scatters them (differently per route); while `mlDown` it
+// answers 500.
+const TREES = 20;
+let treeNoise = 0;
+let mlDown = false;
+const ml = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    if (mlDown) {
+      res.writeHead(500).end("model not loaded");
+      return;
+    }
+    const f = JSON.parse(body);
+    const co2 = f.distance_km * (0.05 + f.avg_speed_kph / 1000);
+    const trees = Array.from({ length: TREES }, (_, i) => co2 + treeNoise * Math.sin(i * 1.7 + f.avg_speed_kph));
+    res.writeHead(200, { "content-type": "application/json" }).end(
+      JSON.stringify({
+        fuel_l: co2 / 2.3,
+        co2_kg: co2,
+        model_version: "stand-in",
+        interval: { level: 0.9, fuel_l: [co2 / 2.5, co2 / 2.1], co2_kg: [co2 * 0.91234, co2 * 1.08765] },
+        tree_co2_kg: trees,
+        explanation: {
+          base: { fuel_l: 10.12345, co2_kg: 23.45678 },
+          contributions: [{ feature: "distance_km", value: f.distance_km, fuel_l: 1.23456, co2_kg: co2 - 23.45678 }],
+        },
+      })
+    );
+  });
+});
+
+let server;
+test.before(async () => {
+  const port = await freePort();
+  await new Promise((resolve) => ml.listen(port, "127.0.0.1", resolve));
+  server = await startServer({ ML_URL: `http://127.0.0.1:${port}/predict` });
+});
+test.after(() => {
+  server?.stop();
+  ml.close();
+});
+
+const BERLIN = { lat: 52.52, lng: 13.405 };
+const HANNOVER = { lat: 52.375, lng: 9.732 };
+// a payload of its own per test, so no test gets another's cached plan
+const plan = (weight_kg) =>
+  server.post("/api/route", { source: BERLIN, destination: HANNOVER, vehicle: "car", weight_kg }).then((res) => res.json());
+
+test("ML routes carry the prediction interval and explanation, rounded", async () => {
+  const { eco_optimized: eco } = await plan(100);
+  assert.equal(eco.prediction, "ml");
+  assert.equal(eco.model_version, "stand-in");
+  assert.equal(eco.uncertainty.level, 0.9);
+  const [lo, hi] = eco.uncertainty.co2_kg;
+  assert.ok(lo < eco.co2_kg && eco.co2_kg < hi);
+  assert.ok(Math.abs(lo - eco.co2_kg * 0.91234) < 0.01);
+  assert.deepEqual([lo, hi], [+lo.toFixed(2), +hi.toFixed(2)]);
+  assert.equal(eco.uncertainty.fuel.length, 2);
+  assert.deepEqual(eco.explanation.base, { fuel_l: 10.123, co2_kg: 23.457 });
+  assert.equal(eco.explanation.contributions[0].feature, "distance_km");
+  assert.equal(eco.explanation.contributions[0].fuel_l, 1.235);
+});
+
+test("a saving every tree agrees on is significant", async () => {
+  const { time_optimized: fast, eco_optimized: eco, co2_savings: savings } = await plan(200);
+  assert.ok(eco.co2_kg < fast.co2_kg);
+  assert.equal(savings.co2_kg, +(fast.co2_kg - eco.co2_kg).toFixed(2));
+  assert.equal(savings.level, 0.9);
+  assert.equal(savings.agreement, 1);
+  assert.equal(savings.significant, true);
+  assert.ok(savings.interval_kg[0] > 0);
+  assert.ok(Math.abs(savings.interval_kg[0] - savings.co2_kg) < 0.05);
+});
+
+test("a saving within the trees' scatter is not significant", async () => {
+  treeNoise = 20;
+  try {
+    const { co2_savings: savings } = await plan(300);
+    assert.ok(savings.co2_kg > 0);
+    assert.equal(savings.significant, false);
+    assert.ok(savings.interval_kg[0] < 0 && savings.interval_kg[1] > 0);
+    assert.ok(savings.agreement > 0 && savings.agreement < 1);
+  } finally {
+    treeNoise = 0;
+  }
+});
+
+test("without the ML service there is no interval and no verdict", async () => {
+  mlDown = true;
+  try {
+    const { eco_optimized: eco, co2_savings: savings, warnings } = await plan(400);
+    assert.equal(eco.prediction, "analytic");
+    assert.equal(eco.uncertainty, undefined);
+    assert.equal(eco.explanation, undefined);
+    assert.deepEqual(
+      { level: savings.level, interval_kg: savings.interval_kg, agreement: savings.agreement, significant: savings.significant },
+      { level: null, interval_kg: null, agreement: null, significant: null }
+    );
+    assert.ok(warnings.some((w) => w.code === "ML_UNAVAILABLE"));
+  } finally {
+    mlDown = false;
+  }
+});
@@ -0,0 +1,43 @@
+/** csv.test.js - RFC 4180 CSV reading and writing */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../lib/csv.js";
+
+test("headers are trimmed and lower-cased, cells trimmed", () => {
+  assert.deepEqual(parseCsv(" ID , Source\n1, 52.5,13.4 \n"), [{ id: "1", source: "52.5" }]);
+});
+
+test("quoted fields keep commas, doubled quotes and line breaks", () => {
+  const rows = parseCsv('name,note\r\n"Smith, J","said ""hi""\r\nthen left"\r\n');
+  assert.deepEqual(rows, [{ name: "Smith, J", note: 'said "hi"\r\nthen left' }]);
+});
+
+test("a BOM, blank lines and a missing final newline are fine", () => {
+  assert.deepEqual(parseCsv("\uFEFFa,b\n\n1,2\n\n3,4"), [
+    { a: "1", b: "2" },
+    { a: "3", b: "4" },
+  ]);
+});
+
+test("short rows get empty cells, empty input no rows", () => {
+  assert.deepEqual(parseCsv("a,b,c\n1\n"), [{ a: "1", b: "", c: "" }]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("an unterminated quote is an error", () => {
+  assert.throws(() => parseCsv('a\n"open'), /unterminated quoted field/);
+});
+
+test("toCsv quotes only where needed and round-trips through parseCsv", () => {
+  const rows = [
+    { id: 1, label: "plain", note: null },
+    { id: 2, label: 'with "quotes", commas', note: "two\nlines" },
+  ];
+  const text = toCsv(rows, ["id", "label", "note"]);
+  assert.equal(text, 'id,label,note\r\n1,plain,\r\n2,"with ""quotes"", commas","two\nlines"\r\n');
+  assert.deepEqual(parseCsv(text), [
+    { id: "1", label: "plain", note: "" },
+    { id: "2", label: 'with "quotes", commas', note: "two\nlines" },
+  ]);
+});
@@ -0,0 +1,105 @@
+/** emissions.test.js - GLEC / ISO 14083 accounting and the emissions report */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { accountEmissions, sumEmissions } from "../lib/emissions.js";
+import { textPdf } from "../lib/pdf.js";
+import { parseCsv } from "../lib/csv.js";
+import { startServer } from "./support/server.js";
+
+const { fuels } = JSON.parse(fs.readFileSync(new URL("../data/profiles.json", import.meta.url), "utf8"));
+
+test("a trip's emissions follow from its fuel", () => {
+  const e = accountEmissions(fuels, { fuelType: "diesel", fuelAmount: 10, distanceKm: 100, payloadKg: 2000, basis: "test" });
+  assert.equal(e.fuel_unit, "l");
+  assert.equal(e.ttw_co2e_kg, 27);
+  assert.equal(e.wtw_co2e_kg, 32.4);
+  assert.equal(e.wtt_co2e_kg, 5.4);
+  assert.equal(e.tonne_km, 200);
+  assert.deepEqual(e.intensity_g_co2e_per_tkm, { ttw: 135, wtw: 162 });
+  assert.equal(e.methodology.basis, "test");
+  assert.equal(e.methodology.allocation, "whole trip to the given payload");
+});
+
+test("without a payload there is no intensity", () => {
+  const e = accountEmissions(fuels, { fuelType: "petrol", fuelAmount: 5, distanceKm: 80, basis: "test" });
+  assert.equal(e.payload_t, null);
+  assert.equal(e.tonne_km, null);
+  assert.equal(e.intensity_g_co2e_per_tkm, null);
+  assert.equal(e.methodology.allocation, "whole trip, no payload given");
+});
+
+test("totals sum fuel per type and intensity over loaded trips only", () => {
+  const loaded = accountEmissions(fuels, { fuelType: "diesel", fuelAmount: 10, distanceKm: 100, payloadKg: 2000 });
+  const empty = accountEmissions(fuels, { fuelType: "petrol", fuelAmount: 5, distanceKm: 80 });
+  const again = accountEmissions(fuels, { fuelType: "diesel", fuelAmount: 2, distanceKm: 20 });
+  const total = sumEmissions([loaded, empty, again]);
+  assert.deepEqual(total.fuel, { diesel: { amount: 12, unit: "l" }, petrol: { amount: 5, unit: "l" } });
+  assert.equal(total.wtw_co2e_kg, +(loaded.wtw_co2e_kg + empty.wtw_co2e_kg + again.wtw_co2e_kg).toFixed(3));
+  assert.equal(total.tonne_km, 200);
+  assert.deepEqual(total.intensity_g_co2e_per_tkm, loaded.intensity_g_co2e_per_tkm);
+});
+
+test("the PDF is a complete single-page document for a short report", () => {
+  const pdf = textPdf(["Title (with parentheses)", "Line 2"], { title: "Report" }).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-"));
+  assert.ok(pdf.trimEnd().endsWith("%%EOF"));
+  assert.match(pdf, /\/Count 1 /);
+  assert.ok(pdf.includes("(Title \\(with parentheses\\)) '"));
+});
+
+// ---------- Report endpoint ----------
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+const TRIPS = [
+  { label: "Berlin run", distance_km: 100, emissions: { fuel_type: "diesel", fuel_amount: 10, payload_t: 2 } },
+  { label: "Shuttle", distance_km: 80, fuel_type: "petrol", fuel_amount: 5 },
+];
+
+test("a JSON report has one row per trip and the totals", async () => {
+  const res = await server.post("/api/reports/emissions", { trips: TRIPS, format: "json", title: "Q4" });
+  assert.equal(res.status, 200);
+  const report = await res.json();
+  assert.equal(report.title, "Q4");
+  assert.deepEqual(
+    report.trips.map((t) => [t.label, t.wtw_co2e_kg]),
+    [
+      ["Berlin run", 32.4],
+      ["Shuttle", 14],
+    ]
+  );
+  assert.equal(report.totals.wtw_co2e_kg, 46.4);
+});
+
+test("the CSV report ends with a total row", async () => {
+  const res = await server.post("/api/reports/emissions", { trips: TRIPS });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/csv/);
+  const rows = parseCsv(await res.text());
+  assert.equal(rows.length, 3);
+  assert.equal(rows[2].label, "TOTAL");
+  assert.equal(Number(rows[2].distance_km), 180);
+  assert.equal(Number(rows[2].wtw_co2e_kg), 46.4);
+});
+
+test("the PDF report downloads as an attachment", async () => {
+  const res = await server.post("/api/reports/emissions", { trips: TRIPS, format: "pdf" });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.match(res.headers.get("content-disposition"), /emissions-report\.pdf/);
+  assert.ok(Buffer.from(await res.arrayBuffer()).toString("latin1").startsWith("%PDF-"));
+});
+
+test("trips without usable fuel figures are a 400 naming the trip", async () => {
+  const res = await server.post("/api/reports/emissions", { trips: [TRIPS[0], { distance_km: 5, fuel_type: "kerosene", fuel_amount: 1 }] });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).field, "trips[1]");
+  const none = await server.post("/api/reports/emissions", {});
+  assert.equal(none.status, 400);
+});
@@ -0,0 +1,128 @@
+/** evRange.test.js - EV charging, charging stops and range on routes */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { chargersAlong, loadChargers } from "../lib/chargers.js";
+import { chargeMinutes, planCharging } from "../lib/evRange.js";
+import { startServer } from "./support/server.js";
+
+// A straight road east along the equator, `n` stretches of 10 km at 2 kWh each
+const KM_PER_DEG = 111.19;
+function straightRoute(n) {
+  const coordinates = Array.from({ length: n + 1 }, (_, i) => [(i * 10) / KM_PER_DEG, 0]);
+  const segments = Array.from({ length: n }, (_, i) => ({ start: i, end: i + 1, distance_km: 10, energy_kwh: 2 }));
+  return { geometry: { type: "LineString", coordinates }, segments };
+}
+const charger = (id, km, power_kw = 50, lat = 0) => ({ id, name: null, power_kw, lat, lng: km / KM_PER_DEG });
+
+// ---------- Charging ----------
+test("charging runs at full power up to 80%", () => {
+  assert.ok(Math.abs(chargeMinutes(10, 60, 100, 50) - 60) < 1e-9);
+});
+
+test("above 80% charging tapers to a fifth of the power", () => {
+  // ∫ ds / (1 - 4 (s - 0.8)) over 0.8..1, in hours at 1 C
+  const taper = (Math.log(5) / 4) * 60;
+  assert.ok(Math.abs(chargeMinutes(80, 100, 100, 100) - taper) < 0.1);
+  assert.ok(chargeMinutes(80, 100, 100, 100) > chargeMinutes(60, 80, 100, 100));
+});
+
+// ---------- Chargers along a route ----------
+test("sites are placed at their nearest route point, the most powerful one per point", () => {
+  const points = straightRoute(10).geometry.coordinates;
+  const sites = chargersAlong(
+    [charger("late", 80), charger("slow", 30, 50), charger("fast", 31, 150), charger("far", 50, 150, 1)],
+    points,
+    10
+  );
+  assert.deepEqual(
+    sites.map((s) => [s.charger.id, s.at]),
+    [["fast", 3], ["late", 8]]
+  );
+  assert.ok(sites[0].detour_km < 1.5);
+});
+
+test("a missing chargers file means no chargers", () => {
+  assert.deepEqual(loadChargers("./data/no-such-chargers.geojson"), []);
+});
+
+// ---------- Charging stops ----------
+const BATTERY = { capacityKwh: 50, startPct: 90, reservePct: 10, chargeToPct: 80 };
+
+test("a route within range needs no stop", () => {
+  const plan = planCharging(straightRoute(20), { ...BATTERY, chargers: [charger("mid", 100)] });
+  assert.equal(plan.feasible, true);
+  assert.deepEqual(plan.charging_stops, []);
+  assert.equal(plan.energy_kwh, 40);
+  assert.equal(plan.arrival_soc_pct, 10);
+  assert.deepEqual(plan.soc_profile.at(-1), { distance_km: 200, soc_pct: 10 });
+});
+
+test("beyond range the plan stops at a charger for just enough to finish", () => {
+  const plan = planCharging(straightRoute(30), { ...BATTERY, chargers: [charger("mid", 100)] });
+  assert.equal(plan.feasible, true);
+  assert.equal(plan.charging_stops.length, 1);
+  const [stop] = plan.charging_stops;
+  assert.equal(stop.charger.id, "mid");
+  assert.equal(stop.distance_km, 100);
+  assert.equal(stop.arrive_soc_pct, 50);
+  assert.equal(stop.depart_soc_pct, 90);
+  assert.equal(stop.charge_kwh, 20);
+  assert.equal(plan.arrival_soc_pct, 10);
+  assert.equal(plan.charging_min, stop.charge_min);
+  // arriving and leaving the stop
+  assert.deepEqual(
+    plan.soc_profile.filter((p) => p.distance_km === 100).map((p) => p.soc_pct),
+    [50, 90]
+  );
+});
+
+test("the vehicle's charge power caps the site's", () => {
+  const plan = planCharging(straightRoute(30), { ...BATTERY, maxChargeKw: 22, chargers: [charger("mid", 100, 150)] });
+  assert.equal(plan.charging_stops[0].power_kw, 22);
+});
+
+test("a route no charger can rescue comes back infeasible with the shortfall", () => {
+  const plan = planCharging(straightRoute(30), { ...BATTERY, chargers: [] });
+  assert.equal(plan.feasible, false);
+  assert.equal(plan.shortfall_kwh, 20);
+  assert.equal(plan.arrival_soc_pct, 0);
+  assert.ok(plan.soc_profile.every((p) => p.soc_pct >= 0));
+});
+
+// ---------- EV routes over the API ----------
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+const BERLIN = { lat: 52.52, lng: 13.405 };
+const HANNOVER = { lat: 52.375, lng: 9.732 };
+
+test("an EV route carries its battery plan, with stops where the charge runs low", async () => {
+  const res = await server.post("/api/route", { source: BERLIN, destination: HANNOVER, vehicle: "ev", battery: { capacity_kwh: 40, start_soc_pct: 60 } });
+  assert.equal(res.status, 200);
+  const { eco_optimized: route, warnings } = await res.json();
+  assert.equal(route.prediction, "ev_model");
+  assert.equal(route.battery.feasible, true);
+  assert.ok(route.battery.charging_stops.length > 0);
+  assert.ok(route.battery.charging_stops.every((s) => s.charger.id.startsWith("sample-")));
+  assert.ok(route.battery.arrival_soc_pct >= 10);
+  assert.equal(warnings, undefined);
+});
+
+test("the profile's battery is the default, and a full one needs no stop", async () => {
+  const { eco_optimized: route } = await (await server.post("/api/route", { source: BERLIN, destination: HANNOVER, vehicle: "ev" })).json();
+  assert.equal(route.battery.capacity_kwh, 75);
+  assert.deepEqual(route.battery.charging_stops, []);
+});
+
+test("a battery too small for the chargers on the way is an INSUFFICIENT_RANGE warning", async () => {
+  const res = await server.post("/api/route", { source: BERLIN, destination: HANNOVER, vehicle: "ev", battery: { capacity_kwh: 10, start_soc_pct: 50 } });
+  assert.equal(res.status, 200);
+  const { eco_optimized: route, warnings } = await res.json();
+  assert.equal(route.battery.feasible, false);
+  assert.ok(route.battery.shortfall_kwh > 0);
+  assert.ok(warnings.some((w) => w.code === "INSUFFICIENT_RANGE"));
+});
@@ -0,0 +1,191 @@
+/** geocoding.test.js - Gazetteer, Nominatim client and the geocoding API */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { fileURLToPath } from "url";
+import { loadGazetteer, nearestPlace, searchGazetteer } from "../lib/gazetteer.js";
+import { createNominatimClient } from "../lib/nominatim.js";
+import { loadPorts } from "../lib/ports.js";
+import { freePort, startServer } from "./support/server.js";
+
+const dataFile = (name) => fileURLToPath(new URL(`../data/${name}`, import.meta.url));
+const gazetteer = loadGazetteer({ citiesPath: dataFile("cities.geojson"), ports: loadPorts(dataFile("ports.geojson")) });
+
+// ---------- Gazetteer ----------
+test("a UN/LOCODE finds its port", () => {
+  const [hit] = searchGazetteer(gazetteer, "nlrtm");
+  assert.equal(hit.kind, "port");
+  assert.equal(hit.id, "NLRTM");
+  assert.equal(hit.label, "Port of Rotterdam (NLRTM), Netherlands");
+});
+
+test("a name finds the city first, and \"Port of\" the port", () => {
+  assert.deepEqual(
+    searchGazetteer(gazetteer, "Rotterdam").map((e) => e.kind),
+    ["city", "port"]
+  );
+  assert.equal(searchGazetteer(gazetteer, "Port of Rotterdam")[0].kind, "port");
+});
+
+test("matching ignores case and accents, and takes prefixes", () => {
+  assert.equal(searchGazetteer(gazetteer, "sao paulo")[0].name, "São Paulo");
+  assert.equal(searchGazetteer(gazetteer, "FRANKF")[0].name, "Frankfurt");
+  assert.equal(searchGazetteer(gazetteer, "Paulo")[0].name, "São Paulo");
+});
+
+test("the country after a comma breaks ties", () => {
+  const [hit] = searchGazetteer(gazetteer, "London, GB");
+  assert.equal(hit.country, "GB");
+  assert.equal(hit.country_name, "United Kingdom");
+});
+
+test("a search with nothing to match finds nothing", () => {
+  assert.deepEqual(searchGazetteer(gazetteer, "Xyzzyville"), []);
+  assert.deepEqual(searchGazetteer(gazetteer, " , NL"), []);
+  assert.equal(searchGazetteer(gazetteer, "a", { limit: 3 }).length, 3);
+});
+
+test("the nearest place is found within range only", () => {
+  const near = nearestPlace(gazetteer, { lat: 51.93, lng: 4.47 }, 50);
+  assert.equal(near.entry.name, "Rotterdam");
+  assert.ok(near.km < 5);
+  assert.equal(nearestPlace(gazetteer, { lat: 0, lng: -30 }, 50), null);
+});
+
+// ---------- Nominatim client ----------
+// A stand-in Nominatim: "nowhere" finds nothing, "broken" is a 500, reverse
+// lookups at sea (lat 0) have no place
+const requests = [];
+const nominatim = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), userAgent: req.headers["user-agent"] });
+  const q = url.searchParams.get("q");
+  if (q === "broken") {
+    res.writeHead(500).end();
+    return;
+  }
+  const place = {
+    display_name: "Utrecht, Nederland",
+    lat: "52.09",
+    lon: "5.12",
+    type: "city",
+    address: { country_code: "nl", country: "Nederland" },
+  };
+  const body =
+    url.pathname === "/reverse"
+      ? url.searchParams.get("lat") === "0" ? { error: "Unable to geocode" } : place
+      : q === "nowhere" ? [] : [place];
+  res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(body));
+});
+let nominatimUrl;
+
+let server;
+test.before(async () => {
+  const port = await freePort();
+  await new Promise((resolve) => nominatim.listen(port, "127.0.0.1", resolve));
+  nominatimUrl = `http://127.0.0.1:${port}`;
+  server = await startServer({ GEOCODER: "nominatim", NOMINATIM_URL: nominatimUrl });
+});
+test.after(() => {
+  server?.stop();
+  nominatim.close();
+});
+
+test("search results come back in the API's place shape", async () => {
+  const client = createNominatimClient({ baseUrl: nominatimUrl, userAgent: "EcoRoute tests", intervalMs: 0 });
+  requests.length = 0;
+  const [place] = await client.search("utrecht", { limit: 2 });
+  assert.deepEqual(place, {
+    label: "Utrecht, Nederland",
+    name: "Utrecht",
+    kind: "city",
+    id: null,
+    country: "NL",
+    country_name: "Nederland",
+    lat: 52.09,
+    lng: 5.12,
+  });
+  assert.equal(requests[0].userAgent, "EcoRoute tests");
+  assert.deepEqual(requests[0].params, { format: "jsonv2", addressdetails: "1", q: "utrecht", limit: "2" });
+  assert.equal(await client.reverse({ lat: 0, lng: -30 }), null);
+});
+
+test("callers that would wait too long for their turn get a 429", async () => {
+  const client = createNominatimClient({ baseUrl: nominatimUrl, userAgent: "EcoRoute tests", intervalMs: 60_000, maxWaitMs: 1000 });
+  await client.search("utrecht");
+  await assert.rejects(client.search("utrecht"), { status: 429 });
+});
+
+test("a failing server is an upstream error", async () => {
+  const client = createNominatimClient({ baseUrl: nominatimUrl, userAgent: "EcoRoute tests", intervalMs: 0 });
+  await assert.rejects(client.search("broken"), { status: 502, details: { code: "UPSTREAM_ERROR", service: "Nominatim" } });
+});
+
+// ---------- Geocoding API ----------
+test("searches go to Nominatim", async () => {
+  const res = await server.get("/api/geocode?q=utrecht");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.source, "nominatim");
+  assert.equal(body.results[0].source, "nominatim");
+  assert.equal(body.results[0].name, "Utrecht");
+});
+
+test("a UN/LOCODE resolves to the port without asking Nominatim", async () => {
+  requests.length = 0;
+  const body = await (await server.get("/api/geocode?q=NLRTM")).json();
+  assert.equal(body.source, "gazetteer");
+  assert.equal(body.results[0].id, "NLRTM");
+  assert.equal(requests.length, 0);
+});
+
+test("the gazetteer answers, and says why, when Nominatim finds nothing or fails", async () => {
+  const none = await (await server.get("/api/geocode?q=nowhere")).json();
+  assert.equal(none.source, "gazetteer");
+  assert.equal(none.fallback_reason, "no_match");
+  const broken = await (await server.get("/api/geocode?q=broken")).json();
+  assert.equal(broken.fallback_reason, "unavailable");
+});
+
+test("coordinates come back as given", async () => {
+  const body = await (await server.get("/api/geocode?q=51.9,4.5")).json();
+  assert.equal(body.source, "coordinates");
+  assert.deepEqual(
+    { lat: body.results[0].lat, lng: body.results[0].lng },
+    { lat: 51.9, lng: 4.5 }
+  );
+});
+
+test("suggestions come from the gazetteer, from two characters on", async () => {
+  requests.length = 0;
+  const body = await (await server.get("/api/geocode/suggest?q=rot&limit=2")).json();
+  assert.deepEqual(
+    body.results.map((r) => r.label),
+    ["Rotterdam, Netherlands", "Port of Rotterdam (NLRTM), Netherlands"]
+  );
+  assert.deepEqual((await (await server.get("/api/geocode/suggest?q=r")).json()).results, []);
+  assert.equal(requests.length, 0);
+});
+
+test("reverse lookups name the point, or the nearest place when Nominatim has none", async () => {
+  const named = await (await server.get("/api/geocode/reverse?lat=52.1&lng=5.1")).json();
+  assert.equal(named.source, "nominatim");
+  assert.deepEqual({ lat: named.lat, lng: named.lng }, { lat: 52.1, lng: 5.1 });
+
+  const sea = await (await server.get("/api/geocode/reverse?lat=0&lng=-30")).json();
+  assert.equal(sea.source, "coordinates");
+  assert.equal(sea.label, "0.00000, -30.00000");
+});
+
+test("bad geocoding requests are 400s naming the field", async () => {
+  for (const [url, field] of [
+    ["/api/geocode?q=%20", "q"],
+    ["/api/geocode?q=x&limit=11", "limit"],
+    ["/api/geocode/reverse?lat=91&lng=0", "lat/lng"],
+  ]) {
+    const res = await server.get(url);
+    assert.equal(res.status, 400, url);
+    assert.equal((await res.json()).field, field, url);
+  }
+});
@@ -0,0 +1,92 @@
+/** journey.test.js - Truck → port → ship → port → truck journeys */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { freePort, startServer } from "./support/server.js";
+
+// Rotterdam to its port, Felixstowe to London, and the Hook of Holland –
+// Harwich ferry joining the two, so the road graph stays one network. Every
+// other port is off the roads: Bremerhaven, Southampton and Le Havre
+const road = (coordinates, properties = { highway: "trunk" }) => ({
+  type: "Feature",
+  properties,
+  geometry: { type: "LineString", coordinates },
+});
+const ROADS = {
+  type: "FeatureCollection",
+  features: [
+    road([[4.48, 51.92], [4.3, 51.93]]),
+    road([[4.3, 51.93], [4.05, 51.95]]),
+    road([[1.31, 51.95], [1.15, 52.06]]),
+    road([[1.15, 52.06], [-0.12, 51.51]]),
+    road([[4.3, 51.93], [1.15, 52.06]], { route: "ferry", maxspeed_kph: 30 }),
+  ],
+};
+
+const ROTTERDAM = { lat: 51.92, lng: 4.48 };
+const LONDON = { lat: 51.51, lng: -0.12 };
+const DEPARTURE = "2026-11-02T08:00:00.000Z";
+
+let server;
+let roadsDir;
+test.before(async () => {
+  roadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecoroute-roads-"));
+  fs.writeFileSync(path.join(roadsDir, "roads.geojson"), JSON.stringify(ROADS));
+  server = await startServer({ OFFLINE_ROADS: path.join(roadsDir, "roads.geojson") });
+});
+test.after(() => {
+  server?.stop();
+  fs.rmSync(roadsDir, { recursive: true, force: true });
+});
+
+test("a journey's legs follow on from each other", async () => {
+  const res = await server.post("/api/journey", { source: ROTTERDAM, destination: LONDON, departure: DEPARTURE });
+  assert.equal(res.status, 200);
+  const { journeys } = await res.json();
+  const journey = journeys.find((j) => j.origin_port.id === "NLRTM" && j.destination_port.id === "GBFXT");
+  assert.ok(journey);
+  assert.deepEqual(
+    journey.legs.map((l) => l.mode),
+    ["road", "port", "sea", "port", "road"]
+  );
+  assert.equal(journey.departure, DEPARTURE);
+  journey.legs.slice(1).forEach((leg, i) => assert.equal(leg.departure, journey.legs[i].arrival));
+  assert.equal(journey.arrival, journey.legs.at(-1).arrival);
+  assert.equal(journey.legs[3].dwell_hr, 24);
+});
+
+test("a port with no road to the destination is skipped once", async () => {
+  const res = await server.post("/api/journey", { source: ROTTERDAM, destination: LONDON, departure: DEPARTURE });
+  const { candidates, skipped } = await res.json();
+  assert.ok(candidates.destination.some((p) => p.id === "GBSOU"));
+  const southampton = skipped.filter((s) => s.port === "GBSOU");
+  assert.deepEqual(southampton.map(({ leg, code }) => ({ leg, code })), [{ leg: "road", code: "NO_ROUTE" }]);
+  assert.ok(skipped.every((s) => s.code === "NO_ROUTE"));
+});
+
+test("no journey at all is a 422 listing what was skipped", async () => {
+  const res = await server.post("/api/journey", {
+    source: ROTTERDAM,
+    destination: { lat: 49.49, lng: 0.11 },
+    port_candidates: 1,
+    departure: DEPARTURE,
+  });
+  assert.equal(res.status, 422);
+  const body = await res.json();
+  assert.equal(body.code, "NO_JOURNEY");
+  assert.ok(body.skipped.length > 0);
+});
+
+test("a router that is down fails the journey instead of skipping every port", async () => {
+  const down = await startServer({ ROUTING_PROVIDER: "osrm", OSRM_URL: `http://127.0.0.1:${await freePort()}` });
+  try {
+    const res = await down.post("/api/journey", { source: ROTTERDAM, destination: LONDON, departure: DEPARTURE });
+    assert.ok(res.status >= 500, `status ${res.status}`);
+    assert.notEqual((await res.json()).code, "NO_JOURNEY");
+  } finally {
+    down.stop();
+  }
+});
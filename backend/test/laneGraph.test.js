@@ -0,0 +1,55 @@
+/** laneGraph.test.js - Routable graph from the shipping lanes */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildLaneGraph, snapToGraph, shortestPath } from "../lib/laneGraph.js";
+import { KM_PER_DEG, LANES, collection, lane } from "./support/toyLanes.js";
+
+test("crossing lanes are joined where they cross", () => {
+  const graph = buildLaneGraph(
+    collection([
+      lane("Major", [
+        [0, 0],
+        [2, 0],
+      ]),
+      lane("Middle", [
+        [1, -1],
+        [1, 1],
+      ]),
+    ])
+  );
+  assert.equal(graph.nodes.length, 5);
+  assert.equal(graph.edges.length, 4);
+  const junction = graph.nodes.findIndex(([lng, lat]) => Math.abs(lng - 1) < 1e-9 && Math.abs(lat) < 1e-9);
+  assert.equal(graph.adj[junction].length, 4);
+
+  const path = shortestPath(graph, snapToGraph(graph, [0, 0]), snapToGraph(graph, [1, 1]));
+  assert.ok(Math.abs(path.distance_km - 2 * KM_PER_DEG) < 1);
+  assert.deepEqual(
+    path.legs.map((l) => l.lane_type),
+    ["Major", "Middle"]
+  );
+});
+
+test("points snap to the connected network, not stray fragments", () => {
+  const graph = buildLaneGraph(LANES);
+  const snap = snapToGraph(graph, [30.5, 30.1]);
+  assert.equal(graph.component.id[snap.edge.a], graph.component.main);
+  assert.ok(snap.distKm > 1000);
+
+  const near = snapToGraph(graph, [5, 0.5]);
+  assert.equal(near.edge.type, "Major");
+  assert.ok(Math.abs(near.distKm - 0.5 * KM_PER_DEG) < 1);
+});
+
+test("edge costs steer the shortest path", () => {
+  const graph = buildLaneGraph(LANES);
+  const from = snapToGraph(graph, [-1, 0]);
+  const to = snapToGraph(graph, [11, 0]);
+  assert.ok(Math.abs(shortestPath(graph, from, to).distance_km - 12 * KM_PER_DEG) < 2);
+
+  const avoidMajor = (e) => (e.type === "Major" ? Infinity : e.km);
+  const detour = shortestPath(graph, from, to, { edgeCost: avoidMajor });
+  assert.ok(Math.abs(detour.distance_km - 20 * KM_PER_DEG) < 3);
+  assert.equal(shortestPath(graph, from, to, { edgeCost: () => Infinity }), null);
+});
@@ -0,0 +1,44 @@
+/** oceanRouting.test.js - Lane routes checked against the land mask */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildLaneGraph, snapToGraph } from "../lib/laneGraph.js";
+import { buildLandMask } from "../lib/landMask.js";
+import { findSeaRoute } from "../lib/oceanRouting.js";
+import { KM_PER_DEG, LANES, land } from "./support/toyLanes.js";
+
+test("a route over land is re-routed around it, and the land edge stays blocked", () => {
+  const graph = buildLaneGraph(LANES);
+  // an island across the direct lane
+  const mask = buildLandMask(land(4, -1, 6, 1));
+  const from = snapToGraph(graph, [-1, 0]);
+  const to = snapToGraph(graph, [11, 0]);
+
+  const first = findSeaRoute(graph, mask, from, to);
+  assert.equal(first.check.ok, true);
+  assert.equal(first.reroutes, 1);
+  assert.ok(first.path.coordinates.every(([, lat]) => lat >= 0));
+  assert.ok(first.path.distance_km > 19 * KM_PER_DEG);
+  assert.ok(graph.landEdges.size > 0);
+  assert.ok([...graph.landEdges].every((id) => graph.edges[id].type === "Major"));
+
+  const again = findSeaRoute(graph, mask, from, to);
+  assert.equal(again.reroutes, 0);
+  assert.equal(again.path.distance_km, first.path.distance_km);
+});
+
+test("no sea route when every way is over land", () => {
+  const graph = buildLaneGraph(LANES);
+  // a continent across both lanes
+  const mask = buildLandMask(land(3, -2, 7, 6));
+  const result = findSeaRoute(graph, mask, snapToGraph(graph, [-1, 0]), snapToGraph(graph, [11, 0]));
+  assert.equal(result.path, null);
+  assert.equal(result.check.ok, false);
+});
+
+test("without a mask the shortest path is taken as is", () => {
+  const graph = buildLaneGraph(LANES);
+  const result = findSeaRoute(graph, null, snapToGraph(graph, [-1, 0]), snapToGraph(graph, [11, 0]));
+  assert.equal(result.reroutes, 0);
+  assert.ok(Math.abs(result.path.distance_km - 12 * KM_PER_DEG) < 2);
+});
@@ -0,0 +1,74 @@
+/** offlineRouting.test.js - Routing provider over the bundled road sample */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createOfflineProvider } from "../lib/routing/offline.js";
+import { haversineKm } from "../lib/geo.js";
+
+const provider = createOfflineProvider({ roadsPath: new URL("../data/roads_sample.geojson", import.meta.url) });
+
+const BERLIN = { lat: 52.52, lng: 13.405 };
+const POTSDAM = { lat: 52.391, lng: 13.064 };
+const MAGDEBURG = { lat: 52.13, lng: 11.62 };
+const OFF_NETWORK = { lat: 10, lng: 10 };
+
+test("a route comes back in OSRM's shape", async () => {
+  const { routes } = await provider.route([BERLIN, MAGDEBURG]);
+  assert.equal(routes.length, 1);
+  const [route] = routes;
+  const coords = route.geometry.coordinates;
+  assert.ok(haversineKm(coords[0], [BERLIN.lng, BERLIN.lat]) < 1);
+  assert.ok(haversineKm(coords[coords.length - 1], [MAGDEBURG.lng, MAGDEBURG.lat]) < 5);
+
+  assert.equal(route.legs.length, 1);
+  const [leg] = route.legs;
+  assert.equal(leg.annotation.distance.length, coords.length - 1);
+  assert.equal(leg.steps[0].maneuver.type, "depart");
+  assert.equal(leg.steps[leg.steps.length - 1].maneuver.type, "arrive");
+  const stepMetres = leg.steps.reduce((sum, s) => sum + s.distance, 0);
+  assert.ok(Math.abs(stepMetres - route.distance) < 1);
+  // no faster than the motorway speed limit all the way
+  assert.ok(route.duration >= route.distance / (110 / 3.6) - 1);
+});
+
+test("waypoints give one leg per pair", async () => {
+  const { routes } = await provider.route([BERLIN, POTSDAM, MAGDEBURG]);
+  assert.equal(routes[0].legs.length, 2);
+  assert.ok(Math.abs(routes[0].legs.reduce((sum, l) => sum + l.distance, 0) - routes[0].distance) < 1);
+});
+
+test("slower vehicles take longer over the same roads", async () => {
+  const car = (await provider.route([BERLIN, MAGDEBURG], { vehicle: "car" })).routes[0];
+  const bike = (await provider.route([BERLIN, MAGDEBURG], { vehicle: "bike" })).routes[0];
+  assert.ok(bike.duration > car.duration * 3);
+});
+
+test("alternatives are distinct and not much slower", async () => {
+  const { routes } = await provider.route([BERLIN, MAGDEBURG], { alternatives: true });
+  assert.ok(routes.length >= 1 && routes.length <= 3);
+  for (const alt of routes.slice(1)) assert.ok(alt.duration <= routes[0].duration * 1.5);
+});
+
+test("a point off the network gives no routes", async () => {
+  assert.deepEqual(await provider.route([BERLIN, OFF_NETWORK]), { routes: [] });
+});
+
+test("the table has every pair, zero on the diagonal", async () => {
+  const { distances, durations } = await provider.table([BERLIN, POTSDAM, MAGDEBURG]);
+  for (const matrix of [distances, durations]) {
+    assert.equal(matrix.length, 3);
+    matrix.forEach((row, i) => {
+      assert.equal(row.length, 3);
+      assert.equal(row[i], 0);
+    });
+  }
+  assert.ok(distances[0][2] > distances[0][1]);
+});
+
+test("a table with a stop off the network is a 422 NO_ROUTE", async () => {
+  await assert.rejects(provider.table([BERLIN, OFF_NETWORK]), (err) => {
+    assert.equal(err.status, 422);
+    assert.equal(err.details.code, "NO_ROUTE");
+    return true;
+  });
+});
@@ -0,0 +1,130 @@
+/** routeExport.test.js - GPX, KML, GeoJSON and RTZ route exports */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { exportRoute, routeMetrics } from "../lib/routeExport.js";
+import { startServer } from "./support/server.js";
+
+const ROAD = {
+  id: "eco",
+  distance_km: 12.5,
+  duration_min: 18,
+  co2_kg: 2.1,
+  fuel: { type: "diesel", amount: 0.8, unit: "l" },
+  geometry: { type: "LineString", coordinates: [[4.48, 51.92], [4.3, 51.93], [4.3, 51.93], [4.05, 51.95]] },
+};
+
+// Across the antimeridian with unwrapped longitudes, as the ocean planner returns them
+const SEA = {
+  id: "eco",
+  mode: "sea",
+  distance_km: 450,
+  duration_min: 1200,
+  co2_kg: 9000,
+  speed_kn: 12.2,
+  departure: "2026-11-01T00:00:00Z",
+  arrival: "2026-11-01T20:00:00Z",
+  fuel: { type: "hfo", amount: 2.8, unit: "t" },
+  geometry: { type: "LineString", coordinates: [[178, 10], [179.5, 10], [181, 10], [182, 10.2]] },
+};
+
+// ---------- Formats ----------
+test("the metrics leave out what the route doesn't have", () => {
+  assert.deepEqual(routeMetrics(ROAD), {
+    route_id: "eco",
+    mode: "road",
+    distance_km: 12.5,
+    duration_min: 18,
+    fuel_type: "diesel",
+    fuel_amount: 0.8,
+    fuel_unit: "l",
+    co2_kg: 2.1,
+  });
+});
+
+test("GeoJSON keeps the line, without repeated points, and the metrics", () => {
+  const file = exportRoute(ROAD, "geojson", { name: "Depot → Port" });
+  assert.equal(file.filename, "depot-port.geojson");
+  assert.equal(file.type, "application/geo+json");
+  const [feature] = JSON.parse(file.body).features;
+  assert.deepEqual(feature.geometry, { type: "LineString", coordinates: [[4.48, 51.92], [4.3, 51.93], [4.05, 51.95]] });
+  assert.equal(feature.properties.name, "Depot → Port");
+  assert.equal(feature.properties.co2_kg, 2.1);
+});
+
+test("lines crossing the antimeridian are wrapped and split", () => {
+  const [feature] = JSON.parse(exportRoute(SEA, "geojson").body).features;
+  assert.deepEqual(feature.geometry, {
+    type: "MultiLineString",
+    coordinates: [
+      [[178, 10], [179.5, 10]],
+      [[-179, 10], [-178, 10.2]],
+    ],
+  });
+});
+
+test("GPX is a track with the metrics as extensions", () => {
+  const file = exportRoute(ROAD, "gpx");
+  assert.equal(file.filename, "ecoroute-eco-route.gpx");
+  assert.match(file.body, /<trkpt lat="51.92" lon="4.48"\/>/);
+  assert.equal(file.body.match(/<trkpt /g).length, 3);
+  assert.match(file.body, /<eco:co2_kg>2.1<\/eco:co2_kg>/);
+  assert.match(file.body, /<desc>12.5 km, 18 min, 0.8 l diesel, 2.1 kg CO2<\/desc>/);
+});
+
+test("KML escapes the name and carries the metrics as extended data", () => {
+  const { body } = exportRoute(ROAD, "kml", { name: "A & B <fast>" });
+  assert.match(body, /<name>A &amp; B &lt;fast&gt;<\/name>/);
+  assert.match(body, /<Data name="fuel_amount"><value>0.8<\/value><\/Data>/);
+  assert.match(body, /<coordinates>4.48,51.92 4.3,51.93 4.05,51.95<\/coordinates>/);
+});
+
+test("RTZ has waypoints, the planned speed and the schedule, for sea routes only", () => {
+  const { body, type } = exportRoute(SEA, "rtz");
+  assert.equal(type, "application/xml");
+  assert.deepEqual(
+    [...body.matchAll(/<position lat="([^"]+)" lon="([^"]+)"\/>/g)].map((m) => [+m[2], +m[1]]),
+    [[178, 10], [179.5, 10], [-179, 10], [-178, 10.2]]
+  );
+  assert.match(body, /<leg speedMax="12.2" geometryType="Loxodrome"\/>/);
+  assert.match(body, /etd="2026-11-01T00:00:00Z"/);
+  assert.match(body, /eta="2026-11-01T20:00:00Z"/);
+  assert.throws(() => exportRoute(ROAD, "rtz"), { status: 400, details: { field: "format" } });
+});
+
+test("malformed positions are a 400 on route.geometry", () => {
+  for (const coordinates of [[1, 2], [["a", "b"], [1, 2]], [[0, 0], [0, 91]], [[0, 0], [null, 1]], [[0, 0], [1]]]) {
+    for (const format of ["gpx", "kml", "geojson"]) {
+      assert.throws(
+        () => exportRoute({ ...ROAD, geometry: { type: "LineString", coordinates } }, format),
+        { status: 400, details: { field: "route.geometry" } },
+        JSON.stringify(coordinates)
+      );
+    }
+  }
+});
+
+// ---------- API ----------
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+test("an export downloads as an attachment", async () => {
+  const res = await server.post("/api/routes/export", { route: ROAD, format: "gpx", name: "Depot run" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^application\/gpx\+xml/);
+  assert.match(res.headers.get("content-disposition"), /filename="depot-run.gpx"/);
+  assert.match(await res.text(), /<trkseg>/);
+});
+
+test("malformed geometry is a 400 naming route.geometry, not a server error", async () => {
+  for (const coordinates of [[1, 2], [["a", "b"], [1, 2]]]) {
+    const res = await server.post("/api/routes/export", { route: { ...ROAD, geometry: { type: "LineString", coordinates } } });
+    assert.equal(res.status, 400, JSON.stringify(coordinates));
+    const body = await res.json();
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.equal(body.field, "route.geometry");
+  }
+});
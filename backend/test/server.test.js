@@ -0,0 +1,58 @@
+/** server.test.js - A route request through the whole stack, offline */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./support/server.js";
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+test("POST /api/v1/route plans fast and eco land routes", async () => {
+  const res = await server.post("/api/v1/route", {
+    source: { lat: 52.52, lng: 13.405 },
+    destination: { lat: 52.13, lng: 11.62 },
+    vehicle: "car",
+  });
+  assert.equal(res.status, 200);
+  const plan = await res.json();
+  assert.equal(plan.kind, "land");
+  assert.equal(plan.vehicle, "car");
+  assert.deepEqual(
+    plan.routes.map((r) => r.id),
+    ["fast", "eco"]
+  );
+  const [fast, eco] = plan.routes;
+  for (const route of plan.routes) {
+    assert.equal(route.mode, "road");
+    assert.ok(route.distance_km > 100 && route.distance_km < 200);
+    assert.equal(route.prediction, "analytic");
+    assert.equal(route.fuel.type, "petrol");
+    assert.equal(route.geometry.type, "LineString");
+    assert.ok(route.emissions.wtw_co2e_kg > route.emissions.ttw_co2e_kg);
+  }
+  assert.ok(eco.co2_kg <= fast.co2_kg);
+  assert.equal(plan.recommended, "eco");
+  assert.deepEqual(
+    plan.warnings.map((w) => w.code),
+    ["ML_UNAVAILABLE"]
+  );
+});
+
+test("a bad request is a 400 naming the field", async () => {
+  const res = await server.post("/api/v1/route", { source: { lat: 95, lng: 13.4 }, destination: { lat: 52.13, lng: 11.62 } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: "source is out of range (lat -90..90, lng -180..180)",
+    code: "INVALID_COORDINATES",
+    field: "source",
+  });
+});
+
+test("points off the offline road network are a 422 NO_ROUTE", async () => {
+  const res = await server.post("/api/v1/route", { source: { lat: 52.52, lng: 13.405 }, destination: { lat: 10, lng: 10 } });
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).code, "NO_ROUTE");
+});
@@ -0,0 +1,109 @@
+/** speedOptimizer.test.js - Voyage speed against fuel, CO₂ and arrival windows */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { createProfileRegistry } from "../lib/profiles.js";
+import { ecoSpeed, optimizeSpeed, speedRange, speedTradeoff, voyageAt } from "../lib/speedOptimizer.js";
+import { startServer } from "./support/server.js";
+
+const profiles = createProfileRegistry({
+  builtinPath: new URL("../data/profiles.json", import.meta.url),
+  storePath: path.join(os.tmpdir(), "ecoroute-no-custom-profiles.json"),
+});
+const vessels = profiles.list("vessel");
+const ship = profiles.get("cargo_ship");
+
+test("the eco speed sits inside the speed range, not on its floor", () => {
+  assert.ok(vessels.length > 0);
+  for (const vessel of vessels) {
+    const { min, max } = speedRange(vessel);
+    const speed = ecoSpeed(vessel);
+    assert.ok(speed > min + 1, `${vessel.id}: ${speed} kph is on the ${min} kph floor`);
+    assert.ok(speed < vessel.design_speed_kph && speed <= max, `${vessel.id}: ${speed} kph`);
+  }
+});
+
+test("slower burns less fuel per voyage but takes longer", () => {
+  const slow = voyageAt(ship, profiles.fuels, ecoSpeed(ship), 10_000);
+  const fast = voyageAt(ship, profiles.fuels, ship.design_speed_kph, 10_000);
+  assert.ok(slow.fuel_t < fast.fuel_t);
+  assert.ok(slow.duration_hr > fast.duration_hr);
+  assert.equal(slow.duration_hr, +(10_000 / ecoSpeed(ship)).toFixed(1));
+});
+
+test("waits add time and auxiliary fuel only", () => {
+  const sailing = voyageAt(ship, profiles.fuels, 20, 5000);
+  const waiting = voyageAt(ship, profiles.fuels, 20, 5000, 48);
+  assert.equal(waiting.duration_hr, +(sailing.duration_hr + 48).toFixed(1));
+  assert.ok(waiting.fuel_t > sailing.fuel_t);
+  assert.equal(waiting.engine_load, sailing.engine_load);
+});
+
+test("a deadline is met at the cheapest speed that still makes it", () => {
+  const distanceKm = 10_000;
+  const maxHours = distanceKm / 20;
+  const best = optimizeSpeed(ship, profiles.fuels, { distanceKm, maxHours });
+  assert.equal(best.feasible, true);
+  assert.ok(best.duration_hr <= maxHours + 0.1);
+  // any slower misses the deadline, and faster burns more
+  assert.ok(Math.abs(best.speed_kph - 20) < 0.01);
+  assert.ok(voyageAt(ship, profiles.fuels, 22, distanceKm).fuel_t > best.fuel_t);
+});
+
+test("an impossible window comes back infeasible at the closest speed", () => {
+  const { min, max } = speedRange(ship);
+  const tooSoon = optimizeSpeed(ship, profiles.fuels, { distanceKm: 10_000, maxHours: 100 });
+  assert.equal(tooSoon.feasible, false);
+  assert.equal(tooSoon.speed_kph, +max.toFixed(2));
+  const tooLate = optimizeSpeed(ship, profiles.fuels, { distanceKm: 1000, minHours: 1000 });
+  assert.equal(tooLate.feasible, false);
+  assert.equal(tooLate.speed_kph, +min.toFixed(2));
+});
+
+test("the tradeoff curve spans the speed range, flagged against the window", () => {
+  const { min, max } = speedRange(ship);
+  const curve = speedTradeoff(ship, profiles.fuels, { distanceKm: 10_000, maxHours: 10_000 / 20 });
+  assert.equal(curve.length, 21);
+  assert.equal(curve[0].speed_kph, +min.toFixed(2));
+  assert.equal(curve[curve.length - 1].speed_kph, +max.toFixed(2));
+  assert.ok(curve.every((p, i) => i === 0 || p.co2_kg > curve[i - 1].co2_kg));
+  assert.ok(curve.every((p) => p.feasible === p.speed_kph >= 20 - 1e-9));
+});
+
+// ---------- Eco and safe voyage speeds through the API ----------
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+const ROTTERDAM = { lat: 51.9, lng: 4.0 };
+const SINGAPORE = { lat: 1.26, lng: 103.8 };
+
+test("without a window the eco voyage slow-steams but isn't the slowest", async () => {
+  const res = await server.post("/api/ocean-route", { source: ROTTERDAM, destination: SINGAPORE, vessel: "cargo_ship" });
+  assert.equal(res.status, 200);
+  const { eco_route: eco, safe_route: safe } = await res.json();
+  assert.ok(Math.abs(eco.speed_kph - ecoSpeed(ship)) < 0.01);
+  assert.ok(eco.speed_kph <= safe.speed_kph);
+  assert.ok(eco.fuel_t < safe.fuel_t);
+  // Suez at slow steam still beats the Cape at cruising speed
+  assert.ok(eco.duration_hr < safe.duration_hr);
+});
+
+test("an arrival window sets the speed, and one nobody can make is a 422", async () => {
+  const departure = "2026-11-02T00:00:00Z";
+  const body = { source: ROTTERDAM, destination: SINGAPORE, vessel: "cargo_ship", departure };
+  const ok = await server.post("/api/ocean-route", { ...body, eta: "2026-12-20T00:00:00Z" });
+  assert.equal(ok.status, 200);
+  const { eco_route: eco } = await ok.json();
+  assert.equal(eco.meets_window, true);
+  assert.ok(Date.parse(eco.arrival) <= Date.parse("2026-12-20T00:00:00Z"));
+
+  const late = await server.post("/api/ocean-route", { ...body, eta: "2026-11-05T00:00:00Z" });
+  assert.equal(late.status, 422);
+  assert.equal((await late.json()).code, "ARRIVAL_WINDOW_INFEASIBLE");
+});
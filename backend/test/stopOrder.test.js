@@ -0,0 +1,47 @@
+/** stopOrder.test.js - Visit-order heuristic for multi-stop routes */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { orderStops, pathCost } from "../lib/stopOrder.js";
+
+// Stops on a line at these positions; cost is the distance between them
+const line = (xs) => xs.map((a) => xs.map((b) => Math.abs(a - b)));
+
+test("pathCost sums the legs in visiting order", () => {
+  assert.equal(pathCost(line([0, 5, 2]), [0, 1, 2]), 8);
+  assert.equal(pathCost(line([0, 5, 2]), [0, 2, 1]), 5);
+});
+
+test("two stops or fewer keep their order", () => {
+  assert.deepEqual(orderStops([]), []);
+  assert.deepEqual(orderStops([[0]]), [0]);
+  assert.deepEqual(orderStops(line([0, 9])), [0, 1]);
+});
+
+test("stops along a line are visited in order, start and end fixed", () => {
+  assert.deepEqual(orderStops(line([0, 30, 10, 20, 40])), [0, 2, 3, 1, 4]);
+});
+
+test("2-opt undoes a nearest-neighbour detour", () => {
+  // nearest neighbour goes 0 → 1 → 2 → 3, then has to come back for 4
+  const xs = [0, 1, 3, 7, -2, 10];
+  const order = orderStops(line(xs));
+  assert.equal(order[0], 0);
+  assert.equal(order[order.length - 1], 5);
+  assert.equal(pathCost(line(xs), order), 14);
+});
+
+test("with fixEnd false the last stop is free to move", () => {
+  assert.deepEqual(orderStops(line([0, 30, 10, 20]), { fixEnd: false }), [0, 2, 3, 1]);
+});
+
+test("asymmetric costs and unreachable pairs are respected", () => {
+  // 1 → 2 is one-way (unreachable back), so 2 has to come after 1
+  const matrix = [
+    [0, 1, 1, 5],
+    [1, 0, 1, 5],
+    [1, null, 0, 1],
+    [5, 5, 1, 0],
+  ];
+  assert.deepEqual(orderStops(matrix), [0, 1, 2, 3]);
+});
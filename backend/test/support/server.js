@@ -0,0 +1,80 @@
+/**
+ * server.js - Runs backend/server.js for a test file, fully offline
+ *
+ * Offline routing and geocoding, no ML service (land routes get the analytic
+ * estimate) and throwaway databases. `startServer()` resolves once the server
+ * answers; call `stop()` from `test.after`.
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const BACKEND_DIR = fileURLToPath(new URL("../..", import.meta.url));
+// Loading lanes, land mask and gazetteer takes a while on a slow machine
+const START_TIMEOUT_MS = 120_000;
+
+// A port nothing listens on right now
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on("error", reject);
+  });
+}
+
+export async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ecoroute-server-"));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: BACKEND_DIR,
+    stdio: "ignore",
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ROUTING_PROVIDER: "offline",
+      GEOCODER: "offline",
+      // nothing listens there, so land routes get the analytic estimate
+      ML_URL: `http://127.0.0.1:${await freePort()}/predict`,
+      CACHE_STORE: "memory",
+      PROFILE_STORE: path.join(dataDir, "custom_profiles.json"),
+      TRIPS_DB: path.join(dataDir, "trips.db"),
+      TELEMETRY_DB: path.join(dataDir, "telemetry.db"),
+      ...env,
+    },
+  });
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const ready = await fetch(`${baseUrl}/api/v1/openapi.json`).then(
+      (res) => res.ok,
+      () => false
+    );
+    if (ready) {
+      const request = (method) => (url, body) =>
+        fetch(`${baseUrl}${url}`, {
+          method,
+          ...(body !== undefined ? { headers: { "content-type": "application/json" }, body: JSON.stringify(body) } : {}),
+        });
+      return { baseUrl, get: request("GET"), post: request("POST"), del: request("DELETE"), stop };
+    }
+    const code = await Promise.race([exited, new Promise((resolve) => setTimeout(resolve, 250, null))]);
+    if (code !== null) {
+      stop();
+      throw new Error(`server.js exited with ${code} before listening`);
+    }
+  }
+  stop();
+  throw new Error("server.js did not start listening in time");
+}
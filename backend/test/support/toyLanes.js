@@ -0,0 +1,59 @@
+/** toyLanes.js - A toy lane network and land boxes for the lane graph and sea routing tests */
+
+export const lane = (Type, coordinates, name) => ({
+  type: "Feature",
+  properties: { Type, ...(name ? { name } : {}) },
+  geometry: { type: "LineString", coordinates },
+});
+export const collection = (features) => ({ type: "FeatureCollection", features });
+
+// Approaches from 1° west and east to a direct lane along the equator and a
+// longer detour to the north, plus a fragment that joins none of them
+export const LANES = collection([
+  lane("Approach", [
+    [-1, 0],
+    [0, 0],
+  ]),
+  lane("Approach", [
+    [10, 0],
+    [11, 0],
+  ]),
+  lane("Major", [
+    [0, 0],
+    [10, 0],
+  ]),
+  lane("Minor", [
+    [0, 0],
+    [0, 4],
+    [10, 4],
+    [10, 0],
+  ]),
+  lane("Minor", [
+    [30, 30],
+    [31, 30],
+  ]),
+]);
+
+// Land: one box from [west, south] to [east, north]
+export const land = (west, south, east, north) =>
+  collection([
+    {
+      type: "Feature",
+      properties: {},
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [west, south],
+            [east, south],
+            [east, north],
+            [west, north],
+            [west, south],
+          ],
+        ],
+      },
+    },
+  ]);
+
+// Great-circle km per degree along the equator
+export const KM_PER_DEG = 111.19;
@@ -0,0 +1,173 @@
+/** telemetry.test.js - Recorded trips, their summaries and the training samples */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseTelemetry, traceSummary } from "../lib/telemetry.js";
+import { createSampleStore, FEATURE_COLUMNS } from "../lib/samples.js";
+import { parseCsv } from "../lib/csv.js";
+import { startServer } from "./support/server.js";
+
+// Berlin to Potsdam along the sample A2 in ten fixes over 30 minutes, using 2.7 l
+const BERLIN = [13.405, 52.52];
+const POTSDAM = [13.064, 52.391];
+const fixes = (start = "2026-10-19T07:00:00Z", fuel = (i) => (i * 0.3).toFixed(1)) =>
+  Array.from({ length: 10 }, (_, i) => ({
+    time: new Date(Date.parse(start) + i * 200e3).toISOString(),
+    lng: +(BERLIN[0] + ((POTSDAM[0] - BERLIN[0]) * i) / 9).toFixed(5),
+    lat: +(BERLIN[1] + ((POTSDAM[1] - BERLIN[1]) * i) / 9).toFixed(5),
+    fuel: fuel(i),
+  }));
+const csv = (trips) =>
+  [
+    "trip_id,time,lat,lng,fuel_used",
+    ...Object.entries(trips).flatMap(([id, points]) => points.map((p) => `${id},${p.time},${p.lat},${p.lng},${p.fuel}`)),
+  ].join("\n");
+
+// ---------- Parsing ----------
+test("CSV rows make one trip per trip_id", () => {
+  const traces = parseTelemetry(csv({ a: fixes(), b: fixes("2026-10-19T09:00:00Z") }), "csv");
+  assert.deepEqual(traces.map((t) => [t.trip_id, t.points.length]), [["a", 10], ["b", 10]]);
+  assert.deepEqual(traces[0].points[0], { at: Date.parse("2026-10-19T07:00:00Z"), lat: 52.52, lng: 13.405, fuel: 0 });
+});
+
+test("a CSV without trip ids is one trip, and lon and a byte order mark work", () => {
+  const [trace] = parseTelemetry("\uFEFFtime,lat,lon,fuel_used\n2026-10-19T07:00:00Z,52.52,13.405,\n2026-10-19T07:10:00Z,52.5,13.3,1", "csv");
+  assert.equal(trace.trip_id, "trip-1");
+  assert.equal(trace.points[0].fuel, null);
+  assert.equal(trace.points[1].lng, 13.3);
+});
+
+test("GPX has one trip per track, fuel from any extension prefix", () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx xmlns:eco="urn:x">
+  <trk><name>Morning run</name><trkseg>
+    <trkpt lat="52.52" lon="13.405"><time>2026-10-19T07:00:00Z</time><extensions><eco:fuel_used>0.5</eco:fuel_used></extensions></trkpt>
+    <trkpt lat='52.5' lon='13.3'><time>2026-10-19T07:10:00Z</time><extensions><fuel_used>1.5</fuel_used></extensions></trkpt>
+  </trkseg></trk>
+  <trk><trkseg><trkpt lat="52.5" lon="13.3"><time>2026-10-19T08:00:00Z</time></trkpt></trkseg></trk>
+</gpx>`;
+  const traces = parseTelemetry(gpx, "gpx");
+  assert.deepEqual(traces.map((t) => t.trip_id), ["Morning run", "track-2"]);
+  assert.deepEqual(traces[0].points.map((p) => p.fuel), [0.5, 1.5]);
+  assert.equal(traces[1].points[0].fuel, null);
+});
+
+test("bad fixes are a 400 saying where", () => {
+  assert.throws(() => parseTelemetry("time,lat,lng\nyesterday,52,13", "csv"), { status: 400, message: /^Row 2: time/ });
+  assert.throws(() => parseTelemetry("time,lat,lng\n2026-10-19T07:00:00Z,95,13", "csv"), { status: 400, message: /lat\/lng/ });
+  assert.throws(() => parseTelemetry("time,lat,lng,fuel_used\n2026-10-19T07:00:00Z,52,13,-1", "csv"), { message: /fuel_used/ });
+  assert.throws(() => parseTelemetry("<gpx></gpx>", "gpx"), { status: 400, message: "No trips in the GPX telemetry" });
+});
+
+// ---------- Trace summaries ----------
+const trace = (points) => parseTelemetry(csv({ t: points }), "csv")[0];
+
+test("a trace's summary has its time, length, fuel and spread waypoints", () => {
+  const summary = traceSummary(trace(fixes()), { maxWaypoints: 4 });
+  assert.equal(summary.started_at, "2026-10-19T07:00:00.000Z");
+  assert.equal(summary.duration_s, 1800);
+  assert.ok(Math.abs(summary.fuel_used - 2.7) < 1e-9);
+  assert.ok(summary.trace_km > 25 && summary.trace_km < 28);
+  assert.equal(summary.waypoints.length, 4);
+  assert.deepEqual(summary.waypoints[0], BERLIN);
+  assert.deepEqual(summary.waypoints.at(-1), POTSDAM);
+});
+
+test("fixes out of order are sorted by time", () => {
+  const summary = traceSummary(trace(fixes().reverse()), { maxWaypoints: 2 });
+  assert.deepEqual(summary.waypoints, [BERLIN, POTSDAM]);
+  assert.ok(Math.abs(summary.fuel_used - 2.7) < 1e-9);
+});
+
+test("traces that can't be labelled are a 422 saying why", () => {
+  const cases = [
+    [fixes().slice(0, 1), /fewer than two fixes/],
+    [fixes().map((p) => ({ ...p, lat: 52.52, lng: 13.405 })), /less than 1 km/],
+    [fixes().map((p) => ({ ...p, time: "2026-10-19T07:00:00Z" })), /no elapsed time/],
+    [fixes(undefined, (i) => (i === 0 ? "1" : "")), /fewer than two fuel readings/],
+    [fixes(undefined, (i) => (i === 5 ? "0" : String(i))), /goes down/],
+    [fixes(undefined, () => "3"), /used no fuel/],
+  ];
+  for (const [points, message] of cases) {
+    assert.throws(() => traceSummary(trace(points), { maxWaypoints: 4 }), { status: 422, message }, String(message));
+  }
+});
+
+// ---------- Sample store ----------
+test("a trip is stored once per vehicle and start time", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ecoroute-samples-"));
+  try {
+    const store = createSampleStore(path.join(dir, "telemetry.db"));
+    const features = Object.fromEntries(FEATURE_COLUMNS.map((c) => [c, c === "route_type" ? "fast" : 1.23456]));
+    const summary = traceSummary(trace(fixes()), { maxWaypoints: 4 });
+    const sample = {
+      source: "csv",
+      vehicle: "van",
+      trace: summary,
+      features,
+      fuelType: "diesel",
+      fuelUsed: 2.7,
+      co2Kg: 7.29,
+      geometry: { type: "LineString", coordinates: [BERLIN, POTSDAM] },
+    };
+    const added = store.add(sample);
+    assert.equal(added.duration_min, 30);
+    assert.equal(added.features.distance_km, 1.235);
+    assert.deepEqual(added.labels, { fuel_type: "diesel", fuel_l: 2.7, co2_kg: 7.29 });
+    assert.deepEqual(added.geometry.coordinates, [BERLIN, POTSDAM]);
+    assert.throws(() => store.add(sample), { status: 409 });
+    assert.equal(store.add({ ...sample, vehicle: "car" }).vehicle, "car");
+
+    assert.equal(store.list({ vehicle: "van" }).total, 1);
+    assert.equal(store.list().samples[0].geometry, undefined);
+    assert.equal(store.rows().length, 2);
+    store.remove(added.id);
+    assert.throws(() => store.remove(added.id), { status: 404 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ---------- API ----------
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+const upload = (body, query, type = "text/csv") =>
+  fetch(`${server.baseUrl}/api/telemetry?${query}`, { method: "POST", headers: { "content-type": type }, body });
+
+test("uploaded trips become samples, and the ones that can't be labelled are skipped", async () => {
+  const body = csv({ good: fixes(), reset: fixes("2026-10-19T09:00:00Z", (i) => (i === 5 ? "0" : String(i))) });
+  const res = await upload(body, "vehicle=van");
+  assert.equal(res.status, 201);
+  const { samples, skipped } = await res.json();
+  assert.deepEqual(samples.map((s) => s.trip_id), ["good"]);
+  assert.equal(samples[0].labels.fuel_l, 2.7);
+  assert.ok(samples[0].features.traffic_index > 0);
+  assert.deepEqual(skipped.map((s) => s.trip_id), ["reset"]);
+
+  const again = await upload(body, "vehicle=van");
+  assert.equal(again.status, 422);
+  const noSamples = await again.json();
+  assert.equal(noSamples.code, "NO_SAMPLES");
+  assert.ok(noSamples.skipped.some((s) => s.trip_id === "good" && s.code === "CONFLICT"));
+
+  const listed = await (await server.get("/api/telemetry/samples?vehicle=van")).json();
+  assert.equal(listed.total, 1);
+  const download = await server.get("/api/telemetry/samples?format=csv");
+  assert.equal(parseCsv(await download.text())[0].trip_id, "good");
+});
+
+test("EVs and empty uploads are 400s", async () => {
+  const ev = await upload(csv({ a: fixes() }), "vehicle=ev");
+  assert.equal(ev.status, 400);
+  assert.equal((await ev.json()).field, "vehicle");
+  const empty = await upload(" ", "vehicle=van");
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).field, "body");
+});
@@ -0,0 +1,138 @@
+/** traffic.test.js - Historical speed profile, live feed and traffic on routes */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createSpeedProfileProvider } from "../lib/traffic/speedProfile.js";
+import { createFeedProvider } from "../lib/traffic/feed.js";
+import { freePort, startServer } from "./support/server.js";
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+// Monday 19 October 2026, `h` hours into the UTC day
+const monday = (h) => new Date(Date.UTC(2026, 9, 19) + h * 3600e3);
+
+// ---------- Speed profile ----------
+const profile = createSpeedProfileProvider();
+const at = (point, when) => profile.congestion([{ from: point, to: point, at: when }]).then(([index]) => index);
+
+test("the index follows the hour of day, interpolated between hours", async () => {
+  // open sea at 15° E: interurban, local time an hour ahead of UTC
+  const sea = [15, 0];
+  assert.ok(close(await at(sea, monday(7)), 1.2));
+  assert.ok(close(await at(sea, monday(7.5)), 1.15));
+  assert.ok(close(await at(sea, monday(2)), 0.95));
+});
+
+test("cities are busier than the open road at rush hour", async () => {
+  // 08:00 local solar time in Berlin
+  const berlin = [13.405, 52.52];
+  assert.ok(close(await at(berlin, monday(8 - 13.405 / 15)), 1.6));
+});
+
+test("weekends have their own curves, by local day", async () => {
+  // Saturday 10:00 and Sunday 08:00 local at 15° E
+  assert.ok(close(await at([15, 0], monday(-48 + 9)), 1.15));
+  assert.ok(close(await at([13.405, 52.52], monday(-24 + 8 - 13.405 / 15)), 1.0));
+  // past 23:00 the curve runs into the same day's midnight value
+  assert.ok(close(await at([15, 0], monday(22.5)), 0.95));
+});
+
+test("a segment is scored at its midpoint", async () => {
+  const [index] = await profile.congestion([{ from: [14, 0], to: [16, 0], at: monday(7) }]);
+  assert.ok(close(index, 1.2));
+});
+
+// ---------- Live feed ----------
+// A stand-in feed: index `feedIndex` for every segment, or a 500 while `feedDown`
+let feedIndex = 1.5;
+let feedDown = false;
+const received = [];
+const feed = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const { segments } = JSON.parse(body);
+    received.push(segments);
+    if (feedDown) {
+      res.writeHead(500).end("feed down");
+      return;
+    }
+    const indexes = req.url === "/short" ? [] : segments.map(() => feedIndex);
+    res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify({ indexes }));
+  });
+});
+let feedUrl;
+
+let server;
+test.before(async () => {
+  const port = await freePort();
+  await new Promise((resolve) => feed.listen(port, "127.0.0.1", resolve));
+  feedUrl = `http://127.0.0.1:${port}`;
+  server = await startServer({ TRAFFIC_PROVIDER: "feed", TRAFFIC_FEED_URL: feedUrl });
+});
+test.after(() => {
+  server?.stop();
+  feed.close();
+});
+
+test("the feed is sent every segment with its time and returns its indexes", async () => {
+  const provider = createFeedProvider({ url: feedUrl });
+  received.length = 0;
+  const indexes = await provider.congestion([
+    { from: [4, 52], to: [4.1, 52], at: monday(7) },
+    { from: [4.1, 52], to: [4.2, 52], at: monday(7.1) },
+  ]);
+  assert.deepEqual(indexes, [1.5, 1.5]);
+  assert.deepEqual(received[0][0], { from: [4, 52], to: [4.1, 52], at: "2026-10-19T07:00:00.000Z" });
+});
+
+test("a feed that fails or sends too few indexes is an upstream error", async () => {
+  const segments = [{ from: [4, 52], to: [4.1, 52], at: monday(7) }];
+  await assert.rejects(createFeedProvider({ url: `${feedUrl}/short` }).congestion(segments), {
+    status: 502,
+    details: { code: "UPSTREAM_ERROR", service: "Traffic feed" },
+  });
+  feedDown = true;
+  try {
+    await assert.rejects(createFeedProvider({ url: feedUrl }).congestion(segments), { status: 502 });
+  } finally {
+    feedDown = false;
+  }
+  assert.throws(() => createFeedProvider({}), /TRAFFIC_FEED_URL/);
+});
+
+// ---------- Traffic on routes ----------
+const BERLIN = { lat: 52.52, lng: 13.405 };
+const HANNOVER = { lat: 52.375, lng: 9.732 };
+const plan = (departure) => server.post("/api/route", { source: BERLIN, destination: HANNOVER, vehicle: "car", departure }).then((res) => res.json());
+
+test("a departure time scores the route with the traffic then, within the model's range", async () => {
+  const typical = (await plan()).eco_optimized;
+  assert.equal(typical.traffic, undefined);
+
+  feedIndex = 3;
+  try {
+    const jammed = (await plan("2026-10-19T07:00:00.000Z")).eco_optimized;
+    assert.equal(jammed.traffic.index, 2);
+    assert.equal(jammed.traffic.source, "feed");
+    assert.equal(jammed.traffic.departure, "2026-10-19T07:00:00.000Z");
+    // the duration is the router's, times the index
+    const drivenMin = (Date.parse(jammed.traffic.arrival) - Date.parse(jammed.traffic.departure)) / 60e3;
+    assert.ok(Math.abs(jammed.duration_min - drivenMin) <= 0.1);
+    assert.ok(jammed.duration_min > 1.5 * typical.duration_min);
+  } finally {
+    feedIndex = 1.5;
+  }
+});
+
+test("without the feed the route assumes typical traffic and says so", async () => {
+  feedDown = true;
+  try {
+    const { eco_optimized: route, warnings } = await plan("2026-10-19T09:00:00.000Z");
+    assert.equal(route.traffic.index, 1);
+    assert.equal(route.traffic.source, null);
+    assert.ok(warnings.some((w) => w.code === "TRAFFIC_UNAVAILABLE"));
+  } finally {
+    feedDown = false;
+  }
+});
@@ -0,0 +1,146 @@
+/** trips.test.js - Trip history store and the trips API */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createTripStore } from "../lib/trips.js";
+import { startServer } from "./support/server.js";
+
+const route = (co2_kg, fuel = { type: "diesel", amount: 5, unit: "l" }) => ({
+  id: "eco",
+  distance_km: 50,
+  duration_min: 40,
+  co2_kg,
+  fuel,
+  geometry: { type: "LineString", coordinates: [[4.48, 51.92], [4.05, 51.95]] },
+});
+
+let dir;
+let store;
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ecoroute-trips-"));
+  store = createTripStore(path.join(dir, "trips.db"));
+});
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ---------- Store ----------
+test("a trip keeps its route's figures and the route itself", () => {
+  const trip = store.add({ vehicle: "van", kind: "land", label: "Depot run", taken_at: "2026-10-12T08:00:00Z", route: route(10), baseline_co2_kg: 12 });
+  assert.equal(trip.taken_at, "2026-10-12T08:00:00.000Z");
+  assert.equal(trip.route_id, "eco");
+  assert.equal(trip.co2_saved_kg, 2);
+  assert.deepEqual(trip.fuel, { type: "diesel", unit: "l", predicted: 5, actual: null });
+  assert.deepEqual(trip.route, route(10));
+  assert.deepEqual(store.get(trip.id), trip);
+});
+
+test("without a baseline nothing is saved", () => {
+  assert.equal(store.add({ vehicle: "van", kind: "land", route: route(10) }).co2_saved_kg, 0);
+});
+
+test("trips list newest first, filtered and paged, without their routes", () => {
+  for (const [vehicle, day] of [["van", 12], ["car", 13], ["van", 14]]) {
+    store.add({ vehicle, kind: "land", taken_at: `2026-10-${day}T08:00:00Z`, route: route(10) });
+  }
+  const all = store.list();
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.trips.map((t) => t.taken_at.slice(8, 10)), ["14", "13", "12"]);
+  assert.equal(all.trips[0].route, undefined);
+
+  const vans = store.list({ vehicle: "van", limit: 1, offset: 1 });
+  assert.equal(vans.total, 2);
+  assert.deepEqual(vans.trips.map((t) => t.taken_at.slice(8, 10)), ["12"]);
+  assert.equal(store.list({ from: "2026-10-13T00:00:00Z", to: "2026-10-14T00:00:00Z" }).total, 1);
+});
+
+test("only the label and actual fuel change after the fact", () => {
+  const { id } = store.add({ vehicle: "van", kind: "land", route: route(10) });
+  const trip = store.update(id, { actual_fuel: 5.5, co2_kg: 0 });
+  assert.equal(trip.fuel.actual, 5.5);
+  assert.equal(trip.co2_kg, 10);
+  assert.equal(store.update(id, { label: "Late" }).label, "Late");
+});
+
+test("unknown trips are a 404", () => {
+  assert.throws(() => store.get(1), { status: 404 });
+  assert.throws(() => store.update(1, { label: "x" }), { status: 404 });
+  const { id } = store.add({ vehicle: "van", kind: "land", route: route(10) });
+  store.remove(id);
+  assert.throws(() => store.remove(id), { status: 404 });
+});
+
+test("the summary counts savings per vehicle and per Monday-to-Sunday week", () => {
+  const add = (vehicle, taken_at, co2, baseline, actual_fuel, fuel) =>
+    store.add({ vehicle, kind: "land", taken_at, route: route(co2, fuel), baseline_co2_kg: baseline, actual_fuel });
+  add("van", "2026-10-12T08:00:00Z", 10, 12, 4);
+  add("van", "2026-10-18T20:00:00Z", 10, 11);
+  add("ev", "2026-10-19T08:00:00Z", 2, 6, undefined, { type: "electricity", amount: 9, unit: "kWh" });
+
+  const summary = store.summary();
+  assert.equal(summary.trips, 3);
+  assert.equal(summary.co2_saved_kg, 7);
+  assert.equal(summary.co2_saved_percent, 24.1);
+  assert.deepEqual(
+    summary.by_vehicle.map((v) => [v.vehicle, v.fuel_unit, v.co2_saved_kg, v.actual_fuel]),
+    [
+      ["ev", "kWh", 4, null],
+      ["van", "l", 3, { trips: 1, predicted: 5, actual: 4 }],
+    ]
+  );
+  assert.deepEqual(
+    summary.by_week.map((w) => [w.week_start, w.trips, w.co2_saved_kg, w.cumulative_co2_saved_kg]),
+    [
+      ["2026-10-12", 2, 3, 3],
+      ["2026-10-19", 1, 4, 7],
+    ]
+  );
+  assert.equal(store.summary({ vehicle: "ev" }).trips, 1);
+});
+
+test("an empty history sums to zero", () => {
+  const summary = store.summary();
+  assert.equal(summary.trips, 0);
+  assert.equal(summary.co2_saved_kg, 0);
+  assert.equal(summary.co2_saved_percent, 0);
+  assert.deepEqual(summary.by_week, []);
+});
+
+// ---------- API ----------
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server?.stop());
+
+test("trips are saved, read, updated and deleted over the API", async () => {
+  const res = await server.post("/api/trips", { vehicle: "van", route: route(10), baseline_co2_kg: 12, taken_at: "2026-10-12T08:00:00Z" });
+  assert.equal(res.status, 201);
+  const { id, kind } = await res.json();
+  assert.equal(kind, "land");
+
+  assert.equal((await (await server.get(`/api/trips/${id}`)).json()).route.id, "eco");
+  assert.equal((await (await server.get("/api/trips?vehicle=van")).json()).total, 1);
+  assert.equal((await (await server.get("/api/trips/summary")).json()).co2_saved_kg, 2);
+
+  const patched = await fetch(`${server.baseUrl}/api/trips/${id}`, {
+    method: "PATCH",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ actual_fuel: 4.2 }),
+  });
+  assert.equal((await patched.json()).fuel.actual, 4.2);
+
+  assert.equal((await server.del(`/api/trips/${id}`)).status, 204);
+  assert.equal((await server.get(`/api/trips/${id}`)).status, 404);
+});
+
+test("trips with an unknown vehicle or a bad route are 400s", async () => {
+  const unknown = await server.post("/api/trips", { vehicle: "hovercraft", route: route(10) });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).code, "UNKNOWN_PROFILE");
+
+  const bad = await server.post("/api/trips", { vehicle: "van", route: { ...route(10), fuel: undefined } });
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).field, "route.fuel");
+});
@@ -0,0 +1,72 @@
+/** validate.test.js - Request schemas */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../lib/validate.js";
+
+// The 400 a bad field answers with
+const rejects = (code, field) => (err) => {
+  assert.equal(err.status, 400);
+  assert.equal(err.details.code, code);
+  assert.equal(err.details.field, field);
+  return true;
+};
+
+const SCHEMA = {
+  source: { type: "point", required: true },
+  vehicle: { type: "string", enum: ["car", "van"], default: "car" },
+  weight_kg: { type: "number", min: 0 },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  alternatives: { type: "boolean", default: false },
+  departure: { type: "time" },
+  stops: { type: "array", items: { type: "point" }, minItems: 2, maxItems: 3 },
+  battery: { type: "object", properties: { soc: { type: "number", min: 0, max: 1, required: true } } },
+};
+
+test("defaults are filled in and unknown fields dropped", () => {
+  const source = { lat: 52.5, lng: 13.4, name: "Berlin" };
+  assert.deepEqual(validate(SCHEMA, { source, extra: 1 }), { source, vehicle: "car", limit: 20, alternatives: false });
+});
+
+test("a missing required field names it", () => {
+  assert.throws(() => validate(SCHEMA, {}), rejects("INVALID_REQUEST", "source"));
+  assert.throws(() => validate(SCHEMA, null), rejects("INVALID_REQUEST", "source"));
+});
+
+test("bad points are INVALID_COORDINATES", () => {
+  assert.throws(() => validate(SCHEMA, { source: { lat: "52", lng: 13 } }), rejects("INVALID_COORDINATES", "source"));
+  assert.throws(() => validate(SCHEMA, { source: { lat: 91, lng: 13 } }), rejects("INVALID_COORDINATES", "source"));
+});
+
+test("numbers, strings, booleans and times are checked", () => {
+  const source = { lat: 0, lng: 0 };
+  assert.throws(() => validate(SCHEMA, { source, weight_kg: -1 }), rejects("INVALID_REQUEST", "weight_kg"));
+  assert.throws(() => validate(SCHEMA, { source, limit: 2.5 }), rejects("INVALID_REQUEST", "limit"));
+  assert.throws(() => validate(SCHEMA, { source, limit: 101 }), rejects("INVALID_REQUEST", "limit"));
+  assert.throws(() => validate(SCHEMA, { source, vehicle: "bus" }), /must be one of "car", "van"/);
+  assert.throws(() => validate(SCHEMA, { source, alternatives: "true" }), rejects("INVALID_REQUEST", "alternatives"));
+  assert.throws(() => validate(SCHEMA, { source, departure: "tomorrow" }), rejects("INVALID_REQUEST", "departure"));
+  assert.equal(validate(SCHEMA, { source, departure: "2026-11-02T08:00:00Z" }).departure, "2026-11-02T08:00:00Z");
+});
+
+test("array items and nested objects report their path", () => {
+  const source = { lat: 0, lng: 0 };
+  assert.throws(() => validate(SCHEMA, { source, stops: [source] }), /stops needs at least 2 items/);
+  assert.throws(() => validate(SCHEMA, { source, stops: [source, source, source, source] }), /at most 3 items/);
+  assert.throws(() => validate(SCHEMA, { source, stops: [source, { lat: 0 }] }), rejects("INVALID_COORDINATES", "stops[1]"));
+  assert.throws(() => validate(SCHEMA, { source, battery: { soc: 2 } }), rejects("INVALID_REQUEST", "battery.soc"));
+  assert.throws(() => validate(SCHEMA, { source, battery: [] }), rejects("INVALID_REQUEST", "battery"));
+  assert.deepEqual(validate(SCHEMA, { source, battery: { soc: 0.5, extra: 1 } }).battery, { soc: 0.5 });
+});
+
+test("query strings are parsed, and empty values count as missing", () => {
+  const QUERY = { limit: SCHEMA.limit, alternatives: SCHEMA.alternatives, vehicle: SCHEMA.vehicle };
+  assert.deepEqual(validate(QUERY, { limit: "5", alternatives: "true", vehicle: "" }, { query: true }), {
+    limit: 5,
+    alternatives: true,
+    vehicle: "car",
+  });
+  assert.throws(() => validate(QUERY, { limit: "five" }, { query: true }), rejects("INVALID_REQUEST", "limit"));
+  // only query strings are parsed
+  assert.throws(() => validate(QUERY, { limit: "5" }), rejects("INVALID_REQUEST", "limit"));
+});
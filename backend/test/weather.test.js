@@ -0,0 +1,137 @@
+/** weather.test.js - Wave, wind and current fields in ocean routing */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { buildLaneGraph, snapToGraph, shortestPath } from "../lib/laneGraph.js";
+import { loadWeather, sampleWeather, speedOverGround, voyageWeather, weatherEdgeKm } from "../lib/weather.js";
+import { KM_PER_DEG, LANES } from "./support/toyLanes.js";
+import { startServer } from "./support/server.js";
+
+const DEPARTURE = Date.parse("2026-11-01T00:00:00Z");
+const HOUR = 3600e3;
+
+// One grid over the toy lane network (lng -2..12, lat -1..5), the same
+// value everywhere at each time step
+function uniformGrid(hoursAndValues) {
+  const nlng = 15;
+  const nlat = 7;
+  const times = hoursAndValues.map(([h]) => DEPARTURE + h * HOUR);
+  const variables = {};
+  for (const [, values] of hoursAndValues) {
+    for (const [name, v] of Object.entries(values)) {
+      (variables[name] ??= []).push(new Array(nlng * nlat).fill(v));
+    }
+  }
+  return { grids: [{ times, lng0: -2, lat0: -1, dlng: 1, dlat: 1, nlng, nlat, variables, name: "toy" }] };
+}
+
+test("the fixture grid loads and is sampled in space and time", () => {
+  const weather = loadWeather(fileURLToPath(new URL("../data/fixtures", import.meta.url)));
+  assert.equal(weather.grids.length, 1);
+  const biscay = sampleWeather(weather, [-6, 45], Date.parse("2026-11-02T12:00:00Z"));
+  assert.ok(biscay.hs > 0);
+  assert.equal(biscay.wind.length, 2);
+  assert.equal(biscay.current.length, 2);
+  // outside the grid, or before its first time step: nothing
+  assert.deepEqual(sampleWeather(weather, [60, 10], Date.parse("2026-11-02T12:00:00Z")), {
+    hs: null,
+    current: null,
+    wind: null,
+  });
+  assert.equal(sampleWeather(weather, [-6, 45], Date.parse("2026-10-01T00:00:00Z")).hs, null);
+});
+
+test("a missing weather directory means no weather", () => {
+  assert.deepEqual(loadWeather("/nonexistent/weather"), { grids: [] });
+});
+
+test("waves and head wind slow the vessel, currents push it along or hold it back", () => {
+  const calm = { hs: null, current: null, wind: null };
+  assert.equal(speedOverGround(20, calm, 90), 20);
+  assert.ok(speedOverGround(20, { ...calm, hs: 5 }, 90) < 20);
+  assert.ok(speedOverGround(20, { ...calm, wind: [-15, 0] }, 90) < 20);
+  assert.equal(speedOverGround(20, { ...calm, wind: [15, 0] }, 90), 20);
+  // a 1 m/s current is 3.6 km/h over ground
+  assert.ok(Math.abs(speedOverGround(20, { ...calm, current: [1, 0] }, 90) - 23.6) < 1e-9);
+  assert.ok(Math.abs(speedOverGround(20, { ...calm, current: [-1, 0] }, 90) - 16.4) < 1e-9);
+  // never below a fifth of the speed through the water
+  assert.equal(speedOverGround(20, { ...calm, current: [-10, 0] }, 90), 4);
+});
+
+test("lane edges stretch against the current and close above the wave limit", () => {
+  const graph = buildLaneGraph(LANES);
+  const edge = graph.edges.find((e) => e.type === "Major");
+  const west = graph.nodes[edge.a][0] < graph.nodes[edge.b][0] ? edge.a : edge.b;
+  const east = edge.a === west ? edge.b : edge.a;
+  const current = uniformGrid([
+    [0, { u_current: 1, v_current: 0, hs: 2 }],
+    [100, { u_current: 1, v_current: 0, hs: 2 }],
+  ]);
+  const km = weatherEdgeKm(current, graph, { departure: DEPARTURE, speedKph: 20 });
+  assert.ok(km(edge, west, 0) < edge.km);
+  assert.ok(km(edge, east, 0) > edge.km);
+  const capped = weatherEdgeKm(current, graph, { departure: DEPARTURE, speedKph: 20, maxWaveM: 1.5 });
+  assert.equal(capped(edge, west, 0), Infinity);
+});
+
+test("the weather is looked up for when the vessel gets there, whatever the lane preference", () => {
+  // calm for the first 14 hours, then a storm over the wave limit everywhere
+  const storm = uniformGrid([
+    [0, { hs: 0 }],
+    [14, { hs: 0 }],
+    [15, { hs: 10 }],
+    [100, { hs: 10 }],
+  ]);
+  const graph = buildLaneGraph(LANES);
+  const from = snapToGraph(graph, [-1, 0]);
+  const to = snapToGraph(graph, [11, 0]);
+  // at 10 km/h the approach takes about 11 h, so the direct lane is entered before the storm
+  const edgeCost = weatherEdgeKm(storm, graph, { departure: DEPARTURE, speedKph: 10, maxWaveM: 6 });
+  const path = shortestPath(graph, from, to, { edgeCost, edgeWeight: () => 2 });
+  assert.ok(path, "a preference weight must not make the vessel arrive later");
+  assert.ok(Math.abs(path.distance_km - 12 * KM_PER_DEG) < 2);
+});
+
+test("a finished route reports the weather it sails through", () => {
+  const swell = uniformGrid([
+    [0, { hs: 4, u_current: -0.5, v_current: 0 }],
+    [500, { hs: 4, u_current: -0.5, v_current: 0 }],
+  ]);
+  const line = [
+    [0, 0],
+    [10, 0],
+  ];
+  const w = voyageWeather(swell, line, { departure: DEPARTURE, speedKph: 20 });
+  assert.equal(w.max_wave_m, 4);
+  assert.equal(w.coverage, 1);
+  assert.ok(w.still_water_km > 10 * KM_PER_DEG);
+  assert.ok(w.time_factor > 1);
+  assert.ok(w.avg_current_kn < 0);
+  assert.equal(voyageWeather({ grids: [] }, line, { departure: DEPARTURE, speedKph: 20 }), null);
+});
+
+// ---------- Voyages through the storm fixture ----------
+
+let server;
+test.before(async () => {
+  server = await startServer({ WEATHER_DIR: "data/fixtures" });
+});
+test.after(() => server?.stop());
+
+test("both voyages across Biscay keep under their wave limits", async () => {
+  const res = await server.post("/api/ocean-route", {
+    source: { lat: 51.9, lng: 4.0 },
+    destination: { lat: 38.7, lng: -9.2 },
+    vessel: "cargo_ship",
+    departure: "2026-11-01T00:00:00Z",
+  });
+  assert.equal(res.status, 200);
+  const plan = await res.json();
+  for (const route of [plan.eco_route, plan.safe_route]) {
+    assert.ok(route.weather.coverage > 0);
+    assert.equal(route.weather.over_limit_km, 0);
+    assert.ok(route.weather.max_wave_m <= route.weather.max_wave_limit_m);
+  }
+  assert.equal(plan.safe_route.weather.max_wave_limit_m, 4.5);
+});
@@ -0,0 +1,237 @@
+/**
+ * generate.js - Writes the EcoRoute API client (index.js, index.d.ts) from the
+ * backend's OpenAPI document
+ *
+ *   node generate.js [url or file]     default http://localhost:4000/api/v1/openapi.json
+ *
+ * One method per operation, named by its operationId. Arguments are the path
+ * parameters in order, then the request body (or the query parameters), then
+ * { signal, headers }. Types come from the document's component schemas.
+ */
+
+import fs from "fs";
+
+const SOURCE = process.argv[2] || "http://localhost:4000/api/v1/openapi.json";
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+async function loadDocument(source) {
+  if (!/^https?:/.test(source)) return JSON.parse(fs.readFileSync(source, "utf8"));
+  const r = await fetch(source);
+  if (!r.ok) throw new Error(`${source}: HTTP ${r.status}`);
+  return r.json();
+}
+
+// ---------- JSON Schema → TypeScript ----------
+const refName = (ref) => ref.split("/").pop();
+const propName = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+const indent = (text, pad) => text.replace(/\n/g, `\n${pad}`);
+
+function docComment(text, pad = "") {
+  if (!text) return "";
+  return `${pad}/** ${text.replace(/\*\//g, "* /")} */\n`;
+}
+
+function tsType(schema) {
+  if (!schema || Object.keys(schema).length === 0) return "unknown";
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(tsType).join(" | ");
+  if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 1) return types.map((type) => tsType({ ...schema, type })).join(" | ");
+  switch (types[0]) {
+    case "string":
+      return schema.format === "binary" ? "Blob" : "string";
+    case "number":
+    case "integer":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "null":
+      return "null";
+    case "array": {
+      const item = tsType(schema.items);
+      return /[ |]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    }
+    case "object":
+      return objectType(schema);
+    default:
+      return "unknown";
+  }
+}
+
+function objectType(schema) {
+  const props = Object.entries(schema.properties || {});
+  if (props.length === 0) {
+    return schema.additionalProperties ? `Record<string, ${tsType(schema.additionalProperties)}>` : "Record<string, unknown>";
+  }
+  const required = new Set(schema.required || []);
+  const lines = props.map(
+    ([name, prop]) =>
+      `${docComment(prop.description, "  ")}  ${propName(name)}${required.has(name) ? "" : "?"}: ${indent(tsType(prop), "  ")};`
+  );
+  return `{\n${lines.join("\n")}\n}`;
+}
+
+// ---------- Operations ----------
+function operations(doc) {
+  const ops = [];
+  for (const [path, item] of Object.entries(doc.paths)) {
+    for (const method of METHODS) {
+      const op = item[method];
+      if (!op) continue;
+      const params = op.parameters || [];
+      const pathParams = params.filter((p) => p.in === "path").map((p) => p.name);
+      const query = params.filter((p) => p.in === "query");
+      const content = op.requestBody?.content || {};
+      const success = Object.entries(op.responses).find(([status]) => status.startsWith("2"))?.[1].content || {};
+      const { "application/json": jsonResult, ...files } = success;
+      ops.push({
+        name: op.operationId,
+        method: method.toUpperCase(),
+        path,
+        summary: op.summary,
+        description: op.description,
+        pathParams,
+        query,
+        body: op.requestBody ? Object.values(content).map((c) => tsType(c.schema)).join(" | ") : null,
+        // JSON answers are parsed, anything else (CSV, PDF, GeoJSON files) comes back as a Blob
+        result:
+          [jsonResult && tsType(jsonResult.schema), Object.keys(files).length && "Blob"].filter(Boolean).join(" | ") ||
+          "null",
+      });
+    }
+  }
+  return ops;
+}
+
+const queryType = (query) =>
+  `{ ${query.map((p) => `${propName(p.name)}${p.required ? "" : "?"}: ${tsType(p.schema)}`).join("; ")} }`;
+
+function methodSource(op) {
+  const args = [...op.pathParams];
+  const input = op.body ? "body" : op.query.length ? "query" : null;
+  if (input) args.push(input);
+  const url = `\`${op.path.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(${name})}`)}\``;
+  const doc = [op.summary, op.description].filter(Boolean).join(". ");
+  return [
+    `    /** ${doc} */`,
+    `    ${op.name}(${[...args, "options"].join(", ")}) {`,
+    `      return request("${op.method}", ${url}, { ${input ? `${input}, ` : ""}...options });`,
+    `    },`,
+  ].join("\n");
+}
+
+function methodType(op) {
+  const args = op.pathParams.map((name) => `${name}: string`);
+  if (op.body) args.push(`body: ${indent(op.body, "  ")}`);
+  else if (op.query.length) {
+    const optional = op.query.every((p) => !p.required);
+    args.push(`query${optional ? "?" : ""}: ${queryType(op.query)}`);
+  }
+  args.push("options?: RequestOptions");
+  return `${docComment([op.summary, op.description].filter(Boolean).join(". "), "  ")}  ${op.name}(${args.join(", ")}): Promise<${op.result}>;`;
+}
+
+// ---------- Output ----------
+const RUNTIME = `
+/**
+ * Client for the EcoRoute API. \`baseUrl\` points at /api/v1 (relative in the
+ * browser, absolute elsewhere); \`fetch\` defaults to the global one. Errors are
+ * thrown as Error with the API's \`status\`, \`code\` and answer \`body\`.
+ */
+export function createEcoRouteClient({ baseUrl = "/api/v1", fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+  async function request(method, path, { query, body, signal, headers: extra } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+    const qs = params.toString();
+    const init = { method, signal, headers: { ...headers, ...extra } };
+    if (body !== undefined) {
+      const csv = typeof body === "string";
+      init.headers["Content-Type"] = csv ? "text/csv" : "application/json";
+      init.body = csv ? body : JSON.stringify(body);
+    }
+
+    const r = await fetchImpl(\`\${baseUrl}\${path}\${qs ? \`?\${qs}\` : ""}\`, init);
+    const type = r.headers.get("content-type") || "";
+    if (!r.ok) {
+      const answer = type.includes("json") ? await r.json() : { error: await r.text() };
+      throw Object.assign(new Error(answer.error || \`HTTP \${r.status}\`), {
+        name: "EcoRouteError",
+        status: r.status,
+        code: answer.code ?? null,
+        body: answer,
+      });
+    }
+    if (r.status === 204) return null;
+    return type.includes("application/json") ? r.json() : r.blob();
+  }
+`;
+
+function clientSource(doc, ops) {
+  return `/**
+ * EcoRoute API client, v${doc.info.version}
+ *
+ * Generated by generate.js from the API's OpenAPI document; do not edit.
+ */
+
+export const API_VERSION = ${JSON.stringify(doc.info.version)};
+${RUNTIME}
+  return {
+${ops.map(methodSource).join("\n\n")}
+  };
+}
+`;
+}
+
+function typesSource(doc, ops) {
+  const schemas = Object.entries(doc.components?.schemas || {}).map(([name, schema]) => {
+    const type = tsType(schema);
+    const decl = type.startsWith("{") ? `export interface ${name} ${type}` : `export type ${name} = ${type};`;
+    return `${docComment(schema.description)}${decl}`;
+  });
+  return `/**
+ * EcoRoute API client types, v${doc.info.version}
+ *
+ * Generated by generate.js from the API's OpenAPI document; do not edit.
+ */
+
+export declare const API_VERSION: string;
+
+${schemas.join("\n\n")}
+
+/** Thrown for every non-2xx answer */
+export interface EcoRouteError extends Error {
+  name: "EcoRouteError";
+  status: number;
+  code: string | null;
+  body: ApiError;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  headers?: Record<string, string>;
+}
+
+export interface ClientOptions {
+  /** API root, default "/api/v1" */
+  baseUrl?: string;
+  fetch?: typeof globalThis.fetch;
+  headers?: Record<string, string>;
+}
+
+export interface EcoRouteClient {
+${ops.map(methodType).join("\n")}
+}
+
+export declare function createEcoRouteClient(options?: ClientOptions): EcoRouteClient;
+`;
+}
+
+const doc = await loadDocument(SOURCE);
+const ops = operations(doc);
+const dir = new URL(".", import.meta.url);
+fs.writeFileSync(new URL("index.js", dir), clientSource(doc, ops));
+fs.writeFileSync(new URL("index.d.ts", dir), typesSource(doc, ops));
+console.log(`EcoRoute client v${doc.info.version}: ${ops.length} operations from ${SOURCE}`);
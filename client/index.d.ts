@@ -0,0 +1,584 @@
+/**
+ * EcoRoute API client types, v1.0.0
+ *
+ * Generated by generate.js from the API's OpenAPI document; do not edit.
+ */
+
+export declare const API_VERSION: string;
+
+export interface Point {
+  lat: number;
+  lng: number;
+}
+
+/** Error answer; `field` names the bad request field, other details depend on the code */
+export interface ApiError {
+  error: string;
+  code: string;
+  field?: string;
+}
+
+/** Something the plan had to assume: ML_UNAVAILABLE, TRAFFIC_UNAVAILABLE or INSUFFICIENT_RANGE */
+export interface Warning {
+  code: string;
+  message: string;
+}
+
+/** GeoJSON LineString, [lng, lat] coordinates */
+export interface LineString {
+  type: "LineString";
+  coordinates: number[][];
+}
+
+export interface Fuel {
+  /** Fuel id from the profile registry */
+  type: string;
+  amount: number;
+  /** l, kWh or kg */
+  unit: string;
+}
+
+/** GHG account per ISO 14083 / GLEC (TTW, WTT, WTW in kg CO2e) */
+export interface Emissions {
+  ttw_co2e_kg: number;
+  wtt_co2e_kg: number;
+  wtw_co2e_kg: number;
+  tonne_km?: number | null;
+  intensity_g_co2e_per_tkm?: {
+    ttw?: number;
+    wtw?: number;
+  } | null;
+  methodology?: Record<string, unknown>;
+}
+
+/** One road or sea route. Roads add elevation, maneuvers and segments; sea routes add speed_kn, lanes, chokepoints, weather and tradeoff. */
+export interface Route {
+  /** fast, eco, safe, trip, leg-N or candidate-N */
+  id: string;
+  mode: "road" | "sea";
+  distance_km: number;
+  duration_min: number;
+  departure?: string | null;
+  arrival?: string | null;
+  co2_kg: number;
+  fuel: Fuel;
+  /** Where the fuel figure comes from: the ML service, its analytic fallback, the per-stretch EV energy model, or the vessel's SFOC curve */
+  prediction: "ml" | "analytic" | "ev_model" | "sfoc";
+  /** prediction ml: the version of the model that scored the route */
+  model_version?: string;
+  /** prediction ml: the range of the model's trees' predictions for the route */
+  uncertainty?: {
+    /** Share of the trees inside the ranges */
+    level: number;
+    co2_kg: number[];
+    /** In the fuel's unit */
+    fuel?: number[];
+  };
+  /** prediction ml: what each feature adds to the model's fuel and CO2 for the route; base plus the contributions is the prediction */
+  explanation?: {
+    base: {
+      fuel_l?: number;
+      co2_kg?: number;
+    };
+    /** Largest CO2 effect first */
+    contributions: Array<{
+      feature: string;
+      /** The feature as sent to the model */
+      value: number;
+      fuel_l?: number;
+      co2_kg: number;
+    }>;
+  };
+  emissions: Emissions;
+  geometry: LineString;
+  /** Multi-stop trips: one route per leg */
+  legs?: Route[];
+  battery?: Battery;
+  /** Roads with a departure time: the traffic the route was scored with */
+  traffic?: {
+    /** Travel time relative to the router's estimate (0.5 to 2) */
+    index: number;
+    /** Traffic provider; null when it failed and typical traffic was assumed */
+    source: string | null;
+    departure: string;
+    arrival: string;
+  };
+  /** Sea only */
+  speed_kn?: number;
+  /** Sea only: canals and straits on the way */
+  chokepoints?: unknown[];
+  /** Sea only: shipping lane stretches */
+  lanes?: Array<Record<string, unknown>>;
+}
+
+/** EVs only: state of charge along the route and the charging stops on the way */
+export interface Battery {
+  capacity_kwh: number;
+  start_soc_pct?: number;
+  reserve_soc_pct?: number;
+  charge_to_soc_pct?: number;
+  /** Used on the route, detours to chargers included */
+  energy_kwh: number;
+  arrival_soc_pct: number;
+  /** False when the charge drops below the reserve somewhere */
+  feasible: boolean;
+  shortfall_kwh?: number;
+  charging_min: number;
+  charging_stops: Array<{
+    charger: {
+      id: string;
+      name?: string | null;
+      power_kw: number;
+      lat: number;
+      lng: number;
+    };
+    /** Along the route */
+    distance_km: number;
+    detour_km?: number;
+    power_kw?: number;
+    arrive_soc_pct: number;
+    depart_soc_pct: number;
+    charge_kwh: number;
+    charge_min: number;
+  }>;
+  soc_profile: Array<{
+    distance_km: number;
+    soc_pct: number;
+  }>;
+}
+
+/** Routes for one request; `recommended` is the id of the route to take */
+export interface RoutePlan {
+  kind: "land" | "multi_stop" | "ocean";
+  vehicle: string;
+  recommended: string;
+  co2_saved_percent?: number | null;
+  /** Land only: the eco route's CO2 saving over the fast route, compared tree by tree across the ML model's forest; null interval and verdict when either route wasn't scored by the ML model */
+  co2_savings?: {
+    co2_kg: number;
+    /** Share of the per-tree savings inside the interval */
+    level: number | null;
+    interval_kg: number[] | null;
+    /** Share of the trees that find the eco route lower */
+    agreement: number | null;
+    /** The whole interval is above zero */
+    significant: boolean | null;
+  };
+  routes: Route[];
+  /** Land only: every candidate, lowest CO2 first */
+  alternatives?: Route[];
+  /** Multi-stop only: stops in visiting order */
+  stops?: Point[];
+  /** Multi-stop only: request index of each stop */
+  order?: number[];
+  warnings?: Warning[];
+}
+
+export interface PortStop {
+  mode: "port";
+  port: string;
+  name: string;
+  dwell_min: number;
+  departure?: string;
+  arrival?: string;
+}
+
+export interface Port {
+  /** UN/LOCODE */
+  id: string;
+  name: string;
+  country?: string;
+  lat: number;
+  lng: number;
+  dwell_hr?: number;
+}
+
+export interface Journey {
+  rank: number;
+  fastest?: boolean;
+  origin_port: Port;
+  destination_port: Port;
+  distance_km?: number;
+  duration_min: number;
+  co2_kg: number;
+  departure?: string;
+  arrival?: string;
+  emissions?: Record<string, unknown>;
+  legs: Array<Route | PortStop>;
+}
+
+export interface JourneyPlan {
+  kind: "intermodal";
+  vehicle?: string;
+  vessel?: string;
+  port_dwell_min?: number;
+  journeys: Journey[];
+  skipped?: Array<Record<string, unknown>>;
+  warnings?: Warning[];
+}
+
+/** Vehicle or vessel profile; see GET /profiles for the fields of each kind */
+export interface Profile {
+  id: string;
+  name: string;
+  kind: "vehicle" | "vessel";
+  fuel_type: string;
+  design_speed_kph?: number;
+  builtin?: boolean;
+}
+
+export interface ProfileList {
+  profiles: Profile[];
+  fuels: Record<string, Record<string, unknown>>;
+}
+
+export interface Chokepoints {
+  chokepoints: Array<Record<string, unknown>>;
+  vessel_classes: Record<string, Record<string, unknown>>;
+}
+
+export interface Place {
+  label: string;
+  name?: string;
+  kind?: string | null;
+  id?: string | null;
+  country?: string | null;
+  country_name?: string | null;
+  lat: number;
+  lng: number;
+  source?: string;
+}
+
+export interface PlaceResults {
+  query?: string;
+  source?: string;
+  fallback_reason?: string;
+  results: Place[];
+}
+
+export interface BatchStatus {
+  job_id: string;
+  status: "queued" | "running" | "done";
+  total: number;
+  completed: number;
+  failed: number;
+  rows?: Array<Record<string, unknown>>;
+  links?: Record<string, string>;
+}
+
+/** A route that was taken; `route` (the stored Route) only on single trips */
+export interface Trip {
+  id: number;
+  taken_at: string;
+  created_at?: string;
+  vehicle: string;
+  kind: "land" | "multi_stop" | "ocean";
+  route_id: string;
+  label?: string | null;
+  distance_km: number;
+  duration_min?: number;
+  co2_kg: number;
+  /** CO2 of the fast route for the same trip */
+  baseline_co2_kg: number;
+  co2_saved_kg?: number;
+  fuel: {
+    type: string;
+    unit: string;
+    predicted: number;
+    actual: number | null;
+  };
+  route?: Route;
+}
+
+export interface TripList {
+  total: number;
+  trips: Trip[];
+}
+
+/** CO2 saved against the fast-route baseline; weeks start on Monday (UTC) */
+export interface TripSummary {
+  trips: number;
+  distance_km: number;
+  co2_kg: number;
+  baseline_co2_kg: number;
+  co2_saved_kg: number;
+  co2_saved_percent: number;
+  by_vehicle: Array<{
+    vehicle: string;
+    fuel_unit: string;
+    trips: number;
+    distance_km: number;
+    co2_kg: number;
+    baseline_co2_kg: number;
+    co2_saved_kg: number;
+    co2_saved_percent: number;
+    /** Predicted vs actual fuel over the trips that logged it */
+    actual_fuel: {
+      trips?: number;
+      predicted?: number;
+      actual?: number;
+    } | null;
+  }>;
+  by_week: Array<{
+    week_start: string;
+    trips: number;
+    distance_km: number;
+    co2_kg: number;
+    baseline_co2_kg: number;
+    co2_saved_kg: number;
+    co2_saved_percent: number;
+    cumulative_co2_saved_kg: number;
+  }>;
+}
+
+/** A recorded trip map-matched to a route: the ML features and, as labels, the fuel it used */
+export interface Sample {
+  id: number;
+  created_at?: string;
+  source: "csv" | "gpx";
+  /** The trip's id (CSV) or track name (GPX) in the upload */
+  trip_id: string;
+  vehicle: string;
+  started_at: string;
+  duration_min?: number;
+  /** Length along the GPS fixes */
+  trace_km?: number;
+  /** As sent to the ML service for a planned route; distance is the matched route's */
+  features: {
+    distance_km?: number;
+    elevation_gain_m?: number;
+    elevation_loss_m?: number;
+    avg_speed_kph?: number;
+    turns?: number;
+    humps?: number;
+    weight_kg?: number;
+    traffic_index?: number;
+    route_type?: string;
+    co2_factor?: number;
+  };
+  labels: {
+    fuel_type: string;
+    /** Fuel used, in the fuel's unit */
+    fuel_l: number;
+    co2_kg: number;
+  };
+  /** The matched route; only on upload */
+  geometry?: LineString;
+}
+
+export interface SampleList {
+  total: number;
+  samples: Sample[];
+}
+
+export interface TelemetryResult {
+  samples: Sample[];
+  /** Trips left out: too short, without fuel readings, unmatched (NO_MATCH) or already recorded (CONFLICT) */
+  skipped: Array<{
+    trip_id: string;
+    error: string;
+    code: string;
+  }>;
+}
+
+export interface CacheStats {
+  store: string;
+  ttl_s?: number;
+  caches: Record<string, Record<string, unknown>>;
+}
+
+export interface RouteRequest {
+  source?: Point;
+  destination?: Point;
+  stops?: Point[];
+  /** Vehicle or vessel profile id */
+  vehicle?: string;
+  weight_kg?: number;
+  optimizeFor?: "co2" | "time";
+  optimizeOrder?: "none" | "co2" | "time";
+  /** Land routes are scored with the traffic at this time (default: typical traffic); vessels sail then */
+  departure?: string;
+  /** EVs: battery and charge levels; capacity defaults to the profile's battery_kwh */
+  battery?: {
+    capacity_kwh?: number;
+    start_soc_pct?: number;
+    reserve_soc_pct?: number;
+    charge_to_soc_pct?: number;
+  };
+  arrival_window?: {
+    earliest?: string;
+    latest?: string;
+  };
+  eta?: string;
+  /** Chokepoint ids to avoid (vessels) */
+  avoid?: string[];
+  /** Vessel size class or { length_m, beam_m, draft_m } (vessels) */
+  vessel_size?: unknown;
+  max_wave_m?: number;
+}
+
+export interface JourneyRequest {
+  source: Point;
+  destination: Point;
+  vehicle?: string;
+  vessel?: string;
+  weight_kg?: number;
+  departure?: string;
+  port_candidates?: number;
+}
+
+export interface ReportRequest {
+  job_id?: string;
+  trips?: Array<Record<string, unknown>>;
+  format?: "csv" | "pdf" | "json";
+  title?: string;
+}
+
+export interface TripRequest {
+  /** Vehicle or vessel profile id */
+  vehicle: string;
+  kind?: "land" | "multi_stop" | "ocean";
+  label?: string;
+  /** When the trip was made; default now */
+  taken_at?: string;
+  /** The route taken (a v1 Route) */
+  route: {
+    /** Route id in its plan (fast, eco, trip, ...) */
+    id: string;
+    mode?: "road" | "sea";
+    distance_km: number;
+    duration_min: number;
+    departure?: string;
+    arrival?: string;
+    co2_kg: number;
+    fuel: {
+      type: string;
+      amount: number;
+      unit: string;
+    };
+    prediction?: string;
+    emissions?: Record<string, unknown>;
+    geometry?: Record<string, unknown>;
+  };
+  /** CO2 of the fast route for the same trip; default the route's own (nothing saved) */
+  baseline_co2_kg?: number;
+  /** Fuel actually used, in the route's fuel unit */
+  actual_fuel?: number;
+}
+
+export interface TripUpdate {
+  label?: string;
+  /** Fuel actually used, in the route's fuel unit */
+  actual_fuel?: number;
+}
+
+export interface RouteExportRequest {
+  /** The route to export (a v1 Route) */
+  route: {
+    /** Route id in its plan (fast, eco, trip, ...) */
+    id: string;
+    mode?: "road" | "sea";
+    distance_km: number;
+    duration_min: number;
+    departure?: string;
+    arrival?: string;
+    co2_kg: number;
+    fuel: {
+      type: string;
+      amount: number;
+      unit: string;
+    };
+    prediction?: string;
+    emissions?: Record<string, unknown>;
+    geometry: Record<string, unknown>;
+    /** Sea routes: the planned speed, for the RTZ legs */
+    speed_kn?: number;
+  };
+  /** gpx (track), kml, geojson (FeatureCollection) or rtz (sea routes only) */
+  format?: "gpx" | "kml" | "geojson" | "rtz";
+  /** Route name in the file; default from the route id */
+  name?: string;
+}
+
+/** Thrown for every non-2xx answer */
+export interface EcoRouteError extends Error {
+  name: "EcoRouteError";
+  status: number;
+  code: string | null;
+  body: ApiError;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  headers?: Record<string, string>;
+}
+
+export interface ClientOptions {
+  /** API root, default "/api/v1" */
+  baseUrl?: string;
+  fetch?: typeof globalThis.fetch;
+  headers?: Record<string, string>;
+}
+
+export interface EcoRouteClient {
+  /** Plan a land, multi-stop or ocean route. A vessel profile plans a voyage (departure, arrival_window, eta, avoid, vessel_size, max_wave_m apply); `stops` plans a multi-stop land trip. On land, `departure` scores the routes with the traffic at that time. */
+  planRoute(body: RouteRequest, options?: RequestOptions): Promise<RoutePlan>;
+  /** Plan truck-port-ship-port-truck journeys */
+  planJourney(body: JourneyRequest, options?: RequestOptions): Promise<JourneyPlan>;
+  /** Queue land routes for many rows (CSV or JSON) */
+  startBatch(body: string | {
+    rows?: Array<Record<string, unknown>>;
+  }, options?: RequestOptions): Promise<BatchStatus>;
+  /** Batch job progress and one summary per row */
+  getBatch(id: string, options?: RequestOptions): Promise<BatchStatus>;
+  /** Batch results as CSV or GeoJSON */
+  getBatchResults(id: string, query?: { format?: "csv" | "geojson" }, options?: RequestOptions): Promise<Blob>;
+  /** Emissions report over a batch job or a list of trips */
+  emissionsReport(body: ReportRequest, options?: RequestOptions): Promise<Record<string, unknown> | Blob>;
+  /** One route as GPX, KML, GeoJSON or (sea routes) RTZ, with its distance, duration, fuel and CO₂ */
+  exportRoute(body: RouteExportRequest, options?: RequestOptions): Promise<Blob>;
+  /** Vehicle and vessel profiles, and the fuel factors */
+  listProfiles(query?: { kind?: "vehicle" | "vessel" }, options?: RequestOptions): Promise<ProfileList>;
+  /** Add a custom profile */
+  createProfile(body: Profile, options?: RequestOptions): Promise<Profile>;
+  /** One profile */
+  getProfile(id: string, options?: RequestOptions): Promise<Profile>;
+  /** Replace a custom profile */
+  updateProfile(id: string, body: Profile, options?: RequestOptions): Promise<Profile>;
+  /** Remove a custom profile */
+  deleteProfile(id: string, options?: RequestOptions): Promise<null>;
+  /** Canals and straits, and the vessel size classes */
+  listChokepoints(options?: RequestOptions): Promise<Chokepoints>;
+  /** Ports used for intermodal journeys */
+  listPorts(options?: RequestOptions): Promise<Port[]>;
+  /** Search places (Nominatim with a gazetteer fallback) */
+  geocode(query: { q: string; limit?: number }, options?: RequestOptions): Promise<PlaceResults>;
+  /** Autocomplete from the bundled gazetteer */
+  suggestPlaces(query?: { q?: string; limit?: number }, options?: RequestOptions): Promise<PlaceResults>;
+  /** Name a point */
+  reverseGeocode(query: { lat: number; lng: number }, options?: RequestOptions): Promise<Place>;
+  /** Saved trips, newest first */
+  listTrips(query?: { vehicle?: string; from?: string; to?: string; limit?: number; offset?: number }, options?: RequestOptions): Promise<TripList>;
+  /** Save a route that was taken */
+  saveTrip(body: TripRequest, options?: RequestOptions): Promise<Trip>;
+  /** CO2 saved over the saved trips, in total, per vehicle and per week */
+  getTripSummary(query?: { vehicle?: string; from?: string; to?: string }, options?: RequestOptions): Promise<TripSummary>;
+  /** One trip, with its route */
+  getTrip(id: string, options?: RequestOptions): Promise<Trip>;
+  /** Set a trip's label or the fuel actually used */
+  updateTrip(id: string, body: TripUpdate, options?: RequestOptions): Promise<Trip>;
+  /** Remove a trip */
+  deleteTrip(id: string, options?: RequestOptions): Promise<null>;
+  /** Recorded trips (GPS fixes with a fuel counter) as labelled samples for retraining the ML model */
+  uploadTelemetry(body: string | string, options?: RequestOptions): Promise<TelemetryResult>;
+  /** Stored samples, newest trips first, or all of them as CSV */
+  listSamples(query?: { vehicle?: string; from?: string; to?: string; limit?: number; offset?: number; format?: "json" | "csv" }, options?: RequestOptions): Promise<SampleList | Blob>;
+  /** Remove a sample */
+  deleteSample(id: string, options?: RequestOptions): Promise<null>;
+  /** Hit and miss counts per cache */
+  getCacheStats(options?: RequestOptions): Promise<CacheStats>;
+  /** Empty every cache */
+  clearCache(options?: RequestOptions): Promise<null>;
+}
+
+export declare function createEcoRouteClient(options?: ClientOptions): EcoRouteClient;
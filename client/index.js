@@ -0,0 +1,184 @@
+/**
+ * EcoRoute API client, v1.0.0
+ *
+ * Generated by generate.js from the API's OpenAPI document; do not edit.
+ */
+
+export const API_VERSION = "1.0.0";
+
+/**
+ * Client for the EcoRoute API. `baseUrl` points at /api/v1 (relative in the
+ * browser, absolute elsewhere); `fetch` defaults to the global one. Errors are
+ * thrown as Error with the API's `status`, `code` and answer `body`.
+ */
+export function createEcoRouteClient({ baseUrl = "/api/v1", fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+  async function request(method, path, { query, body, signal, headers: extra } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+    const qs = params.toString();
+    const init = { method, signal, headers: { ...headers, ...extra } };
+    if (body !== undefined) {
+      const csv = typeof body === "string";
+      init.headers["Content-Type"] = csv ? "text/csv" : "application/json";
+      init.body = csv ? body : JSON.stringify(body);
+    }
+
+    const r = await fetchImpl(`${baseUrl}${path}${qs ? `?${qs}` : ""}`, init);
+    const type = r.headers.get("content-type") || "";
+    if (!r.ok) {
+      const answer = type.includes("json") ? await r.json() : { error: await r.text() };
+      throw Object.assign(new Error(answer.error || `HTTP ${r.status}`), {
+        name: "EcoRouteError",
+        status: r.status,
+        code: answer.code ?? null,
+        body: answer,
+      });
+    }
+    if (r.status === 204) return null;
+    return type.includes("application/json") ? r.json() : r.blob();
+  }
+
+  return {
+    /** Plan a land, multi-stop or ocean route. A vessel profile plans a voyage (departure, arrival_window, eta, avoid, vessel_size, max_wave_m apply); `stops` plans a multi-stop land trip. On land, `departure` scores the routes with the traffic at that time. */
+    planRoute(body, options) {
+      return request("POST", `/route`, { body, ...options });
+    },
+
+    /** Plan truck-port-ship-port-truck journeys */
+    planJourney(body, options) {
+      return request("POST", `/journey`, { body, ...options });
+    },
+
+    /** Queue land routes for many rows (CSV or JSON) */
+    startBatch(body, options) {
+      return request("POST", `/route/batch`, { body, ...options });
+    },
+
+    /** Batch job progress and one summary per row */
+    getBatch(id, options) {
+      return request("GET", `/route/batch/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Batch results as CSV or GeoJSON */
+    getBatchResults(id, query, options) {
+      return request("GET", `/route/batch/${encodeURIComponent(id)}/results`, { query, ...options });
+    },
+
+    /** Emissions report over a batch job or a list of trips */
+    emissionsReport(body, options) {
+      return request("POST", `/reports/emissions`, { body, ...options });
+    },
+
+    /** One route as GPX, KML, GeoJSON or (sea routes) RTZ, with its distance, duration, fuel and CO₂ */
+    exportRoute(body, options) {
+      return request("POST", `/routes/export`, { body, ...options });
+    },
+
+    /** Vehicle and vessel profiles, and the fuel factors */
+    listProfiles(query, options) {
+      return request("GET", `/profiles`, { query, ...options });
+    },
+
+    /** Add a custom profile */
+    createProfile(body, options) {
+      return request("POST", `/profiles`, { body, ...options });
+    },
+
+    /** One profile */
+    getProfile(id, options) {
+      return request("GET", `/profiles/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Replace a custom profile */
+    updateProfile(id, body, options) {
+      return request("PUT", `/profiles/${encodeURIComponent(id)}`, { body, ...options });
+    },
+
+    /** Remove a custom profile */
+    deleteProfile(id, options) {
+      return request("DELETE", `/profiles/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Canals and straits, and the vessel size classes */
+    listChokepoints(options) {
+      return request("GET", `/chokepoints`, { ...options });
+    },
+
+    /** Ports used for intermodal journeys */
+    listPorts(options) {
+      return request("GET", `/ports`, { ...options });
+    },
+
+    /** Search places (Nominatim with a gazetteer fallback) */
+    geocode(query, options) {
+      return request("GET", `/geocode`, { query, ...options });
+    },
+
+    /** Autocomplete from the bundled gazetteer */
+    suggestPlaces(query, options) {
+      return request("GET", `/geocode/suggest`, { query, ...options });
+    },
+
+    /** Name a point */
+    reverseGeocode(query, options) {
+      return request("GET", `/geocode/reverse`, { query, ...options });
+    },
+
+    /** Saved trips, newest first */
+    listTrips(query, options) {
+      return request("GET", `/trips`, { query, ...options });
+    },
+
+    /** Save a route that was taken */
+    saveTrip(body, options) {
+      return request("POST", `/trips`, { body, ...options });
+    },
+
+    /** CO2 saved over the saved trips, in total, per vehicle and per week */
+    getTripSummary(query, options) {
+      return request("GET", `/trips/summary`, { query, ...options });
+    },
+
+    /** One trip, with its route */
+    getTrip(id, options) {
+      return request("GET", `/trips/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Set a trip's label or the fuel actually used */
+    updateTrip(id, body, options) {
+      return request("PATCH", `/trips/${encodeURIComponent(id)}`, { body, ...options });
+    },
+
+    /** Remove a trip */
+    deleteTrip(id, options) {
+      return request("DELETE", `/trips/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Recorded trips (GPS fixes with a fuel counter) as labelled samples for retraining the ML model */
+    uploadTelemetry(body, options) {
+      return request("POST", `/telemetry`, { body, ...options });
+    },
+
+    /** Stored samples, newest trips first, or all of them as CSV */
+    listSamples(query, options) {
+      return request("GET", `/telemetry/samples`, { query, ...options });
+    },
+
+    /** Remove a sample */
+    deleteSample(id, options) {
+      return request("DELETE", `/telemetry/samples/${encodeURIComponent(id)}`, { ...options });
+    },
+
+    /** Hit and miss counts per cache */
+    getCacheStats(options) {
+      return request("GET", `/cache`, { ...options });
+    },
+
+    /** Empty every cache */
+    clearCache(options) {
+      return request("DELETE", `/cache`, { ...options });
+    },
+  };
+}
@@ -4,17 +4,34 @@ import {
   TileLayer,
   Marker,
   Polyline,
+  CircleMarker,
+  Tooltip as MapTooltip,
   useMap,
+  useMapEvents,
 } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import StopList from "./StopList";
+import PlaceInput from "./PlaceInput";
+import { place, reversePlace, resolvePlace } from "./geocoding";
+import { api, routeById } from "./api";
+import BatchUpload from "./BatchUpload";
+import Dashboard from "./Dashboard";
+import { downloadEmissionsReport, downloadRoute, emissionsSummary } from "./reports";
+import { planDepartureSlots } from "./departures";
+import Co2Heatmap, { co2Range, co2Color } from "./Co2Heatmap";
+import { BatteryDetail, ChargerMarkers, batterySummary } from "./Battery";
 import {
   BarChart,
   Bar,
+  LineChart,
+  Line,
   XAxis,
   YAxis,
   Tooltip,
   Legend,
+  ReferenceDot,
+  ErrorBar,
   ResponsiveContainer,
 } from "recharts";
 
@@ -39,6 +56,33 @@ function FitBounds({ positions }) {
   return null;
 }
 
+// Map clicks while a place field is picking its point
+function MapPicker({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick({ lat: e.latlng.lat, lng: e.latlng.lng }),
+  });
+  return null;
+}
+
+// Numbered marker for multi-stop routes
+function numberedIcon(n) {
+  return L.divIcon({
+    className: "stop-marker",
+    html: `<span>${n}</span>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+  });
+}
+
+// Per-leg polyline colours for multi-stop routes
+const LEG_COLORS = ["#27AE60", "#4A90E2", "#8E44AD", "#E67E22", "#16A085", "#C0392B"];
+
+// Intermodal journey legs: road solid, sea dashed; ports are circle markers
+const JOURNEY_LEG_STYLE = {
+  road: { color: "#4A90E2", weight: 5 },
+  sea: { color: "#1B4F72", weight: 4, dashArray: "8 8" },
+};
+
 // 🔧 FIX: Support LineString + MultiLineString safely
 function geoToLatLngs(geometry) {
   if (!geometry || !geometry.coordinates) return [];
@@ -59,61 +103,372 @@ function geoToLatLngs(geometry) {
   return [];
 }
 
+// Date → the "YYYY-MM-DDTHH:mm" local time a datetime-local input takes
+const localInput = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60e3).toISOString().slice(0, 16);
+
+// Minutes (every v1 duration) → hours to one decimal
+const hours = (min) => +(min / 60).toFixed(1);
+
+// Marine fuel comes in kg; show tonnes
+const fuelLabel = (fuel) =>
+  fuel.unit === "kg"
+    ? `${(fuel.amount / 1000).toFixed(1)} t ${fuel.type}`
+    : `${fuel.amount} ${fuel.unit} ${fuel.type}`;
+
+// Ocean route lanes → "Major 8858 km → Middle 102 km"
+function laneSummary(lanes) {
+  if (!lanes || lanes.length === 0) return null;
+  return lanes
+    .map((l) => `${l.name || l.lane_type} ${Math.round(l.distance_km)} km`)
+    .join(" → ");
+}
+
+// Ocean route chokepoints → "Via Suez Canal, Strait of Malacca • $450,000 tolls"
+function chokepointSummary(route) {
+  if (!route?.chokepoints) return null;
+  if (route.chokepoints.length === 0) return "No canals or straits";
+  const names = route.chokepoints.map((c) => c.name).join(", ");
+  const tolls = route.toll_usd
+    ? ` • $${route.toll_usd.toLocaleString()} tolls`
+    : "";
+  return `Via ${names}${tolls}`;
+}
+
+// Intermodal journey leg → "Road 412 km, 5.2 hr" / "Port Hamburg, 24 hr"
+function journeyLegSummary(leg) {
+  if (leg.mode === "port") return `Port ${leg.name}, ${hours(leg.dwell_min)} hr`;
+  const label = leg.mode === "sea" ? "Sea" : "Road";
+  return `${label} ${Math.round(leg.distance_km)} km, ${hours(leg.duration_min)} hr, ${leg.co2_kg} kg CO₂`;
+}
+
+// Land route traffic → "Traffic ×1.13 • arrives 12:17"
+function trafficSummary(t) {
+  const arrives = new Date(t.arrival).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return `Traffic ×${t.index}${t.source === null ? " (typical, feed unavailable)" : ""} • arrives ${arrives}`;
+}
+
+// What the ML model's CO₂ for a route is made of
+const FEATURE_LABELS = {
+  distance_km: "distance",
+  elevation_gain_m: "climb",
+  avg_speed_kph: "speed",
+  turns: "turns",
+  humps: "stops",
+  weight_kg: "weight",
+  traffic_index: "traffic",
+  route_type: "route type",
+};
+
+// ML prediction → "CO₂ 102.5–122.8 kg (90% of trees) • distance +101.1, speed −2.3, climb +0.8 kg"
+function predictionSummary(route) {
+  if (!route?.uncertainty) return null;
+  const [lo, hi] = route.uncertainty.co2_kg;
+  const range = `CO₂ ${lo}–${hi} kg (${Math.round(route.uncertainty.level * 100)}% of trees)`;
+  const top = (route.explanation?.contributions ?? [])
+    .slice(0, 3)
+    .map((c) => `${FEATURE_LABELS[c.feature] ?? c.feature} ${c.co2_kg >= 0 ? "+" : "−"}${Math.abs(c.co2_kg).toFixed(1)}`);
+  return top.length ? `${range} • ${top.join(", ")} kg` : range;
+}
+
+// Eco vs fast saving → whether it holds up across the model's trees
+function savingsNote(s) {
+  if (!s?.interval_kg) return null;
+  const [lo, hi] = s.interval_kg;
+  const level = Math.round(s.level * 100);
+  return s.significant
+    ? `A real saving: ${lo} to ${hi} kg CO₂ across ${level}% of the model's trees.`
+    : `Within the model's uncertainty: the saving ranges from ${lo} to ${hi} kg CO₂ across ${level}% of its trees.`;
+}
+
+// Error bar offsets [below, above] from a value to its range
+const errorBar = (value, range) =>
+  range && value !== undefined ? [Math.max(0, value - range[0]), Math.max(0, range[1] - value)] : undefined;
+
+// Ocean route weather → "Waves up to 4.1 m (limit 6 m) • current -0.2 kn • +2% time"
+function weatherSummary(w) {
+  const parts = [];
+  if (w.max_wave_m !== null)
+    parts.push(`Waves up to ${w.max_wave_m} m (limit ${w.max_wave_limit_m} m)`);
+  if (w.avg_current_kn !== null) parts.push(`current ${w.avg_current_kn} kn`);
+  const extra = Math.round((w.time_factor - 1) * 100);
+  parts.push(`${extra >= 0 ? "+" : ""}${extra}% time`);
+  return parts.join(" • ");
+}
+
+// GPX / KML / GeoJSON downloads for a route card; RTZ too at sea
+function RouteExport({ route, name }) {
+  const formats = route.mode === "sea" ? ["gpx", "kml", "geojson", "rtz"] : ["gpx", "kml", "geojson"];
+  return (
+    <p className="exports">
+      {formats.map((f) => (
+        <button
+          key={f}
+          className="secondary"
+          onClick={() => downloadRoute(route, f, name).catch((e) => alert(e.message))}
+        >
+          {f.toUpperCase()}
+        </button>
+      ))}
+    </p>
+  );
+}
+
 export default function App() {
-  const [from, setFrom] = useState("Los Angeles, USA");
-  const [to, setTo] = useState("Tokyo, Japan");
+  const [from, setFrom] = useState(place("Los Angeles, USA"));
+  const [to, setTo] = useState(place("Tokyo, Japan"));
   const [vehicle, setVehicle] = useState("car");
-  const [mode, setMode] = useState("land"); // "land" or "ocean"
+  const [mode, setMode] = useState("land"); // "land", "stops", "ocean", "intermodal", "batch" or "dashboard"
+  const [stops, setStops] = useState([
+    place("Berlin, Germany"),
+    place("Potsdam, Germany"),
+  ]);
+  const [pickTarget, setPickTarget] = useState(null); // "from", "to" or a stop index
+  const [optimizeOrder, setOptimizeOrder] = useState("co2");
   const [analysis, setAnalysis] = useState(null);
   const [srcDstCoords, setSrcDstCoords] = useState(null);
+  const [chokepoints, setChokepoints] = useState([]);
+  const [vesselClasses, setVesselClasses] = useState([]);
+  const [avoid, setAvoid] = useState([]);
+  const [vesselSize, setVesselSize] = useState("");
+  const [heatmap, setHeatmap] = useState(true);
+  const [profiles, setProfiles] = useState([]);
+  const [vessel, setVessel] = useState("cargo_ship");
+  const [departAt, setDepartAt] = useState("");
+  const [slots, setSlots] = useState(null); // land trip planned at each departure slot
+  const [arriveBy, setArriveBy] = useState("");
+  const [payloadKg, setPayloadKg] = useState("");
+  const [batteryKwh, setBatteryKwh] = useState("");
+  const [startSoc, setStartSoc] = useState(90);
+  const [reserveSoc, setReserveSoc] = useState(10);
+  const [journeyRank, setJourneyRank] = useState(1);
+  const [savedTrip, setSavedTrip] = useState(null); // id of the trip saved from this analysis
+
+  useEffect(() => {
+    api
+      .listChokepoints()
+      .then((j) => {
+        setChokepoints(j.chokepoints);
+        setVesselClasses(Object.keys(j.vessel_classes));
+      })
+      .catch((e) => console.error(e));
+    api
+      .listProfiles()
+      .then((j) => setProfiles(j.profiles))
+      .catch((e) => console.error(e));
+  }, []);
 
-  async function geocode(q) {
-    const res = await fetch(
-      "https://nominatim.openstreetmap.org/search?format=json&q=" +
-        encodeURIComponent(q)
+  const vehicleProfiles = profiles.filter((p) => p.kind === "vehicle");
+  const vesselProfiles = profiles.filter((p) => p.kind === "vessel");
+  // batch and dashboard have their own panels
+  const planning = mode !== "batch" && mode !== "dashboard";
+
+  function toggleAvoid(id) {
+    setAvoid((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
     );
-    const j = await res.json();
-    if (!j || j.length === 0) throw new Error("Geocode failed for " + q);
-    return {
-      lat: parseFloat(j[0].lat),
-      lng: parseFloat(j[0].lon),
-      name: j[0].display_name,
-    };
+  }
+
+  function togglePick(target) {
+    setPickTarget((prev) => (prev === target ? null : target));
+  }
+
+  // fill the field in pick mode with the clicked point, named by the backend
+  async function pickPoint(point) {
+    const target = pickTarget;
+    setPickTarget(null);
+    let picked;
+    try {
+      picked = await reversePlace(point);
+    } catch (e) {
+      picked = place(`${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`, point);
+    }
+    if (target === "from") setFrom(picked);
+    else if (target === "to") setTo(picked);
+    else setStops((prev) => prev.map((s, i) => (i === target ? picked : s)));
+  }
+
+  // payload for the emissions intensity (and the ML gross weight)
+  const payload = Number(payloadKg) > 0 ? { weight_kg: Number(payloadKg) } : {};
+
+  // departure time: traffic on land, sailing time at sea
+  const departure = departAt ? { departure: new Date(departAt).toISOString() } : {};
+
+  // EVs: battery size (the profile's when left empty) and charge levels
+  const electric =
+    vehicleProfiles.find((p) => p.id === vehicle)?.fuel_type === "electricity";
+  const battery = electric
+    ? {
+        battery: {
+          ...(Number(batteryKwh) > 0 ? { capacity_kwh: Number(batteryKwh) } : {}),
+          start_soc_pct: Number(startSoc),
+          reserve_soc_pct: Number(reserveSoc),
+        },
+      }
+    : {};
+
+  // routes of the v1 plan on screen, by id
+  const fastRoute = routeById(analysis, "fast");
+  const ecoRoute = routeById(analysis, "eco");
+  const safeRoute = routeById(analysis, "safe");
+  const trip = routeById(analysis, "trip");
+
+  // name of an exported route: "Berlin → Munich (eco)"
+  const exportName = (route) => {
+    const [first, last] =
+      analysis.type === "stops"
+        ? [analysis.labels[0], analysis.labels[analysis.labels.length - 1]]
+        : [from.label, to.label];
+    return `${first.split(",")[0]} → ${last.split(",")[0]} (${route.id})`;
+  };
+
+  // selected intermodal journey (lowest CO₂ first)
+  const journey =
+    analysis?.type === "intermodal"
+      ? analysis.journeys.find((j) => j.rank === journeyRank)
+      : null;
+
+  // PDF report over the routes on screen
+  async function downloadReport() {
+    const trips = journey
+      ? journey.legs
+          .filter((l) => l.mode !== "port")
+          .map((l) => ({ label: `${l.mode} ${l.from} → ${l.to}`, ...l }))
+      : analysis.type === "stops"
+        ? trip.legs.map((l, i) => ({ label: `Leg ${i + 1}`, ...l }))
+        : analysis.type === "ocean"
+          ? [
+              { label: "Eco ocean route", ...ecoRoute },
+              { label: "Safe ocean route", ...safeRoute },
+            ]
+          : [
+              { label: "Fast route", ...fastRoute },
+              { label: "Eco route", ...ecoRoute },
+            ];
+    try {
+      await downloadEmissionsReport({
+        trips: trips.map(({ label, distance_km, emissions }) => ({ label, distance_km, emissions })),
+      });
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  // Save the recommended route as a trip; land trips count their savings
+  // against the fast route, voyages against the safe one
+  async function saveTrip() {
+    const baseline =
+      analysis.type === "land" ? fastRoute : analysis.type === "ocean" ? safeRoute : null;
+    const ends =
+      analysis.type === "stops"
+        ? [analysis.labels[0], analysis.labels[analysis.labels.length - 1]]
+        : [analysis.source.name, analysis.destination.name];
+    try {
+      const saved = await api.saveTrip({
+        vehicle: analysis.vehicle,
+        kind: analysis.kind,
+        label: ends.map((l) => l?.split(",")[0]).join(" → ").slice(0, 200),
+        route: routeById(analysis, analysis.recommended),
+        ...(baseline ? { baseline_co2_kg: baseline.co2_kg } : {}),
+      });
+      setSavedTrip(saved.id);
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  async function computeStops() {
+    const points = [];
+    for (const stop of stops) points.push(await resolvePlace(stop));
+    setSrcDstCoords(null);
+    const plan = await api.planRoute({
+      stops: points,
+      vehicle,
+      ...payload,
+      ...battery,
+      ...departure,
+      optimizeOrder,
+    });
+    setAnalysis({ ...plan, labels: stops.map((s) => s.label), type: "stops" });
+  }
+
+  // The land trip at each departure slot from the chosen time (or now)
+  async function compareDepartures() {
+    try {
+      setSlots(null);
+      const source = await resolvePlace(from);
+      const destination = await resolvePlace(to);
+      const first = departAt ? new Date(departAt) : new Date();
+      const plans = await planDepartureSlots(first, (departure) =>
+        api.planRoute({ source, destination, vehicle, optimizeFor: "co2", ...payload, ...battery, departure })
+      );
+      setSlots(
+        plans.map(({ departure, plan }) => ({
+          departure,
+          fast: routeById(plan, "fast"),
+          eco: routeById(plan, "eco"),
+        }))
+      );
+    } catch (e) {
+      alert(e.message);
+    }
   }
 
   async function compute() {
     try {
       setAnalysis(null);
-      const s = await geocode(from);
-      const d = await geocode(to);
+      setSavedTrip(null);
+      setSlots(null);
+      if (mode === "stops") return await computeStops();
+      const s = await resolvePlace(from);
+      const d = await resolvePlace(to);
       setSrcDstCoords({ source: s, destination: d });
 
       if (mode === "land") {
-        const body = {
+        const plan = await api.planRoute({
           source: s,
           destination: d,
           vehicle,
-          weight_kg: 1000,
           optimizeFor: "co2",
-        };
-        const r = await fetch("/api/route", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(body),
+          ...payload,
+          ...battery,
+          ...departure,
         });
-        const j = await r.json();
-        if (j.error) throw new Error(j.error);
-        setAnalysis({ ...j, source: s, destination: d, type: "land" });
-      } else {
-        const body = { source: s, destination: d, vessel: "cargo_ship" };
-        const r = await fetch("/api/ocean-route", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(body),
+        setAnalysis({ ...plan, source: s, destination: d, type: "land" });
+      } else if (mode === "intermodal") {
+        const plan = await api.planJourney({
+          source: s,
+          destination: d,
+          vehicle,
+          vessel,
+          ...departure,
+          ...payload,
         });
-        const j = await r.json();
-        if (j.error) throw new Error(j.error);
-        setAnalysis({ ...j, source: s, destination: d, type: "ocean" });
+        setJourneyRank(1);
+        setAnalysis({ ...plan, source: s, destination: d, type: "intermodal" });
+      } else {
+        const plan = await api
+          .planRoute({
+            source: s,
+            destination: d,
+            vehicle: vessel,
+            avoid,
+            ...(vesselSize ? { vessel_size: vesselSize } : {}),
+            ...departure,
+            ...(arriveBy ? { eta: new Date(arriveBy).toISOString() } : {}),
+            ...payload,
+          })
+          .catch((e) => {
+            const j = e.body;
+            if (e.code === "ROUTE_CROSSES_LAND")
+              throw new Error(`${j.error} (${j.segments.length} segment(s) over land)`);
+            if (e.code === "ARRIVAL_WINDOW_INFEASIBLE")
+              throw new Error(
+                `${j.error}: earliest arrival ${new Date(j.closest_arrival).toLocaleString()} at ${j.speed_kn} kn`
+              );
+            throw e;
+          });
+        setAnalysis({ ...plan, source: s, destination: d, type: "ocean" });
       }
     } catch (e) {
       alert(e.message);
@@ -121,69 +476,370 @@ export default function App() {
     }
   }
 
+  // shared CO₂/km scale for the fast and eco heatmaps
+  const landCo2Range =
+    mode === "land" && analysis
+      ? co2Range([fastRoute, ecoRoute])
+      : null;
+
   return (
     <div className="app">
       {/* Side panel */}
       <div className="panel">
         <h2>EcoRoute</h2>
 
-        <label>Source</label>
-        <input value={from} onChange={(e) => setFrom(e.target.value)} />
-
-        <label>Destination</label>
-        <input value={to} onChange={(e) => setTo(e.target.value)} />
-
         <label>Mode</label>
         <select value={mode} onChange={(e) => setMode(e.target.value)}>
           <option value="land">Land</option>
+          <option value="stops">Multi-stop</option>
           <option value="ocean">Ocean</option>
+          <option value="intermodal">Intermodal</option>
+          <option value="batch">Batch</option>
+          <option value="dashboard">Dashboard</option>
         </select>
 
-        {mode === "land" && (
+        {mode === "batch" && <BatchUpload />}
+        {mode === "dashboard" && <Dashboard />}
+
+        {mode === "stops" ? (
+          <>
+            <label>Stops</label>
+            <StopList
+              stops={stops}
+              onChange={setStops}
+              pickIndex={pickTarget}
+              onPick={togglePick}
+            />
+
+            <label>Visit order</label>
+            <select
+              value={optimizeOrder}
+              onChange={(e) => setOptimizeOrder(e.target.value)}
+            >
+              <option value="co2">Optimize for CO₂</option>
+              <option value="time">Optimize for time</option>
+              <option value="none">Keep my order</option>
+            </select>
+          </>
+        ) : planning && (
+          <>
+            <label>Source</label>
+            <PlaceInput
+              place={from}
+              onChange={setFrom}
+              picking={pickTarget === "from"}
+              onPick={() => togglePick("from")}
+            />
+
+            <label>Destination</label>
+            <PlaceInput
+              place={to}
+              onChange={setTo}
+              picking={pickTarget === "to"}
+              onPick={() => togglePick("to")}
+            />
+          </>
+        )}
+
+        {(mode === "land" || mode === "stops" || mode === "intermodal") && (
           <>
             <label>Vehicle</label>
             <select value={vehicle} onChange={(e) => setVehicle(e.target.value)}>
-              <option value="car">Car</option>
-              <option value="van">Van</option>
-              <option value="bike">Bike</option>
-              <option value="ev">EV</option>
+              {vehicleProfiles.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
             </select>
           </>
         )}
 
-        <button onClick={compute}>Calculate routes</button>
+        {(mode === "land" || mode === "stops") && electric && (
+          <>
+            <label>Battery (kWh)</label>
+            <input
+              type="number"
+              min="1"
+              placeholder={`${vehicleProfiles.find((p) => p.id === vehicle)?.battery_kwh ?? ""} from profile`}
+              value={batteryKwh}
+              onChange={(e) => setBatteryKwh(e.target.value)}
+            />
+            <label>Charge at start / reserve (%)</label>
+            <div className="soc">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={startSoc}
+                onChange={(e) => setStartSoc(e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                max="50"
+                value={reserveSoc}
+                onChange={(e) => setReserveSoc(e.target.value)}
+              />
+            </div>
+          </>
+        )}
+
+        {mode === "land" && (
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={heatmap}
+              onChange={(e) => setHeatmap(e.target.checked)}
+            />
+            CO₂ heatmap
+          </label>
+        )}
+
+        {(mode === "ocean" || mode === "intermodal") && (
+          <>
+            <label>Vessel</label>
+            <select value={vessel} onChange={(e) => setVessel(e.target.value)}>
+              {vesselProfiles.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+
+          </>
+        )}
+
+        {planning && (
+          <>
+            <label>Depart</label>
+            <input
+              type="datetime-local"
+              value={departAt}
+              onChange={(e) => setDepartAt(e.target.value)}
+            />
+          </>
+        )}
+
+        {mode === "ocean" && (
+          <>
+            <label>Vessel size</label>
+            <select
+              value={vesselSize}
+              onChange={(e) => setVesselSize(e.target.value)}
+            >
+              <option value="">From profile</option>
+              {vesselClasses.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+
+            <label>Arrive by</label>
+            <input
+              type="datetime-local"
+              value={arriveBy}
+              onChange={(e) => setArriveBy(e.target.value)}
+            />
+
+            <label>Avoid</label>
+            <div className="toggles">
+              {chokepoints.map((c) => (
+                <label key={c.id} className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={avoid.includes(c.id)}
+                    onChange={() => toggleAvoid(c.id)}
+                  />
+                  {c.name}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+
+        {planning && (
+          <>
+            <label>Payload (kg)</label>
+            <input
+              type="number"
+              min="0"
+              placeholder="optional, for g CO₂e/tkm"
+              value={payloadKg}
+              onChange={(e) => setPayloadKg(e.target.value)}
+            />
+            <button onClick={compute}>Calculate routes</button>
+            {mode === "land" && (
+              <button className="secondary" onClick={compareDepartures}>
+                Compare departure times
+              </button>
+            )}
+            {analysis && (
+              <button className="secondary" onClick={downloadReport}>
+                Emissions report (PDF)
+              </button>
+            )}
+            {analysis && analysis.type !== "intermodal" && (
+              <button className="secondary" onClick={saveTrip} disabled={savedTrip !== null}>
+                {savedTrip !== null ? `Saved as trip ${savedTrip}` : "Save trip"}
+              </button>
+            )}
+          </>
+        )}
 
         {/* Results */}
+        {analysis?.warnings?.map((w, i) => (
+          <p key={i} className="warning">
+            {w.message}
+          </p>
+        ))}
+        {mode === "land" && slots && (
+          <div className="results">
+            <h4>Departure Times</h4>
+            <table className="legs journeys">
+              <thead>
+                <tr>
+                  <th>Depart</th>
+                  <th>Traffic</th>
+                  <th>Fast min</th>
+                  <th>Eco min</th>
+                  <th>Eco kg CO₂</th>
+                </tr>
+              </thead>
+              <tbody>
+                {slots.map((slot) => (
+                  <tr
+                    key={slot.departure.getTime()}
+                    className={localInput(slot.departure) === departAt ? "selected" : ""}
+                    onClick={() => setDepartAt(localInput(slot.departure))}
+                    title="Depart at this time"
+                  >
+                    <td>
+                      {slot.departure.toLocaleString(undefined, {
+                        weekday: "short",
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                    </td>
+                    <td>×{slot.eco?.traffic?.index ?? 1}</td>
+                    <td>{slot.fast?.duration_min}</td>
+                    <td>{slot.eco?.duration_min}</td>
+                    <td>{slot.eco?.co2_kg}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {analysis && mode === "land" && (
           <div className="results">
             <div className="cards">
               <div className="card">
                 <h3>Fast Route</h3>
                 <p>
-                  {analysis.time_optimized?.distance_km} km •{" "}
-                  {analysis.time_optimized?.duration_min} min
+                  {fastRoute?.distance_km} km •{" "}
+                  {fastRoute?.duration_min} min
                 </p>
                 <p>
-                  {analysis.time_optimized?.fuel_l} L •{" "}
-                  {analysis.time_optimized?.co2_kg} kg CO₂
+                  {fastRoute?.fuel.amount} {fastRoute?.fuel.unit} •{" "}
+                  {fastRoute?.co2_kg} kg CO₂
+                </p>
+                <p className="lanes">
+                  {emissionsSummary(fastRoute?.emissions)}
                 </p>
+                {fastRoute?.elevation && (
+                  <p className="lanes">
+                    ↑ {fastRoute.elevation.climb_m} m • ↓{" "}
+                    {fastRoute.elevation.descent_m} m
+                  </p>
+                )}
+                {fastRoute?.traffic && (
+                  <p className="lanes">{trafficSummary(fastRoute.traffic)}</p>
+                )}
+                {fastRoute?.uncertainty && (
+                  <p className="lanes">{predictionSummary(fastRoute)}</p>
+                )}
+                {fastRoute && <RouteExport route={fastRoute} name={exportName(fastRoute)} />}
               </div>
               <div className="card">
                 <h3>Eco Route</h3>
                 <p>
-                  {analysis.eco_optimized?.distance_km} km •{" "}
-                  {analysis.eco_optimized?.duration_min} min
+                  {ecoRoute?.distance_km} km •{" "}
+                  {ecoRoute?.duration_min} min
                 </p>
                 <p>
-                  {analysis.eco_optimized?.fuel_l} L •{" "}
-                  {analysis.eco_optimized?.co2_kg} kg CO₂
+                  {ecoRoute?.fuel.amount} {ecoRoute?.fuel.unit} •{" "}
+                  {ecoRoute?.co2_kg} kg CO₂
+                </p>
+                <p className="lanes">
+                  {emissionsSummary(ecoRoute?.emissions)}
                 </p>
+                {ecoRoute?.elevation && (
+                  <p className="lanes">
+                    ↑ {ecoRoute.elevation.climb_m} m • ↓{" "}
+                    {ecoRoute.elevation.descent_m} m
+                  </p>
+                )}
+                {ecoRoute?.traffic && (
+                  <p className="lanes">{trafficSummary(ecoRoute.traffic)}</p>
+                )}
+                {ecoRoute?.uncertainty && (
+                  <p className="lanes">{predictionSummary(ecoRoute)}</p>
+                )}
+                {ecoRoute?.battery && (
+                  <p className="lanes">{batterySummary(ecoRoute.battery)}</p>
+                )}
+                {ecoRoute && <RouteExport route={ecoRoute} name={exportName(ecoRoute)} />}
               </div>
             </div>
             <div className="highlight">
               <h4>CO₂ Saved</h4>
-              <span className="percent">{analysis.co2SavedPercent}%</span>
+              <span className="percent">{analysis.co2_saved_percent}%</span>
+              {analysis.eco_is_fastest ? (
+                <p className="note">The fastest route is also the lowest-CO₂ one.</p>
+              ) : (
+                savingsNote(analysis.co2_savings) && (
+                  <p className="note">{savingsNote(analysis.co2_savings)}</p>
+                )
+              )}
             </div>
+            {heatmap && landCo2Range && (
+              <div className="heat-legend">
+                <span>{landCo2Range.min.toFixed(3)}</span>
+                <span
+                  className="heat-bar"
+                  style={{
+                    background: `linear-gradient(to right, ${co2Color(landCo2Range.min, landCo2Range)}, ${co2Color((landCo2Range.min + landCo2Range.max) / 2, landCo2Range)}, ${co2Color(landCo2Range.max, landCo2Range)})`,
+                  }}
+                />
+                <span>{landCo2Range.max.toFixed(3)} kg CO₂/km</span>
+              </div>
+            )}
+            {analysis.alternatives?.length > 1 && (
+              <table className="legs">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>km</th>
+                    <th>min</th>
+                    <th>kg CO₂</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.alternatives.map((c) => (
+                    <tr key={c.rank}>
+                      <td>{c.rank}</td>
+                      <td>{c.distance_km}</td>
+                      <td>{c.duration_min}</td>
+                      <td>{c.co2_kg}</td>
+                      <td>{c.fastest ? "fastest" : c.via ? "via detour" : "alternative"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
             <div className="chart">
               <h4>Route Comparison</h4>
               <ResponsiveContainer width="100%" height={220}>
@@ -191,23 +847,27 @@ export default function App() {
                   data={[
                     {
                       name: "Distance (km)",
-                      Fast: analysis.time_optimized?.distance_km,
-                      Eco: analysis.eco_optimized?.distance_km,
+                      Fast: fastRoute?.distance_km,
+                      Eco: ecoRoute?.distance_km,
                     },
                     {
                       name: "Duration (min)",
-                      Fast: analysis.time_optimized?.duration_min,
-                      Eco: analysis.eco_optimized?.duration_min,
+                      Fast: fastRoute?.duration_min,
+                      Eco: ecoRoute?.duration_min,
                     },
                     {
-                      name: "Fuel (L)",
-                      Fast: analysis.time_optimized?.fuel_l,
-                      Eco: analysis.eco_optimized?.fuel_l,
+                      name: `Fuel (${fastRoute?.fuel.unit})`,
+                      Fast: fastRoute?.fuel.amount,
+                      Eco: ecoRoute?.fuel.amount,
+                      FastRange: errorBar(fastRoute?.fuel.amount, fastRoute?.uncertainty?.fuel),
+                      EcoRange: errorBar(ecoRoute?.fuel.amount, ecoRoute?.uncertainty?.fuel),
                     },
                     {
                       name: "CO₂ (kg)",
-                      Fast: analysis.time_optimized?.co2_kg,
-                      Eco: analysis.eco_optimized?.co2_kg,
+                      Fast: fastRoute?.co2_kg,
+                      Eco: ecoRoute?.co2_kg,
+                      FastRange: errorBar(fastRoute?.co2_kg, fastRoute?.uncertainty?.co2_kg),
+                      EcoRange: errorBar(ecoRoute?.co2_kg, ecoRoute?.uncertainty?.co2_kg),
                     },
                   ]}
                 >
@@ -215,32 +875,216 @@ export default function App() {
                   <YAxis />
                   <Tooltip />
                   <Legend />
-                  <Bar dataKey="Fast" fill="#4A90E2" radius={[6, 6, 0, 0]} />
-                  <Bar dataKey="Eco" fill="#27AE60" radius={[6, 6, 0, 0]} />
+                  <Bar dataKey="Fast" fill="#4A90E2" radius={[6, 6, 0, 0]}>
+                    <ErrorBar dataKey="FastRange" width={6} stroke="#1B4F72" />
+                  </Bar>
+                  <Bar dataKey="Eco" fill="#27AE60" radius={[6, 6, 0, 0]}>
+                    <ErrorBar dataKey="EcoRange" width={6} stroke="#145A32" />
+                  </Bar>
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            {(fastRoute?.elevation || ecoRoute?.elevation) && (
+              <div className="chart">
+                <h4>Elevation Profile</h4>
+                <ResponsiveContainer width="100%" height={180}>
+                  <LineChart>
+                    <XAxis
+                      dataKey="distance_km"
+                      type="number"
+                      unit=" km"
+                      domain={[0, "dataMax"]}
+                    />
+                    <YAxis unit=" m" />
+                    <Tooltip />
+                    <Legend />
+                    {fastRoute?.elevation && (
+                      <Line
+                        name="Fast"
+                        data={fastRoute.elevation.profile}
+                        dataKey="elevation_m"
+                        stroke="#4A90E2"
+                        dot={false}
+                      />
+                    )}
+                    {ecoRoute?.elevation && (
+                      <Line
+                        name="Eco"
+                        data={ecoRoute.elevation.profile}
+                        dataKey="elevation_m"
+                        stroke="#27AE60"
+                        dot={false}
+                      />
+                    )}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+            {ecoRoute?.battery && <BatteryDetail battery={ecoRoute.battery} />}
           </div>
         )}
 
-        {analysis && mode === "ocean" && analysis.eco_route && analysis.safe_route && (
+        {analysis && mode === "stops" && trip && (
+          <div className="results">
+            <div className="highlight">
+              <h4>Total</h4>
+              <p>
+                {trip.distance_km} km • {trip.duration_min} min • {trip.co2_kg}{" "}
+                kg CO₂
+              </p>
+              <p className="note">{emissionsSummary(trip.emissions)}</p>
+              <RouteExport route={trip} name={exportName(trip)} />
+            </div>
+            <table className="legs">
+              <thead>
+                <tr>
+                  <th>Leg</th>
+                  <th>km</th>
+                  <th>min</th>
+                  <th>{trip.fuel.unit}</th>
+                  <th>kg CO₂</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trip.legs.map((leg, i) => (
+                  <tr key={leg.id}>
+                    <td>
+                      {i + 1}. {analysis.labels[leg.from]?.split(",")[0]} →{" "}
+                      {analysis.labels[leg.to]?.split(",")[0]}
+                    </td>
+                    <td>{leg.distance_km}</td>
+                    <td>{leg.duration_min}</td>
+                    <td>{leg.fuel.amount}</td>
+                    <td>{leg.co2_kg}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {trip.legs.some((leg) => leg.battery) && (
+              <div className="chart">
+                <h4>Battery by Leg</h4>
+                {trip.legs.map((leg, i) => (
+                  <p key={leg.id} className="lanes">
+                    {i + 1}. {batterySummary(leg.battery)}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {analysis && mode === "intermodal" && journey && (
+          <div className="results">
+            <table className="legs journeys">
+              <thead>
+                <tr>
+                  <th>Ports</th>
+                  <th>hr</th>
+                  <th>kg CO₂</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.journeys.map((j) => (
+                  <tr
+                    key={j.rank}
+                    className={j.rank === journeyRank ? "selected" : ""}
+                    onClick={() => setJourneyRank(j.rank)}
+                  >
+                    <td>
+                      {j.rank}. {j.origin_port.name} → {j.destination_port.name}
+                      {j.fastest && " (fastest)"}
+                    </td>
+                    <td>{hours(j.duration_min)}</td>
+                    <td>{j.co2_kg}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="highlight">
+              <h4>
+                {journey.origin_port.name} → {journey.destination_port.name}
+              </h4>
+              <p>
+                {journey.distance_km} km • {hours(journey.duration_min)} hr •{" "}
+                {journey.co2_kg} kg CO₂
+              </p>
+              <p>Arrives {new Date(journey.arrival).toLocaleString()}</p>
+              <p className="note">{emissionsSummary(journey.emissions)}</p>
+              <ol className="lanes">
+                {journey.legs.map((leg, i) => (
+                  <li key={i}>{journeyLegSummary(leg)}</li>
+                ))}
+              </ol>
+            </div>
+            {analysis.skipped.length > 0 && (
+              <p className="note">
+                Skipped:{" "}
+                {analysis.skipped
+                  .map((s) => `${s.port}${s.to_port ? ` → ${s.to_port}` : ""} (${s.leg}: ${s.error})`)
+                  .join("; ")}
+              </p>
+            )}
+          </div>
+        )}
+
+        {analysis && mode === "ocean" && ecoRoute && safeRoute && (
           <div className="results">
             <div className="cards">
               <div className="card">
                 <h3>Eco Ocean Route</h3>
                 <p>
-                  {analysis.eco_route?.distance_km} km •{" "}
-                  {analysis.eco_route?.duration_hr} hr
+                  {ecoRoute?.distance_km} km •{" "}
+                  {hours(ecoRoute.duration_min)} hr • {ecoRoute?.speed_kn} kn
+                </p>
+                {ecoRoute?.arrival && (
+                  <p className={ecoRoute.meets_window ? "" : "warn"}>
+                    Arrives {new Date(ecoRoute.arrival).toLocaleString()}
+                    {!ecoRoute.meets_window && " (misses window)"}
+                  </p>
+                )}
+                <p>
+                  {fuelLabel(ecoRoute.fuel)} •{" "}
+                  {ecoRoute?.co2_kg} kg CO₂
+                </p>
+                <p className="lanes">
+                  {emissionsSummary(ecoRoute?.emissions)}
+                </p>
+                <p className="lanes">{laneSummary(ecoRoute.lanes)}</p>
+                {ecoRoute?.weather && (
+                  <p className="lanes">{weatherSummary(ecoRoute.weather)}</p>
+                )}
+                <p className="lanes">
+                  {chokepointSummary(ecoRoute)}
                 </p>
-                <p>{analysis.eco_route?.co2_kg} kg CO₂</p>
+                <RouteExport route={ecoRoute} name={exportName(ecoRoute)} />
               </div>
               <div className="card">
                 <h3>Safe Ocean Route</h3>
                 <p>
-                  {analysis.safe_route?.distance_km} km •{" "}
-                  {analysis.safe_route?.duration_hr} hr
+                  {safeRoute?.distance_km} km •{" "}
+                  {hours(safeRoute.duration_min)} hr • {safeRoute?.speed_kn} kn
+                </p>
+                {safeRoute?.arrival && (
+                  <p className={safeRoute.meets_window ? "" : "warn"}>
+                    Arrives {new Date(safeRoute.arrival).toLocaleString()}
+                    {!safeRoute.meets_window && " (misses window)"}
+                  </p>
+                )}
+                <p>
+                  {fuelLabel(safeRoute.fuel)} •{" "}
+                  {safeRoute?.co2_kg} kg CO₂
+                </p>
+                <p className="lanes">
+                  {emissionsSummary(safeRoute?.emissions)}
                 </p>
-                <p>{analysis.safe_route?.co2_kg} kg CO₂</p>
+                <p className="lanes">{laneSummary(safeRoute.lanes)}</p>
+                {safeRoute?.weather && (
+                  <p className="lanes">{weatherSummary(safeRoute.weather)}</p>
+                )}
+                <p className="lanes">
+                  {chokepointSummary(safeRoute)}
+                </p>
+                <RouteExport route={safeRoute} name={exportName(safeRoute)} />
               </div>
             </div>
             <div className="chart">
@@ -250,18 +1094,18 @@ export default function App() {
                   data={[
                     {
                       name: "Distance (km)",
-                      Eco: analysis.eco_route?.distance_km,
-                      Safe: analysis.safe_route?.distance_km,
+                      Eco: ecoRoute?.distance_km,
+                      Safe: safeRoute?.distance_km,
                     },
                     {
                       name: "Duration (hr)",
-                      Eco: analysis.eco_route?.duration_hr,
-                      Safe: analysis.safe_route?.duration_hr,
+                      Eco: hours(ecoRoute.duration_min),
+                      Safe: hours(safeRoute.duration_min),
                     },
                     {
                       name: "CO₂ (kg)",
-                      Eco: analysis.eco_route?.co2_kg,
-                      Safe: analysis.safe_route?.co2_kg,
+                      Eco: ecoRoute?.co2_kg,
+                      Safe: safeRoute?.co2_kg,
                     },
                   ]}
                 >
@@ -274,12 +1118,54 @@ export default function App() {
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            <div className="chart">
+              <h4>Speed vs CO₂</h4>
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart>
+                  <XAxis
+                    dataKey="speed_kn"
+                    type="number"
+                    unit=" kn"
+                    domain={["dataMin", "dataMax"]}
+                  />
+                  <YAxis tickFormatter={(v) => `${Math.round(v / 1000)} t`} />
+                  <Tooltip />
+                  <Legend />
+                  <Line
+                    name="Eco"
+                    data={ecoRoute.tradeoff}
+                    dataKey="co2_kg"
+                    stroke="#27AE60"
+                    dot={false}
+                  />
+                  <Line
+                    name="Safe"
+                    data={safeRoute.tradeoff}
+                    dataKey="co2_kg"
+                    stroke="#F39C12"
+                    dot={false}
+                  />
+                  <ReferenceDot
+                    x={ecoRoute.speed_kn}
+                    y={ecoRoute.co2_kg}
+                    r={5}
+                    fill="#27AE60"
+                  />
+                  <ReferenceDot
+                    x={safeRoute.speed_kn}
+                    y={safeRoute.co2_kg}
+                    r={5}
+                    fill="#F39C12"
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
           </div>
         )}
       </div>
 
       {/* Map */}
-      <div className="map">
+      <div className={pickTarget !== null ? "map picking" : "map"}>
         <MapContainer
           id="map"
           center={[20, 0]}
@@ -290,6 +1176,7 @@ export default function App() {
             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             attribution="© OpenStreetMap contributors"
           />
+          {pickTarget !== null && <MapPicker onPick={pickPoint} />}
           {srcDstCoords && (
             <>
               <Marker
@@ -305,44 +1192,129 @@ export default function App() {
           )}
           {analysis && mode === "land" && (
             <>
-              {analysis.time_optimized?.geometry && (
-                <Polyline
-                  positions={geoToLatLngs(analysis.time_optimized.geometry)}
-                  color="blue"
-                  weight={5}
-                />
+              {analysis.alternatives
+                ?.filter((c) => c.rank > 1 && !c.fastest)
+                .map((c) => (
+                  <Polyline
+                    key={c.rank}
+                    positions={geoToLatLngs(c.geometry)}
+                    color="gray"
+                    weight={3}
+                    opacity={0.5}
+                    dashArray="6 6"
+                  />
+                ))}
+              {heatmap && landCo2Range ? (
+                <>
+                  <Co2Heatmap
+                    route={fastRoute}
+                    color="blue"
+                    range={landCo2Range}
+                  />
+                  <Co2Heatmap
+                    route={ecoRoute}
+                    color="green"
+                    range={landCo2Range}
+                  />
+                </>
+              ) : (
+                <>
+                  {fastRoute?.geometry && (
+                    <Polyline
+                      positions={geoToLatLngs(fastRoute.geometry)}
+                      color="blue"
+                      weight={5}
+                    />
+                  )}
+                  {ecoRoute?.geometry && (
+                    <Polyline
+                      positions={geoToLatLngs(ecoRoute.geometry)}
+                      color="green"
+                      weight={5}
+                    />
+                  )}
+                </>
               )}
-              {analysis.eco_optimized?.geometry && (
+              <ChargerMarkers battery={ecoRoute?.battery} />
+              <FitBounds
+                positions={[
+                  geoToLatLngs(fastRoute?.geometry),
+                  geoToLatLngs(ecoRoute?.geometry),
+                ]}
+              />
+            </>
+          )}
+          {analysis && mode === "stops" && trip && (
+            <>
+              {analysis.stops.map((stop) => (
+                <Marker
+                  key={stop.position}
+                  position={[stop.lat, stop.lng]}
+                  icon={numberedIcon(stop.position)}
+                />
+              ))}
+              {trip.legs.map((leg, i) => (
                 <Polyline
-                  positions={geoToLatLngs(analysis.eco_optimized.geometry)}
-                  color="green"
+                  key={leg.id}
+                  positions={geoToLatLngs(leg.geometry)}
+                  color={LEG_COLORS[i % LEG_COLORS.length]}
                   weight={5}
                 />
-              )}
+              ))}
+              {trip.legs.map((leg) => (
+                <ChargerMarkers key={leg.id} battery={leg.battery} />
+              ))}
               <FitBounds
-                positions={[
-                  geoToLatLngs(analysis.time_optimized?.geometry),
-                  geoToLatLngs(analysis.eco_optimized?.geometry),
-                ]}
+                positions={trip.legs.map((leg) => geoToLatLngs(leg.geometry))}
+              />
+            </>
+          )}
+          {analysis && mode === "intermodal" && journey && (
+            <>
+              {journey.legs
+                .filter((leg) => leg.mode !== "port")
+                .map((leg, i) => (
+                  <Polyline
+                    key={i}
+                    positions={geoToLatLngs(leg.geometry)}
+                    {...JOURNEY_LEG_STYLE[leg.mode]}
+                  />
+                ))}
+              {[journey.origin_port, journey.destination_port].map((p) => (
+                <CircleMarker
+                  key={p.id}
+                  center={[p.lat, p.lng]}
+                  radius={8}
+                  color="#1B4F72"
+                  fillColor="#F4D03F"
+                  fillOpacity={1}
+                >
+                  <MapTooltip>{`${p.name} (${p.id})`}</MapTooltip>
+                </CircleMarker>
+              ))}
+              <FitBounds
+                positions={journey.legs
+                  .filter((leg) => leg.geometry)
+                  .map((leg) => geoToLatLngs(leg.geometry))}
               />
             </>
           )}
-          {analysis && mode === "ocean" && analysis.eco_route?.geometry && analysis.safe_route?.geometry && (
+          {analysis && mode === "ocean" && ecoRoute?.geometry && safeRoute?.geometry && (
             <>
               <Polyline
-                positions={geoToLatLngs(analysis.eco_route.geometry)}
+                positions={geoToLatLngs(ecoRoute.geometry)}
                 color="green"
                 weight={5}
               />
               <Polyline
-                positions={geoToLatLngs(analysis.safe_route.geometry)}
+                positions={geoToLatLngs(safeRoute.geometry)}
                 color="orange"
                 weight={5}
               />
               <FitBounds
                 positions={[
-                  geoToLatLngs(analysis.eco_route.geometry),
-                  geoToLatLngs(analysis.safe_route.geometry),
+                  geoToLatLngs(ecoRoute.geometry),
+                  geoToLatLngs(safeRoute.geometry),
                 ]}
               />
             </>
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from "react";
+import { api } from "./api";
+import { downloadEmissionsReport } from "./reports";
+
+const EXAMPLE = `id,source,destination,vehicle,weight
+berlin-potsdam,"52.52,13.40","52.40,13.06",car,300
+berlin-munich,"52.52,13.40","48.14,11.58",van,
+`;
+
+// Upload a CSV of origin–destination pairs, follow the batch job and download the results
+export default function BatchUpload() {
+  const [csv, setCsv] = useState(EXAMPLE);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+
+  // poll until the job is done
+  useEffect(() => {
+    if (!job || job.status === "done") return;
+    const timer = setTimeout(async () => {
+      try {
+        const j = await api.getBatch(job.job_id);
+        setJob((prev) => ({ ...prev, ...j }));
+      } catch (e) {
+        setError(e.message);
+      }
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  async function loadFile(e) {
+    const file = e.target.files[0];
+    if (file) setCsv(await file.text());
+  }
+
+  async function submit() {
+    try {
+      setError(null);
+      setJob(null);
+      setJob(await api.startBatch(csv));
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  const percent = job ? Math.round((job.completed / (job.total || 1)) * 100) : 0;
+
+  return (
+    <div className="batch">
+      <label>CSV file</label>
+      <input type="file" accept=".csv,text/csv" onChange={loadFile} />
+      <textarea
+        rows={8}
+        value={csv}
+        onChange={(e) => setCsv(e.target.value)}
+        spellCheck={false}
+      />
+      <p className="note">
+        Columns: id, source and destination as "lat,lng" (or source_lat,
+        source_lng, …), vehicle, weight.
+      </p>
+      <button onClick={submit} disabled={job && job.status !== "done"}>
+        Run batch
+      </button>
+      {error && <p className="warn">{error}</p>}
+
+      {job && (
+        <div className="results">
+          <div className="progress">
+            <div className="progress-bar" style={{ width: `${percent}%` }} />
+          </div>
+          <p>
+            {job.completed} / {job.total} rows • {job.failed} failed •{" "}
+            {job.status}
+          </p>
+          {job.status === "done" && (
+            <p>
+              <a href={job.links.csv}>
+                Download CSV
+              </a>{" "}
+              •{" "}
+              <a href={job.links.geojson}>
+                Download GeoJSON
+              </a>
+            </p>
+          )}
+          {job.status === "done" && job.failed < job.total && (
+            <button
+              className="secondary"
+              onClick={() =>
+                downloadEmissionsReport({ job_id: job.job_id }).catch((e) =>
+                  setError(e.message)
+                )
+              }
+            >
+              Emissions report (PDF)
+            </button>
+          )}
+          {job.rows && (
+            <table className="legs">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Fast kg CO₂</th>
+                  <th>Eco kg CO₂</th>
+                  <th>Saved</th>
+                </tr>
+              </thead>
+              <tbody>
+                {job.rows.map((r) => (
+                  <tr key={r.row}>
+                    <td>{r.id ?? r.row}</td>
+                    {r.status === "ok" ? (
+                      <>
+                        <td>{r.fast_co2_kg}</td>
+                        <td>{r.eco_co2_kg}</td>
+                        <td>{r.co2_saved_percent}%</td>
+                      </>
+                    ) : (
+                      <td colSpan={3} className={r.status === "error" ? "warn" : ""}>
+                        {r.error ?? r.status}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
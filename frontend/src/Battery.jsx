@@ -0,0 +1,86 @@
+import React from "react";
+import { CircleMarker, Tooltip as MapTooltip } from "react-leaflet";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+
+// EV battery plan → "Arrives at 23% • 2 charging stops, 41 min"
+export function batterySummary(battery) {
+  if (!battery) return null;
+  const stops = battery.charging_stops.length;
+  const charging =
+    stops === 0
+      ? "no charging"
+      : `${stops} charging stop${stops > 1 ? "s" : ""}, ${Math.round(battery.charging_min)} min`;
+  const arrival = battery.feasible
+    ? `Arrives at ${battery.arrival_soc_pct}%`
+    : `Short by ${battery.shortfall_kwh} kWh`;
+  return `${arrival} • ${charging} • ${battery.energy_kwh} kWh`;
+}
+
+// State of charge along the route, with the charging stops under it
+export function BatteryDetail({ battery }) {
+  return (
+    <div className="chart">
+      <h4>Battery</h4>
+      <ResponsiveContainer width="100%" height={180}>
+        <LineChart data={battery.soc_profile}>
+          <XAxis dataKey="distance_km" type="number" unit=" km" domain={[0, "dataMax"]} />
+          <YAxis unit="%" domain={[0, 100]} />
+          <Tooltip />
+          <ReferenceLine y={battery.reserve_soc_pct} stroke="#E67E22" strokeDasharray="4 4" />
+          <Line name="Charge (%)" dataKey="soc_pct" stroke="#27AE60" dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+      {battery.charging_stops.length > 0 && (
+        <table className="legs">
+          <thead>
+            <tr>
+              <th>Charger</th>
+              <th>km</th>
+              <th>%</th>
+              <th>min</th>
+            </tr>
+          </thead>
+          <tbody>
+            {battery.charging_stops.map((s) => (
+              <tr key={s.charger.id}>
+                <td>{s.charger.name ?? s.charger.id}</td>
+                <td>{s.distance_km}</td>
+                <td>
+                  {s.arrive_soc_pct} → {s.depart_soc_pct}
+                </td>
+                <td>{s.charge_min}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Charging stops on the map
+export function ChargerMarkers({ battery }) {
+  if (!battery) return null;
+  return battery.charging_stops.map((s) => (
+    <CircleMarker
+      key={s.charger.id}
+      center={[s.charger.lat, s.charger.lng]}
+      radius={7}
+      color="#145A32"
+      fillColor="#58D68D"
+      fillOpacity={1}
+    >
+      <MapTooltip>
+        {`${s.charger.name ?? s.charger.id}: ${s.power_kw} kW, ${s.charge_min} min`}
+      </MapTooltip>
+    </CircleMarker>
+  ));
+}
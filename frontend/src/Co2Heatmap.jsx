@@ -0,0 +1,48 @@
+import React from "react";
+import { Polyline, Tooltip } from "react-leaflet";
+
+// kg CO₂/km range over every segment of the given routes
+export function co2Range(routes) {
+  const values = routes
+    .flatMap((r) => r?.segments || [])
+    .map((s) => s.co2_kg_per_km);
+  if (values.length === 0) return null;
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+// green (lowest) → yellow → red (highest)
+export function co2Color(value, range) {
+  const span = range.max - range.min;
+  const t = span > 0 ? (value - range.min) / span : 0;
+  return `hsl(${Math.round(120 * (1 - t))}, 75%, 45%)`;
+}
+
+// A route drawn in its own colour underneath, graded by CO₂ per segment on top
+export default function Co2Heatmap({ route, color, range }) {
+  const coords = route.geometry.coordinates;
+  return (
+    <>
+      <Polyline
+        positions={coords.map((pt) => [pt[1], pt[0]])}
+        color={color}
+        weight={10}
+        opacity={0.35}
+      />
+      {route.segments.map((s) => (
+        <Polyline
+          key={s.start}
+          positions={coords.slice(s.start, s.end + 1).map((pt) => [pt[1], pt[0]])}
+          color={co2Color(s.co2_kg_per_km, range)}
+          weight={5}
+        >
+          <Tooltip sticky>
+            {s.distance_km} km • {s.speed_kph} km/h
+            {s.grade_pct !== null && ` • ${s.grade_pct}% grade`}
+            <br />
+            {s.co2_kg_per_km} kg CO₂/km ({s.co2_kg} kg)
+          </Tooltip>
+        </Polyline>
+      ))}
+    </>
+  );
+}
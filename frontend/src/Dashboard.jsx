@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from "react";
+import { api } from "./api";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+const RANGES = [
+  { value: "", label: "All time" },
+  { value: "28", label: "Last 4 weeks" },
+  { value: "84", label: "Last 12 weeks" },
+];
+
+// "2026-10-12" → "12 Oct"
+const weekLabel = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { day: "numeric", month: "short", timeZone: "UTC" });
+
+// CO₂ saved by the saved trips against the fast-route baseline, per week and per vehicle
+export default function Dashboard() {
+  const [range, setRange] = useState("");
+  const [summary, setSummary] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [error, setError] = useState(null);
+
+  async function load() {
+    try {
+      setError(null);
+      const from = range ? new Date(Date.now() - Number(range) * 86400e3).toISOString() : undefined;
+      const [s, list] = await Promise.all([
+        api.getTripSummary({ from }),
+        api.listTrips({ from, limit: 20 }),
+      ]);
+      setSummary(s);
+      setTrips(list.trips);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, [range]);
+
+  // log the fuel actually used; an empty field leaves it as it was
+  async function setActualFuel(trip, value) {
+    if (value === "" || Number(value) === trip.fuel.actual) return;
+    try {
+      await api.updateTrip(trip.id, { actual_fuel: Number(value) });
+      await load();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function remove(trip) {
+    try {
+      await api.deleteTrip(trip.id);
+      await load();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <div className="dashboard">
+      <label>Period</label>
+      <select value={range} onChange={(e) => setRange(e.target.value)}>
+        {RANGES.map((r) => (
+          <option key={r.value} value={r.value}>
+            {r.label}
+          </option>
+        ))}
+      </select>
+      {error && <p className="warn">{error}</p>}
+
+      {summary && summary.trips === 0 && (
+        <p className="note">No trips saved yet. Plan a route and press "Save trip".</p>
+      )}
+
+      {summary && summary.trips > 0 && (
+        <div className="results">
+          <div className="highlight">
+            <h4>CO₂ Saved</h4>
+            <span className="percent">{summary.co2_saved_kg} kg</span>
+            <p className="note">
+              {summary.co2_saved_percent}% of {summary.baseline_co2_kg} kg on the fast routes •{" "}
+              {summary.trips} trips • {summary.distance_km} km
+            </p>
+          </div>
+
+          <div className="chart">
+            <h4>Cumulative CO₂ Saved</h4>
+            <ResponsiveContainer width="100%" height={180}>
+              <LineChart data={summary.by_week}>
+                <XAxis dataKey="week_start" tickFormatter={weekLabel} />
+                <YAxis unit=" kg" />
+                <Tooltip labelFormatter={(d) => `Week of ${weekLabel(d)}`} />
+                <Line
+                  name="Saved (kg CO₂)"
+                  dataKey="cumulative_co2_saved_kg"
+                  stroke="#27AE60"
+                  dot={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart">
+            <h4>By Week</h4>
+            <ResponsiveContainer width="100%" height={180}>
+              <BarChart data={summary.by_week}>
+                <XAxis dataKey="week_start" tickFormatter={weekLabel} />
+                <YAxis />
+                <Tooltip labelFormatter={(d) => `Week of ${weekLabel(d)}`} />
+                <Legend />
+                <Bar name="Fast baseline" dataKey="baseline_co2_kg" fill="#4A90E2" radius={[6, 6, 0, 0]} />
+                <Bar name="Taken" dataKey="co2_kg" fill="#27AE60" radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart">
+            <h4>By Vehicle</h4>
+            <ResponsiveContainer width="100%" height={180}>
+              <BarChart data={summary.by_vehicle}>
+                <XAxis dataKey="vehicle" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar name="Saved (kg CO₂)" dataKey="co2_saved_kg" fill="#27AE60" radius={[6, 6, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {summary.by_vehicle.some((v) => v.actual_fuel) && (
+            <table className="legs">
+              <thead>
+                <tr>
+                  <th>Vehicle</th>
+                  <th>Trips</th>
+                  <th>Predicted</th>
+                  <th>Actual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.by_vehicle
+                  .filter((v) => v.actual_fuel)
+                  .map((v) => (
+                    <tr key={v.vehicle}>
+                      <td>{v.vehicle}</td>
+                      <td>{v.actual_fuel.trips}</td>
+                      <td>
+                        {v.actual_fuel.predicted} {v.fuel_unit}
+                      </td>
+                      <td>
+                        {v.actual_fuel.actual} {v.fuel_unit}
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {trips.length > 0 && (
+        <table className="legs trips">
+          <thead>
+            <tr>
+              <th>Trip</th>
+              <th>kg CO₂ saved</th>
+              <th>Actual fuel</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {trips.map((t) => (
+              <tr key={t.id}>
+                <td>
+                  {t.label ?? t.route_id}
+                  <br />
+                  <span className="note">
+                    {new Date(t.taken_at).toLocaleDateString()} • {t.vehicle}
+                  </span>
+                </td>
+                <td>{t.co2_saved_kg}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder={`${t.fuel.predicted} ${t.fuel.unit}`}
+                    defaultValue={t.fuel.actual ?? ""}
+                    onBlur={(e) => setActualFuel(t, e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button className="secondary" onClick={() => remove(t)} title="Delete trip">
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
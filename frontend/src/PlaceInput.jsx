@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import { place as makePlace, suggestPlaces, searchPlaces } from "./geocoding";
+
+// Place field: suggestions while typing, Enter searches for more candidates,
+// and the pin button picks the point on the map instead
+export default function PlaceInput({ place, onChange, picking, onPick }) {
+  const [options, setOptions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState(null);
+
+  // debounced suggestions for what was typed
+  useEffect(() => {
+    if (query === null) return;
+    const timer = setTimeout(() => {
+      suggestPlaces(query)
+        .then((results) => {
+          setOptions(results);
+          setOpen(true);
+        })
+        .catch(() => setOptions([]));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  function type(label) {
+    onChange(makePlace(label));
+    setQuery(label);
+  }
+
+  async function search() {
+    try {
+      setQuery(null);
+      const results = await searchPlaces(place.label);
+      setOptions(results);
+      setOpen(true);
+    } catch (e) {
+      setOptions([]);
+    }
+  }
+
+  function choose(r) {
+    onChange(makePlace(r.label, { lat: r.lat, lng: r.lng }));
+    setOpen(false);
+  }
+
+  return (
+    <div className="place-input">
+      <div className="place-row">
+        <input
+          className={place.point ? "resolved" : ""}
+          value={place.label}
+          onChange={(e) => type(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && search()}
+          onFocus={() => options.length > 0 && setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder="Type a place, Enter to search"
+        />
+        {onPick && (
+          <button
+            className={picking ? "pick active" : "pick"}
+            title="Pick on map"
+            onClick={onPick}
+          >
+            ⌖
+          </button>
+        )}
+      </div>
+      {open && options.length > 0 && (
+        <ul className="suggestions">
+          {options.map((r, i) => (
+            <li
+              key={i}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(r);
+              }}
+            >
+              {r.label}
+              <span className="kind">{r.kind}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import PlaceInput from "./PlaceInput";
+import { place } from "./geocoding";
+
+// Editable, ordered list of stop places for multi-stop routes; `pickIndex` is
+// the stop being picked on the map
+export default function StopList({ stops, onChange, pickIndex, onPick }) {
+  function update(i, value) {
+    onChange(stops.map((s, k) => (k === i ? value : s)));
+  }
+
+  function remove(i) {
+    onChange(stops.filter((_, k) => k !== i));
+  }
+
+  function move(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= stops.length) return;
+    const next = [...stops];
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+  }
+
+  return (
+    <div className="stop-list">
+      {stops.map((stop, i) => (
+        <div className="stop-row" key={i}>
+          <span className="stop-number">{i + 1}</span>
+          <PlaceInput
+            place={stop}
+            onChange={(p) => update(i, p)}
+            picking={pickIndex === i}
+            onPick={() => onPick(i)}
+          />
+          <button title="Move up" onClick={() => move(i, -1)} disabled={i === 0}>
+            ↑
+          </button>
+          <button
+            title="Move down"
+            onClick={() => move(i, 1)}
+            disabled={i === stops.length - 1}
+          >
+            ↓
+          </button>
+          <button
+            title="Remove stop"
+            onClick={() => remove(i)}
+            disabled={stops.length <= 2}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button className="add-stop" onClick={() => onChange([...stops, place("")])}>
+        + Add stop
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+import { createEcoRouteClient } from "ecoroute-client";
+
+// The backend's v1 API, through the Vite proxy in development
+export const api = createEcoRouteClient({ baseUrl: "/api/v1" });
+
+// Route of a v1 plan by id ("fast", "eco", "safe", "trip")
+export const routeById = (plan, id) => plan?.routes?.find((r) => r.id === id) ?? null;
@@ -0,0 +1,13 @@
+// Departure slots compared for a land trip, in hours after the chosen time
+export const DEPARTURE_SLOTS_H = [0, 2, 4, 6, 8];
+
+// [{ departure, plan }] per slot after `first`; `planAt(isoTime)` plans one
+// slot at a time, rather than every slot's route plan hitting the backend at once
+export async function planDepartureSlots(first, planAt) {
+  const slots = [];
+  for (const h of DEPARTURE_SLOTS_H) {
+    const departure = new Date(first.getTime() + h * 3600e3);
+    slots.push({ departure, plan: await planAt(departure.toISOString()) });
+  }
+  return slots;
+}
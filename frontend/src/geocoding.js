@@ -0,0 +1,28 @@
+import { api } from "./api";
+
+// Places are { label, point } where point is { lat, lng } or null until resolved
+export const place = (label, point = null) => ({ label, point });
+
+// Quick matches from the backend gazetteer, for typing
+export async function suggestPlaces(q) {
+  return (await api.suggestPlaces({ q })).results;
+}
+
+// Full search (Nominatim, falling back to the gazetteer)
+export async function searchPlaces(q) {
+  return (await api.geocode({ q })).results;
+}
+
+// Place for a point clicked on the map
+export async function reversePlace({ lat, lng }) {
+  const j = await api.reverseGeocode({ lat, lng });
+  return place(j.label, { lat, lng });
+}
+
+// { lat, lng, name } for a place, searching for its label if it has no point yet
+export async function resolvePlace(p) {
+  if (p.point) return { ...p.point, name: p.label };
+  const [best] = await searchPlaces(p.label);
+  if (!best) throw new Error(`No match for "${p.label}"`);
+  return { lat: best.lat, lng: best.lng, name: best.label };
+}
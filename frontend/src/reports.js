@@ -0,0 +1,37 @@
+import { api } from "./api";
+
+// How long a saved file's object URL outlives the click: browsers start the
+// download asynchronously, and a slow one hasn't read the blob after a tick
+const REVOKE_DELAY_MS = 40_000;
+
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+// Fetch an emissions report ({ trips } or { job_id }) and save it as a file
+export async function downloadEmissionsReport(body, format = "pdf") {
+  const report = await api.emissionsReport({ ...body, format });
+  const blob = report instanceof Blob ? report : new Blob([JSON.stringify(report)], { type: "application/json" });
+  saveFile(blob, `emissions-report.${format}`);
+}
+
+// Export one route for navigation tools: gpx, kml, geojson or (sea) rtz
+export async function downloadRoute(route, format, name) {
+  const file = await api.exportRoute({ route, format, name });
+  saveFile(file, `${route.id}-route.${format}`);
+}
+
+// Route emissions block → "WTW 7.5 kg CO₂e (TTW 6.3) • 338 g/tkm"
+export function emissionsSummary(e) {
+  if (!e) return null;
+  const intensity = e.intensity_g_co2e_per_tkm
+    ? ` • ${Math.round(e.intensity_g_co2e_per_tkm.wtw)} g/tkm`
+    : "";
+  const kg = (v) => (v >= 1000 ? `${(v / 1000).toFixed(1)} t` : `${v.toFixed(1)} kg`);
+  return `WTW ${kg(e.wtw_co2e_kg)} CO₂e (TTW ${kg(e.ttw_co2e_kg)})${intensity}`;
+}
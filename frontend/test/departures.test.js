@@ -0,0 +1,40 @@
+/** departures.test.js - Comparing departure slots for a land trip */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEPARTURE_SLOTS_H, planDepartureSlots } from "../src/departures.js";
+
+test("every slot is planned at its own departure, in order", async () => {
+  const first = new Date("2026-10-19T06:00:00.000Z");
+  const slots = await planDepartureSlots(first, async (departure) => ({ id: departure }));
+  assert.deepEqual(
+    slots.map((s) => s.departure.toISOString()),
+    DEPARTURE_SLOTS_H.map((h) => new Date(first.getTime() + h * 3600e3).toISOString())
+  );
+  assert.ok(slots.every((s) => s.plan.id === s.departure.toISOString()));
+});
+
+test("slots are planned one at a time", async () => {
+  let inFlight = 0;
+  let most = 0;
+  await planDepartureSlots(new Date(), async () => {
+    most = Math.max(most, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight--;
+    return {};
+  });
+  assert.equal(most, 1);
+});
+
+test("a failing slot stops the comparison", async () => {
+  const planned = [];
+  await assert.rejects(
+    planDepartureSlots(new Date("2026-10-19T06:00:00.000Z"), async (departure) => {
+      planned.push(departure);
+      if (planned.length === 2) throw new Error("No route between source and destination");
+      return {};
+    }),
+    /No route/
+  );
+  assert.equal(planned.length, 2);
+});
@@ -6,6 +6,10 @@ export default defineConfig({
   server: {
     proxy: {
       '/api': 'http://localhost:4000'
+    },
+    // the API client is linked from ../client
+    fs: {
+      allow: ['..']
     }
   }
 })
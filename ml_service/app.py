@@ -1,41 +1,139 @@
 # app.py - FastAPI ML inference service
-from fastapi import FastAPI
+from fastapi import FastAPI, HTTPException
 from pydantic import BaseModel
-import joblib, os, numpy as np
+import joblib, os, threading, numpy as np
+import registry
+from train_model import train_model, FEATURES
 
-MODEL_PATH = os.environ.get("MODEL_PATH", "models/eco_model.pkl")
+# Predictions come from the registry's active model version (registry.py);
+# MODEL_PATH pins one model file instead, reported as MODEL_VERSION
+MODEL_PATH = os.environ.get("MODEL_PATH")
+# Models trained before the registry; served as "legacy" until one is registered
+LEGACY_MODEL_PATH = os.path.join(registry.MODELS_DIR, "eco_model.pkl")
+# The backend's telemetry samples, for retraining
+SAMPLES_DB = os.environ.get("SAMPLES_DB", "../backend/data/telemetry.db")
 app = FastAPI(title="EcoRoute ML Service")
 
-# Vehicle/vessel assumptions (synthetic factors — can be replaced with real data)
-VEHICLE_FACTORS = {
-    # Land
-    "car":   {"weight": 1200, "co2_factor": 1.0,  "energy_mode": "fuel"},
-    "van":   {"weight": 2500, "co2_factor": 1.4,  "energy_mode": "fuel"},
-    "bike":  {"weight": 200,  "co2_factor": 0.2,  "energy_mode": "fuel"},
-    "ev":    {"weight": 1800, "co2_factor": 0.0,  "energy_mode": "electric"},
-    # Ocean
-    "cargo_ship": {"weight": 500000, "co2_factor": 8.0, "energy_mode": "fuel"},
-    "tanker":     {"weight": 700000, "co2_factor": 10.0,"energy_mode": "fuel"},
-    "ferry":      {"weight": 100000, "co2_factor": 5.0, "energy_mode": "fuel"},
-}
+# Share of the trees' predictions inside a prediction's interval
+INTERVAL_LEVEL = 0.9
+
+# { "model", "version" }, swapped whole so a prediction never mixes two versions
+serving = None
+training = threading.Lock()
+
+# Vehicle factors come with each request from the backend's profile registry
+# (backend/data/profiles.json); vessels are costed there from their SFOC curves.
 
 class Features(BaseModel):
     distance_km: float
     elevation_gain_m: float = 0.0
+    elevation_loss_m: float = 0.0   # not a model input; EV regeneration
     avg_speed_kph: float = 50.0
     turns: int = 0
     humps: int = 0
-    weight_kg: float = 1000.0
+    weight_kg: float = 1200.0
     traffic_index: float = 1.0
     route_type: str = "fast"
-    vehicle: str = "car"   # NEW: include both land & sea
+    vehicle: str = "car"            # profile id, informational
+    co2_factor: float = 1.0         # profile CO₂ scaling vs a car
+    energy_mode: str = "fuel"       # "fuel" or "electric"
+
+class RetrainRequest(BaseModel):
+    use_samples: bool = True        # include the recorded trips in SAMPLES_DB
+    synthetic_rows: int = 10000     # 0: recorded trips only
+    activate: bool = True           # serve the new version right away
+
 
 @app.on_event("startup")
 def load_model():
-    global model
-    if not os.path.exists(MODEL_PATH):
-        raise RuntimeError(f"Model missing at {MODEL_PATH}. Run train_model.py to create it.")
-    model = joblib.load(MODEL_PATH)
+    global serving
+    if MODEL_PATH:
+        if not os.path.exists(MODEL_PATH):
+            raise RuntimeError(f"Model missing at {MODEL_PATH}.")
+        serving = {"model": joblib.load(MODEL_PATH), "version": os.environ.get("MODEL_VERSION", os.path.basename(MODEL_PATH))}
+        return
+    reg = registry.load()
+    entry = registry.find(reg, reg["active"])
+    if entry:
+        serving = {"model": joblib.load(registry.model_path(entry)), "version": entry["version"]}
+    elif os.path.exists(LEGACY_MODEL_PATH):
+        serving = {"model": joblib.load(LEGACY_MODEL_PATH), "version": "legacy"}
+    else:
+        raise RuntimeError(f"No active model in {registry.REGISTRY_PATH}. Run train_model.py to create one.")
+
+
+@app.get("/models")
+def list_models():
+    return {**registry.load(), "serving": serving["version"]}
+
+
+@app.post("/models/retrain")
+def retrain(req: RetrainRequest):
+    if not training.acquire(blocking=False):
+        raise HTTPException(409, "A retrain is already running")
+    try:
+        samples_db = SAMPLES_DB if req.use_samples and os.path.exists(SAMPLES_DB) else None
+        entry = train_model(samples_db=samples_db, synthetic_rows=req.synthetic_rows, activate=req.activate)
+    except ValueError as e:
+        raise HTTPException(400, str(e))
+    finally:
+        training.release()
+    load_model()
+    return {**entry, "serving": serving["version"]}
+
+
+@app.post("/models/{version}/activate")
+def activate(version: str):
+    try:
+        reg = registry.activate(version)
+    except KeyError:
+        raise HTTPException(404, f"Unknown model version {version}")
+    load_model()
+    return {"active": reg["active"], "serving": serving["version"]}
+
+def contributions(trees, X):
+    """Per-feature contributions to a forest's prediction for the one row in X:
+    along each tree's decision path, the change in the node mean at a split is
+    credited to the split's feature, so base (the training mean) plus the
+    contributions is the tree's prediction. Averaged over the trees."""
+    base = np.zeros(trees[0].n_outputs_)
+    contrib = np.zeros((X.shape[1], trees[0].n_outputs_))
+    for tree in trees:
+        # node ids grow from the root down, so sorting gives the path in order
+        path = np.sort(tree.decision_path(X).indices)
+        values = tree.tree_.value[path, :, 0]
+        base += values[0]
+        np.add.at(contrib, tree.tree_.feature[path[:-1]], np.diff(values, axis=0))
+    return base / len(trees), contrib / len(trees)
+
+
+def uncertainty(model, X, scale, outputs):
+    """Interval and spread of the trees' predictions for the one row in X, each
+    tree's CO2 (for paired comparisons between routes) and the per-feature
+    explanation, for the `outputs` named; None for models that aren't forests.
+    `scale` multiplies the [fuel_l, co2_kg] columns as /predict does."""
+    if not hasattr(model, "estimators_"):
+        return None
+    trees = np.stack([tree.predict(X)[0] for tree in model.estimators_]) * scale
+    lo, hi = np.percentile(trees, [50 - INTERVAL_LEVEL * 50, 50 + INTERVAL_LEVEL * 50], axis=0)
+    sd = trees.std(axis=0)
+    base, contrib = contributions(model.estimators_, X)
+    base, contrib = base * scale, contrib * scale
+    col = {"fuel_l": 0, "co2_kg": 1}
+    ranked = sorted(range(len(FEATURES)), key=lambda i: -abs(contrib[i, col[outputs[-1]]]))
+    return {
+        "interval": {"level": INTERVAL_LEVEL, **{o: [float(lo[col[o]]), float(hi[col[o]])] for o in outputs}},
+        "sd": {o: float(sd[col[o]]) for o in outputs},
+        "tree_co2_kg": [round(float(c), 4) for c in trees[:, 1]],
+        "explanation": {
+            "base": {o: float(base[col[o]]) for o in outputs},
+            "contributions": [
+                {"feature": FEATURES[i], "value": float(X[0, i]), **{o: float(contrib[i, col[o]]) for o in outputs}}
+                for i in ranked
+            ],
+        },
+    }
+
 
 @app.post("/predict")
 def predict(feat: Features):
@@ -43,53 +141,46 @@ def predict(feat: Features):
     route_map = {"fast": 0, "eco": 1, "safe": 2}
     route_type_val = route_map.get(feat.route_type, 0)
 
-    # Vehicle adjustments
-    v = VEHICLE_FACTORS.get(feat.vehicle, VEHICLE_FACTORS["car"])
-    base_weight = v["weight"]
-    co2_factor = v["co2_factor"]
-    energy_mode = v["energy_mode"]
-
     X = np.array([[ 
         feat.distance_km,
         feat.elevation_gain_m,
         feat.avg_speed_kph,
         feat.turns,
         feat.humps,
-        base_weight,               # vehicle/vessel weight
+        feat.weight_kg,
         feat.traffic_index,
         route_type_val
     ]])
 
     # Base ML model prediction [fuel_l, co2_kg]
-    pred = model.predict(X)[0]
+    current = serving
+    pred = current["model"].predict(X)[0]
     fuel, co2 = float(pred[0]), float(pred[1])
 
-    # Adjust emissions scaling by vehicle/vessel type
-    co2 *= co2_factor
-    fuel *= max(1.0, co2_factor / 2.0)  # heavier ships burn more fuel
+    # Adjust emissions scaling by vehicle type
+    co2 *= feat.co2_factor
+    outputs = ["co2_kg"] if feat.energy_mode == "electric" else ["fuel_l", "co2_kg"]
+    spread = uncertainty(current["model"], X, np.array([1.0, feat.co2_factor]), outputs) or {}
 
     # --- Energy Mode Handling ---
-    if energy_mode == "electric":
-        # EV: Convert distance → kWh (assume ~0.2 kWh/km)
+    if feat.energy_mode == "electric":
+        # EV: Convert distance → kWh (assume ~0.2 kWh/km), plus lifting the
+        # vehicle uphill (90% drivetrain) less ~60% recovered downhill
+        lift_kwh = feat.weight_kg * 9.81 / 3.6e6
         energy_kwh = feat.distance_km * 0.2
+        energy_kwh += lift_kwh * (feat.elevation_gain_m / 0.9 - feat.elevation_loss_m * 0.6)
+        energy_kwh = max(energy_kwh, feat.distance_km * 0.05)
         return {
             "fuel_l": 0.0,
             "energy_kwh": energy_kwh,
-            "co2_kg": co2
+            "co2_kg": co2,
+            "model_version": current["version"],
+            **spread
         }
 
-    # Ships (extra safety vs eco adjustments)
-    if feat.vehicle in ["cargo_ship", "tanker", "ferry"]:
-        if feat.route_type == "eco":
-            # Slightly longer but more efficient (slow steaming, optimized currents)
-            fuel *= 0.85
-            co2 *= 0.85
-        elif feat.route_type == "safe":
-            # Safe route (storm-avoidance) → longer, more fuel
-            fuel *= 1.2
-            co2 *= 1.2
-
     return {
         "fuel_l": fuel,
-        "co2_kg": co2
+        "co2_kg": co2,
+        "model_version": current["version"],
+        **spread
     }
@@ -0,0 +1,47 @@
+# registry.py - Trained model versions and which one serves predictions
+#
+# models/registry.json lists every model train_model.py saved, with what it
+# was trained on and how it scored on held-out data:
+#   { "active": "v2", "models": [{ "version", "file", "trained_at", "data", "metrics" }] }
+import json, os
+
+MODELS_DIR = os.environ.get("MODELS_DIR", "models")
+REGISTRY_PATH = os.path.join(MODELS_DIR, "registry.json")
+
+
+def load():
+    if not os.path.exists(REGISTRY_PATH):
+        return {"active": None, "models": []}
+    with open(REGISTRY_PATH) as f:
+        return json.load(f)
+
+
+def save(registry):
+    # write then rename, so a reader never sees half a file
+    os.makedirs(MODELS_DIR, exist_ok=True)
+    tmp = REGISTRY_PATH + ".tmp"
+    with open(tmp, "w") as f:
+        json.dump(registry, f, indent=2)
+    os.replace(tmp, REGISTRY_PATH)
+
+
+def next_version(registry):
+    numbers = [int(m["version"][1:]) for m in registry["models"] if m["version"][1:].isdigit()]
+    return f"v{max(numbers, default=0) + 1}"
+
+
+def find(registry, version):
+    return next((m for m in registry["models"] if m["version"] == version), None)
+
+
+def model_path(entry):
+    return os.path.join(MODELS_DIR, entry["file"])
+
+
+def activate(version):
+    registry = load()
+    if not find(registry, version):
+        raise KeyError(version)
+    registry["active"] = version
+    save(registry)
+    return registry
@@ -3,23 +3,40 @@ import numpy as np
 import pandas as pd
 from sklearn.ensemble import RandomForestRegressor
 from sklearn.model_selection import train_test_split
-import joblib, os
+from sklearn.metrics import mean_absolute_error, r2_score
+from contextlib import closing
+from datetime import datetime, timezone
+import joblib, os, json, sqlite3, argparse
+import registry as reg
 
 # ----------------------------
-# Vehicle / Vessel assumptions
+# Vehicle assumptions: the backend's profile registry
 # ----------------------------
-VEHICLE_FACTORS = {
-    "car":   {"weight": 1200, "co2_factor": 1.0,  "energy_mode": "fuel"},
-    "van":   {"weight": 2500, "co2_factor": 1.4,  "energy_mode": "fuel"},
-    "bike":  {"weight": 200,  "co2_factor": 0.2,  "energy_mode": "fuel"},
-    "ev":    {"weight": 1800, "co2_factor": 0.0,  "energy_mode": "electric"},
-    "cargo_ship": {"weight": 500000, "co2_factor": 8.0, "energy_mode": "fuel"},
-    "tanker":     {"weight": 700000, "co2_factor": 10.0,"energy_mode": "fuel"},
-    "ferry":      {"weight": 100000, "co2_factor": 5.0, "energy_mode": "fuel"},
-}
+PROFILES_PATH = os.environ.get(
+    "PROFILES_PATH", os.path.join(os.path.dirname(__file__), "..", "backend", "data", "profiles.json")
+)
+with open(PROFILES_PATH) as f:
+    VEHICLE_FACTORS = {
+        p["id"]: {
+            "weight": p["weight_kg"],
+            "co2_factor": p["co2_factor"],
+            "energy_mode": "electric" if p["fuel_type"] == "electricity" else "fuel",
+        }
+        for p in json.load(f)["profiles"]
+        if p["kind"] == "vehicle"
+    }
 
 ROUTE_TYPES = {"fast": 0, "eco": 1, "safe": 2}
 
+# Model inputs, in the order /predict passes them, and outputs
+FEATURES = [
+    "distance_km", "elevation_gain_m", "avg_speed_kph", "turns", "humps",
+    "weight_kg", "traffic_index", "route_type"
+]
+TARGETS = ["fuel_l", "co2_kg"]
+# A source with fewer rows than this is trained on whole, without a holdout
+MIN_HOLDOUT_ROWS = 10
+
 
 # ----------------------------
 # Synthetic Data Generator
@@ -48,6 +65,8 @@ def generate_data(n=5000):
 
         # --- baseline fuel consumption ---
         base_fuel = (distance_km / 12.0) + (weight_kg / 1000) * 0.5
+        # climbing: lifting the vehicle (m·g·h) at ~25% engine efficiency, 8.9 kWh per litre
+        base_fuel += weight_kg * 9.81 * elevation_gain_m / 3.6e6 / 0.25 / 8.9
         base_co2 = base_fuel * 2.31
 
         # --- route adjustments ---
@@ -77,27 +96,107 @@ def generate_data(n=5000):
 
 
 # ----------------------------
-# Train + Save Model
+# Recorded trips (the backend's telemetry samples)
 # ----------------------------
-def train_model():
-    print("🔄 Generating synthetic dataset...")
-    df = generate_data(10000)
+def load_samples(db_path):
+    """Labelled samples from the backend's telemetry database, in the columns
+    of the synthetic data. The model predicts a car's CO2 and /predict scales it
+    by the profile's co2_factor, so the recorded CO2 is scaled back here."""
+    if not os.path.exists(db_path):
+        raise FileNotFoundError(f"No telemetry database at {db_path}")
+    with closing(sqlite3.connect(f"file:{db_path}?mode=ro", uri=True)) as con:
+        df = pd.read_sql_query(f"SELECT {', '.join(FEATURES)}, co2_factor, fuel_l, co2_kg FROM samples", con)
+    df["route_type"] = df["route_type"].map(ROUTE_TYPES).fillna(0).astype(int)
+    df["co2_kg"] = df["co2_kg"] / df["co2_factor"]
+    return df[FEATURES + TARGETS]
 
-    X = df.drop(["fuel_l","co2_kg"], axis=1)
-    y = df[["fuel_l","co2_kg"]]
 
-    X_train, X_test, y_train, y_test = train_test_split(X, y, test_size=0.2, random_state=42)
+# ----------------------------
+# Evaluation
+# ----------------------------
+def evaluate(model, df):
+    pred = model.predict(df[FEATURES])
+    y = df[TARGETS].to_numpy()
+    return {
+        "rows": int(len(df)),
+        "r2": round(float(r2_score(y, pred)), 4),
+        "mae_fuel_l": round(float(mean_absolute_error(y[:, 0], pred[:, 0])), 4),
+        "mae_co2_kg": round(float(mean_absolute_error(y[:, 1], pred[:, 1])), 4),
+    }
 
-    print("🔄 Training RandomForestRegressor...")
-    model = RandomForestRegressor(n_estimators=200, random_state=42)
-    model.fit(X_train, y_train)
 
-    print("✅ Model R^2 score:", model.score(X_test, y_test))
+def split(df):
+    # too few recorded trips to hold any back: train on them all
+    if len(df) < MIN_HOLDOUT_ROWS:
+        return df, df.iloc[0:0]
+    return train_test_split(df, test_size=0.2, random_state=42)
+
 
-    os.makedirs("models", exist_ok=True)
-    joblib.dump(model, "models/eco_model.pkl")
-    print("✅ Model saved to models/eco_model.pkl")
+# ----------------------------
+# Train + Save Model
+# ----------------------------
+def train_model(samples_db=None, synthetic_rows=10000, activate=True):
+    """Train on synthetic rows plus the recorded trips in `samples_db`, save the
+    model as the next version in the registry and, with `activate`, serve it.
+    Each source is scored on its own held-out fifth; on recorded trips the
+    model being replaced is scored on the same rows for comparison."""
+    parts = {}
+    if synthetic_rows:
+        print(f"🔄 Generating {synthetic_rows} synthetic rows...")
+        parts["synthetic"] = generate_data(synthetic_rows)
+    if samples_db:
+        parts["telemetry"] = load_samples(samples_db)
+        print(f"🔄 Loaded {len(parts['telemetry'])} recorded trips from {samples_db}")
+    if not any(len(df) for df in parts.values()):
+        raise ValueError("Nothing to train on: no synthetic rows and no recorded trips")
+
+    splits = {name: split(df) for name, df in parts.items() if len(df)}
+    train = pd.concat([tr for tr, _ in splits.values()])
+
+    print("🔄 Training RandomForestRegressor...")
+    model = RandomForestRegressor(n_estimators=200, random_state=42)
+    model.fit(train[FEATURES], train[TARGETS])
+
+    metrics = {name: evaluate(model, te) if len(te) else None for name, (_, te) in splits.items()}
+    registry = reg.load()
+    previous = reg.find(registry, registry["active"])
+    held_out = splits.get("telemetry", (None, []))[1]
+    if previous and len(held_out) and os.path.exists(reg.model_path(previous)):
+        metrics["telemetry_previous"] = {
+            "version": previous["version"],
+            **evaluate(joblib.load(reg.model_path(previous)), held_out),
+        }
+    print("✅ Held-out scores:", json.dumps(metrics))
+
+    version = reg.next_version(registry)
+    entry = {
+        "version": version,
+        "file": f"eco_model-{version}.pkl",
+        "trained_at": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "features": FEATURES,
+        "data": {
+            "synthetic_rows": int(len(parts.get("synthetic", []))),
+            "telemetry_rows": int(len(parts.get("telemetry", []))),
+            "samples_db": samples_db,
+        },
+        "metrics": metrics,
+    }
+    os.makedirs(reg.MODELS_DIR, exist_ok=True)
+    joblib.dump(model, reg.model_path(entry))
+    # re-read: another run may have registered a model meanwhile
+    registry = reg.load()
+    registry["models"].append(entry)
+    if activate or not registry["active"]:
+        registry["active"] = version
+    reg.save(registry)
+    print(f"✅ Model {version} saved to {reg.model_path(entry)}" + (" (active)" if registry["active"] == version else ""))
+    return entry
 
 
 if __name__ == "__main__":
-    train_model()
+    parser = argparse.ArgumentParser(description="Train the fuel/CO2 model and register it as a new version")
+    parser.add_argument("--samples", help="telemetry database from the backend (backend/data/telemetry.db)")
+    parser.add_argument("--synthetic-rows", type=int, default=10000, help="synthetic rows to mix in (0: recorded trips only)")
+    parser.add_argument("--no-activate", action="store_true", help="register the model without serving it")
+    args = parser.parse_args()
+    train_model(samples_db=args.samples, synthetic_rows=args.synthetic_rows, activate=not args.no_activate)